@@ -3,6 +3,7 @@ module.exports = {
 		'BlindAuctionMarketplace/BlindAuctionMarketplace.sol',
 		'BlindAuctionMarketplace/LibBlindAuction.sol',
 		'Migrations.sol',
-		'ERC721Dummy.sol'
+		'ERC721Dummy.sol',
+		'HashDummy.sol'
 	]
 }
\ No newline at end of file
@@ -0,0 +1,31 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "./SalvorLendingERC20/IAggregatorV3.sol";
+
+// it is used only for unit tests.
+contract AggregatorDummy is IAggregatorV3 {
+    uint8 public decimals;
+    uint80 public roundId;
+    int256 public answer;
+    uint256 public updatedAt;
+
+    constructor(uint8 _decimals, int256 _answer) {
+        decimals = _decimals;
+        setAnswer(_answer);
+    }
+
+    function setAnswer(int256 _answer) public {
+        answer = _answer;
+        updatedAt = block.timestamp;
+        roundId++;
+    }
+
+    function setUpdatedAt(uint256 _updatedAt) external {
+        updatedAt = _updatedAt;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
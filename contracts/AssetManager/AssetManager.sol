@@ -7,6 +7,10 @@ import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC721/IERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/IERC1155Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/draft-IERC20PermitUpgradeable.sol";
 
 import "../VeArt/IVeArt.sol";
 import "../Royalty/IRoyalty.sol";
@@ -24,6 +28,7 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
     }
 
     using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+    using SafeERC20Upgradeable for IERC20Upgradeable;
     EnumerableSetUpgradeable.AddressSet private _whitelistedPlatforms;
 
     mapping(address => uint256) public biddingWallets;
@@ -56,6 +61,21 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
     // Stores the total pending fee amount to be collected by the platform.
     uint256 public pendingFee;
 
+    // ERC20 tokens that orders and offers can be priced in.
+    mapping(address => bool) public paymentTokens;
+
+    // Stores the pending royalty amounts for each collection address per payment token.
+    mapping(address => mapping(address => uint256)) public pendingERC20Royalties;
+
+    // Stores the pending fee amounts collected in each payment token.
+    mapping(address => uint256) public pendingERC20Fees;
+
+    // Share of the surplus of a liquidation over the debt of the loan that is kept as the protocol fee, in basis points. The rest goes to the borrower.
+    uint96 public liquidationFee;
+
+    // Bidding wallets in the ERC20 payment tokens, user => token => balance. The native balances stay in biddingWallets.
+    mapping(address => mapping(address => uint256)) public tokenWallets;
+
     // events
     event Fund(address indexed user, uint256 amount, bool isExternal);
     event TransferFrom(address indexed user, address indexed to, uint256 amount);
@@ -63,6 +83,14 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
     event FailedTransfer(address indexed receiver, uint256 amount);
     event WithdrawnFailedBalance(uint256 amount);
     event WithdrawnPendingRoyalty(uint256 amount);
+    event SetPaymentToken(address indexed currency, bool isAllowed);
+    event TransferERC20From(address indexed currency, address indexed user, address indexed to, uint256 amount);
+    event WithdrawnPendingERC20Royalty(address indexed currency, uint256 amount);
+    event WithdrawnPendingERC20Fee(address indexed currency, address indexed receiver, uint256 amount);
+    event SetLiquidationFee(uint96 liquidationFee);
+    event LiquidationSurplus(address indexed collection, uint256 indexed tokenId, address indexed borrower, uint256 amount, uint256 fee);
+    event FundERC20(address indexed currency, address indexed user, uint256 amount);
+    event WithdrawERC20(address indexed currency, address indexed user, uint256 amount);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -73,6 +101,16 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
         __Ownable_init_unchained();
         __Pausable_init_unchained();
         __ReentrancyGuard_init_unchained();
+        liquidationFee = 5000;
+    }
+
+    /**
+    * @notice Sets the liquidation fee of the proxies deployed before it to the half of the surplus the protocol kept before it could be set.
+    * The owner calls it once after the upgrade, new proxies set it in initialize.
+    */
+    function initializeV2() external onlyOwner reinitializer(2) {
+        liquidationFee = 5000;
+        emit SetLiquidationFee(5000);
     }
 
     /**
@@ -117,6 +155,26 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
         protocolFees[_platform] = _protocolFee;
     }
 
+    /**
+    * @notice Sets the share of the surplus of a liquidation over the debt of the loan that is kept as the protocol fee, the rest goes to the borrower.
+    * @param _liquidationFee The fee in basis points, 10000 keeps the whole surplus.
+    */
+    function setLiquidationFee(uint96 _liquidationFee) external onlyOwner {
+        require(_liquidationFee <= 10000, "fee cannot exceed the surplus");
+        liquidationFee = _liquidationFee;
+        emit SetLiquidationFee(_liquidationFee);
+    }
+
+    /**
+    * @notice Allows or disallows an ERC20 token as the currency of orders and offers.
+    * @param _currency The address of the ERC20 token.
+    * @param _isAllowed Whether the token can be used for payments.
+    */
+    function setPaymentToken(address _currency, bool _isAllowed) external onlyOwner addressIsNotZero(_currency) {
+        paymentTokens[_currency] = _isAllowed;
+        emit SetPaymentToken(_currency, _isAllowed);
+    }
+
     /**
     * @notice adds a platform to use critical functions like 'payout'
     * @param _platform related marketplace contract address
@@ -160,6 +218,37 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
         emit WithdrawnPendingRoyalty(amount);
     }
 
+    /**
+    * @notice Allows the withdrawal of pending royalty amounts collected in an ERC20 token for a specified NFT contract address.
+    * @param _address The address of the NFT contract.
+    * @param _currency The address of the ERC20 token.
+    */
+    function withdrawERC20RoyaltyAmount(address _address, address _currency) external whenNotPaused nonReentrant {
+        uint256 amount = pendingERC20Royalties[_address][_currency];
+
+        require(amount > 0, "no credits to withdraw");
+        require(royalties[_address].receiver != address(0x0), "receiver must be set");
+
+        pendingERC20Royalties[_address][_currency] = 0;
+        IERC20Upgradeable(_currency).safeTransfer(royalties[_address].receiver, amount);
+        emit WithdrawnPendingERC20Royalty(_currency, amount);
+    }
+
+    /**
+    * @notice Allows the owner to withdraw the protocol fee collected in an ERC20 token.
+    * @param _currency The address of the ERC20 token.
+    * @param _receiver The address that receives the fee.
+    */
+    function withdrawPendingERC20Fee(address _currency, address _receiver) external onlyOwner nonReentrant addressIsNotZero(_receiver) {
+        uint256 amount = pendingERC20Fees[_currency];
+
+        require(amount > 0, "no credits to withdraw");
+
+        pendingERC20Fees[_currency] = 0;
+        IERC20Upgradeable(_currency).safeTransfer(_receiver, amount);
+        emit WithdrawnPendingERC20Fee(_currency, _receiver, amount);
+    }
+
     /**
     * @notice failed transfers are stored in `failedTransferBalance`. In the case of failure, users can withdraw failed balances.
     */
@@ -197,12 +286,64 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
         withdrawPendingFee();
     }
 
+    /**
+    * @notice Deposits an allowed ERC20 token to the bidding wallet of msg.sender in the token. msg.sender must have approved this contract.
+    * The amount received is credited, which is less than the amount for tokens that take a fee on transfers.
+    * @param _currency The address of the ERC20 token.
+    * @param _amount The amount to be deposited.
+    */
+    function depositERC20(address _currency, uint256 _amount) public whenNotPaused nonReentrant {
+        require(paymentTokens[_currency], "currency is not allowed");
+        uint256 balance = IERC20Upgradeable(_currency).balanceOf(address(this));
+        IERC20Upgradeable(_currency).safeTransferFrom(msg.sender, address(this), _amount);
+        uint256 received = IERC20Upgradeable(_currency).balanceOf(address(this)) - balance;
+        tokenWallets[msg.sender][_currency] += received;
+        emit FundERC20(_currency, msg.sender, received);
+    }
+
+    /**
+    * @notice Deposits an allowed ERC20 token that supports EIP-2612 to the bidding wallet of msg.sender, approving the deposit with a permit signed by msg.sender.
+    * A permit that fails, e.g. as a copy of it was submitted first, falls back to the allowance of msg.sender.
+    * @param _currency The address of the ERC20 token.
+    * @param _amount The amount to be deposited, the value of the permit.
+    * @param _deadline The deadline of the permit.
+    * @param _v The recovery byte of the permit signature.
+    * @param _r The first half of the permit signature.
+    * @param _s The second half of the permit signature.
+    */
+    function depositERC20WithPermit(address _currency, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external {
+        try IERC20PermitUpgradeable(_currency).permit(msg.sender, address(this), _amount, _deadline, _v, _r, _s) {} catch {}
+        depositERC20(_currency, _amount);
+    }
+
+    /**
+    * @notice Withdraws a specified amount from the bidding wallet of msg.sender in an ERC20 token. Tokens that are no longer allowed can still be withdrawn.
+    * @param _currency The address of the ERC20 token.
+    * @param _amount The amount to be withdrawn.
+    */
+    function withdrawERC20(address _currency, uint256 _amount) external whenNotPaused nonReentrant {
+        require(tokenWallets[msg.sender][_currency] >= _amount, "Balance is insufficient for a withdrawal");
+        tokenWallets[msg.sender][_currency] -= _amount;
+
+        IERC20Upgradeable(_currency).safeTransfer(msg.sender, _amount);
+        emit WithdrawERC20(_currency, msg.sender, _amount);
+    }
+
+    /**
+    * @notice Returns the balance of the bidding wallet of a user in a currency.
+    * @param _user The address of the user.
+    * @param _currency The address of the ERC20 token, address(0) for the native currency.
+    */
+    function walletBalance(address _user, address _currency) external view returns (uint256) {
+        return _currency == address(0) ? biddingWallets[_user] : tokenWallets[_user][_currency];
+    }
+
     /**
     * @notice Allows platforms to deposit Ether on behalf of a user into their bidding wallet.
      * @param _user The address of the user for whom the deposit is being made.
      */
     function deposit(address _user) external payable whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _assertPlatformWhitelisted();
 
         emit Fund(_user, msg.value, true);
         biddingWallets[_user] += msg.value;
@@ -215,12 +356,26 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
      * @param _amount The amount of Ether to transfer.
      */
     function transferFrom(address _from, address _to, uint256 _amount) external whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _transferFrom(address(0), _from, _to, _amount);
+    }
 
-        require(biddingWallets[_from] >= _amount, "Insufficient balance");
-        emit TransferFrom(_from, _to, _amount);
-        biddingWallets[_from] -= _amount;
-        biddingWallets[_to] += _amount;
+    /**
+    * @notice Transfers a specified amount from one user's bidding wallet in a currency to another.
+     * @param _currency The address of the ERC20 token, address(0) for the native currency.
+     * @param _from The address from which the amount is being transferred.
+     * @param _to The address to which the amount is being transferred.
+     * @param _amount The amount to transfer.
+     */
+    function transferFrom(address _currency, address _from, address _to, uint256 _amount) external whenNotPaused {
+        _transferFrom(_currency, _from, _to, _amount);
+    }
+
+    function _transferFrom(address _currency, address _from, address _to, uint256 _amount) internal {
+        _assertPlatformWhitelisted();
+
+        _debit(_from, _currency, _amount);
+        _credit(_to, _currency, _amount);
+        _emitTransfer(_currency, _from, _to, _amount);
     }
 
     /**
@@ -228,50 +383,93 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
      * @param payments An array of PaymentInfo structs containing payment details for each transaction.
      */
     function payMPBatch(IAssetManager.PaymentInfo[] memory payments) external whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _payMPBatch(address(0), payments);
+    }
+
+    /**
+     * @notice Processes batch payments for marketplace transactions priced in a currency, the prices are taken from and paid to the bidding wallets in the currency.
+     * @param currency The address of the ERC20 token the items are priced in, address(0) for the native currency.
+     * @param payments An array of PaymentInfo structs containing payment details for each transaction.
+     */
+    function payMPBatch(address currency, IAssetManager.PaymentInfo[] memory payments) external whenNotPaused {
+        _payMPBatch(currency, payments);
+    }
+
+    function _payMPBatch(address currency, IAssetManager.PaymentInfo[] memory payments) internal {
+        _assertPlatformWhitelisted();
         uint96 _commissionPercentage = protocolFees[msg.sender];
 
         uint256 len = payments.length;
         uint64 i;
         for (; i < len; ++i) {
-            require(biddingWallets[payments[i].buyer] >= payments[i].price, "Insufficient balance");
+            _debit(payments[i].buyer, currency, payments[i].price);
             uint256 fee =  _getPortionOfBid(payments[i].price, _commissionPercentage);
-            uint256 royaltyAmount = _saveRoyaltyAmount(payments[i].collection, payments[i].seller, payments[i].price);
+            uint256 royaltyAmount;
+            if (currency == address(0)) {
+                royaltyAmount = _saveRoyaltyAmount(payments[i].collection, payments[i].seller, payments[i].price);
+            } else {
+                royaltyAmount = _getRoyaltyAmount(payments[i].collection, payments[i].seller, payments[i].price);
+                pendingERC20Royalties[payments[i].collection][currency] += royaltyAmount;
+            }
             require((royaltyAmount + fee) <= payments[i].price, "royalty and fee cannot be higher then main price");
 
-            pendingFee += fee;
+            _addFee(currency, fee);
 
-            biddingWallets[payments[i].buyer] -= payments[i].price;
             uint256 transferAmount = (payments[i].price - fee - royaltyAmount);
-            biddingWallets[payments[i].seller] += transferAmount;
-            emit TransferFrom(payments[i].buyer, payments[i].seller, transferAmount);
+            _credit(payments[i].seller, currency, transferAmount);
+            _emitTransfer(currency, payments[i].buyer, payments[i].seller, transferAmount);
             IERC721Upgradeable(payments[i].collection).safeTransferFrom(payments[i].seller, payments[i].buyer, payments[i].tokenId);
         }
     }
 
+    /**
+     * @notice Processes batch payments for marketplace transactions priced in the native currency or in an allowed ERC20 token.
+     * Native payments are taken from the bidding wallets, ERC20 payments from the bidding wallet of the buyer in the token when it covers the price,
+     * otherwise they are pulled from the buyer, who must have approved this contract.
+     * @param payments An array of PaymentInfoV2 structs containing payment details for each transaction.
+     */
+    function payMPBatchV2(IAssetManager.PaymentInfoV2[] memory payments) external whenNotPaused {
+        _assertPlatformWhitelisted();
+        uint96 _commissionPercentage = protocolFees[msg.sender];
+
+        uint256 len = payments.length;
+        uint64 i;
+        for (; i < len; ++i) {
+            if (payments[i].currency == address(0)) {
+                _payNative(payments[i], _commissionPercentage);
+            } else {
+                _payERC20(payments[i], _commissionPercentage);
+            }
+            // token standards follow LibOrderV2, 1 is ERC1155
+            if (payments[i].tokenStandard == 1) {
+                IERC1155Upgradeable(payments[i].collection).safeTransferFrom(payments[i].seller, payments[i].buyer, payments[i].tokenId, payments[i].amount, "");
+            } else {
+                IERC721Upgradeable(payments[i].collection).safeTransferFrom(payments[i].seller, payments[i].buyer, payments[i].tokenId);
+            }
+        }
+    }
+
     /**
     * @notice Allows batch payment for lending transactions.
     * @param payments An array of LendingPaymentInfo structs containing payment details.
     */
     function payLendingBatch(IAssetManager.LendingPaymentInfo[] memory payments) external whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _assertPlatformWhitelisted();
         uint96 _commissionPercentage = protocolFees[msg.sender];
 
         uint256 len = payments.length;
         uint64 i;
         for (; i < len; ++i) {
-            require(biddingWallets[payments[i].lender] >= payments[i].amount, "Insufficient balance");
+            _debit(payments[i].lender, address(0), payments[i].amount);
             uint256 fee =  _getPortionOfBid(payments[i].amount, _commissionPercentage);
 
             pendingFee += fee;
 
-            biddingWallets[payments[i].lender] -= payments[i].amount;
             biddingWallets[payments[i].borrower] += (payments[i].amount - fee);
 
             emit TransferFrom(payments[i].lender, payments[i].borrower, (payments[i].amount - fee));
             if (payments[i].repaymentAmount > 0) {
-                require(biddingWallets[payments[i].borrower] >= payments[i].repaymentAmount, "Insufficient balance");
-                biddingWallets[payments[i].borrower] -= payments[i].repaymentAmount;
+                _debit(payments[i].borrower, address(0), payments[i].repaymentAmount);
                 biddingWallets[payments[i].previousLender] += payments[i].repaymentAmount;
                 emit TransferFrom(payments[i].borrower, payments[i].previousLender, payments[i].repaymentAmount);
             }
@@ -287,30 +485,42 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
     * @param payments An array of LendingPaymentInfo structs containing repayment details.
     */
     function lendingRepayBatch(IAssetManager.LendingPaymentInfo[] memory payments) external whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _assertPlatformWhitelisted();
         uint256 len = payments.length;
         uint64 i;
         for (; i < len; ++i) {
-            require(biddingWallets[payments[i].borrower] >= payments[i].amount, "Insufficient balance");
+            _debit(payments[i].borrower, address(0), payments[i].amount);
             emit TransferFrom(payments[i].borrower, payments[i].lender, payments[i].amount);
-            biddingWallets[payments[i].borrower] -= payments[i].amount;
             biddingWallets[payments[i].lender] += payments[i].amount;
             IERC721Upgradeable(payments[i].collection).safeTransferFrom(msg.sender, payments[i].borrower, payments[i].tokenId);
         }
     }
 
     function payERC20Lending(address lender, address borrower, uint256 amount) external whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
-        uint96 _commissionPercentage = protocolFees[msg.sender];
-        require(biddingWallets[lender] >= amount, "Insufficient balance");
-        uint256 fee =  _getPortionOfBid(amount, _commissionPercentage);
+        _payERC20Lending(address(0), lender, borrower, amount);
+    }
 
-        pendingFee += fee;
+    /**
+    * @notice Pays the principal of a loan against an ERC20 collateral in a currency from the bidding wallet of the lender to the borrower, minus the protocol fee.
+    * @param currency The address of the ERC20 token the loan is lent in, address(0) for the native currency.
+    * @param lender The address of the lender.
+    * @param borrower The address of the borrower.
+    * @param amount The lent amount.
+    */
+    function payERC20Lending(address currency, address lender, address borrower, uint256 amount) external whenNotPaused {
+        _payERC20Lending(currency, lender, borrower, amount);
+    }
+
+    function _payERC20Lending(address currency, address lender, address borrower, uint256 amount) internal {
+        _assertPlatformWhitelisted();
+        uint256 fee =  _getPortionOfBid(amount, protocolFees[msg.sender]);
 
-        biddingWallets[lender] -= amount;
-        biddingWallets[borrower] += (amount - fee);
+        _addFee(currency, fee);
 
-        emit TransferFrom(lender, borrower, (amount - fee));
+        _debit(lender, currency, amount);
+        _credit(borrower, currency, amount - fee);
+
+        _emitTransfer(currency, lender, borrower, amount - fee);
     }
 
     /**
@@ -323,8 +533,8 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
     * @param endPrice The final price of the auction.
     */
     function dutchPay(address _nftContractAddress, uint256 _tokenId, address bidder, address lender, uint256 bid, uint256 endPrice) external whenNotPaused nonReentrant {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
-        require(biddingWallets[bidder] >= bid, "Insufficient balance");
+        _assertPlatformWhitelisted();
+        _debit(bidder, address(0), bid);
 
         IERC721Upgradeable(_nftContractAddress).safeTransferFrom(msg.sender, bidder, _tokenId);
 
@@ -337,7 +547,6 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
 
         emit TransferFrom(bidder, lender, transferredAmount);
 
-        biddingWallets[bidder] -= bid;
         biddingWallets[lender] += transferredAmount;
     }
 
@@ -347,31 +556,42 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
    * @param payments An array of LendingPaymentInfo structs containing payment details.
    */
     function payLendingBatchV2(IAssetManager.LendingPaymentInfoV2[] memory payments) external whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _payLendingBatchV2(address(0), payments);
+    }
+
+    /**
+    * @notice Allows batch payment for lending transactions lent in a currency, the amounts are taken from and paid to the bidding wallets in the currency.
+    * @param currency The address of the ERC20 token the loans are lent in, address(0) for the native currency.
+    * @param payments An array of LendingPaymentInfoV2 structs containing payment details.
+    */
+    function payLendingBatchV2(address currency, IAssetManager.LendingPaymentInfoV2[] memory payments) external whenNotPaused {
+        _payLendingBatchV2(currency, payments);
+    }
+
+    function _payLendingBatchV2(address currency, IAssetManager.LendingPaymentInfoV2[] memory payments) internal {
+        _assertPlatformWhitelisted();
         uint96 _commissionPercentage = protocolFees[msg.sender];
 
         uint256 len = payments.length;
         uint64 i;
         for (; i < len; ++i) {
-            require(biddingWallets[payments[i].lender] >= payments[i].amount, "Insufficient balance");
             uint256 fee =  _getPortionOfBid(payments[i].amount, _commissionPercentage);
 
-            pendingFee += fee;
+            _addFee(currency, fee);
 
-            biddingWallets[payments[i].lender] -= payments[i].amount;
-            biddingWallets[payments[i].borrower] += (payments[i].amount - fee);
+            _debit(payments[i].lender, currency, payments[i].amount);
+            _credit(payments[i].borrower, currency, payments[i].amount - fee);
 
-            emit TransferFrom(payments[i].lender, payments[i].borrower, (payments[i].amount - fee));
+            _emitTransfer(currency, payments[i].lender, payments[i].borrower, payments[i].amount - fee);
             if (payments[i].repaymentAmount > 0) {
-                require(biddingWallets[payments[i].borrower] >= payments[i].repaymentAmount, "Insufficient balance");
                 uint256 repaymentAmount = payments[i].repaymentAmount;
-                biddingWallets[payments[i].borrower] -= repaymentAmount;
+                _debit(payments[i].borrower, currency, repaymentAmount);
                 if (payments[i].delegatedAmount > 0) {
                     repaymentAmount -= payments[i].delegatedAmount;
-                    pendingFee += payments[i].delegatedAmount;
+                    _addFee(currency, payments[i].delegatedAmount);
                 }
-                biddingWallets[payments[i].previousLender] += repaymentAmount;
-                emit TransferFrom(payments[i].borrower, payments[i].previousLender, repaymentAmount);
+                _credit(payments[i].previousLender, currency, repaymentAmount);
+                _emitTransfer(currency, payments[i].borrower, payments[i].previousLender, repaymentAmount);
             }
 
             if (payments[i].collection != address(0x0)) {
@@ -381,18 +601,17 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
     }
 
     function payLendingDelegatedBatch(IAssetManager.LendingPaymentInfoV2[] memory payments) external whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _assertPlatformWhitelisted();
         uint96 _commissionPercentage = protocolFees[msg.sender] * 2;
 
         uint256 len = payments.length;
         uint64 i;
         for (; i < len; ++i) {
-            require(biddingWallets[payments[i].lender] >= payments[i].amount, "Insufficient balance");
+            _debit(payments[i].lender, address(0), payments[i].amount);
             uint256 fee =  _getPortionOfBid(payments[i].amount, _commissionPercentage);
 
             pendingFee += fee;
 
-            biddingWallets[payments[i].lender] -= payments[i].amount;
             biddingWallets[payments[i].previousLender] += (payments[i].amount - fee);
 
             emit TransferFrom(payments[i].lender, payments[i].previousLender, (payments[i].amount - fee));
@@ -404,14 +623,13 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
    * @param payments An array of LendingPaymentInfo structs containing repayment details.
    */
     function lendingRepayBatchV2(IAssetManager.LendingPaymentInfoV2[] memory payments) external whenNotPaused {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _assertPlatformWhitelisted();
         uint256 len = payments.length;
         uint64 i;
         for (; i < len; ++i) {
             uint256 paymentAmount = payments[i].amount;
-            require(biddingWallets[payments[i].borrower] >= paymentAmount, "Insufficient balance");
+            _debit(payments[i].borrower, address(0), paymentAmount);
             emit TransferFrom(payments[i].borrower, payments[i].lender, paymentAmount);
-            biddingWallets[payments[i].borrower] -= paymentAmount;
 
             if (payments[i].delegatedAmount > 0) {
                 paymentAmount -= payments[i].delegatedAmount;
@@ -432,13 +650,14 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
    * @param endPrice The final price of the auction.
    */
     function dutchPayV2(address _nftContractAddress, uint256 _tokenId, address bidder, address lender, uint256 bid, uint256 endPrice, uint256 delegatedAmount) external whenNotPaused nonReentrant {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
-        require(biddingWallets[bidder] >= bid, "Insufficient balance");
+        _assertPlatformWhitelisted();
+        _debit(bidder, address(0), bid);
 
         IERC721Upgradeable(_nftContractAddress).safeTransferFrom(msg.sender, bidder, _tokenId);
 
 
-        uint256 fee = _getPortionOfBid(bid - endPrice, 5000);
+        // liquidation curves with a floor below the end price can clear under the debt, there is no fee then
+        uint256 fee = bid > endPrice ? _getPortionOfBid(bid - endPrice, 5000) : 0;
 
         pendingFee += fee;
 
@@ -446,7 +665,6 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
 
         emit TransferFrom(bidder, lender, transferredAmount);
 
-        biddingWallets[bidder] -= bid;
         if (delegatedAmount > 0) {
             transferredAmount -= delegatedAmount;
             pendingFee += delegatedAmount;
@@ -454,6 +672,151 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
         biddingWallets[lender] += transferredAmount;
     }
 
+    /**
+    * @notice Processes the payment for the Dutch auction of a defaulted loan. The lender is paid up to the end price, which is the debt of the loan,
+    * and the borrower gets the surplus of the bid over it minus the liquidation fee.
+    * @param _nftContractAddress The address of the NFT contract.
+    * @param _tokenId The token ID of the NFT being auctioned.
+    * @param bidder The address of the bidder.
+    * @param lender The address of the lender.
+    * @param borrower The address of the borrower, who receives the surplus.
+    * @param bid The amount of the bid.
+    * @param endPrice The debt of the loan, the principal with its interest.
+    * @param delegatedAmount The amount the lender was delegated without paying, which is kept as the protocol fee out of the payment of the lender.
+    */
+    function dutchPayV3(
+        address _nftContractAddress,
+        uint256 _tokenId,
+        address bidder,
+        address lender,
+        address borrower,
+        uint256 bid,
+        uint256 endPrice,
+        uint256 delegatedAmount
+    ) external whenNotPaused nonReentrant {
+        _assertPlatformWhitelisted();
+        _debit(bidder, address(0), bid);
+
+        IERC721Upgradeable(_nftContractAddress).safeTransferFrom(msg.sender, bidder, _tokenId);
+
+
+        // liquidation curves with a floor below the end price can clear under the debt, the lender gets the whole bid then
+        uint256 transferredAmount = bid < endPrice ? bid : endPrice;
+        emit TransferFrom(bidder, lender, transferredAmount);
+        if (delegatedAmount > 0) {
+            // an auction clearing under the debt may not cover the delegated amount
+            if (delegatedAmount > transferredAmount) {
+                delegatedAmount = transferredAmount;
+            }
+            transferredAmount -= delegatedAmount;
+            pendingFee += delegatedAmount;
+        }
+        biddingWallets[lender] += transferredAmount;
+
+        if (bid > endPrice) {
+            uint256 fee = _getPortionOfBid(bid - endPrice, liquidationFee);
+            pendingFee += fee;
+            uint256 surplus = bid - endPrice - fee;
+            biddingWallets[borrower] += surplus;
+            emit TransferFrom(bidder, borrower, surplus);
+            emit LiquidationSurplus(_nftContractAddress, _tokenId, borrower, surplus, fee);
+        }
+    }
+
+    /**
+     * @notice Settles a marketplace payment from the bidding wallet of the buyer.
+     * @param payment The payment details.
+     * @param _commissionPercentage The protocol fee of the calling platform.
+     */
+    function _payNative(IAssetManager.PaymentInfoV2 memory payment, uint96 _commissionPercentage) internal {
+        _debit(payment.buyer, address(0), payment.price);
+        uint256 fee = _getPortionOfBid(payment.price, _commissionPercentage);
+        uint256 royaltyAmount = _saveRoyaltyAmount(payment.collection, payment.seller, payment.price);
+        require((royaltyAmount + fee) <= payment.price, "royalty and fee cannot be higher then main price");
+
+        pendingFee += fee;
+
+        uint256 transferAmount = (payment.price - fee - royaltyAmount);
+        biddingWallets[payment.seller] += transferAmount;
+        emit TransferFrom(payment.buyer, payment.seller, transferAmount);
+    }
+
+    /**
+     * @notice Settles a marketplace payment in an allowed ERC20 token, the fee and the royalty are kept until withdrawn. The price is taken from the bidding wallet
+     * of the buyer in the token when it covers the price and the seller is paid to their bidding wallet, otherwise it is pulled from the buyer and the seller is paid directly.
+     * @param payment The payment details.
+     * @param _commissionPercentage The protocol fee of the calling platform.
+     */
+    function _payERC20(IAssetManager.PaymentInfoV2 memory payment, uint96 _commissionPercentage) internal {
+        require(paymentTokens[payment.currency], "currency is not allowed");
+        uint256 fee = _getPortionOfBid(payment.price, _commissionPercentage);
+        uint256 royaltyAmount = _getRoyaltyAmount(payment.collection, payment.seller, payment.price);
+        require((royaltyAmount + fee) <= payment.price, "royalty and fee cannot be higher then main price");
+
+        pendingERC20Fees[payment.currency] += fee;
+        pendingERC20Royalties[payment.collection][payment.currency] += royaltyAmount;
+
+        uint256 transferAmount = (payment.price - fee - royaltyAmount);
+        if (tokenWallets[payment.buyer][payment.currency] >= payment.price) {
+            // the bidding wallet of the buyer covers the price, the seller is paid to the bidding wallet
+            tokenWallets[payment.buyer][payment.currency] -= payment.price;
+            tokenWallets[payment.seller][payment.currency] += transferAmount;
+        } else {
+            IERC20Upgradeable(payment.currency).safeTransferFrom(payment.buyer, payment.seller, transferAmount);
+            if (fee + royaltyAmount > 0) {
+                IERC20Upgradeable(payment.currency).safeTransferFrom(payment.buyer, address(this), fee + royaltyAmount);
+            }
+        }
+        emit TransferERC20From(payment.currency, payment.buyer, payment.seller, transferAmount);
+    }
+
+    /**
+     * @notice Takes an amount from the bidding wallet of a user in a currency.
+     * @param _user The address of the user.
+     * @param _currency The address of the ERC20 token, address(0) for the native currency.
+     * @param _amount The amount to be taken.
+     */
+    function _debit(address _user, address _currency, uint256 _amount) internal {
+        if (_currency == address(0)) {
+            require(biddingWallets[_user] >= _amount, "Insufficient balance");
+            biddingWallets[_user] -= _amount;
+        } else {
+            require(tokenWallets[_user][_currency] >= _amount, "Insufficient balance");
+            tokenWallets[_user][_currency] -= _amount;
+        }
+    }
+
+    /**
+     * @notice Adds an amount to the bidding wallet of a user in a currency.
+     * @param _user The address of the user.
+     * @param _currency The address of the ERC20 token, address(0) for the native currency.
+     * @param _amount The amount to be added.
+     */
+    function _credit(address _user, address _currency, uint256 _amount) internal {
+        if (_currency == address(0)) {
+            biddingWallets[_user] += _amount;
+        } else {
+            tokenWallets[_user][_currency] += _amount;
+        }
+    }
+
+    // keeps a protocol fee taken from the bidding wallets, native fees are sent to the treasury and ERC20 fees are withdrawn by the owner
+    function _addFee(address _currency, uint256 _fee) internal {
+        if (_currency == address(0)) {
+            pendingFee += _fee;
+        } else {
+            pendingERC20Fees[_currency] += _fee;
+        }
+    }
+
+    function _emitTransfer(address _currency, address _from, address _to, uint256 _amount) internal {
+        if (_currency == address(0)) {
+            emit TransferFrom(_from, _to, _amount);
+        } else {
+            emit TransferERC20From(_currency, _from, _to, _amount);
+        }
+    }
+
     /**
      * @notice Sends the collected protocol fee to the treasury.
      * @param _fee The amount of the fee to be sent.
@@ -473,7 +836,7 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
      * @param _tokenId The token ID of the NFT to be transferred.
      */
     function nftTransferFrom(address _from, address _to, address _collection, uint256 _tokenId) external {
-        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+        _assertPlatformWhitelisted();
 
         IERC721Upgradeable(_collection).safeTransferFrom(_from, _to, _tokenId);
     }
@@ -493,6 +856,34 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
         }
     }
 
+    /**
+     * @notice Transfers a quantity of an ERC1155 token between two addresses, used by the platform contracts.
+     * @param _from The address from which the tokens will be transferred.
+     * @param _to The address to which the tokens will be transferred.
+     * @param _collection The address of the ERC1155 contract.
+     * @param _tokenId The ID of the token to be transferred.
+     * @param _amount The quantity to be transferred.
+     */
+    function erc1155TransferFrom(address _from, address _to, address _collection, uint256 _tokenId, uint256 _amount) external {
+        _assertPlatformWhitelisted();
+
+        IERC1155Upgradeable(_collection).safeTransferFrom(_from, _to, _tokenId, _amount, "");
+    }
+
+    /**
+     * @notice Transfers multiple tokens of an ERC1155 collection from the caller to a specified address.
+     * @param _collection The address of the ERC1155 contract.
+     * @param _tokenIds An array of token IDs to be transferred.
+     * @param _amounts An array of quantities corresponding to the token IDs.
+     * @param _to The address to which the tokens will be transferred.
+     */
+    function batchTransferERC1155(address _collection, uint256[] calldata _tokenIds, uint256[] calldata _amounts, address _to) external {
+        uint256 len = _tokenIds.length;
+        require(len <= 50, "exceeded the limits");
+        require(len == _amounts.length, "tokenIds and amounts inputs does not match");
+        IERC1155Upgradeable(_collection).safeBatchTransferFrom(msg.sender, _to, _tokenIds, _amounts, "");
+    }
+
     /**
      * @notice Calculates and saves the royalty amount for a given sale, if applicable.
      * @param _nftContractAddress The address of the NFT contract.
@@ -501,17 +892,24 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
      * @return uint256 The royalty amount to be saved.
      */
     function _saveRoyaltyAmount(address _nftContractAddress, address _seller, uint256 price) internal returns (uint256) {
+        uint256 royaltyAmount = _getRoyaltyAmount(_nftContractAddress, _seller, price);
+        pendingRoyalties[_nftContractAddress] += royaltyAmount;
+        // _safeTransferTo(payable(royaltyReceiver), royaltyAmount);
+        return royaltyAmount;
+    }
+
+    /**
+     * @notice Calculates the royalty amount of a sale, it is zero when the royalty is disabled or the seller is the receiver.
+     * @param _nftContractAddress The address of the NFT contract.
+     * @param _seller The address of the seller of the NFT.
+     * @param price The sale price of the NFT.
+     * @return uint256 The royalty amount.
+     */
+    function _getRoyaltyAmount(address _nftContractAddress, address _seller, uint256 price) internal view returns (uint256) {
         Royalty memory royalty = royalties[_nftContractAddress];
-        if (royalty.isEnabled) {
-            address royaltyReceiver = royalty.receiver;
-            uint256 royaltyAmount = _getPortionOfBid(price, royalty.percentage);
-            if (royaltyReceiver != _seller && royaltyReceiver != address(0)) {
-                pendingRoyalties[_nftContractAddress] += royaltyAmount;
-                // _safeTransferTo(payable(royaltyReceiver), royaltyAmount);
-                return royaltyAmount;
-            }
+        if (royalty.isEnabled && royalty.receiver != _seller && royalty.receiver != address(0)) {
+            return _getPortionOfBid(price, royalty.percentage);
         }
-
         return 0;
     }
 
@@ -541,6 +939,13 @@ contract AssetManager is Initializable, OwnableUpgradeable, PausableUpgradeable,
         return _whitelistedPlatforms.contains(_platform);
     }
 
+    /**
+    * @notice reverts unless the caller is a whitelisted platform, shared by the functions of the platforms to keep the contract small
+    */
+    function _assertPlatformWhitelisted() internal view {
+        require(_isPlatformWhitelisted(msg.sender), "not allowed");
+    }
+
     function _getPortionOfBid(uint256 _totalBid, uint256 _percentage) internal pure returns (uint256) { return (_totalBid * (_percentage)) / 10000; }
 
     /**
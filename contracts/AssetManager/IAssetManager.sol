@@ -9,6 +9,16 @@ interface IAssetManager {
 		uint256 tokenId;
 		uint256 price;
 	}
+	struct PaymentInfoV2 {
+		address buyer;
+		address seller;
+		address collection;
+		uint256 tokenId;
+		uint8 tokenStandard;
+		uint256 amount;
+		uint256 price;
+		address currency;
+	}
 	struct LendingPaymentInfo {
 		address lender;
 		address previousLender;
@@ -29,16 +39,26 @@ interface IAssetManager {
 		uint256 delegatedAmount;
 	}
 	function deposit(address _user) external payable;
+	function biddingWallets(address _user) external view returns (uint256);
+	function tokenWallets(address _user, address _currency) external view returns (uint256);
+	function walletBalance(address _user, address _currency) external view returns (uint256);
 	function lendingRepayBatch(LendingPaymentInfo[] memory _transfers) external;
 	function payLendingBatch(LendingPaymentInfo[] memory _lendingPayments) external;
 	function dutchPay(address _nftContractAddress, uint256 _tokenId, address bidder, address lender, uint256 bid, uint256 endPrice) external;
 	function payLendingDelegatedBatch(LendingPaymentInfoV2[] memory _lendingPayments) external;
 	function dutchPayV2(address _nftContractAddress, uint256 _tokenId, address bidder, address lender, uint256 bid, uint256 endPrice, uint256 delegatedAmount) external;
+	function dutchPayV3(address _nftContractAddress, uint256 _tokenId, address bidder, address lender, address borrower, uint256 bid, uint256 endPrice, uint256 delegatedAmount) external;
 	function lendingRepayBatchV2(LendingPaymentInfoV2[] memory _transfers) external;
 	function payLendingBatchV2(LendingPaymentInfoV2[] memory _lendingPayments) external;
+	function payLendingBatchV2(address _currency, LendingPaymentInfoV2[] memory _lendingPayments) external;
 	function payMP(address _buyer, address _seller, address _collection, uint256 _tokenId, uint256 _price) external;
 	function nftTransferFrom(address _from, address _to, address _collection, uint256 _tokenId) external;
+	function erc1155TransferFrom(address _from, address _to, address _collection, uint256 _tokenId, uint256 _amount) external;
 	function payMPBatch(PaymentInfo[] memory _payments) external;
+	function payMPBatch(address _currency, PaymentInfo[] memory _payments) external;
+	function payMPBatchV2(PaymentInfoV2[] memory _payments) external;
 	function transferFrom(address _from, address _to, uint256 _amount) external;
+	function transferFrom(address _currency, address _from, address _to, uint256 _amount) external;
 	function payERC20Lending(address _lender, address _borrower, uint256 _amount) external;
+	function payERC20Lending(address _currency, address _lender, address _borrower, uint256 _amount) external;
 }
\ No newline at end of file
@@ -0,0 +1,64 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+
+// it is used only for unit tests. It keeps the storage layout of the AssetManager before the bidding wallets in ERC20 tokens, which it is upgraded to.
+contract AssetManagerDummy is Initializable, OwnableUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable {
+
+    struct Royalty {
+        bool isEnabled;
+        address receiver;
+        uint96 percentage;
+    }
+
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+    EnumerableSetUpgradeable.AddressSet private _whitelistedPlatforms;
+
+    mapping(address => uint256) public biddingWallets;
+
+    address public veArt;
+
+    mapping(address => Royalty) public royalties;
+
+    uint96 public defaultRoyalty;
+
+    mapping(address => uint96) public protocolFees;
+
+    mapping(address => uint256) public failedTransferBalance;
+
+    bool public commissionDiscountEnabled;
+
+    address public admin;
+
+    mapping(address => uint256) public pendingRoyalties;
+
+    uint256 public pendingFee;
+
+    mapping(address => bool) public paymentTokens;
+
+    mapping(address => mapping(address => uint256)) public pendingERC20Royalties;
+
+    mapping(address => uint256) public pendingERC20Fees;
+
+    uint96 public liquidationFee;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() public initializer {
+        __Ownable_init_unchained();
+        __Pausable_init_unchained();
+        __ReentrancyGuard_init_unchained();
+    }
+
+    function deposit() external payable {
+        biddingWallets[msg.sender] += msg.value;
+    }
+}
@@ -0,0 +1,17 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+// it is used only for unit tests.
+contract ERC1155Dummy is ERC1155 {
+    constructor(string memory uri) ERC1155(uri) {}
+
+    function mint(uint256 _tokenId, uint256 _amount) external {
+        _mint(msg.sender, _tokenId, _amount, "");
+    }
+
+    function mintBatch(uint256[] memory _tokenIds, uint256[] memory _amounts) external {
+        _mintBatch(msg.sender, _tokenIds, _amounts, "");
+    }
+}
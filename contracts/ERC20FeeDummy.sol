@@ -0,0 +1,23 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// it is used only for unit tests, it burns a fee in basis points of every transfer.
+contract ERC20FeeDummy is ERC20 {
+    uint256 public immutable fee;
+
+    constructor(string memory name, string memory symbol, uint256 fee_) ERC20(name, symbol) {
+        fee = fee_;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 burned = (amount * fee) / 10000;
+        _burn(from, burned);
+        super._transfer(from, to, amount - burned);
+    }
+}
@@ -0,0 +1,62 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "./SalvorExchange/lib/LibOrder.sol";
+import "./SalvorLending/lib/LibLending.sol";
+import "./SalvorLendingERC20/lib/LibLendingERC20.sol";
+import "./libs/LibTokenTree.sol";
+
+// it is used only for unit tests. Exposes the library hash functions to check parity with libs/sdk/hash.js
+contract HashDummy {
+    function hashBatchOrder(LibOrderV2.BatchOrder memory batchOrder) external pure returns (bytes32) {
+        return LibOrderV2.hash(batchOrder);
+    }
+
+    function hashOrderItem(LibOrderV2.Order memory order) external pure returns (bytes32) {
+        return LibOrderV2._hashOrderItem(order);
+    }
+
+    function hashOffer(LibOrderV2.Offer memory offer) external pure returns (bytes32) {
+        return LibOrderV2.hashOffer(offer);
+    }
+
+    function hashExchangeToken(LibOrderV2.Token memory token) external pure returns (bytes32) {
+        return LibOrderV2.hashToken(token);
+    }
+
+    function hashLoanOffer(LibLendingV2.LoanOffer memory loanOffer) external pure returns (bytes32) {
+        return LibLendingV2.hash(loanOffer);
+    }
+
+    function hashLendingToken(LibLendingV2.Token memory token) external pure returns (bytes32) {
+        return LibLendingV2.hashToken(token);
+    }
+
+    function hashErc20LoanOffer(LibLendingERC20.LoanOffer memory loanOffer) external pure returns (bytes32) {
+        return LibLendingERC20.hash(loanOffer);
+    }
+
+    function hashErc20Token(LibLendingERC20.Token memory token) external pure returns (bytes32) {
+        return LibLendingERC20.hashToken(token);
+    }
+
+    function tokenTreeContains(bytes32[] memory proof, bytes32 root, uint256 tokenId) external pure returns (bool) {
+        return LibTokenTree.contains(proof, root, tokenId);
+    }
+
+    function hashLegacyBatchOrder(LibOrderV2.LegacyBatchOrder memory batchOrder) external pure returns (bytes32) {
+        return LibOrderV2.hashLegacy(batchOrder);
+    }
+
+    function hashLegacyOffer(LibOrderV2.LegacyOffer memory offer) external pure returns (bytes32) {
+        return LibOrderV2.hashLegacyOffer(offer);
+    }
+
+    function hashLegacyLoanOffer(LibLendingV2.LegacyLoanOffer memory loanOffer) external pure returns (bytes32) {
+        return LibLendingV2.hashLegacy(loanOffer);
+    }
+
+    function hashLegacyErc20LoanOffer(LibLendingERC20.LegacyLoanOffer memory loanOffer) external pure returns (bytes32) {
+        return LibLendingERC20.hashLegacy(loanOffer);
+    }
+}
@@ -230,7 +230,7 @@ contract PaymentManager is Initializable, OwnableUpgradeable, ReentrancyGuardUpg
             if (veARTAddress != address(0x0)) {
                 uint256 veArtComissionPart = _getPortionOfBid(commission, veARTPercentage);
                 commission -= veArtComissionPart;
-                _safeTransferTo(veARTAddress, veArtComissionPart);
+                _sendRevenue(veArtComissionPart);
             }
             _safeTransferTo(companyWallet, commission);
         }
@@ -358,5 +358,17 @@ contract PaymentManager is Initializable, OwnableUpgradeable, ReentrancyGuardUpg
         }
     }
 
+    /**
+    * @notice sends the veART share of the commission to the veARTAddress, the VeArt or the VeArtFeeDistributor.
+    * It is set by the owner and is called without a gas limit so that it can record the revenue.
+    */
+    function _sendRevenue(uint256 _amount) internal {
+        (bool success, ) = veARTAddress.call{value: _amount}("");
+        if (!success) {
+            failedTransferBalance[veARTAddress] += _amount;
+            emit FailedTransfer(veARTAddress, _amount);
+        }
+    }
+
     function _getPortionOfBid(uint256 _totalBid, uint256 _percentage) internal pure returns (uint256) { return (_totalBid * (_percentage)) / 10000; }
 }
\ No newline at end of file
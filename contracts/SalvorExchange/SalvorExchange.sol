@@ -11,13 +11,17 @@ import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.
 import "@openzeppelin/contracts-upgradeable/utils/cryptography/draft-EIP712Upgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
 
 import "../AssetManager/IAssetManager.sol";
 import "./lib/LibOrder.sol";
+import "../libs/LibNonce.sol";
+import "../libs/LibTokenTree.sol";
 
 /**
  * @title SalvorExchange Contract
- * @notice This contract enables users to accept offers and execute purchases of ERC721 NFTs.
+ * @notice This contract enables users to accept offers and execute purchases of ERC721 and ERC1155 NFTs.
+ * Orders and offers are priced in the native currency or in an ERC20 token allowed by the AssetManager.
  */
 contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable {
 
@@ -39,16 +43,26 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
     mapping(address => mapping(address => uint256)) public cancelOfferTimestamps;
     mapping(address => mapping(address => uint256)) public cancelOrderTimestamps;
 
+    // user => word position => bitmap of used or invalidated nonces, see LibNonce
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmaps;
+
+    // orders and offers signed with a string salt are honored until this timestamp
+    uint256 public legacyCutoff;
+
+    // seller => nonce => sold quantity of ERC1155 orders, the nonce is used once the whole quantity is sold
+    mapping(address => mapping(uint256 => uint256)) public orderFills;
 
     // events
     event CancelOrder(address indexed collection, uint256 indexed tokenId, string salt);
-    event Redeem(address indexed collection, uint256 indexed tokenId, string salt, uint256 value);
+    event Redeem(address indexed collection, uint256 indexed tokenId, address indexed seller, uint256 nonce, uint256 amount, uint256 value, address currency);
     event CancelOffer(address indexed user);
     event CancelAllOrders(address indexed user, address indexed collection);
-    event AcceptOffer(address indexed collection, uint256 indexed tokenId, address indexed buyer, string salt, uint256 bid);
+    event CancelNonces(address indexed user, uint256 indexed wordPos, uint256 mask);
+    event AcceptOffer(address indexed collection, uint256 indexed tokenId, address indexed buyer, uint256 nonce, uint256 amount, uint256 bid, address currency);
     event SetAssetManager(address indexed assetManager);
     event SetValidator(address indexed validator);
     event SetBlockRange(uint256 blockRange);
+    event SetLegacyCutoff(uint256 legacyCutoff);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -89,6 +103,15 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
         emit SetBlockRange(_blockRange);
     }
 
+    /**
+    * @notice Sets the timestamp until which orders and offers signed with a string salt are honored. Only the contract owner can perform this action.
+    * @param _legacyCutoff The cutoff timestamp, legacy orders and offers are rejected from this timestamp on.
+    */
+    function setLegacyCutoff(uint256 _legacyCutoff) external onlyOwner {
+        legacyCutoff = _legacyCutoff;
+        emit SetLegacyCutoff(_legacyCutoff);
+    }
+
     /**
     * @dev pause contract, restricting certain operations
      */
@@ -103,10 +126,60 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
         _unpause();
     }
 
-    function getRemainingAmount(LibOrderV2.Offer memory offer) external view returns (uint256) {
+    function getRemainingAmount(LibOrderV2.Offer memory offer) public view returns (uint256) {
         return offer.size - sizes[LibOrderV2.hashOffer(offer)];
     }
 
+    /**
+    * @notice Returns the quantity that can be sold to the offer now, i.e. its remaining amount while it is live. It is 0 when the offer
+    * is not started, expired or cancelled, and while the balance of the buyer is below the bid of an auto invalidated offer.
+    * @param offer The offer to be checked.
+    */
+    function getFillableAmount(LibOrderV2.Offer memory offer) public view returns (uint256) {
+        if (block.timestamp < offer.startedAt || (block.timestamp - offer.startedAt) >= offer.duration
+            || cancelOfferTimestamps[offer.buyer][address(0x0)] >= offer.startedAt
+            || LibNonce.isUsed(nonceBitmaps[offer.buyer], offer.nonce)
+            || (offer.autoInvalidate && buyerBalance(offer.buyer, offer.currency) < offer.bid)) {
+            return 0;
+        }
+        return getRemainingAmount(offer);
+    }
+
+    /**
+    * @notice Returns the balance the buyer pays offers with: the bidding wallet for the native currency, otherwise the larger of the bidding wallet
+    * in the token and the token balance capped by the allowance of the AssetManager, as a payment is taken from either of them.
+    * @param buyer The buyer to be checked.
+    * @param currency The payment token, address(0) for the native currency.
+    */
+    function buyerBalance(address buyer, address currency) public view returns (uint256) {
+        if (currency == address(0)) {
+            return IAssetManager(assetManager).biddingWallets(buyer);
+        }
+        uint256 balance = IERC20Upgradeable(currency).balanceOf(buyer);
+        uint256 allowance = IERC20Upgradeable(currency).allowance(buyer, assetManager);
+        uint256 approved = balance < allowance ? balance : allowance;
+        uint256 wallet = IAssetManager(assetManager).tokenWallets(buyer, currency);
+        return wallet > approved ? wallet : approved;
+    }
+
+    /**
+    * @notice Sums what the buyer still owes to the given offers in a currency, i.e. the bid of each offer times its remaining amount,
+    * next to the balance that covers them. Offers of other buyers or currencies are skipped, the signatures are not checked.
+    * @param buyer The buyer whose offers are summed.
+    * @param currency The payment token, address(0) for the native currency.
+    * @param offers The offers of the buyer, e.g. as kept by an order book.
+    * @return outstanding The total of the remaining bids.
+    * @return balance The balance of the buyer in the currency.
+    */
+    function getOutstandingCommitment(address buyer, address currency, LibOrderV2.Offer[] calldata offers) external view returns (uint256 outstanding, uint256 balance) {
+        for (uint256 i; i < offers.length; ++i) {
+            if (offers[i].buyer == buyer && offers[i].currency == currency) {
+                outstanding += offers[i].bid * getFillableAmount(offers[i]);
+            }
+        }
+        balance = buyerBalance(buyer, currency);
+    }
+
     /**
     * @notice Accepts a batch of offers for tokens in a single transaction.
     * @param offers Array of offers to be accepted.
@@ -119,12 +192,57 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
         require(len <= 20, "exceeded the limits");
         require(len == signatures.length && len == tokens.length && len == tokenSignatures.length, "inputs do not match");
 
-        IAssetManager.PaymentInfo[] memory payments = new IAssetManager.PaymentInfo[](len);
+        IAssetManager.PaymentInfoV2[] memory payments = new IAssetManager.PaymentInfoV2[](len);
         for (uint256 i; i < len; ++i) {
             payments[i] = acceptOffer(offers[i], signatures[i], tokens[i], tokenSignatures[i]);
         }
 
-        IAssetManager(assetManager).payMPBatch(payments);
+        IAssetManager(assetManager).payMPBatchV2(payments);
+    }
+
+    /**
+    * @notice Accepts a batch of offers that commit to a token tree, each token is proven to be eligible with a merkle proof instead of a validator token.
+    * @param offers Array of offers to be accepted.
+    * @param signatures Array of signatures corresponding to each offer.
+    * @param tokenProofs Array of tokens sold to the offers with their merkle proofs.
+    */
+    function acceptOfferBatchWithProofs(LibOrderV2.Offer[] calldata offers, bytes[] calldata signatures, LibOrderV2.TokenProof[] calldata tokenProofs) external whenNotPaused nonReentrant {
+        uint256 len = offers.length;
+        require(len <= 20, "exceeded the limits");
+        require(len == signatures.length && len == tokenProofs.length, "inputs do not match");
+
+        IAssetManager.PaymentInfoV2[] memory payments = new IAssetManager.PaymentInfoV2[](len);
+        for (uint256 i; i < len; ++i) {
+            bytes32 offerKeyHash = LibOrderV2.hashOffer(offers[i]);
+            address buyer = _hashTypedDataV4(offerKeyHash).recover(signatures[i]);
+            require(offers[i].tokenRoot != bytes32(0), "offer has no token root");
+            require(LibTokenTree.contains(tokenProofs[i].proof, offers[i].tokenRoot, tokenProofs[i].tokenId), "token is not in the offer tree");
+            payments[i] = _fillOffer(offers[i], offerKeyHash, buyer, tokenProofs[i].tokenId, tokenProofs[i].amount);
+        }
+
+        IAssetManager(assetManager).payMPBatchV2(payments);
+    }
+
+    /**
+    * @notice Accepts a batch of offers signed with a string salt. It is only available until the legacy cutoff.
+    * @param offers Array of legacy offers to be accepted.
+    * @param signatures Array of signatures corresponding to each offer.
+    * @param tokens Array of tokens for which the offers are made, their nonces are derived from the offer salts.
+    * @param tokenSignatures Array of signatures corresponding to each token.
+    */
+    function acceptOfferBatchLegacy(LibOrderV2.LegacyOffer[] calldata offers, bytes[] calldata signatures, LibOrderV2.Token[] calldata tokens, bytes[] calldata tokenSignatures) external whenNotPaused nonReentrant legacyAllowed {
+        uint256 len = offers.length;
+        require(len <= 20, "exceeded the limits");
+        require(len == signatures.length && len == tokens.length && len == tokenSignatures.length, "inputs do not match");
+
+        IAssetManager.PaymentInfoV2[] memory payments = new IAssetManager.PaymentInfoV2[](len);
+        for (uint256 i; i < len; ++i) {
+            bytes32 offerKeyHash = LibOrderV2.hashLegacyOffer(offers[i]);
+            address buyer = _hashTypedDataV4(offerKeyHash).recover(signatures[i]);
+            payments[i] = _acceptOffer(LibOrderV2.fromLegacyOffer(offers[i]), offerKeyHash, buyer, tokens[i], tokenSignatures[i]);
+        }
+
+        IAssetManager(assetManager).payMPBatchV2(payments);
     }
 
     /// @notice Cancels all offers made by the sender.
@@ -140,7 +258,47 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
     }
 
     /**
-    * @notice Executes a batch purchase of multiple orders in a single transaction.
+    * @notice Cancels the orders and offers of the sender whose nonces are set in the mask. A word covers 256 consecutive nonces.
+    * Legacy orders and offers are cancelled by the nonce derived from their salt.
+    * @param wordPos The index of the word in the nonce bitmap, i.e. nonce >> 8.
+    * @param mask The bits of the nonces to be cancelled, i.e. 1 << (nonce & 0xff).
+    */
+    function invalidateNonces(uint256 wordPos, uint256 mask) external whenNotPaused {
+        LibNonce.invalidate(nonceBitmaps[msg.sender], wordPos, mask);
+        emit CancelNonces(msg.sender, wordPos, mask);
+    }
+
+    /**
+    * @notice Cancels auto invalidated offers whose buyer balance has fallen below the bid. Anyone can call it, e.g. an order book keeper.
+    * @param offers Array of offers to be cancelled.
+    * @param signatures Array of signatures corresponding to each offer.
+    */
+    function invalidateUnfundedOffers(LibOrderV2.Offer[] calldata offers, bytes[] calldata signatures) external whenNotPaused {
+        uint256 len = offers.length;
+        require(len == signatures.length, "inputs do not match");
+        for (uint256 i; i < len; ++i) {
+            address buyer = _hashTypedDataV4(LibOrderV2.hashOffer(offers[i])).recover(signatures[i]);
+            require(buyer == offers[i].buyer, "buyer does not match");
+            require(offers[i].autoInvalidate, "offer is not auto invalidated");
+            require(buyerBalance(buyer, offers[i].currency) < offers[i].bid, "buyer balance covers the bid");
+
+            LibNonce.use(nonceBitmaps[buyer], offers[i].nonce);
+            (uint256 wordPos, uint256 bitPos) = LibNonce.position(offers[i].nonce);
+            emit CancelNonces(buyer, wordPos, 1 << bitPos);
+        }
+    }
+
+    /**
+    * @notice Checks whether the nonce of the user is used or cancelled.
+    * @param user The owner of the nonce.
+    * @param nonce The nonce to be checked.
+    */
+    function isNonceUsed(address user, uint256 nonce) external view returns (bool) {
+        return LibNonce.isUsed(nonceBitmaps[user], nonce);
+    }
+
+    /**
+    * @notice Executes a batch purchase of multiple orders in a single transaction. The whole remaining quantity of each order is bought.
     * @param batchOrders Array of batch orders to be executed.
     * @param signatures Array of signatures corresponding to each batch order.
     * @param positions Array of positions indicating the specific item in each batch order.
@@ -148,49 +306,109 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
     function batchBuy(LibOrderV2.BatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions) external
     whenNotPaused
     nonReentrant
+    {
+        _batchBuy(batchOrders, signatures, positions, new uint256[](positions.length));
+    }
+
+    /**
+    * @notice Executes a batch purchase of multiple orders with Ether payment in a single transaction. The whole remaining quantity of each order is bought.
+    * @param batchOrders Array of batch orders to be executed.
+    * @param signatures Array of signatures corresponding to each batch order.
+    * @param positions Array of positions indicating the specific item in each batch order.
+    */
+    function batchBuyETH(LibOrderV2.BatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions) external payable
+    whenNotPaused
+    nonReentrant
+    {
+        IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
+        _batchBuy(batchOrders, signatures, positions, new uint256[](positions.length));
+    }
+
+    /**
+    * @notice Executes a batch purchase of given quantities of ERC1155 orders, the rest of each order stays available.
+    * @param batchOrders Array of batch orders to be executed.
+    * @param signatures Array of signatures corresponding to each batch order.
+    * @param positions Array of positions indicating the specific item in each batch order.
+    * @param amounts Array of quantities to be bought from each order.
+    */
+    function batchBuyPartial(LibOrderV2.BatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions, uint256[] calldata amounts) external
+    whenNotPaused
+    nonReentrant
+    {
+        _batchBuy(batchOrders, signatures, positions, amounts);
+    }
+
+    /**
+    * @notice Executes a batch purchase of given quantities of ERC1155 orders with Ether payment, the rest of each order stays available.
+    * @param batchOrders Array of batch orders to be executed.
+    * @param signatures Array of signatures corresponding to each batch order.
+    * @param positions Array of positions indicating the specific item in each batch order.
+    * @param amounts Array of quantities to be bought from each order.
+    */
+    function batchBuyPartialETH(LibOrderV2.BatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions, uint256[] calldata amounts) external payable
+    whenNotPaused
+    nonReentrant
+    {
+        IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
+        _batchBuy(batchOrders, signatures, positions, amounts);
+    }
+
+    /**
+    * @notice Executes a batch purchase of orders signed with a string salt. It is only available until the legacy cutoff.
+    * @param batchOrders Array of legacy batch orders to be executed.
+    * @param signatures Array of signatures corresponding to each batch order.
+    * @param positions Array of positions indicating the specific item in each batch order.
+    */
+    function batchBuyLegacy(LibOrderV2.LegacyBatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions) external
+    whenNotPaused
+    nonReentrant
+    legacyAllowed
     {
         uint256 len = batchOrders.length;
         require(len <= 20, "exceeded the limits");
         require(len == signatures.length && len == positions.length, "inputs do not match");
-        IAssetManager.PaymentInfo[] memory payments = new IAssetManager.PaymentInfo[](len);
+        IAssetManager.PaymentInfoV2[] memory payments = new IAssetManager.PaymentInfoV2[](len);
         for (uint256 i; i < len; ++i) {
-            payments[i] = buy(batchOrders[i], signatures[i], positions[i]);
+            payments[i] = buyLegacy(batchOrders[i], signatures[i], positions[i]);
         }
 
-        IAssetManager(assetManager).payMPBatch(payments);
+        IAssetManager(assetManager).payMPBatchV2(payments);
     }
 
     /**
-    * @notice Executes a batch purchase of multiple orders with Ether payment in a single transaction.
-    * @param batchOrders Array of batch orders to be executed.
+    * @notice Executes a batch purchase of orders signed with a string salt with Ether payment. It is only available until the legacy cutoff.
+    * @param batchOrders Array of legacy batch orders to be executed.
     * @param signatures Array of signatures corresponding to each batch order.
     * @param positions Array of positions indicating the specific item in each batch order.
     */
-    function batchBuyETH(LibOrderV2.BatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions) external payable
+    function batchBuyETHLegacy(LibOrderV2.LegacyBatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions) external payable
     whenNotPaused
     nonReentrant
+    legacyAllowed
     {
         uint256 len = batchOrders.length;
         require(len <= 20, "exceeded the limits");
         require(len  == signatures.length && len == positions.length, "inputs do not match");
         IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
-        IAssetManager.PaymentInfo[] memory payments = new IAssetManager.PaymentInfo[](len);
+        IAssetManager.PaymentInfoV2[] memory payments = new IAssetManager.PaymentInfoV2[](len);
         for (uint256 i; i < len; ++i) {
-            payments[i] = buy(batchOrders[i], signatures[i], positions[i]);
+            payments[i] = buyLegacy(batchOrders[i], signatures[i], positions[i]);
         }
 
-        IAssetManager(assetManager).payMPBatch(payments);
+        IAssetManager(assetManager).payMPBatchV2(payments);
     }
 
     /**
-    * @notice Cancels a batch of orders in a single transaction.
-    * @param batchOrders Array of batch orders to be cancelled.
+    * @notice Cancels a batch of orders signed with a string salt in a single transaction. It is only available until the legacy cutoff,
+    * orders signed with a nonce are cancelled with invalidateNonces.
+    * @param batchOrders Array of legacy batch orders to be cancelled.
     * @param signatures Array of signatures corresponding to each batch order.
     * @param positions Array of positions indicating the specific item in each batch order.
     */
-    function batchCancelOrder(LibOrderV2.BatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions) external
+    function batchCancelOrder(LibOrderV2.LegacyBatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions) external
     whenNotPaused
     nonReentrant
+    legacyAllowed
     {
         uint256 len = batchOrders.length;
         require(len <= 20, "exceeded the limits");
@@ -200,6 +418,25 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
         }
     }
 
+    /**
+    * @notice Executes the purchases of a batch and settles their payments.
+    * @param batchOrders Array of batch orders to be executed.
+    * @param signatures Array of signatures corresponding to each batch order.
+    * @param positions Array of positions indicating the specific item in each batch order.
+    * @param amounts Array of quantities to be bought, zero buys the whole remaining quantity.
+    */
+    function _batchBuy(LibOrderV2.BatchOrder[] calldata batchOrders, bytes[] calldata signatures, uint256[] calldata positions, uint256[] memory amounts) internal {
+        uint256 len = batchOrders.length;
+        require(len <= 20, "exceeded the limits");
+        require(len == signatures.length && len == positions.length && len == amounts.length, "inputs do not match");
+        IAssetManager.PaymentInfoV2[] memory payments = new IAssetManager.PaymentInfoV2[](len);
+        for (uint256 i; i < len; ++i) {
+            payments[i] = buy(batchOrders[i], signatures[i], positions[i], amounts[i]);
+        }
+
+        IAssetManager(assetManager).payMPBatchV2(payments);
+    }
+
     /**
     * @notice Accepts an individual offer.
     * @param offer The offer to be accepted.
@@ -207,25 +444,30 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
     * @param token The token associated with the offer.
     * @param tokenSignature The signature of the token.
     */
-    function acceptOffer(LibOrderV2.Offer memory offer, bytes memory signature, LibOrderV2.Token memory token, bytes memory tokenSignature) internal returns (IAssetManager.PaymentInfo memory) {
+    function acceptOffer(LibOrderV2.Offer memory offer, bytes memory signature, LibOrderV2.Token memory token, bytes memory tokenSignature) internal returns (IAssetManager.PaymentInfoV2 memory) {
+        bytes32 offerKeyHash = LibOrderV2.hashOffer(offer);
+        address buyer = _hashTypedDataV4(offerKeyHash).recover(signature);
+        return _acceptOffer(offer, offerKeyHash, buyer, token, tokenSignature);
+    }
+
+    /**
+    * @notice Accepts an offer whose signer is already recovered.
+    * @param offer The offer to be accepted.
+    * @param offerKeyHash The hash that keeps the filled size of the offer.
+    * @param buyer The signer of the offer.
+    * @param token The token associated with the offer.
+    * @param tokenSignature The signature of the token.
+    */
+    function _acceptOffer(LibOrderV2.Offer memory offer, bytes32 offerKeyHash, address buyer, LibOrderV2.Token memory token, bytes memory tokenSignature) internal returns (IAssetManager.PaymentInfoV2 memory) {
         bytes32 tokenHash = LibOrderV2.hashToken(token);
         require(!tokenFills[tokenHash], "token has already used");
         require(_hashTypedDataV4(tokenHash).recover(tokenSignature) == validator, "token signature is not valid");
-        require(keccak256(abi.encodePacked(offer.salt)) == keccak256(abi.encodePacked(token.salt)), "salt does not match");
-        bytes32 offerKeyHash = LibOrderV2.hashOffer(offer);
+        require(offer.nonce == token.nonce, "nonce does not match");
 
-        address seller = msg.sender;
-        address buyer = _validateOffer(offer, signature);
-        require(buyer != seller, "signer cannot redeem own coupon");
-        require(buyer == offer.buyer, "buyer does not match");
+        IAssetManager.PaymentInfoV2 memory payment = _fillOffer(offer, offerKeyHash, buyer, token.tokenId, token.amount);
 
+        require(offer.tokenRoot == bytes32(0), "offer requires a token proof");
         require(token.sender == msg.sender, "token signature does not belong to msg.sender");
-
-        require(offer.bid > 0, "non existent offer");
-        require((block.timestamp - offer.startedAt) < offer.duration, "offer has expired");
-        require(cancelOfferTimestamps[buyer][address(0x0)] < offer.startedAt, "offer is cancelled");
-
-        require(offer.size > sizes[offerKeyHash], "size is filled");
         require(offer.nftContractAddress == token.nftContractAddress, "contract address does not match");
         require(token.blockNumber + blockRange > block.number, "token signature has been expired");
 
@@ -235,17 +477,46 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
             require(keccak256(abi.encodePacked(offer.traits)) == keccak256(abi.encodePacked(token.traits)), "traits does not match");
         }
 
-        sizes[offerKeyHash] += 1;
         tokenFills[tokenHash] = true;
+        return payment;
+    }
+
+    /**
+    * @notice Sells a token to an offer whose token eligibility is already checked, either by the validator or by a merkle proof.
+    * @param offer The offer to be accepted.
+    * @param offerKeyHash The hash that keeps the filled size of the offer.
+    * @param buyer The signer of the offer.
+    * @param tokenId The ID of the token sold to the offer.
+    * @param amount The quantity sold to the offer, it is 1 for ERC721 offers.
+    */
+    function _fillOffer(LibOrderV2.Offer memory offer, bytes32 offerKeyHash, address buyer, uint256 tokenId, uint256 amount) internal returns (IAssetManager.PaymentInfoV2 memory) {
+        address seller = msg.sender;
+        require(buyer != seller, "signer cannot redeem own coupon");
+        require(buyer == offer.buyer, "buyer does not match");
+
+        require(offer.bid > 0, "non existent offer");
+        require((block.timestamp - offer.startedAt) < offer.duration, "offer has expired");
+        require(cancelOfferTimestamps[buyer][address(0x0)] < offer.startedAt, "offer is cancelled");
+        require(!LibNonce.isUsed(nonceBitmaps[buyer], offer.nonce), "offer is cancelled");
+        require(!offer.autoInvalidate || buyerBalance(buyer, offer.currency) >= offer.bid * amount, "buyer balance is below the bid");
+
+        require(amount > 0 && (offer.tokenStandard == LibOrderV2.ERC1155 || amount == 1), "invalid amount");
+        require(offer.tokenStandard <= LibOrderV2.ERC1155, "unsupported token standard");
+        require(offer.size >= sizes[offerKeyHash] + amount, "size is filled");
+
+        sizes[offerKeyHash] += amount;
 
-        emit AcceptOffer(offer.nftContractAddress, token.tokenId, buyer, offer.salt, offer.bid);
+        emit AcceptOffer(offer.nftContractAddress, tokenId, buyer, offer.nonce, amount, offer.bid, offer.currency);
 
-        return IAssetManager.PaymentInfo({
+        return IAssetManager.PaymentInfoV2({
             buyer: buyer,
             seller: seller,
             collection: offer.nftContractAddress,
-            tokenId: token.tokenId,
-            price: offer.bid
+            tokenId: tokenId,
+            tokenStandard: offer.tokenStandard,
+            amount: amount,
+            price: offer.bid * amount,
+            currency: offer.currency
         });
     }
 
@@ -254,48 +525,44 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
     * @param batchOrder The batch order containing the specific order to be executed.
     * @param signature The signature corresponding to the batch order.
     * @param position The position of the specific order within the batch order.
+    * @param amount The quantity to be bought, zero buys the whole remaining quantity.
     */
-    function buy(LibOrderV2.BatchOrder memory batchOrder, bytes memory signature, uint256 position) internal returns (IAssetManager.PaymentInfo memory) {
+    function buy(LibOrderV2.BatchOrder memory batchOrder, bytes memory signature, uint256 position, uint256 amount) internal returns (IAssetManager.PaymentInfoV2 memory) {
         address seller = _validate(batchOrder, signature);
         require(seller == batchOrder.seller, "seller does not match");
-        address buyer = msg.sender;
-        require(buyer != seller, "signer cannot redeem own coupon");
-
-        LibOrderV2.Order memory order = batchOrder.orders[position];
-        require(order.price > 0, "non existent order");
-        require((block.timestamp - order.startedAt) < order.duration, "order has expired");
-        require(cancelOrderTimestamps[seller][address(0x0)] < order.startedAt, "order is cancelled");
-        require(cancelOrderTimestamps[seller][order.nftContractAddress] < order.startedAt, "order is cancelled");
-
-        bytes32 orderKeyHash = LibOrderV2._hashOrderItem(order);
+        return _buy(seller, batchOrder.orders[position], amount);
+    }
 
-        require(!fills[orderKeyHash], "order has already redeemed or cancelled");
-        fills[orderKeyHash] = true;
+    /**
+    * @notice Executes a purchase for a specific order within a batch order signed with a string salt.
+    * @param batchOrder The legacy batch order containing the specific order to be executed.
+    * @param signature The signature corresponding to the batch order.
+    * @param position The position of the specific order within the batch order.
+    */
+    function buyLegacy(LibOrderV2.LegacyBatchOrder memory batchOrder, bytes memory signature, uint256 position) internal returns (IAssetManager.PaymentInfoV2 memory) {
+        address seller = _hashTypedDataV4(LibOrderV2.hashLegacy(batchOrder)).recover(signature);
+        require(seller == batchOrder.seller, "seller does not match");
 
-        emit Redeem(order.nftContractAddress, order.tokenId, order.salt, order.price);
-        return IAssetManager.PaymentInfo({
-            buyer: buyer,
-            seller: seller,
-            collection: order.nftContractAddress,
-            tokenId: order.tokenId,
-            price: order.price
-        });
+        LibOrderV2.LegacyOrder memory order = batchOrder.orders[position];
+        // legacy orders redeemed or cancelled before the upgrade are kept by their hashes
+        require(!fills[LibOrderV2._hashLegacyOrderItem(order)], "order has already redeemed or cancelled");
+        return _buy(seller, LibOrderV2.fromLegacy(order), 1);
     }
 
     /**
-    * @notice Cancels a specific order within a batch order.
-    * @param batchOrder The batch order containing the specific order to be cancelled.
+    * @notice Cancels a specific order within a batch order signed with a string salt.
+    * @param batchOrder The legacy batch order containing the specific order to be cancelled.
     * @param signature The signature corresponding to the batch order.
     * @param position The position of the specific order within the batch order.
     */
-    function cancelOrder(LibOrderV2.BatchOrder memory batchOrder, bytes memory signature, uint256 position) internal {
-        LibOrderV2.Order memory order = batchOrder.orders[position];
+    function cancelOrder(LibOrderV2.LegacyBatchOrder memory batchOrder, bytes memory signature, uint256 position) internal {
+        LibOrderV2.LegacyOrder memory order = batchOrder.orders[position];
         require(order.price > 0, "non existent order");
-        address seller = _validate(batchOrder, signature);
+        address seller = _hashTypedDataV4(LibOrderV2.hashLegacy(batchOrder)).recover(signature);
         require(msg.sender == seller, "only signer");
         require(batchOrder.seller == seller, "seller does not match");
 
-        bytes32 orderKeyHash = LibOrderV2._hashOrderItem(order);
+        bytes32 orderKeyHash = LibOrderV2._hashLegacyOrderItem(order);
 
         require(!fills[orderKeyHash], "order has already redeemed or cancelled");
         fills[orderKeyHash] = true;
@@ -303,6 +570,49 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
         emit CancelOrder(order.nftContractAddress, order.tokenId, order.salt);
     }
 
+    /**
+    * @notice Executes a purchase for an order whose seller is already recovered. Its nonce is marked as used once the whole quantity is sold.
+    * @param seller The signer of the order.
+    * @param order The order to be executed.
+    * @param amount The quantity to be bought, zero buys the whole remaining quantity.
+    */
+    function _buy(address seller, LibOrderV2.Order memory order, uint256 amount) internal returns (IAssetManager.PaymentInfoV2 memory) {
+        address buyer = msg.sender;
+        require(buyer != seller, "signer cannot redeem own coupon");
+
+        require(order.price > 0, "non existent order");
+        require((block.timestamp - order.startedAt) < order.duration, "order has expired");
+        require(cancelOrderTimestamps[seller][address(0x0)] < order.startedAt, "order is cancelled");
+        require(cancelOrderTimestamps[seller][order.nftContractAddress] < order.startedAt, "order is cancelled");
+
+        require(!LibNonce.isUsed(nonceBitmaps[seller], order.nonce), "order has already redeemed or cancelled");
+        require(order.tokenStandard == LibOrderV2.ERC1155 || (order.tokenStandard == LibOrderV2.ERC721 && order.amount == 1), "unsupported token standard");
+
+        uint256 filled = orderFills[seller][order.nonce];
+        if (amount == 0) {
+            amount = order.amount - filled;
+        }
+        require(amount > 0 && filled + amount <= order.amount, "amount exceeds the remaining quantity");
+        if (order.tokenStandard == LibOrderV2.ERC1155) {
+            orderFills[seller][order.nonce] = filled + amount;
+        }
+        if (filled + amount == order.amount) {
+            LibNonce.use(nonceBitmaps[seller], order.nonce);
+        }
+
+        emit Redeem(order.nftContractAddress, order.tokenId, seller, order.nonce, amount, order.price * amount, order.currency);
+        return IAssetManager.PaymentInfoV2({
+            buyer: buyer,
+            seller: seller,
+            collection: order.nftContractAddress,
+            tokenId: order.tokenId,
+            tokenStandard: order.tokenStandard,
+            amount: amount,
+            price: order.price * amount,
+            currency: order.currency
+        });
+    }
+
     /**
     * @notice Retrieves the current chain ID of the blockchain where the contract is deployed.
     * @return id The current chain ID.
@@ -336,6 +646,14 @@ contract SalvorExchangeV2 is Initializable, EIP712Upgradeable, OwnableUpgradeabl
         return _hashTypedDataV4(LibOrderV2.hashOffer(offer)).recover(signature);
     }
 
+    /**
+    * @notice Modifier to ensure orders and offers signed with a string salt are still honored.
+    */
+    modifier legacyAllowed() {
+        require(block.timestamp < legacyCutoff, "legacy orders are no longer accepted");
+        _;
+    }
+
     /**
     * @notice Modifier to ensure an address is not the zero address.
     * @dev Throws if the provided address is the zero address.
@@ -2,11 +2,16 @@
 
 pragma solidity 0.8.16;
 
+import "../../libs/LibNonce.sol";
+
 library LibOrderV2 {
 
+    // token standards of orders and offers
+    uint8 constant ERC721 = 0;
+    uint8 constant ERC1155 = 1;
+
     bytes constant batchOrderTypeString = abi.encodePacked(
         "BatchOrder(",
-        "string salt,",
         "address seller,",
         "Order[] orders",
         ")"
@@ -16,23 +21,30 @@ library LibOrderV2 {
         "Offer(",
         "address nftContractAddress,",
         "address buyer,",
-        "string salt,",
+        "uint256 nonce,",
         "string traits,",
+        "bytes32 tokenRoot,",
         "uint256 tokenId,",
+        "uint8 tokenStandard,",
         "uint256 bid,",
+        "address currency,",
         "uint256 duration,",
         "uint256 size,",
         "uint256 startedAt,",
-        "bool isCollectionOffer",
+        "bool isCollectionOffer,",
+        "bool autoInvalidate",
         ")"
     );
 
     bytes constant orderTypeString = abi.encodePacked(
         "Order(",
         "address nftContractAddress,",
-        "string salt,",
+        "uint256 nonce,",
         "uint256 tokenId,",
+        "uint8 tokenStandard,",
+        "uint256 amount,",
         "uint256 price,",
+        "address currency,",
         "uint256 duration,",
         "uint256 startedAt",
         ")"
@@ -41,15 +53,50 @@ library LibOrderV2 {
     bytes constant tokenTypeString = abi.encodePacked(
         "Token(",
         "uint256 tokenId,",
+        "uint256 amount,",
         "uint256 blockNumber,",
         "address sender,",
         "address nftContractAddress,",
-        "string uuid,",
-        "string salt,",
+        "uint256 nonce,",
         "string traits",
         ")"
     );
 
+    // type strings of the orders and offers signed with a string salt, they are honored until the legacy cutoff
+    bytes constant legacyBatchOrderTypeString = abi.encodePacked(
+        "BatchOrder(",
+        "string salt,",
+        "address seller,",
+        "Order[] orders",
+        ")"
+    );
+
+    bytes constant legacyOfferTypeString = abi.encodePacked(
+        "Offer(",
+        "address nftContractAddress,",
+        "address buyer,",
+        "string salt,",
+        "string traits,",
+        "uint256 tokenId,",
+        "uint256 bid,",
+        "uint256 duration,",
+        "uint256 size,",
+        "uint256 startedAt,",
+        "bool isCollectionOffer",
+        ")"
+    );
+
+    bytes constant legacyOrderTypeString = abi.encodePacked(
+        "Order(",
+        "address nftContractAddress,",
+        "string salt,",
+        "uint256 tokenId,",
+        "uint256 price,",
+        "uint256 duration,",
+        "uint256 startedAt",
+        ")"
+    );
+
     bytes32 constant OFFER_TYPEHASH = keccak256(offerTypeString);
 
     bytes32 constant BATCH_ORDER_TYPEHASH = keccak256(abi.encodePacked(batchOrderTypeString, orderTypeString));
@@ -58,17 +105,25 @@ library LibOrderV2 {
 
     bytes32 constant TOKEN_TYPEHASH = keccak256(tokenTypeString);
 
+    bytes32 constant LEGACY_OFFER_TYPEHASH = keccak256(legacyOfferTypeString);
+
+    bytes32 constant LEGACY_BATCH_ORDER_TYPEHASH = keccak256(abi.encodePacked(legacyBatchOrderTypeString, legacyOrderTypeString));
+
+    bytes32 constant LEGACY_ORDER_TYPEHASH = keccak256(legacyOrderTypeString);
+
     struct Order {
         address nftContractAddress; // nft contract address
-        string salt; // uuid to provide uniquness
+        uint256 nonce; // seller nonce, it is used once the order is redeemed
         uint tokenId; // nft tokenId
-        uint price; // listing price
+        uint8 tokenStandard; // ERC721 or ERC1155
+        uint256 amount; // listed quantity, it is 1 for ERC721 orders
+        uint price; // listing price of a single item
+        address currency; // payment token of the price, address(0) for the native currency
         uint duration;
         uint startedAt;
     }
 
     struct BatchOrder {
-        string salt; // uuid to provide uniqness
         address seller;
         Order[] orders; // When the nft is sold then the price will be split to the shareholders.
     }
@@ -76,24 +131,63 @@ library LibOrderV2 {
     struct Offer {
         address nftContractAddress;
         address buyer;
-        string salt;
+        uint256 nonce; // buyer nonce, the offer is cancelled once it is invalidated
         string traits;
+        bytes32 tokenRoot; // merkle root of the eligible tokenIds, offers with a root are filled with a proof instead of a validator token
         uint tokenId;
-        uint bid;
+        uint8 tokenStandard; // ERC721 or ERC1155
+        uint bid; // bid for a single item
+        address currency; // payment token of the bid, address(0) for the native currency
         uint duration;
-        uint size;
+        uint size; // quantity the buyer wants to get
         uint startedAt;
         bool isCollectionOffer;
+        bool autoInvalidate; // the offer is invalid once the buyer balance falls below the bid, anyone can then cancel its nonce
+    }
+
+    // fills an offer that commits to a token tree
+    struct TokenProof {
+        uint256 tokenId;
+        uint256 amount; // quantity sold to the offer, it is 1 for ERC721 offers
+        bytes32[] proof;
     }
 
     struct Token {
         uint tokenId;
+        uint256 amount; // quantity sold to the offer, it is 1 for ERC721 offers
         uint blockNumber;
         address sender;
         address nftContractAddress;
-        string uuid;
+        uint256 nonce; // nonce of the offer
+        string traits;
+    }
+
+    struct LegacyOrder {
+        address nftContractAddress; // nft contract address
+        string salt; // uuid to provide uniquness
+        uint tokenId; // nft tokenId
+        uint price; // listing price
+        uint duration;
+        uint startedAt;
+    }
+
+    struct LegacyBatchOrder {
+        string salt; // uuid to provide uniqness
+        address seller;
+        LegacyOrder[] orders;
+    }
+
+    struct LegacyOffer {
+        address nftContractAddress;
+        address buyer;
         string salt;
         string traits;
+        uint tokenId;
+        uint bid;
+        uint duration;
+        uint size;
+        uint startedAt;
+        bool isCollectionOffer;
     }
 
     function hash(BatchOrder memory batchOrder) internal pure returns (bytes32) {
@@ -103,7 +197,6 @@ library LibOrderV2 {
         }
         return keccak256(abi.encode(
             BATCH_ORDER_TYPEHASH,
-            keccak256(bytes(batchOrder.salt)),
             batchOrder.seller,
             keccak256(abi.encodePacked(orderHashes))
         ));
@@ -113,17 +206,83 @@ library LibOrderV2 {
         return keccak256(abi.encode(
             ORDER_TYPEHASH,
             order.nftContractAddress,
-            keccak256(bytes(order.salt)),
+            order.nonce,
             order.tokenId,
+            order.tokenStandard,
+            order.amount,
             order.price,
+            order.currency,
             order.duration,
             order.startedAt
         ));
     }
 
     function hashOffer(Offer memory offer) internal pure returns (bytes32) {
+        // the fields are encoded in two parts to keep the stack shallow, the result equals a single abi.encode
+        return keccak256(bytes.concat(
+            abi.encode(
+                OFFER_TYPEHASH,
+                offer.nftContractAddress,
+                offer.buyer,
+                offer.nonce,
+                keccak256(bytes(offer.traits)),
+                offer.tokenRoot,
+                offer.tokenId,
+                offer.tokenStandard
+            ),
+            abi.encode(
+                offer.bid,
+                offer.currency,
+                offer.duration,
+                offer.size,
+                offer.startedAt,
+                offer.isCollectionOffer,
+                offer.autoInvalidate
+            )
+        ));
+    }
+
+    function hashToken(Token memory token) internal pure returns (bytes32) {
         return keccak256(abi.encode(
-            OFFER_TYPEHASH,
+            TOKEN_TYPEHASH,
+            token.tokenId,
+            token.amount,
+            token.blockNumber,
+            token.sender,
+            token.nftContractAddress,
+            token.nonce,
+            keccak256(bytes(token.traits))
+        ));
+    }
+
+    function hashLegacy(LegacyBatchOrder memory batchOrder) internal pure returns (bytes32) {
+        bytes32[] memory orderHashes = new bytes32[](batchOrder.orders.length);
+        for (uint256 i = 0; i < batchOrder.orders.length; i++) {
+            orderHashes[i] = _hashLegacyOrderItem(batchOrder.orders[i]);
+        }
+        return keccak256(abi.encode(
+            LEGACY_BATCH_ORDER_TYPEHASH,
+            keccak256(bytes(batchOrder.salt)),
+            batchOrder.seller,
+            keccak256(abi.encodePacked(orderHashes))
+        ));
+    }
+
+    function _hashLegacyOrderItem(LegacyOrder memory order) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            LEGACY_ORDER_TYPEHASH,
+            order.nftContractAddress,
+            keccak256(bytes(order.salt)),
+            order.tokenId,
+            order.price,
+            order.duration,
+            order.startedAt
+        ));
+    }
+
+    function hashLegacyOffer(LegacyOffer memory offer) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            LEGACY_OFFER_TYPEHASH,
             offer.nftContractAddress,
             offer.buyer,
             keccak256(bytes(offer.salt)),
@@ -137,16 +296,38 @@ library LibOrderV2 {
         ));
     }
 
-    function hashToken(Token memory token) internal pure returns (bytes32) {
-        return keccak256(abi.encode(
-            TOKEN_TYPEHASH,
-            token.tokenId,
-            token.blockNumber,
-            token.sender,
-            token.nftContractAddress,
-            keccak256(bytes(token.uuid)),
-            keccak256(bytes(token.salt)),
-            keccak256(bytes(token.traits))
-        ));
+    // converts a legacy order, its nonce is derived from the salt and it lists a single ERC721 in the native currency
+    function fromLegacy(LegacyOrder memory order) internal pure returns (Order memory) {
+        return Order({
+            nftContractAddress: order.nftContractAddress,
+            nonce: LibNonce.fromSalt(order.salt),
+            tokenId: order.tokenId,
+            tokenStandard: ERC721,
+            amount: 1,
+            price: order.price,
+            currency: address(0),
+            duration: order.duration,
+            startedAt: order.startedAt
+        });
+    }
+
+    // converts a legacy offer, its nonce is derived from the salt and it bids for ERC721s in the native currency
+    function fromLegacyOffer(LegacyOffer memory offer) internal pure returns (Offer memory) {
+        return Offer({
+            nftContractAddress: offer.nftContractAddress,
+            buyer: offer.buyer,
+            nonce: LibNonce.fromSalt(offer.salt),
+            traits: offer.traits,
+            tokenRoot: bytes32(0),
+            tokenId: offer.tokenId,
+            tokenStandard: ERC721,
+            bid: offer.bid,
+            currency: address(0),
+            duration: offer.duration,
+            size: offer.size,
+            startedAt: offer.startedAt,
+            isCollectionOffer: offer.isCollectionOffer,
+            autoInvalidate: false
+        });
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,114 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts-upgradeable/governance/GovernorUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/governance/extensions/GovernorSettingsUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/governance/extensions/GovernorCountingSimpleUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/governance/extensions/GovernorTimelockControlUpgradeable.sol";
+import "../VeArt/IVeArt.sol";
+
+/**
+* @title SalvorGovernor
+* @notice veART holders vote on proposals with their veART balance at the start of the proposal. Passed proposals are queued in
+* and executed by the SalvorTimelock, which owns the governed contracts, e.g. AssetManager.setProtocolFee, SalvorLendingV2.setPool or VeArt.setMaxCap.
+*/
+contract SalvorGovernor is GovernorUpgradeable, GovernorSettingsUpgradeable, GovernorCountingSimpleUpgradeable, GovernorTimelockControlUpgradeable {
+    // the veART the votes are counted from
+    IVeArt public veArt;
+
+    // share of the veART supply at the start of a proposal that must vote for or abstain for it to pass, in basis points
+    uint256 public quorumNumerator;
+
+    event QuorumNumeratorUpdated(uint256 quorumNumerator);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        IVeArt _veArt,
+        TimelockControllerUpgradeable _timelock,
+        uint256 _votingDelay,
+        uint256 _votingPeriod,
+        uint256 _proposalThreshold,
+        uint256 _quorumNumerator
+    ) public initializer {
+        __Governor_init("SalvorGovernor");
+        __GovernorSettings_init(_votingDelay, _votingPeriod, _proposalThreshold);
+        __GovernorCountingSimple_init();
+        __GovernorTimelockControl_init(_timelock);
+        veArt = _veArt;
+        _setQuorumNumerator(_quorumNumerator);
+    }
+
+    /**
+    * @notice Sets the quorum, it can only be set by a proposal.
+    * @param _quorumNumerator share of the veART supply at the start of a proposal, in basis points
+    */
+    function setQuorumNumerator(uint256 _quorumNumerator) external onlyGovernance {
+        _setQuorumNumerator(_quorumNumerator);
+    }
+
+    /**
+    * @notice Returns the votes a proposal started at a block needs to pass.
+    * @param blockNumber The number of the block
+    */
+    function quorum(uint256 blockNumber) public view override returns (uint256) {
+        return (veArt.totalSupplyAt(blockNumber) * quorumNumerator) / 10000;
+    }
+
+    function votingDelay() public view override(IGovernorUpgradeable, GovernorSettingsUpgradeable) returns (uint256) {
+        return super.votingDelay();
+    }
+
+    function votingPeriod() public view override(IGovernorUpgradeable, GovernorSettingsUpgradeable) returns (uint256) {
+        return super.votingPeriod();
+    }
+
+    function proposalThreshold() public view override(GovernorUpgradeable, GovernorSettingsUpgradeable) returns (uint256) {
+        return super.proposalThreshold();
+    }
+
+    function state(uint256 proposalId) public view override(GovernorUpgradeable, GovernorTimelockControlUpgradeable) returns (ProposalState) {
+        return super.state(proposalId);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(GovernorUpgradeable, GovernorTimelockControlUpgradeable) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
+    /**
+    * @notice Returns the veART balance of an account at a block, the votes of the account on the proposals started at the block.
+    * @param account The address of the account
+    * @param blockNumber The number of the block
+    */
+    function _getVotes(address account, uint256 blockNumber, bytes memory) internal view override returns (uint256) {
+        return veArt.balanceOfAt(account, blockNumber);
+    }
+
+    function _setQuorumNumerator(uint256 _quorumNumerator) internal {
+        require(_quorumNumerator <= 10000, "quorum cannot be higher than 100%");
+        quorumNumerator = _quorumNumerator;
+        emit QuorumNumeratorUpdated(_quorumNumerator);
+    }
+
+    function _execute(uint256 proposalId, address[] memory targets, uint256[] memory values, bytes[] memory calldatas, bytes32 descriptionHash)
+        internal
+        override(GovernorUpgradeable, GovernorTimelockControlUpgradeable)
+    {
+        super._execute(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    function _cancel(address[] memory targets, uint256[] memory values, bytes[] memory calldatas, bytes32 descriptionHash)
+        internal
+        override(GovernorUpgradeable, GovernorTimelockControlUpgradeable)
+        returns (uint256)
+    {
+        return super._cancel(targets, values, calldatas, descriptionHash);
+    }
+
+    function _executor() internal view override(GovernorUpgradeable, GovernorTimelockControlUpgradeable) returns (address) {
+        return super._executor();
+    }
+}
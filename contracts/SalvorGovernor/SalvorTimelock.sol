@@ -0,0 +1,24 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts-upgradeable/governance/TimelockControllerUpgradeable.sol";
+
+/**
+* @title SalvorTimelock
+* @notice Delays and executes the proposals passed by the SalvorGovernor. It owns the contracts governed by the veART holders.
+*/
+contract SalvorTimelock is TimelockControllerUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+    * @param _minDelay the shortest delay between queuing and executing a proposal, in seconds
+    * @param _proposers the addresses that can queue and cancel proposals, the SalvorGovernor
+    * @param _executors the addresses that can execute queued proposals, the zero address lets anyone execute them
+    */
+    function initialize(uint256 _minDelay, address[] memory _proposers, address[] memory _executors) public initializer {
+        __TimelockController_init(_minDelay, _proposers, _executors);
+    }
+}
@@ -16,6 +16,12 @@ import "@openzeppelin/contracts-upgradeable/token/ERC721/utils/ERC721HolderUpgra
 
 import "../AssetManager/IAssetManager.sol";
 import "./lib/LibLending.sol";
+import "./lib/LibLiquidation.sol";
+import "./lib/LibLoanValidation.sol";
+import "../libs/LibNonce.sol";
+import "../libs/LibTokenTree.sol";
+import "../libs/LibInterest.sol";
+import "../SalvorLoanNote/ISalvorLoanNote.sol";
 
 /**
 * @title Salvor Lending
@@ -28,6 +34,8 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         uint256 duration;   // Duration of the loan in the pool in terms of a time unit (e.g., seconds, blocks)
         uint256 rate;       // Interest rate for the loan in the pool, represented as a percentage
         bool isActive;      // Status of the pool, indicating whether it is active (true) or not (false)
+        uint8 accrual;      // How the interest of new loans accrues, LibInterest.DAILY or LibInterest.PER_SECOND
+        uint256 minInterestPeriod; // Shortest period the interest of new loans is charged for when it accrues per second
     }
 
     // Structure defining an individual loan
@@ -38,25 +46,32 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         uint256 duration;  // Duration of the loan, similar to the duration in LendingPool
         uint256 rate;      // Interest rate for this specific loan, similar to the rate in LendingPool
         uint256 startedAt; // Timestamp indicating when the loan started
+        uint8 accrual;     // Accrual mode of the pool when the loan started
+        uint256 minInterestPeriod; // Minimum interest period of the pool when the loan started
+        uint256 settledInterest; // Interest of the current amount until its last partial repayment or top-up, which has already been paid
     }
 
-    struct DutchAuction {
-        // duration of the auction
-        uint256 duration;
-        // drop interval timestamp. e.g 5 minutes
-        uint256 dropInterval;
-        // the auction starting time
-        uint256 startTime;
-        // maximum amount for the nft at the beginning of the auction
-        uint256 startPrice;
-        // minimum amount for the nft at the end of auction
-        uint256 endPrice;
+    // Limits of the terms lenders can offer on a pool, see LibLendingV2.LoanOffer.rate and loanDuration
+    struct LoanTermLimits {
+        uint256 minDuration;
+        uint256 maxDuration;
+        uint256 minRate;
+        uint256 maxRate;
     }
 
     string private constant SIGNING_DOMAIN = "SalvorLending";
     string private constant SIGNATURE_VERSION = "2";
     using ECDSAUpgradeable for bytes32;
 
+    // actions of the batch loan functions
+    uint8 private constant BORROW = 0;
+    uint8 private constant EXTEND = 1;
+    uint8 private constant DELEGATE = 2;
+    uint8 private constant TOP_UP = 3;
+
+    // hash of the traits of the loan offers for every item of a collection, which need no validator token to be refinanced
+    bytes32 private constant ALL_ITEMS = keccak256("allItems");
+
     // Mapping from an ERC721 collection address to a LendingPool structure, storing the lending pool configuration for each address
     mapping(address => LendingPool) public lendingPools;
     // Mapping storing loan details. The first key is the collection address, and the second key is the unique identifier for the loan
@@ -87,7 +102,7 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     uint64 public dropInterval;
 
     // Mapping of token addresses to token IDs to their respective Dutch auction details.
-    mapping(address => mapping(uint256 => DutchAuction)) public dutchAuctions;
+    mapping(address => mapping(uint256 => LibLiquidation.DutchAuction)) public dutchAuctions;
 
     /**
      * @notice Tracks the amounts that have been delegated from one loan offer to another.
@@ -101,13 +116,39 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
      */
     mapping(address => mapping(address => uint256)) public cancelOfferTimestamps;
 
+    /**
+     * @notice Tracks the invalidated nonces of the lenders.
+     * @dev The first key is the address of the lender, the second key is the word position (nonce >> 8), and the value is the bitmap of the invalidated nonces in that word.
+     */
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmaps;
+
+    // Loan offers signed with a string salt are honored until this timestamp
+    uint256 public legacyCutoff;
+
+    // Mapping from an ERC721 collection address to the limits of the rates and durations of its loan offers
+    mapping(address => LoanTermLimits) public loanTermLimits;
+
+    // Mapping from an ERC721 collection address to the liquidation curve of its pool, pools without one start at 3x the end price and drop linearly to it
+    mapping(address => LibLiquidation.Curve) public liquidationCurves;
+
+    // Addresses of the notes issued to the lenders (promissory notes) and the borrowers (obligation receipts) of new loans, no notes are issued while they are not set
+    address public lenderNote;
+    address public borrowerNote;
+
     // events
     event SetPool(address indexed collection, uint256 duration, uint256 rate, bool isActive);
-    event Extend(address indexed collection, uint256 indexed tokenId, string salt, uint256 amount, uint256 repaidAmount);
-    event Delegate(address indexed collection, uint256 indexed tokenId, string salt, uint256 delegatedAmount, uint256 receivedAmount);
-    event Borrow(address indexed collection, uint256 indexed tokenId, string salt, uint256 amount);
+    event SetPoolAccrual(address indexed collection, uint8 accrual, uint256 minInterestPeriod);
+    event SetLiquidationCurve(address indexed collection, uint256 startMultiplier, uint256 floorMultiplier, uint8 decay, uint256 decayFactor);
+    event SetLoanTermLimits(address indexed collection, uint256 minDuration, uint256 maxDuration, uint256 minRate, uint256 maxRate);
+    event Extend(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 amount, uint256 repaidAmount);
+    event Refinance(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 amount, uint256 repaidAmount);
+    event Delegate(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 delegatedAmount, uint256 receivedAmount);
+    event Borrow(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 amount);
     event Repay(address indexed collection, uint256 indexed tokenId, uint256 repaidAmount);
+    event PartialRepay(address indexed collection, uint256 indexed tokenId, uint256 principal, uint256 interest);
+    event TopUp(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 amount, uint256 interest);
     event ClearDebt(address indexed collection, uint256 indexed tokenId);
+    event TransferPosition(address indexed collection, uint256 indexed tokenId, address indexed to, bool isLender);
     event DutchAuctionMadeBid(address indexed collection, uint256 indexed tokenId, address indexed seller, uint256 amount, uint256 endPrice);
     event DutchAuctionCreated(
         address indexed collection,
@@ -119,6 +160,7 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         uint256 startTime
     );
     event CancelOffer(address indexed user);
+    event CancelNonces(address indexed user, uint256 indexed wordPos, uint256 mask);
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -180,6 +222,14 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         dropInterval = _dropInterval;
     }
 
+    /**
+    * @notice Sets the timestamp until which loan offers signed with a string salt are honored. This action can only be performed by the contract owner.
+    * @param _legacyCutoff The cutoff timestamp, legacy loan offers are rejected from this timestamp on.
+    */
+    function setLegacyCutoff(uint256 _legacyCutoff) external onlyOwner {
+        legacyCutoff = _legacyCutoff;
+    }
+
     /**
     * @notice Assigns a new validator address. Restricted to actions by the contract owner.
     * @param _validator The new validator's address, which cannot be the zero address.
@@ -196,6 +246,37 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         assetManager = _assetManager;
     }
 
+    /**
+    * @notice Sets the notes of the positions of the loans once, see SalvorLoanNote. They cannot be changed: the running loans
+    * burn and transfer their notes through the current note contracts.
+    * @param _lenderNote The address of the promissory notes of the lenders.
+    * @param _borrowerNote The address of the obligation receipts of the borrowers.
+    */
+    function setLoanNotes(address _lenderNote, address _borrowerNote) external onlyOwner {
+        require(lenderNote == address(0) && borrowerNote == address(0), "loan notes are already set");
+        lenderNote = _lenderNote;
+        borrowerNote = _borrowerNote;
+    }
+
+    /**
+    * @notice Hands the lender or the borrower position of a loan over to the receiver of its transferred note. Repayments, clearing the debt and liquidations pay the new holder.
+    * Only the note contracts can call it.
+    * @param _nftContractAddress The address of the NFT contract.
+    * @param _tokenId The ID of the token (NFT) of the loan.
+    * @param _to The new holder of the note.
+    */
+    function transferPosition(address _nftContractAddress, uint256 _tokenId, address _to) external {
+        Loan storage item = items[_nftContractAddress][_tokenId];
+        bool isLender = msg.sender == lenderNote;
+        if (isLender) {
+            item.lender = _to;
+        } else {
+            require(msg.sender == borrowerNote, "caller is not a loan note");
+            item.borrower = _to;
+        }
+        emit TransferPosition(_nftContractAddress, _tokenId, _to, isLender);
+    }
+
     /**
     * @notice Configures or updates a lending pool for a specified collection. This function is accessible to the contract owner or the admin.
     * @param _collection The address of the NFT collection for which the lending pool is being set.
@@ -204,15 +285,64 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     * @param _isActive Boolean indicating whether the pool is active or not.
     */
     function setPool(address _collection, uint256 _duration, uint256 _rate, bool _isActive) external {
-        require(msg.sender == owner() || msg.sender == admin, "not authorized");
+        _assertAuthorized();
         require(_duration > 0 && _duration % 86400 == 0, "day unit must be entered");
-        lendingPools[_collection].duration = _duration;
-        lendingPools[_collection].rate = _rate;
-        lendingPools[_collection].isActive = _isActive;
+        LendingPool storage lendingPool = lendingPools[_collection];
+        lendingPool.duration = _duration;
+        lendingPool.rate = _rate;
+        lendingPool.isActive = _isActive;
         IERC721Upgradeable(_collection).setApprovalForAll(assetManager, true);
         emit SetPool(_collection, _duration, _rate, _isActive);
     }
 
+    /**
+    * @notice Sets how the interest of the new loans of a pool accrues. This function is accessible to the contract owner or the admin.
+    * Running loans keep the accrual mode they started with.
+    * @param _collection The address of the NFT collection of the pool.
+    * @param _accrual LibInterest.DAILY charges every started day, LibInterest.PER_SECOND prorates the interest per second.
+    * @param _minInterestPeriod The shortest period interest is charged for when it accrues per second.
+    */
+    function setPoolAccrual(address _collection, uint8 _accrual, uint256 _minInterestPeriod) external {
+        _assertAuthorized();
+        require(_accrual <= LibInterest.PER_SECOND, "unknown accrual");
+        LendingPool storage lendingPool = lendingPools[_collection];
+        lendingPool.accrual = _accrual;
+        lendingPool.minInterestPeriod = _minInterestPeriod;
+        emit SetPoolAccrual(_collection, _accrual, _minInterestPeriod);
+    }
+
+    /**
+    * @notice Sets the liquidation curve of the Dutch auctions of the new loans of a pool. This function is accessible to the contract owner or the admin.
+    * Running loans keep the curve they started with. The auction duration and drop interval stay global.
+    * @param _collection The address of the NFT collection of the pool.
+    * @param _startMultiplier The start price of the auction as a multiple of its end price, 1 ether is 1x.
+    * @param _floorMultiplier The lowest price of the auction as a multiple of its end price, 1 ether is 1x. A floor below 1x lets the auction clear under the debt.
+    * @param _decay LINEAR drops the price by the same amount at every drop interval, EXPONENTIAL keeps the decay factor of the price above the floor at every drop interval.
+    * @param _decayFactor The share of the price above the floor kept at every drop of an exponential decay, 1 ether is 100%.
+    */
+    function setLiquidationCurve(address _collection, uint256 _startMultiplier, uint256 _floorMultiplier, uint8 _decay, uint256 _decayFactor) external {
+        _assertAuthorized();
+        LibLiquidation.setCurve(liquidationCurves[_collection], _startMultiplier, _floorMultiplier, _decay, _decayFactor);
+        emit SetLiquidationCurve(_collection, _startMultiplier, _floorMultiplier, _decay, _decayFactor);
+    }
+
+    /**
+    * @notice Sets the limits of the rates and loan durations lenders can offer on a pool. This function is accessible to the contract owner or the admin.
+    * Loan offers without their own terms keep the duration and rate of the pool, loan offers with their own terms are rejected until the limits are set.
+    * @param _collection The address of the NFT collection of the pool.
+    * @param _minDuration The shortest loan duration, in day units.
+    * @param _maxDuration The longest loan duration, in day units.
+    * @param _minRate The lowest interest rate.
+    * @param _maxRate The highest interest rate.
+    */
+    function setLoanTermLimits(address _collection, uint256 _minDuration, uint256 _maxDuration, uint256 _minRate, uint256 _maxRate) external {
+        _assertAuthorized();
+        require(_minDuration > 0 && _minDuration % 86400 == 0 && _maxDuration % 86400 == 0, "day unit must be entered");
+        require(_minDuration <= _maxDuration && _minRate <= _maxRate, "min cannot exceed max");
+        loanTermLimits[_collection] = LoanTermLimits(_minDuration, _maxDuration, _minRate, _maxRate);
+        emit SetLoanTermLimits(_collection, _minDuration, _maxDuration, _minRate, _maxRate);
+    }
+
 
     /**
      * @notice Delegates existing lending transactions to new loan offers in a single transaction.
@@ -232,15 +362,7 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     assertNotContract
     external
     {
-        uint256 len = _loanOffers.length;
-        require(len <= 20, "exceeded the limits");
-        require(len == _signatures.length && len == _tokens.length && len == _tokenSignatures.length, "inputs do not match");
-        IAssetManager.LendingPaymentInfoV2[] memory payments = new IAssetManager.LendingPaymentInfoV2[](len);
-
-        for (uint256 i; i < len; ++i) {
-            payments[i] = delegate(_loanOffers[i], _signatures[i], _tokens[i],_tokenSignatures[i]);
-        }
-        IAssetManager(assetManager).payLendingDelegatedBatch(payments);
+        IAssetManager(assetManager).payLendingDelegatedBatch(_batchLoans(_loanOffers, _signatures, _tokens, _tokenSignatures, DELEGATE));
     }
 
     /**
@@ -257,14 +379,37 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         LibLendingV2.Token[] calldata _tokens,
         bytes[] calldata _tokenSignatures
     ) public whenNotPaused nonReentrant assertNotContract {
-        uint256 len = _loanOffers.length;
-        require(len <= 20, "exceeded the limits");
-        require(len == _signatures.length && len == _tokens.length && len == _tokenSignatures.length, "inputs do not match");
-        IAssetManager.LendingPaymentInfoV2[] memory payments = new IAssetManager.LendingPaymentInfoV2[](len);
-        for (uint256 i; i < len; ++i) {
-            payments[i] = borrow(_loanOffers[i], _signatures[i], _tokens[i], _tokenSignatures[i]);
-        }
-        IAssetManager(assetManager).payLendingBatchV2(payments);
+        IAssetManager(assetManager).payLendingBatchV2(_batchLoans(_loanOffers, _signatures, _tokens, _tokenSignatures, BORROW));
+    }
+
+    /**
+    * @notice Allows batch borrowing from loan offers that commit to a token tree, each collateral is proven to be eligible with a merkle proof instead of a validator token.
+    * @param _loanOffers Array of loan offers, each representing an individual loan agreement.
+    * @param _signatures Array of signatures corresponding to each loan offer, validating the agreement.
+    * @param _tokenProofs Array of collateral tokens with their merkle proofs.
+    */
+    function batchBorrowWithProofs(
+        LibLendingV2.LoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.TokenProof[] calldata _tokenProofs
+    ) external whenNotPaused nonReentrant assertNotContract {
+        IAssetManager(assetManager).payLendingBatchV2(_batchProofLoans(_loanOffers, _signatures, _tokenProofs, BORROW));
+    }
+
+    /**
+    * @notice Moves loans of the sender onto new loan offers of any lender, on the terms of the new offers. The new lenders pay the borrower, who repays the previous lenders in the same transaction
+    * and pays the shortfall from the bidding wallet when a new amount does not cover the repayment. Unlike batchExtend, it needs no validator token and the loans can be refinanced right after they started.
+    * Loan offers with a token root are proven with a merkle proof, other loan offers must be for every item of the collection ("allItems").
+    * @param _loanOffers Array of the new loan offers.
+    * @param _signatures Array of signatures corresponding to each loan offer.
+    * @param _tokenProofs Array of the collateral tokens with their merkle proofs, the proofs are empty for collection offers.
+    */
+    function batchRefinance(
+        LibLendingV2.LoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.TokenProof[] calldata _tokenProofs
+    ) public whenNotPaused nonReentrant assertNotContract {
+        IAssetManager(assetManager).payLendingBatchV2(_batchProofLoans(_loanOffers, _signatures, _tokenProofs, EXTEND));
     }
 
     /**
@@ -279,8 +424,7 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     external
     {
         uint256 len = _nftContractAddresses.length;
-        require(len <= 20, "exceeded the limits");
-        require(len == _tokenIds.length, "inputs do not match");
+        _assertBatch(len, len == _tokenIds.length);
         for (uint256 i; i < len; ++i) {
             clearDebt(_nftContractAddresses[i], _tokenIds[i]);
         }
@@ -296,11 +440,10 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     whenNotPaused
     nonReentrant
     assertNotContract
-    external
+    public
     {
         uint256 len = _nftContractAddresses.length;
-        require(len <= 20, "exceeded the limits");
-        require(len == _tokenIds.length, "inputs do not match");
+        _assertBatch(len, len == _tokenIds.length);
         IAssetManager.LendingPaymentInfoV2[] memory payments = new IAssetManager.LendingPaymentInfoV2[](len);
         for (uint256 i; i < len; ++i) {
             payments[i] = repay(_nftContractAddresses[i], _tokenIds[i]);
@@ -314,23 +457,11 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     * @param _tokenIds Array of token IDs for the NFTs in their respective contracts.
     */
     function batchRepayETH(address[] calldata _nftContractAddresses, uint256[] calldata _tokenIds)
-    whenNotPaused
-    nonReentrant
-    assertNotContract
     external
     payable
     {
-        uint256 len = _nftContractAddresses.length;
-        require(len <= 20, "exceeded the limits");
-        require(len == _tokenIds.length, "inputs do not match");
-
         IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
-        IAssetManager.LendingPaymentInfoV2[] memory payments = new IAssetManager.LendingPaymentInfoV2[](len);
-
-        for (uint256 i; i < len; ++i) {
-            payments[i] = repay(_nftContractAddresses[i], _tokenIds[i]);
-        }
-        IAssetManager(assetManager).lendingRepayBatchV2(payments);
+        batchRepay(_nftContractAddresses, _tokenIds);
     }
 
     /**
@@ -349,18 +480,9 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     whenNotPaused
     nonReentrant
     assertNotContract
-    external
+    public
     {
-        uint256 len = _loanOffers.length;
-        require(len <= 20, "exceeded the limits");
-        require(len == _signatures.length && len == _tokens.length && len == _tokenSignatures.length, "inputs do not match");
-
-        IAssetManager.LendingPaymentInfoV2[] memory payments = new IAssetManager.LendingPaymentInfoV2[](len);
-
-        for (uint256 i; i < len; ++i) {
-            payments[i] = extend(_loanOffers[i], _signatures[i], _tokens[i],_tokenSignatures[i]);
-        }
-        IAssetManager(assetManager).payLendingBatchV2(payments);
+        IAssetManager(assetManager).payLendingBatchV2(_batchLoans(_loanOffers, _signatures, _tokens, _tokenSignatures, EXTEND));
     }
 
     /**
@@ -376,23 +498,125 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         LibLendingV2.Token[] calldata _tokens,
         bytes[] calldata _tokenSignatures
     )
+    external
+    payable
+    {
+        IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
+        batchExtend(_loanOffers, _signatures, _tokens, _tokenSignatures);
+    }
+
+    /**
+    * @notice Pays down the principal of a loan with Ether.
+    * @param _nftContractAddress The address of the NFT contract.
+    * @param _tokenId The ID of the token (NFT) of the loan.
+    * @param _amount The principal amount to be repaid.
+    */
+    function partialRepayETH(address _nftContractAddress, uint256 _tokenId, uint256 _amount)
+    external
+    payable
+    {
+        IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
+        partialRepay(_nftContractAddress, _tokenId, _amount);
+    }
+
+    /**
+    * @notice Pays down the principal of a loan without closing it. The borrower pays the principal and the interest accrued until now from the bidding wallet,
+    * the loan keeps its terms and Dutch auction start time. The principal left must cover the amount the lender was delegated without paying, which is settled at the final repayment.
+    * @param _nftContractAddress The address of the NFT contract.
+    * @param _tokenId The ID of the token (NFT) of the loan.
+    * @param _amount The principal amount to be repaid.
+    */
+    function partialRepay(address _nftContractAddress, uint256 _tokenId, uint256 _amount)
+    public
+    whenNotPaused
+    nonReentrant
+    assertNotContract
+    {
+        Loan storage item = items[_nftContractAddress][_tokenId];
+        require(_amount > 0 && _amount + delegatedAmounts[_nftContractAddress][_tokenId] < item.amount, "partial repayment exceeds the principal");
+
+        uint256 interest = _settleInterest(_nftContractAddress, _tokenId, item.amount - _amount);
+        emit PartialRepay(_nftContractAddress, _tokenId, _amount, interest);
+
+        IAssetManager(assetManager).transferFrom(msg.sender, item.lender, _amount + interest);
+    }
+
+    /**
+    * @notice Borrows more against collateralized NFTs from their current lenders. Each loan offer lends the additional amount on the terms of the loan,
+    * the borrower pays the interest accrued until now.
+    * @param _loanOffers Array of loan offers of the current lenders.
+    * @param _signatures Array of signatures corresponding to each loan offer.
+    * @param _tokens Array of tokens associated with each loan offer.
+    * @param _tokenSignatures Array of signatures corresponding to each token.
+    */
+    function batchTopUp(
+        LibLendingV2.LoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.Token[] calldata _tokens,
+        bytes[] calldata _tokenSignatures
+    ) external whenNotPaused nonReentrant assertNotContract {
+        IAssetManager(assetManager).payLendingBatchV2(_batchLoans(_loanOffers, _signatures, _tokens, _tokenSignatures, TOP_UP));
+    }
+
+    /**
+    * @notice Delegates existing lending transactions to loan offers signed with a string salt. It is only available until the legacy cutoff.
+    * @param _loanOffers An array of legacy loan offers to be processed.
+    * @param _signatures An array of signatures corresponding to the loan offers.
+    * @param _tokens An array of tokens associated with the loan offers, their nonces are derived from the offer salts.
+    * @param _tokenSignatures An array of signatures for the tokens.
+    */
+    function batchDelegateLegacy(
+        LibLendingV2.LegacyLoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.Token[] calldata _tokens,
+        bytes[] calldata _tokenSignatures
+    )
     whenNotPaused
     nonReentrant
     assertNotContract
+    legacyAllowed
     external
-    payable
     {
-        uint256 len = _loanOffers.length;
-        require(len <= 20, "exceeded the limits");
-        require(len == _signatures.length && len == _tokens.length && len == _tokenSignatures.length, "inputs do not match");
+        IAssetManager(assetManager).payLendingDelegatedBatch(_batchLegacyLoans(_loanOffers, _signatures, _tokens, _tokenSignatures, DELEGATE));
+    }
 
-        IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
-        IAssetManager.LendingPaymentInfoV2[] memory payments = new IAssetManager.LendingPaymentInfoV2[](len);
+    /**
+    * @notice Allows batch borrowing against loan offers signed with a string salt. It is only available until the legacy cutoff.
+    * @param _loanOffers Array of legacy loan offers.
+    * @param _signatures Array of signatures corresponding to each loan offer.
+    * @param _tokens Array of tokens associated with each loan offer, their nonces are derived from the offer salts.
+    * @param _tokenSignatures Array of signatures corresponding to each token.
+    */
+    function batchBorrowLegacy(
+        LibLendingV2.LegacyLoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.Token[] calldata _tokens,
+        bytes[] calldata _tokenSignatures
+    ) external whenNotPaused nonReentrant assertNotContract legacyAllowed {
+        IAssetManager(assetManager).payLendingBatchV2(_batchLegacyLoans(_loanOffers, _signatures, _tokens, _tokenSignatures, BORROW));
+    }
 
-        for (uint256 i; i < len; ++i) {
-            payments[i] = extend(_loanOffers[i], _signatures[i], _tokens[i],_tokenSignatures[i]);
-        }
-        IAssetManager(assetManager).payLendingBatchV2(payments);
+    /**
+    * @notice Enables batch extension of loans with loan offers signed with a string salt. It is only available until the legacy cutoff.
+    * The repayment is paid from the bidding wallet of the borrower.
+    * @param _loanOffers Array of legacy loan offers to be extended.
+    * @param _signatures Array of signatures corresponding to each loan offer.
+    * @param _tokens Array of tokens associated with each loan offer, their nonces are derived from the offer salts.
+    * @param _tokenSignatures Array of signatures corresponding to each token.
+    */
+    function batchExtendLegacy(
+        LibLendingV2.LegacyLoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.Token[] calldata _tokens,
+        bytes[] calldata _tokenSignatures
+    )
+    whenNotPaused
+    nonReentrant
+    assertNotContract
+    legacyAllowed
+    external
+    {
+        IAssetManager(assetManager).payLendingBatchV2(_batchLegacyLoans(_loanOffers, _signatures, _tokens, _tokenSignatures, EXTEND));
     }
 
     /**
@@ -409,7 +633,7 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     }
 
     /**
-     * @notice Allows a bidder to make a bid for a Dutch auction.
+     * @notice Allows a bidder to make a bid for a Dutch auction. The lender is paid the debt of the loan and the borrower the surplus over it, see AssetManager.dutchPayV3.
      * @param _nftContractAddress The address of the NFT contract.
      * @param _tokenId The token ID of the NFT being auctioned.
      */
@@ -419,16 +643,15 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     nonReentrant
     auctionStarted(_nftContractAddress, _tokenId)
     {
-        address lender = items[_nftContractAddress][_tokenId].lender;
+        Loan storage item = items[_nftContractAddress][_tokenId];
+        address lender = item.lender;
+        address borrower = item.borrower;
         require(lender != address(0), "NFT is not deposited");
         uint256 price = getDutchPrice(_nftContractAddress, _tokenId);
-        emit DutchAuctionMadeBid(_nftContractAddress, _tokenId, lender, price, dutchAuctions[_nftContractAddress][_tokenId].endPrice);
-        uint256 delegatedAmount = delegatedAmounts[_nftContractAddress][_tokenId];
-        delegatedAmounts[_nftContractAddress][_tokenId] = 0;
         uint256 endPrice = dutchAuctions[_nftContractAddress][_tokenId].endPrice;
-        IAssetManager(assetManager).dutchPayV2(_nftContractAddress, _tokenId, msg.sender, lender, price, endPrice, delegatedAmount);
-        delete dutchAuctions[_nftContractAddress][_tokenId];
-        delete items[_nftContractAddress][_tokenId];
+        emit DutchAuctionMadeBid(_nftContractAddress, _tokenId, lender, price, endPrice);
+        uint256 delegatedAmount = _closeLoan(_nftContractAddress, _tokenId);
+        IAssetManager(assetManager).dutchPayV3(_nftContractAddress, _tokenId, msg.sender, lender, borrower, price, endPrice, delegatedAmount);
     }
 
     function cancelAllOffers() external whenNotPaused {
@@ -437,28 +660,36 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     }
 
     /**
-    * @notice the current dutch price by calculating the steps
+    * @notice Cancels the loan offers of the sender whose nonces are set in the mask. A word covers 256 consecutive nonces.
+    * Legacy loan offers are cancelled by the nonce derived from their salt.
+    * @param _wordPos The index of the word in the nonce bitmap, i.e. nonce >> 8.
+    * @param _mask The bits of the nonces to be cancelled, i.e. 1 << (nonce & 0xff).
+    */
+    function invalidateNonces(uint256 _wordPos, uint256 _mask) external whenNotPaused {
+        LibNonce.invalidate(nonceBitmaps[msg.sender], _wordPos, _mask);
+        emit CancelNonces(msg.sender, _wordPos, _mask);
+    }
+
+    /**
+    * @notice Checks whether the nonce of the lender is invalidated.
+    * @param _lender The owner of the nonce.
+    * @param _nonce The nonce to be checked.
+    */
+    function isNonceUsed(address _lender, uint256 _nonce) external view returns (bool) {
+        return LibNonce.isUsed(nonceBitmaps[_lender], _nonce);
+    }
+
+    /**
+    * @notice the current dutch price by calculating the steps, following the liquidation curve of the auction down to its floor price
     * @param _nftContractAddress nft contract address
     * @param _tokenId nft tokenId
     */
     function getDutchPrice(address _nftContractAddress, uint256 _tokenId) public view returns (uint256) {
-        if (block.timestamp < dutchAuctions[_nftContractAddress][_tokenId].startTime) {
-            return dutchAuctions[_nftContractAddress][_tokenId].startPrice;
-        }
-
-        if ((block.timestamp - dutchAuctions[_nftContractAddress][_tokenId].startTime) > dutchAuctions[_nftContractAddress][_tokenId].duration) {
-            return dutchAuctions[_nftContractAddress][_tokenId].endPrice;
-        } else {
-            uint256 diffPrice = dutchAuctions[_nftContractAddress][_tokenId].startPrice - dutchAuctions[_nftContractAddress][_tokenId].endPrice;
-            uint256 diffDate = block.timestamp - dutchAuctions[_nftContractAddress][_tokenId].startTime;
-            uint256 dropsPerStep = diffPrice / (dutchAuctions[_nftContractAddress][_tokenId].duration / dutchAuctions[_nftContractAddress][_tokenId].dropInterval);
-            uint256 steps = diffDate / dutchAuctions[_nftContractAddress][_tokenId].dropInterval;
-            return dutchAuctions[_nftContractAddress][_tokenId].startPrice - (steps * dropsPerStep);
-        }
+        return LibLiquidation.price(dutchAuctions[_nftContractAddress][_tokenId]);
     }
 
     /**
-    * @notice Calculates the total repayment amount for a set of loans.
+    * @notice Calculates the total repayment amount for a set of loans. Each loan accrues interest per started day or per second, as its pool did when it started.
     * @param _nftContractAddresses The addresses of the NFT contracts for the loans.
     * @param _tokenIds The token IDs of the NFTs for the loans.
     * @return uint256 The total repayment amount for the specified loans.
@@ -467,14 +698,13 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         uint256 len = _nftContractAddresses.length;
         uint256 totalInterest;
         for (uint256 i; i < len; ++i) {
-            Loan memory item = items[_nftContractAddresses[i]][_tokenIds[i]];
-            totalInterest += _calculateRepayment(item.amount, item.rate, item.startedAt, item.duration);
+            totalInterest += _calculateRepayment(items[_nftContractAddresses[i]][_tokenIds[i]]);
         }
         return totalInterest;
     }
 
     function getRemainingAmount(LibLendingV2.LoanOffer memory offer) external view returns (uint256) {
-        return offer.size - sizes[LibLendingV2.hash(offer)];
+        return offer.size - sizes[LibLoanValidation.hashOffer(offer)];
     }
 
     /**
@@ -496,48 +726,184 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     * @return The address of the signer of the loan offer.
     */
     function _validate(LibLendingV2.LoanOffer memory _loanOffer, bytes memory signature) public view returns (address) {
-        bytes32 hash = LibLendingV2.hash(_loanOffer);
-        return _hashTypedDataV4(hash).recover(signature);
+        (, address lender) = _recover(_loanOffer, signature);
+        return lender;
+    }
+
+    /**
+    * @notice Returns the hash of a loan offer, which keeps its filled size, along with its signer.
+    * @param _loanOffer The loan offer to recover.
+    * @param signature The signature associated with the loan offer.
+    */
+    function _recover(LibLendingV2.LoanOffer memory _loanOffer, bytes memory signature) internal view returns (bytes32 hash, address lender) {
+        return LibLoanValidation.recover(_loanOffer, signature, _domainSeparatorV4());
+    }
+
+    /**
+    * @notice Converts a loan offer signed with a string salt and returns it along with its legacy hash and its signer.
+    * @param _loanOffer The legacy loan offer to recover.
+    * @param signature The signature associated with the loan offer.
+    */
+    function _recoverLegacy(LibLendingV2.LegacyLoanOffer memory _loanOffer, bytes memory signature) internal view returns (LibLendingV2.LoanOffer memory loanOffer, bytes32 hash, address lender) {
+        return LibLoanValidation.recoverLegacy(_loanOffer, signature, _domainSeparatorV4());
+    }
+
+    /**
+    * @notice Borrows, extends, delegates or tops up a batch of loans and returns their payments.
+    * @param _loanOffers Array of loan offers.
+    * @param _signatures Array of signatures corresponding to each loan offer.
+    * @param _tokens Array of tokens associated with each loan offer.
+    * @param _tokenSignatures Array of signatures corresponding to each token.
+    * @param _action BORROW, EXTEND, DELEGATE or TOP_UP.
+    */
+    function _batchLoans(
+        LibLendingV2.LoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.Token[] calldata _tokens,
+        bytes[] calldata _tokenSignatures,
+        uint8 _action
+    ) internal returns (IAssetManager.LendingPaymentInfoV2[] memory payments) {
+        uint256 len = _loanOffers.length;
+        _assertBatch(len, len == _signatures.length && len == _tokens.length && len == _tokenSignatures.length);
+        payments = new IAssetManager.LendingPaymentInfoV2[](len);
+        for (uint256 i; i < len; ++i) {
+            (bytes32 hash, address lender) = _recover(_loanOffers[i], _signatures[i]);
+            payments[i] = _processLoan(_loanOffers[i], hash, lender, _tokens[i], _tokenSignatures[i], _action);
+        }
+    }
+
+    /**
+    * @notice Borrows, extends, delegates or tops up a batch of loans with loan offers signed with a string salt and returns their payments.
+    * @param _loanOffers Array of legacy loan offers.
+    * @param _signatures Array of signatures corresponding to each loan offer.
+    * @param _tokens Array of tokens associated with each loan offer, their nonces are derived from the offer salts.
+    * @param _tokenSignatures Array of signatures corresponding to each token.
+    * @param _action BORROW, EXTEND, DELEGATE or TOP_UP.
+    */
+    function _batchLegacyLoans(
+        LibLendingV2.LegacyLoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.Token[] calldata _tokens,
+        bytes[] calldata _tokenSignatures,
+        uint8 _action
+    ) internal returns (IAssetManager.LendingPaymentInfoV2[] memory payments) {
+        uint256 len = _loanOffers.length;
+        _assertBatch(len, len == _signatures.length && len == _tokens.length && len == _tokenSignatures.length);
+        payments = new IAssetManager.LendingPaymentInfoV2[](len);
+        for (uint256 i; i < len; ++i) {
+            (LibLendingV2.LoanOffer memory loanOffer, bytes32 hash, address lender) = _recoverLegacy(_loanOffers[i], _signatures[i]);
+            payments[i] = _processLoan(loanOffer, hash, lender, _tokens[i], _tokenSignatures[i], _action);
+        }
+    }
+
+    /**
+    * @notice Borrows or refinances a batch of loans with token proofs and returns their payments.
+    * @param _loanOffers Array of loan offers.
+    * @param _signatures Array of signatures corresponding to each loan offer.
+    * @param _tokenProofs Array of collateral tokens with their merkle proofs.
+    * @param _action BORROW or EXTEND, which refinances.
+    */
+    function _batchProofLoans(
+        LibLendingV2.LoanOffer[] calldata _loanOffers,
+        bytes[] calldata _signatures,
+        LibLendingV2.TokenProof[] calldata _tokenProofs,
+        uint8 _action
+    ) internal returns (IAssetManager.LendingPaymentInfoV2[] memory payments) {
+        uint256 len = _loanOffers.length;
+        _assertBatch(len, len == _signatures.length && len == _tokenProofs.length);
+        payments = new IAssetManager.LendingPaymentInfoV2[](len);
+        for (uint256 i; i < len; ++i) {
+            (bytes32 hash, address lender) = _recover(_loanOffers[i], _signatures[i]);
+            payments[i] = _action == BORROW
+                ? borrowWithProof(_loanOffers[i], hash, lender, _tokenProofs[i])
+                : refinance(_loanOffers[i], hash, lender, _tokenProofs[i]);
+        }
+    }
+
+    // borrows, extends, delegates or tops up a single loan of a batch
+    function _processLoan(LibLendingV2.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingV2.Token memory token, bytes memory tokenSignature, uint8 _action)
+    internal
+    returns (IAssetManager.LendingPaymentInfoV2 memory)
+    {
+        if (_action == BORROW) {
+            return borrow(_loanOffer, hash, lender, token, tokenSignature);
+        }
+        if (_action == EXTEND) {
+            return extend(_loanOffer, hash, lender, token, tokenSignature);
+        }
+        if (_action == TOP_UP) {
+            return topUp(_loanOffer, hash, lender, token, tokenSignature);
+        }
+        return delegate(_loanOffer, hash, lender, token, tokenSignature);
     }
 
     /**
     * @notice Extends an existing loan offer. This function is internal and checks that the loan has not been cancelled.
     * @param _loanOffer The loan offer to be extended.
-    * @param signature The signature of the lender for validation.
+    * @param hash The hash of the loan offer, which keeps its filled size.
+    * @param lender The recovered signer of the loan offer.
     * @param token The token associated with the NFT for the loan.
     * @param tokenSignature The signature for the token, ensuring its authenticity.
     */
-    function extend(LibLendingV2.LoanOffer memory _loanOffer, bytes memory signature, LibLendingV2.Token memory token, bytes memory tokenSignature)
+    function extend(LibLendingV2.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingV2.Token memory token, bytes memory tokenSignature)
     internal
     returns (IAssetManager.LendingPaymentInfoV2 memory)
     {
-        Loan memory item = items[_loanOffer.nftContractAddress][token.tokenId];
-        require(block.timestamp - item.startedAt > 3600, "Operation not allowed: The item must be active for at least 1 hour.");
-        require(item.borrower == msg.sender, "there is no collateralized item belongs to msg.sender");
-        if (dutchAuctions[_loanOffer.nftContractAddress][token.tokenId].startTime > 0) {
-            require(block.timestamp < dutchAuctions[_loanOffer.nftContractAddress][token.tokenId].startTime, "Auction has already started. Cannot proceed with the operation");
-        }
+        require(block.timestamp - items[_loanOffer.nftContractAddress][token.tokenId].startedAt > 3600, "Operation not allowed: The item must be active for at least 1 hour.");
+        _assertRefinanceable(_loanOffer.nftContractAddress, token.tokenId);
 
-        address lender = validateLoanOffer(_loanOffer, signature, token, tokenSignature);
+        validateLoanOffer(_loanOffer, hash, lender, token, tokenSignature, false);
 
-        uint256 payment = _calculateRepayment(item.amount, item.rate, item.startedAt, item.duration);
-        emit Extend(_loanOffer.nftContractAddress, token.tokenId, _loanOffer.salt, _loanOffer.amount, payment);
+        return _rollOver(_loanOffer, lender, token.tokenId, false);
+    }
 
-        address previousLender = item.lender;
-        LendingPool memory lendingPool = lendingPools[_loanOffer.nftContractAddress];
+    /**
+    * @notice Refinances a loan of the sender onto a loan offer that needs no validator token. This function is internal.
+    * @param _loanOffer The new loan offer.
+    * @param hash The hash of the loan offer, which keeps its filled size.
+    * @param lender The recovered signer of the loan offer.
+    * @param tokenProof The tokenId of the collateral and its merkle proof, which is only checked for loan offers with a token root.
+    */
+    function refinance(LibLendingV2.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingV2.TokenProof memory tokenProof)
+    internal
+    returns (IAssetManager.LendingPaymentInfoV2 memory)
+    {
+        _assertRefinanceable(_loanOffer.nftContractAddress, tokenProof.tokenId);
+        if (_loanOffer.tokenRoot == bytes32(0)) {
+            require(keccak256(bytes(_loanOffer.traits)) == ALL_ITEMS, "loan offer requires a validator token");
+        } else {
+            require(LibTokenTree.contains(tokenProof.proof, _loanOffer.tokenRoot, tokenProof.tokenId), "token is not in the offer tree");
+        }
+
+        _validateLoanTerms(_loanOffer, hash, lender, false);
 
-        items[_loanOffer.nftContractAddress][token.tokenId].lender = lender;
-        items[_loanOffer.nftContractAddress][token.tokenId].amount = _loanOffer.amount;
-        items[_loanOffer.nftContractAddress][token.tokenId].duration = lendingPool.duration;
-        items[_loanOffer.nftContractAddress][token.tokenId].rate = lendingPool.rate;
-        items[_loanOffer.nftContractAddress][token.tokenId].startedAt = block.timestamp;
+        return _rollOver(_loanOffer, lender, tokenProof.tokenId, true);
+    }
 
-        uint256 endPrice = _loanOffer.amount + ((_loanOffer.amount * lendingPool.rate) / 1 ether);
+    /**
+    * @notice Starts a new loan of a collateralized NFT with the lender of a validated loan offer and returns the payment, the borrower repays the previous lender. This function is internal.
+    * @param _loanOffer The validated loan offer.
+    * @param lender The recovered signer of the loan offer.
+    * @param _tokenId The ID of the token used as collateral.
+    * @param _isRefinance Whether the loan is refinanced or extended, which only changes the event.
+    */
+    function _rollOver(LibLendingV2.LoanOffer memory _loanOffer, address lender, uint256 _tokenId, bool _isRefinance)
+    internal
+    returns (IAssetManager.LendingPaymentInfoV2 memory)
+    {
+        Loan storage item = items[_loanOffer.nftContractAddress][_tokenId];
+        uint256 payment = _calculateRepayment(item);
+        if (_isRefinance) {
+            emit Refinance(_loanOffer.nftContractAddress, _tokenId, _loanOffer.nonce, _loanOffer.amount, payment);
+        } else {
+            emit Extend(_loanOffer.nftContractAddress, _tokenId, _loanOffer.nonce, _loanOffer.amount, payment);
+        }
 
-        setDutchAuction(_loanOffer.nftContractAddress, token.tokenId, endPrice*3, endPrice, block.timestamp + lendingPool.duration);
+        address previousLender = item.lender;
+        _startLoan(_loanOffer, lender, _tokenId);
 
-        uint256 delegatedAmount = delegatedAmounts[_loanOffer.nftContractAddress][token.tokenId];
-        delegatedAmounts[_loanOffer.nftContractAddress][token.tokenId] = 0;
+        uint256 delegatedAmount = delegatedAmounts[_loanOffer.nftContractAddress][_tokenId];
+        delegatedAmounts[_loanOffer.nftContractAddress][_tokenId] = 0;
         return IAssetManager.LendingPaymentInfoV2({
             lender: lender,
             borrower: msg.sender,
@@ -550,31 +916,32 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         });
     }
 
-    function delegate(LibLendingV2.LoanOffer memory _loanOffer, bytes memory signature, LibLendingV2.Token memory token, bytes memory tokenSignature)
+    function delegate(LibLendingV2.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingV2.Token memory token, bytes memory tokenSignature)
     internal
     returns (IAssetManager.LendingPaymentInfoV2 memory)
     {
-        Loan memory item = items[_loanOffer.nftContractAddress][token.tokenId];
+        Loan storage item = items[_loanOffer.nftContractAddress][token.tokenId];
         require(item.lender == msg.sender, "there is no collateralized item belongs to msg.sender");
-        if (dutchAuctions[_loanOffer.nftContractAddress][token.tokenId].startTime > 0) {
-            require(block.timestamp < dutchAuctions[_loanOffer.nftContractAddress][token.tokenId].startTime, "Auction has already started. Cannot proceed with the operation");
-        }
+        _assertAuctionNotStarted(_loanOffer.nftContractAddress, token.tokenId);
 
-        address lender = validateLoanOfferToDelegate(_loanOffer, signature, token, tokenSignature);
+        validateLoanOffer(_loanOffer, hash, lender, token, tokenSignature, true);
 
         address previousLender = item.lender;
 
-        items[_loanOffer.nftContractAddress][token.tokenId].lender = lender;
+        item.lender = lender;
+        _issueNote(lenderNote, lender, _loanOffer.nftContractAddress, token.tokenId);
         uint256 payment = 0;
-        uint256 remainingAmount = items[_loanOffer.nftContractAddress][token.tokenId].amount - delegatedAmounts[_loanOffer.nftContractAddress][token.tokenId];
+        uint256 delegatedAmount = delegatedAmounts[_loanOffer.nftContractAddress][token.tokenId];
+        uint256 remainingAmount = item.amount - delegatedAmount;
         if (_loanOffer.amount >= remainingAmount) {
             payment = remainingAmount;
         } else {
             payment = _loanOffer.amount;
-            delegatedAmounts[_loanOffer.nftContractAddress][token.tokenId] += (remainingAmount - _loanOffer.amount);
+            delegatedAmount += (remainingAmount - _loanOffer.amount);
+            delegatedAmounts[_loanOffer.nftContractAddress][token.tokenId] = delegatedAmount;
         }
 
-        emit Delegate(_loanOffer.nftContractAddress, token.tokenId, _loanOffer.salt, delegatedAmounts[_loanOffer.nftContractAddress][token.tokenId], payment);
+        emit Delegate(_loanOffer.nftContractAddress, token.tokenId, _loanOffer.nonce, delegatedAmount, payment);
 
         return IAssetManager.LendingPaymentInfoV2({
             lender: lender,
@@ -591,69 +958,126 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
     /**
     * @notice Allows borrowing against an NFT based on a loan offer. This function is internal and ensures the loan has not already been taken and not been cancelled.
     * @param _loanOffer The loan offer against which the NFT is being borrowed.
-    * @param signature The lender's signature for validation.
+    * @param hash The hash of the loan offer, which keeps its filled size.
+    * @param lender The recovered signer of the loan offer.
     * @param token The token information of the NFT being used as collateral.
     * @param tokenSignature The signature validating the token's authenticity.
     */
-    function borrow(LibLendingV2.LoanOffer memory _loanOffer, bytes memory signature, LibLendingV2.Token memory token, bytes memory tokenSignature)
+    function borrow(LibLendingV2.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingV2.Token memory token, bytes memory tokenSignature)
     internal
     returns (IAssetManager.LendingPaymentInfoV2 memory)
     {
         require(items[_loanOffer.nftContractAddress][token.tokenId].startedAt == 0, "has been already borrowed");
 
-        address lender = validateLoanOffer(_loanOffer, signature, token, tokenSignature);
+        validateLoanOffer(_loanOffer, hash, lender, token, tokenSignature, false);
 
-        emit Borrow(_loanOffer.nftContractAddress, token.tokenId, _loanOffer.salt, _loanOffer.amount);
+        return _openLoan(_loanOffer, lender, token.tokenId);
+    }
 
-        items[_loanOffer.nftContractAddress][token.tokenId].borrower = msg.sender;
-        items[_loanOffer.nftContractAddress][token.tokenId].lender = lender;
-        items[_loanOffer.nftContractAddress][token.tokenId].amount = _loanOffer.amount;
-        items[_loanOffer.nftContractAddress][token.tokenId].duration = lendingPools[_loanOffer.nftContractAddress].duration;
-        items[_loanOffer.nftContractAddress][token.tokenId].rate = lendingPools[_loanOffer.nftContractAddress].rate;
-        items[_loanOffer.nftContractAddress][token.tokenId].startedAt = block.timestamp;
+    /**
+    * @notice Allows borrowing against an NFT that is proven to be a member of the token tree of the loan offer. This function is internal.
+    * @param _loanOffer The loan offer against which the NFT is being borrowed.
+    * @param hash The hash of the loan offer, which keeps its filled size.
+    * @param lender The recovered signer of the loan offer.
+    * @param tokenProof The tokenId of the collateral and its merkle proof.
+    */
+    function borrowWithProof(LibLendingV2.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingV2.TokenProof memory tokenProof)
+    internal
+    returns (IAssetManager.LendingPaymentInfoV2 memory)
+    {
+        require(items[_loanOffer.nftContractAddress][tokenProof.tokenId].startedAt == 0, "has been already borrowed");
+        require(_loanOffer.tokenRoot != bytes32(0), "loan offer has no token root");
+        require(LibTokenTree.contains(tokenProof.proof, _loanOffer.tokenRoot, tokenProof.tokenId), "token is not in the offer tree");
+
+        _validateLoanTerms(_loanOffer, hash, lender, false);
+
+        return _openLoan(_loanOffer, lender, tokenProof.tokenId);
+    }
 
-        uint256 endPrice = _loanOffer.amount + ((_loanOffer.amount * lendingPools[_loanOffer.nftContractAddress].rate) / 1 ether);
+    /**
+    * @notice Opens a loan against an NFT whose loan offer is already validated. This function is internal.
+    * @param _loanOffer The loan offer against which the NFT is being borrowed.
+    * @param lender The recovered signer of the loan offer.
+    * @param _tokenId The ID of the token used as collateral.
+    */
+    function _openLoan(LibLendingV2.LoanOffer memory _loanOffer, address lender, uint256 _tokenId)
+    internal
+    returns (IAssetManager.LendingPaymentInfoV2 memory)
+    {
+        emit Borrow(_loanOffer.nftContractAddress, _tokenId, _loanOffer.nonce, _loanOffer.amount);
 
-        setDutchAuction(_loanOffer.nftContractAddress, token.tokenId, endPrice*3, endPrice, block.timestamp + lendingPools[_loanOffer.nftContractAddress].duration);
+        items[_loanOffer.nftContractAddress][_tokenId].borrower = msg.sender;
+        _issueNote(borrowerNote, msg.sender, _loanOffer.nftContractAddress, _tokenId);
+        _startLoan(_loanOffer, lender, _tokenId);
 
         return IAssetManager.LendingPaymentInfoV2({
             lender: lender,
             borrower: msg.sender,
             previousLender: address(0x0),
             collection: _loanOffer.nftContractAddress,
-            tokenId: token.tokenId,
+            tokenId: _tokenId,
             amount: _loanOffer.amount,
             repaymentAmount: 0,
             delegatedAmount: 0
         });
     }
 
+    /**
+    * @notice Starts the loan of an NFT with the lender, amount and terms of a loan offer and schedules its Dutch auction. This function is internal.
+    * Loan offers that leave both rate and loanDuration at 0 take the terms of the pool, others must be within the limits of the pool.
+    * @param _loanOffer The validated loan offer.
+    * @param lender The recovered signer of the loan offer.
+    * @param _tokenId The ID of the token used as collateral.
+    */
+    function _startLoan(LibLendingV2.LoanOffer memory _loanOffer, address lender, uint256 _tokenId) internal {
+        uint256 duration = _loanOffer.loanDuration;
+        uint256 rate = _loanOffer.rate;
+        LendingPool storage lendingPool = lendingPools[_loanOffer.nftContractAddress];
+        if (duration == 0 && rate == 0) {
+            duration = lendingPool.duration;
+            rate = lendingPool.rate;
+        } else {
+            LoanTermLimits storage limits = loanTermLimits[_loanOffer.nftContractAddress];
+            LibLoanValidation.validateTermLimits(duration, rate, limits.minDuration, limits.maxDuration, limits.minRate, limits.maxRate);
+        }
+
+        Loan storage loan = items[_loanOffer.nftContractAddress][_tokenId];
+        loan.lender = lender;
+        _issueNote(lenderNote, lender, _loanOffer.nftContractAddress, _tokenId);
+        loan.amount = _loanOffer.amount;
+        loan.duration = duration;
+        loan.rate = rate;
+        loan.startedAt = block.timestamp;
+        loan.accrual = lendingPool.accrual;
+        loan.minInterestPeriod = lendingPool.minInterestPeriod;
+        loan.settledInterest = 0;
+
+        uint256 endPrice = _loanOffer.amount + ((_loanOffer.amount * rate) / 1 ether);
+
+        setDutchAuction(_loanOffer.nftContractAddress, _tokenId, endPrice, block.timestamp + duration);
+    }
+
     /**
     * @notice Repays the loan for a specific NFT and returns the NFT to the borrower. This function is internal.
     * @param nftContractAddress The address of the NFT contract.
     * @param _tokenId The ID of the token (NFT) for which the loan is being repaid.
     */
     function repay(address nftContractAddress, uint256 _tokenId) internal returns(IAssetManager.LendingPaymentInfoV2 memory) {
-        Loan memory item = items[nftContractAddress][_tokenId];
+        Loan storage item = items[nftContractAddress][_tokenId];
 
         require(item.borrower == msg.sender, "msg.sender is not borrower");
-        if (dutchAuctions[nftContractAddress][_tokenId].startTime > 0) {
-            require(block.timestamp < dutchAuctions[nftContractAddress][_tokenId].startTime, "Auction has already started. Cannot proceed with the operation");
-        }
+        _assertAuctionNotStarted(nftContractAddress, _tokenId);
 
-        uint256 payment = _calculateRepayment(item.amount, item.rate, item.startedAt, item.duration);
+        uint256 payment = _calculateRepayment(item);
+        address lender = item.lender;
 
         emit Repay(nftContractAddress, _tokenId, payment);
 
-        delete items[nftContractAddress][_tokenId];
-        delete dutchAuctions[nftContractAddress][_tokenId];
-
-        uint256 delegatedAmount = delegatedAmounts[nftContractAddress][_tokenId];
-        delegatedAmounts[nftContractAddress][_tokenId] = 0;
+        uint256 delegatedAmount = _closeLoan(nftContractAddress, _tokenId);
 
         return IAssetManager.LendingPaymentInfoV2({
-            borrower: item.borrower,
-            lender: item.lender,
+            borrower: msg.sender,
+            lender: lender,
             previousLender: address(0x0),
             collection: nftContractAddress,
             tokenId: _tokenId,
@@ -663,137 +1087,249 @@ contract SalvorLendingV2 is Initializable, ERC721HolderUpgradeable, EIP712Upgrad
         });
     }
 
+    /**
+    * @notice Lends the amount of a loan offer of the current lender in addition to a running loan. This function is internal.
+    * The loan offer must carry the rate and loan duration of the loan.
+    * @param _loanOffer The loan offer of the current lender.
+    * @param hash The hash of the loan offer, which keeps its filled size.
+    * @param lender The recovered signer of the loan offer.
+    * @param token The token associated with the NFT for the loan.
+    * @param tokenSignature The signature for the token, ensuring its authenticity.
+    */
+    function topUp(LibLendingV2.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingV2.Token memory token, bytes memory tokenSignature)
+    internal
+    returns (IAssetManager.LendingPaymentInfoV2 memory)
+    {
+        Loan storage item = items[_loanOffer.nftContractAddress][token.tokenId];
+        require(item.lender == lender, "top up must come from the current lender");
+        require(_loanOffer.rate == item.rate && _loanOffer.loanDuration == item.duration, "top up terms do not match the loan");
+
+        validateLoanOffer(_loanOffer, hash, lender, token, tokenSignature, false);
+
+        uint256 interest = _settleInterest(_loanOffer.nftContractAddress, token.tokenId, item.amount + _loanOffer.amount);
+        emit TopUp(_loanOffer.nftContractAddress, token.tokenId, _loanOffer.nonce, _loanOffer.amount, interest);
+
+        return IAssetManager.LendingPaymentInfoV2({
+            lender: lender,
+            borrower: msg.sender,
+            previousLender: lender,
+            collection: address(0x0),
+            tokenId: 0,
+            amount: _loanOffer.amount,
+            repaymentAmount: interest,
+            delegatedAmount: 0
+        });
+    }
+
+
+    /**
+    * @notice Changes the principal of a running loan of the sender and returns the interest accrued until now, which the borrower pays. This function is internal.
+    * The interest the new principal would have accrued until now is kept as settled, and the end price of the Dutch auction is derived from the new principal.
+    * @param nftContractAddress The address of the NFT contract.
+    * @param _tokenId The ID of the token (NFT) of the loan.
+    * @param _amount The new principal of the loan.
+    */
+    function _settleInterest(address nftContractAddress, uint256 _tokenId, uint256 _amount) internal returns (uint256 interest) {
+        Loan storage loan = items[nftContractAddress][_tokenId];
+        require(loan.borrower == msg.sender, "msg.sender is not borrower");
+        _assertAuctionNotStarted(nftContractAddress, _tokenId);
+
+        interest = _calculateRepayment(loan) - loan.amount;
+        uint256 settledInterest = _accrue(loan, _amount) - _amount;
+        loan.amount = _amount;
+        loan.settledInterest = settledInterest;
+
+        uint256 endPrice = _amount + ((_amount * loan.rate) / 1 ether) - settledInterest;
+        setDutchAuction(nftContractAddress, _tokenId, endPrice, dutchAuctions[nftContractAddress][_tokenId].startTime);
+    }
+
     /**
     * @notice Clears the debt associated with a specific NFT after the loan period has finished. This function is internal.
     * @param nftContractAddress The address of the NFT contract.
     * @param _tokenId The ID of the token (NFT) for which the debt is being cleared.
     */
     function clearDebt(address nftContractAddress, uint256 _tokenId) internal {
-        Loan memory item = items[nftContractAddress][_tokenId];
+        Loan storage item = items[nftContractAddress][_tokenId];
 
         require(item.lender == msg.sender, "msg.sender is not lender");
-        if (dutchAuctions[nftContractAddress][_tokenId].startTime > 0) {
-            require(block.timestamp > (dutchAuctions[nftContractAddress][_tokenId].startTime + dutchAuctions[nftContractAddress][_tokenId].duration), "auction period is not finished");
+        LibLiquidation.DutchAuction storage auction = dutchAuctions[nftContractAddress][_tokenId];
+        if (auction.startTime > 0) {
+            require(block.timestamp > (auction.startTime + auction.duration), "auction period is not finished");
         } else {
-            require(block.timestamp > (items[nftContractAddress][_tokenId].duration + items[nftContractAddress][_tokenId].startedAt), "loan period is not finished");
+            require(block.timestamp > (item.duration + item.startedAt), "loan period is not finished");
         }
 
         emit ClearDebt(nftContractAddress, _tokenId);
-        delegatedAmounts[nftContractAddress][_tokenId] = 0;
-        IAssetManager(assetManager).nftTransferFrom(address(this), item.lender, nftContractAddress, _tokenId);
+        _closeLoan(nftContractAddress, _tokenId);
+        IAssetManager(assetManager).nftTransferFrom(address(this), msg.sender, nftContractAddress, _tokenId);
+    }
 
+    /**
+    * @notice Deletes a loan with its Dutch auction and notes and returns the amount its lender was delegated without paying. This function is internal.
+    * @param nftContractAddress The address of the NFT contract.
+    * @param _tokenId The ID of the token (NFT) of the loan.
+    */
+    function _closeLoan(address nftContractAddress, uint256 _tokenId) internal returns (uint256 delegatedAmount) {
+        delegatedAmount = delegatedAmounts[nftContractAddress][_tokenId];
+        delegatedAmounts[nftContractAddress][_tokenId] = 0;
         delete items[nftContractAddress][_tokenId];
         delete dutchAuctions[nftContractAddress][_tokenId];
+        _cancelNote(lenderNote, nftContractAddress, _tokenId);
+        _cancelNote(borrowerNote, nftContractAddress, _tokenId);
+    }
+
+    // issues a new note of the position of a loan if the notes are set, the previous note of the position is burned
+    function _issueNote(address _note, address _to, address _nftContractAddress, uint256 _tokenId) internal {
+        if (_note != address(0)) {
+            ISalvorLoanNote(_note).issue(_to, _nftContractAddress, _tokenId);
+        }
+    }
+
+    function _cancelNote(address _note, address _nftContractAddress, uint256 _tokenId) internal {
+        if (_note != address(0)) {
+            ISalvorLoanNote(_note).cancel(_nftContractAddress, _tokenId);
+        }
     }
 
     /**
-    * @notice allows to create a dutch auction.
+    * @notice allows to create a dutch auction. The start and floor prices follow the liquidation curve of the pool.
     * @param _nftContractAddress nft contract address
     * @param _tokenId nft tokenId
-    * @param _startPrice the starting price at which the price will be decreased
-    * @param _endPrice the ending price at which the price will be stop decreasing
+    * @param _endPrice the repayment of the loan, which the start and floor prices are multiples of
     */
     function setDutchAuction(
         address _nftContractAddress,
         uint256 _tokenId,
-        uint256 _startPrice,
         uint256 _endPrice,
         uint256 _startTime
     ) internal {
-        dutchAuctions[_nftContractAddress][_tokenId].startTime = _startTime;
-        dutchAuctions[_nftContractAddress][_tokenId].duration = auctionDuration;
-        dutchAuctions[_nftContractAddress][_tokenId].dropInterval = dropInterval;
-        dutchAuctions[_nftContractAddress][_tokenId].startPrice = _startPrice;
-        dutchAuctions[_nftContractAddress][_tokenId].endPrice = _endPrice;
+        uint256 startPrice = LibLiquidation.schedule(
+            dutchAuctions[_nftContractAddress][_tokenId], liquidationCurves[_nftContractAddress], _endPrice, _startTime, auctionDuration, dropInterval
+        );
 
-        emit DutchAuctionCreated(_nftContractAddress, _tokenId, auctionDuration, dropInterval, _startPrice, _endPrice, _startTime);
+        emit DutchAuctionCreated(_nftContractAddress, _tokenId, auctionDuration, dropInterval, startPrice, _endPrice, _startTime);
     }
 
     /**
-    * @notice Validates a loan offer and corresponding token. This internal function ensures the loan offer and token meet various criteria including active pool, valid token signature, matching salts, sender authenticity, and signature expiry.
+    * @notice Validates a loan offer and corresponding token. This internal function ensures the loan offer and token meet various criteria including active pool, valid token signature, matching nonces, sender authenticity, and signature expiry.
     * @param _loanOffer The loan offer to validate.
+    * @param _hash The hash of the loan offer, which keeps its filled size.
+    * @param _lender The recovered signer of the loan offer.
     * @param _token The token associated with the loan offer.
     * @param _tokenSignature The signature of the token.
+    * @param _isDelegation Whether the loan offer takes over an existing loan from the sender.
     */
-    function validateLoanOffer(LibLendingV2.LoanOffer memory _loanOffer, bytes memory signature, LibLendingV2.Token memory _token, bytes memory _tokenSignature) internal returns (address) {
-        require(_loanOffer.amount > 0, "lend amount cannot be 0");
-        require(lendingPools[_loanOffer.nftContractAddress].isActive, "pool is not active");
-        require(_hashTypedDataV4(LibLendingV2.hashToken(_token)).recover(_tokenSignature) == validator, "token signature is not valid");
-        require(keccak256(abi.encodePacked(_token.salt)) == keccak256(abi.encodePacked(_loanOffer.salt)), "salt does not match");
-        require(_token.owner == msg.sender, "token signature does not belong to msg.sender");
-        require(_loanOffer.nftContractAddress == _token.nftContractAddress, "contract address does not match");
-        require(_token.blockNumber + blockRange > block.number, "token signature has been expired");
-        require((block.timestamp - _loanOffer.startedAt) < _loanOffer.duration, "offer has expired");
-
-        bytes32 hash = LibLendingV2.hash(_loanOffer);
-
-        require(_loanOffer.size > sizes[hash], "size is filled");
-        address lender = _validate(_loanOffer, signature);
-        require(lender==_loanOffer.lender, "lender does not match with signed data");
-        require(msg.sender != lender, "signer cannot borrow from own loan offer");
-        require(lender == _token.lender, "token and loan offer owner does not match");
-        require(cancelOfferTimestamps[lender][address(0x0)] < _loanOffer.startedAt, "offer is cancelled");
-
-        sizes[hash] += 1;
-        return lender;
-    }
-
-    function validateLoanOfferToDelegate(LibLendingV2.LoanOffer memory _loanOffer, bytes memory signature, LibLendingV2.Token memory _token, bytes memory _tokenSignature) internal returns (address) {
-        require(_loanOffer.amount > 0, "lend amount cannot be 0");
-        require(lendingPools[_loanOffer.nftContractAddress].isActive, "pool is not active");
-        require(_hashTypedDataV4(LibLendingV2.hashToken(_token)).recover(_tokenSignature) == validator, "token signature is not valid");
-        require(keccak256(abi.encodePacked(_token.salt)) == keccak256(abi.encodePacked(_loanOffer.salt)), "salt does not match");
-        require(_token.owner == msg.sender, "token signature does not belong to msg.sender");
-        require(_loanOffer.nftContractAddress == _token.nftContractAddress, "contract address does not match");
-        require(_token.blockNumber + blockRange > block.number, "token signature has been expired");
-        require((block.timestamp - _loanOffer.startedAt) < _loanOffer.duration, "offer has expired");
-
-        bytes32 hash = LibLendingV2.hash(_loanOffer);
+    function validateLoanOffer(
+        LibLendingV2.LoanOffer memory _loanOffer,
+        bytes32 _hash,
+        address _lender,
+        LibLendingV2.Token memory _token,
+        bytes memory _tokenSignature,
+        bool _isDelegation
+    ) internal {
+        _validateLoanTerms(_loanOffer, _hash, _lender, _isDelegation);
 
-        require(_loanOffer.size > sizes[hash], "size is filled");
-        address newLender = _validate(_loanOffer, signature);
-        require(newLender==_loanOffer.lender, "lender does not match with signed data");
-        require(msg.sender != newLender, "new lender and previous lender cannot be same");
-        require(newLender == _token.lender, "token and loan offer owner does not match");
-        require(cancelOfferTimestamps[newLender][address(0x0)] < _loanOffer.startedAt, "offer is cancelled");
+        LibLoanValidation.validateToken(_loanOffer, _lender, _token, _tokenSignature, _domainSeparatorV4(), validator, blockRange);
+    }
 
-        sizes[hash] += 1;
-        return newLender;
+    /**
+    * @notice Validates the terms of a loan offer that do not depend on the collateral: activity, expiry, size, signer and cancellations. It fills one item of the offer size, see LibLoanValidation.validateTerms.
+    * @param _loanOffer The loan offer to validate.
+    * @param _hash The hash of the loan offer, which keeps its filled size.
+    * @param _lender The recovered signer of the loan offer.
+    * @param _isDelegation Whether the loan offer takes over an existing loan from the sender.
+    */
+    function _validateLoanTerms(LibLendingV2.LoanOffer memory _loanOffer, bytes32 _hash, address _lender, bool _isDelegation) internal {
+        LibLoanValidation.validateTerms(
+            _loanOffer,
+            _hash,
+            _lender,
+            _isDelegation,
+            sizes,
+            lendingPools[_loanOffer.nftContractAddress].isActive,
+            cancelOfferTimestamps[_lender][address(0x0)],
+            nonceBitmaps[_lender]
+        );
     }
 
     /**
-    * @notice Calculates the total repayment amount including interest. This internal pure function is used for calculating loan repayments.
-    * @param _totalBid The principal amount of the loan.
-    * @param _interest The interest rate applied to the loan.
+    * @notice Calculates the total repayment amount including interest, accrued per started day or per second as the loan started with.
+    * The interest settled by partial repayments and top-ups is not due again.
+    * @param _loan The loan being repaid.
     * @return The total repayment amount.
     */
-    function _calculateRepayment(uint256 _totalBid, uint256 _interest, uint256 _startedAt, uint256 _duration) internal view returns (uint256) {
-        uint256 elapsedDay = ((block.timestamp - _startedAt) / 86400) + 1;
-        uint256 totalDays = _duration / 86400;
-        if (totalDays < elapsedDay) {
-            return _totalBid + ((_totalBid * _interest) / 1 ether);
-        } else {
-            return _totalBid + ((_totalBid * _interest * elapsedDay) / (1 ether * totalDays));
-        }
+    function _calculateRepayment(Loan storage _loan) internal view returns (uint256) {
+        return _accrue(_loan, _loan.amount) - _loan.settledInterest;
+    }
+
+    // the principal with the interest it accrues on the terms of the loan until now
+    function _accrue(Loan storage _loan, uint256 _amount) internal view returns (uint256) {
+        return LibInterest.repayment(_amount, _loan.rate, _loan.startedAt, _loan.duration, _loan.accrual, _loan.minInterestPeriod);
     }
 
     /**
     * @notice Ensures that the function caller is not a smart contract, allowing only EOA (Externally Owned Accounts) calls.
     */
     modifier assertNotContract() {
+        _assertNotContract();
+        _;
+    }
+
+    // the modifier body lives in a function so that it is not inlined into every batch function
+    function _assertNotContract() internal view {
         require(msg.sender == tx.origin, 'Error: Unauthorized smart contract access');
+    }
+
+    // checks the common limits of the batch functions
+    function _assertBatch(uint256 _len, bool _inputsMatch) internal pure {
+        require(_len <= 20, "exceeded the limits");
+        require(_inputsMatch, "inputs do not match");
+    }
+
+    // loans cannot be repaid, extended or delegated once their Dutch auction has started
+    function _assertAuctionNotStarted(address _nftContractAddress, uint256 _tokenId) internal view {
+        uint256 startTime = dutchAuctions[_nftContractAddress][_tokenId].startTime;
+        if (startTime > 0) {
+            require(block.timestamp < startTime, "Auction has already started. Cannot proceed with the operation");
+        }
+    }
+
+    // only the borrower can move a loan onto a new loan offer, before its Dutch auction started
+    function _assertRefinanceable(address _nftContractAddress, uint256 _tokenId) internal view {
+        require(items[_nftContractAddress][_tokenId].borrower == msg.sender, "there is no collateralized item belongs to msg.sender");
+        _assertAuctionNotStarted(_nftContractAddress, _tokenId);
+    }
+
+    // pools are configured by the owner or the admin
+    function _assertAuthorized() internal view {
+        require(msg.sender == owner() || msg.sender == admin, "not authorized");
+    }
+
+    /**
+    * @notice Ensures that loan offers signed with a string salt are still honored.
+    */
+    modifier legacyAllowed() {
+        _assertLegacyAllowed();
         _;
     }
 
+    function _assertLegacyAllowed() internal view {
+        require(block.timestamp < legacyCutoff, "legacy orders are no longer accepted");
+    }
+
     /**
     * @notice Ensures that a given address is not the zero address.
     * @param _address The address to check.
     */
     modifier addressIsNotZero(address _address) {
-        require(_address != address(0), "Given address must be a non-zero address");
+        _assertAddressIsNotZero(_address);
         _;
     }
 
+    function _assertAddressIsNotZero(address _address) internal pure {
+        require(_address != address(0), "Given address must be a non-zero address");
+    }
+
     /**
     * @notice makes sure auction is started
     * @param _nftContractAddress nft contract address
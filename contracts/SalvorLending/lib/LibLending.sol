@@ -1,16 +1,21 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.16;
 
+import "../../libs/LibNonce.sol";
+
 library LibLendingV2 {
 
     bytes constant offerTypeString = abi.encodePacked(
         "LoanOffer(",
         "address nftContractAddress,",
         "address lender,",
-        "string salt,",
+        "uint256 nonce,",
         "string traits,",
+        "bytes32 tokenRoot,",
         "uint256 duration,",
         "uint256 amount,",
+        "uint256 rate,",
+        "uint256 loanDuration,",
         "uint256 size,",
         "uint256 startedAt",
         ")"
@@ -21,7 +26,7 @@ library LibLendingV2 {
     bytes constant tokenTypeString = abi.encodePacked(
         "Token(",
         "uint256 tokenId,",
-        "string salt,",
+        "uint256 nonce,",
         "string traits,",
         "uint256 blockNumber,",
         "address owner,",
@@ -32,20 +37,45 @@ library LibLendingV2 {
 
     bytes32 constant TOKEN_TYPEHASH = keccak256(tokenTypeString);
 
+    // type string of the loan offers signed with a string salt, they are honored until the legacy cutoff
+    bytes constant legacyOfferTypeString = abi.encodePacked(
+        "LoanOffer(",
+        "address nftContractAddress,",
+        "address lender,",
+        "string salt,",
+        "string traits,",
+        "uint256 duration,",
+        "uint256 amount,",
+        "uint256 size,",
+        "uint256 startedAt",
+        ")"
+    );
+
+    bytes32 constant LEGACY_OFFER_TYPEHASH = keccak256(legacyOfferTypeString);
+
     struct LoanOffer {
         address nftContractAddress;
         address lender;
-        string salt;
+        uint256 nonce; // lender nonce, the offer is cancelled once it is invalidated
         string traits;
-        uint duration;
+        bytes32 tokenRoot; // merkle root of the eligible tokenIds, offers with a root are borrowed with a proof instead of a validator token
+        uint duration; // validity of the offer
         uint amount;
+        uint rate; // interest rate of the loan, the loan takes the pool terms when both rate and loanDuration are 0
+        uint loanDuration; // duration of the loan in day units, within the pool limits
         uint size;
         uint startedAt;
     }
 
+    // borrows from a loan offer that commits to a token tree
+    struct TokenProof {
+        uint256 tokenId;
+        bytes32[] proof;
+    }
+
     struct Token {
         uint256 tokenId;
-        string salt;
+        uint256 nonce; // nonce of the loan offer
         string traits;
         uint blockNumber;
         address owner;
@@ -53,15 +83,29 @@ library LibLendingV2 {
         address lender;
     }
 
+    struct LegacyLoanOffer {
+        address nftContractAddress;
+        address lender;
+        string salt;
+        string traits;
+        uint duration;
+        uint amount;
+        uint size;
+        uint startedAt;
+    }
+
     function hash(LoanOffer memory loanOffer) internal pure returns (bytes32) {
         return keccak256(abi.encode(
             OFFER_TYPEHASH,
             loanOffer.nftContractAddress,
             loanOffer.lender,
-            keccak256(bytes(loanOffer.salt)),
+            loanOffer.nonce,
             keccak256(bytes(loanOffer.traits)),
+            loanOffer.tokenRoot,
             loanOffer.duration,
             loanOffer.amount,
+            loanOffer.rate,
+            loanOffer.loanDuration,
             loanOffer.size,
             loanOffer.startedAt
         ));
@@ -71,7 +115,7 @@ library LibLendingV2 {
         return keccak256(abi.encode(
             TOKEN_TYPEHASH,
             token.tokenId,
-            keccak256(bytes(token.salt)),
+            token.nonce,
             keccak256(bytes(token.traits)),
             token.blockNumber,
             token.owner,
@@ -79,4 +123,35 @@ library LibLendingV2 {
             token.lender
         ));
     }
-}
\ No newline at end of file
+
+    function hashLegacy(LegacyLoanOffer memory loanOffer) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            LEGACY_OFFER_TYPEHASH,
+            loanOffer.nftContractAddress,
+            loanOffer.lender,
+            keccak256(bytes(loanOffer.salt)),
+            keccak256(bytes(loanOffer.traits)),
+            loanOffer.duration,
+            loanOffer.amount,
+            loanOffer.size,
+            loanOffer.startedAt
+        ));
+    }
+
+    // converts a legacy loan offer, its nonce is derived from the salt and the loan takes the pool terms
+    function fromLegacy(LegacyLoanOffer memory loanOffer) internal pure returns (LoanOffer memory) {
+        return LoanOffer({
+            nftContractAddress: loanOffer.nftContractAddress,
+            lender: loanOffer.lender,
+            nonce: LibNonce.fromSalt(loanOffer.salt),
+            traits: loanOffer.traits,
+            tokenRoot: bytes32(0),
+            duration: loanOffer.duration,
+            amount: loanOffer.amount,
+            rate: 0,
+            loanDuration: 0,
+            size: loanOffer.size,
+            startedAt: loanOffer.startedAt
+        });
+    }
+}
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+// Dutch auctions of the defaulted NFT loans. Its functions are public so that the library is deployed on its own and linked to SalvorLendingV2,
+// which keeps the lending contract under the contract size limit.
+library LibLiquidation {
+    // the price drops by the same amount at every drop interval
+    uint8 constant LINEAR = 0;
+    // the price keeps the decay factor of its part above the floor at every drop interval
+    uint8 constant EXPONENTIAL = 1;
+
+    struct DutchAuction {
+        // duration of the auction
+        uint256 duration;
+        // drop interval timestamp. e.g 5 minutes
+        uint256 dropInterval;
+        // the auction starting time
+        uint256 startTime;
+        // maximum amount for the nft at the beginning of the auction
+        uint256 startPrice;
+        // the repayment of the loan, the lender is paid up to this amount
+        uint256 endPrice;
+        // the lowest price of the auction, 0 for auctions created before the liquidation curves, which end at their end price
+        uint256 floorPrice;
+        // LINEAR or EXPONENTIAL
+        uint8 decay;
+        // share of the price above the floor kept at every drop of an exponential decay, 1 ether is 100%
+        uint256 decayFactor;
+    }
+
+    // liquidation settings of a pool
+    struct Curve {
+        uint256 startMultiplier; // Start price of the auction as a multiple of its end price, 1 ether is 1x
+        uint256 floorMultiplier; // Lowest price of the auction as a multiple of its end price, 1 ether is 1x
+        uint8 decay;             // LINEAR or EXPONENTIAL
+        uint256 decayFactor;     // Share of the price above the floor kept at every drop of an exponential decay, 1 ether is 100%
+    }
+
+    /**
+    * @notice Validates and stores the liquidation curve of a pool.
+    * @param curve The liquidation curve of the pool.
+    * @param _startMultiplier The start price of the auction as a multiple of its end price, 1 ether is 1x.
+    * @param _floorMultiplier The lowest price of the auction as a multiple of its end price, 1 ether is 1x.
+    * @param _decay LINEAR or EXPONENTIAL.
+    * @param _decayFactor The share of the price above the floor kept at every drop of an exponential decay, 1 ether is 100%.
+    */
+    function setCurve(Curve storage curve, uint256 _startMultiplier, uint256 _floorMultiplier, uint8 _decay, uint256 _decayFactor) public {
+        require(_floorMultiplier > 0 && _floorMultiplier <= _startMultiplier, "floor cannot exceed the start");
+        require(_decay <= EXPONENTIAL && _decayFactor < 1 ether, "unknown decay");
+        curve.startMultiplier = _startMultiplier;
+        curve.floorMultiplier = _floorMultiplier;
+        curve.decay = _decay;
+        curve.decayFactor = _decayFactor;
+    }
+
+    /**
+    * @notice Schedules the Dutch auction of a loan on the liquidation curve of its pool and returns its start price.
+    * Pools without a curve start at 3x the end price and drop linearly to it.
+    * @param auction The Dutch auction of the loan.
+    * @param curve The liquidation curve of the pool.
+    * @param _endPrice The repayment of the loan, which the start and floor prices are multiples of.
+    * @param _startTime The timestamp the auction starts at, when the loan is due.
+    * @param _duration The duration of the auction.
+    * @param _dropInterval The interval between the price drops.
+    */
+    function schedule(DutchAuction storage auction, Curve storage curve, uint256 _endPrice, uint256 _startTime, uint256 _duration, uint256 _dropInterval) public returns (uint256 startPrice) {
+        uint256 startMultiplier = curve.startMultiplier;
+        uint256 floorMultiplier = curve.floorMultiplier;
+        if (startMultiplier == 0) {
+            startMultiplier = 3 ether;
+            floorMultiplier = 1 ether;
+        }
+        startPrice = (_endPrice * startMultiplier) / 1 ether;
+        auction.startTime = _startTime;
+        auction.duration = _duration;
+        auction.dropInterval = _dropInterval;
+        auction.startPrice = startPrice;
+        auction.endPrice = _endPrice;
+        auction.floorPrice = (_endPrice * floorMultiplier) / 1 ether;
+        auction.decay = curve.decay;
+        auction.decayFactor = curve.decayFactor;
+    }
+
+    /**
+    * @notice Returns the current price of a Dutch auction, it drops from the start price to the floor price at every drop interval and stays there once the auction is over.
+    * @param auction The Dutch auction.
+    */
+    function price(DutchAuction storage auction) public view returns (uint256) {
+        if (block.timestamp < auction.startTime) {
+            return auction.startPrice;
+        }
+
+        uint256 floorPrice = auction.floorPrice;
+        if (floorPrice == 0) {
+            floorPrice = auction.endPrice;
+        }
+        if ((block.timestamp - auction.startTime) > auction.duration) {
+            return floorPrice;
+        }
+        uint256 diffPrice = auction.startPrice - floorPrice;
+        uint256 steps = (block.timestamp - auction.startTime) / auction.dropInterval;
+        if (auction.decay == EXPONENTIAL) {
+            return floorPrice + (diffPrice * _pow(auction.decayFactor, steps)) / 1 ether;
+        }
+        uint256 dropsPerStep = diffPrice / (auction.duration / auction.dropInterval);
+        return auction.startPrice - (steps * dropsPerStep);
+    }
+
+    /**
+    * @notice Raises a decay factor to the number of drops by squaring, so that the price of an auction with many drops costs a few multiplications.
+    * @param _factor The decay factor, 1 ether is 100%.
+    * @param _exponent The number of drops.
+    */
+    function _pow(uint256 _factor, uint256 _exponent) private pure returns (uint256 result) {
+        result = 1 ether;
+        while (_exponent > 0) {
+            if (_exponent % 2 == 1) {
+                result = (result * _factor) / 1 ether;
+            }
+            _factor = (_factor * _factor) / 1 ether;
+            _exponent /= 2;
+        }
+    }
+}
@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "./LibLending.sol";
+import "../../libs/LibNonce.sol";
+
+// signature recovery and checks of the loan offers taken on SalvorLendingV2. Its functions are public so that the library is deployed on its own and linked to the lending contract,
+// which keeps it under the contract size limit.
+library LibLoanValidation {
+    /**
+    * @notice Returns the hash of a loan offer, which keeps its filled size.
+    * @param _loanOffer The loan offer to hash.
+    */
+    function hashOffer(LibLendingV2.LoanOffer memory _loanOffer) public pure returns (bytes32) {
+        return LibLendingV2.hash(_loanOffer);
+    }
+
+    /**
+    * @notice Returns the hash of a loan offer, which keeps its filled size, along with its signer.
+    * @param _loanOffer The loan offer to recover.
+    * @param _signature The signature associated with the loan offer.
+    * @param _domainSeparator The EIP-712 domain separator of the lending contract.
+    */
+    function recover(LibLendingV2.LoanOffer memory _loanOffer, bytes memory _signature, bytes32 _domainSeparator) public pure returns (bytes32 hash, address lender) {
+        hash = LibLendingV2.hash(_loanOffer);
+        lender = ECDSAUpgradeable.recover(ECDSAUpgradeable.toTypedDataHash(_domainSeparator, hash), _signature);
+    }
+
+    /**
+    * @notice Converts a loan offer signed with a string salt and returns it along with its legacy hash and its signer.
+    * @param _loanOffer The legacy loan offer to recover.
+    * @param _signature The signature associated with the loan offer.
+    * @param _domainSeparator The EIP-712 domain separator of the lending contract.
+    */
+    function recoverLegacy(LibLendingV2.LegacyLoanOffer memory _loanOffer, bytes memory _signature, bytes32 _domainSeparator)
+    public
+    pure
+    returns (LibLendingV2.LoanOffer memory loanOffer, bytes32 hash, address lender)
+    {
+        hash = LibLendingV2.hashLegacy(_loanOffer);
+        lender = ECDSAUpgradeable.recover(ECDSAUpgradeable.toTypedDataHash(_domainSeparator, hash), _signature);
+        loanOffer = LibLendingV2.fromLegacy(_loanOffer);
+    }
+
+    /**
+    * @notice Validates the terms of a loan offer that do not depend on the collateral: activity, expiry, size, signer and cancellations. It fills one item of the offer size.
+    * @param _loanOffer The loan offer to validate.
+    * @param _hash The hash of the loan offer, which keeps its filled size.
+    * @param _lender The recovered signer of the loan offer.
+    * @param _isDelegation Whether the loan offer takes over an existing loan from the sender.
+    * @param sizes The filled sizes of the loan offers by their hashes.
+    * @param _isPoolActive Whether the pool of the loan offer is active.
+    * @param _cancelledAt The timestamp the lender cancelled all of their offers at.
+    * @param nonceBitmap The nonce bitmap of the lender.
+    */
+    function validateTerms(
+        LibLendingV2.LoanOffer memory _loanOffer,
+        bytes32 _hash,
+        address _lender,
+        bool _isDelegation,
+        mapping(bytes32 => uint256) storage sizes,
+        bool _isPoolActive,
+        uint256 _cancelledAt,
+        mapping(uint256 => uint256) storage nonceBitmap
+    ) public {
+        require(_loanOffer.amount > 0, "lend amount cannot be 0");
+        require(_isPoolActive, "pool is not active");
+        require((block.timestamp - _loanOffer.startedAt) < _loanOffer.duration, "offer has expired");
+
+        require(_loanOffer.size > sizes[_hash], "size is filled");
+        require(_lender == _loanOffer.lender, "lender does not match with signed data");
+        require(msg.sender != _lender, _isDelegation ? "new lender and previous lender cannot be same" : "signer cannot borrow from own loan offer");
+        require(_cancelledAt < _loanOffer.startedAt, "offer is cancelled");
+        require(!LibNonce.isUsed(nonceBitmap, _loanOffer.nonce), "offer is cancelled");
+
+        sizes[_hash] += 1;
+    }
+
+    /**
+    * @notice Validates the validator token of the collateral of a loan offer.
+    * @param _loanOffer The loan offer to validate.
+    * @param _lender The recovered signer of the loan offer.
+    * @param _token The token associated with the loan offer.
+    * @param _tokenSignature The signature of the token.
+    * @param _domainSeparator The EIP-712 domain separator of the lending contract.
+    * @param _validator The address of the validator.
+    * @param _blockRange The number of blocks a token is valid for.
+    */
+    function validateToken(
+        LibLendingV2.LoanOffer memory _loanOffer,
+        address _lender,
+        LibLendingV2.Token memory _token,
+        bytes memory _tokenSignature,
+        bytes32 _domainSeparator,
+        address _validator,
+        uint256 _blockRange
+    ) public view {
+        address tokenSigner = ECDSAUpgradeable.recover(ECDSAUpgradeable.toTypedDataHash(_domainSeparator, LibLendingV2.hashToken(_token)), _tokenSignature);
+        require(_loanOffer.tokenRoot == bytes32(0), "loan offer requires a token proof");
+        require(tokenSigner == _validator, "token signature is not valid");
+        require(_token.nonce == _loanOffer.nonce, "nonce does not match");
+        require(_token.owner == msg.sender, "token signature does not belong to msg.sender");
+        require(_loanOffer.nftContractAddress == _token.nftContractAddress, "contract address does not match");
+        require(_token.blockNumber + _blockRange > block.number, "token signature has been expired");
+        require(_lender == _token.lender, "token and loan offer owner does not match");
+    }
+
+    /**
+    * @notice Validates the loan duration and the rate of a loan offer with its own terms against the limits of the pool, which must be set.
+    * @param _duration The loan duration of the offer.
+    * @param _rate The interest rate of the offer.
+    * @param _minDuration The shortest loan duration of the pool.
+    * @param _maxDuration The longest loan duration of the pool, 0 while the limits are not set.
+    * @param _minRate The lowest interest rate of the pool.
+    * @param _maxRate The highest interest rate of the pool.
+    */
+    function validateTermLimits(uint256 _duration, uint256 _rate, uint256 _minDuration, uint256 _maxDuration, uint256 _minRate, uint256 _maxRate) public pure {
+        require(_maxDuration > 0, "term limits are not set");
+        require(_duration % 86400 == 0 && _duration >= _minDuration && _duration <= _maxDuration, "loan duration is out of the pool limits");
+        require(_rate >= _minRate && _rate <= _maxRate, "rate is out of the pool limits");
+    }
+}
@@ -0,0 +1,8 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+// the part of the Chainlink AggregatorV3Interface the price feeds of the collaterals are read with
+interface IAggregatorV3 {
+	function decimals() external view returns (uint8);
+	function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
@@ -13,10 +13,15 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC721/utils/ERC721HolderUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20MetadataUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
 
 import "../AssetManager/IAssetManager.sol";
 import "./lib/LibLendingERC20.sol";
+import "./IAggregatorV3.sol";
+import "../libs/LibNonce.sol";
+import "../libs/LibInterest.sol";
 
 /**
 * @title Salvor Lending ERC20
@@ -31,12 +36,45 @@ contract SalvorLendingERC20 is Initializable, EIP712Upgradeable, OwnableUpgradea
         uint256 duration;
         uint256 rate;
         uint256 startedAt;
+        uint8 accrual;
+        uint256 minInterestPeriod;
+    }
+
+    // How the interest of the loans against a collateral accrues, see LibInterest
+    struct AccrualMode {
+        uint8 accrual;
+        uint256 minInterestPeriod;
+    }
+
+    // Price feed of a collateral, the loans against it can be liquidated once their loan to value exceeds the liquidation threshold
+    struct PriceFeed {
+        address aggregator;           // Chainlink-style aggregator answering the price of a whole collateral token in the lent currency
+        uint256 liquidationThreshold; // the highest loan to value of a healthy loan, 1 ether is 100%
+        uint256 liquidationBonus;     // the collateral the liquidator receives on top of the repayment, 1 ether is 100% of the repayment
+        uint256 maxDelay;             // the answers of the aggregator older than it are stale
+    }
+
+    // Keys of a loan of loansByNonce
+    struct LoanKey {
+        address borrower;
+        address collateralizedAsset;
+        address lender;
+        uint256 nonce;
+    }
+
+    // A loan of a user as listed by getLoansOf
+    struct LoanDetails {
+        LoanKey key;
+        Loan loan;
+        uint256 repayment; // amount the loan is repaid with now, principal and accrued interest
+        bool isDefaulted;  // whether the duration of the loan is over, the lender can then clear the debt
     }
 
     string private constant SIGNING_DOMAIN = "SalvorLendingERC20";
     string private constant SIGNATURE_VERSION = "1";
     using ECDSAUpgradeable for bytes32;
-    // borrower => collateralizedAsset => lender => salt => Loan
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.Bytes32Set;
+    // borrower => collateralizedAsset => lender => salt => Loan, loans taken from offers signed with a string salt before the upgrade
     mapping(address => mapping(address => mapping(address => mapping(string => Loan)))) public loans;
 
     // Mapping that stores the sizes of loans or assets, identified by a unique bytes32 hash
@@ -58,12 +96,40 @@ contract SalvorLendingERC20 is Initializable, EIP712Upgradeable, OwnableUpgradea
 
     mapping(address => mapping(address => uint256)) public cancelOfferTimestamps;
 
+    // borrower => collateralizedAsset => lender => nonce => Loan
+    mapping(address => mapping(address => mapping(address => mapping(uint256 => Loan)))) public loansByNonce;
+
+    // lender => word position => bitmap of invalidated nonces, see LibNonce
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmaps;
+
+    // Loan offers signed with a string salt are honored until this timestamp
+    uint256 public legacyCutoff;
+
+    // collateralizedAsset => accrual mode of the new loans against it
+    mapping(address => AccrualMode) public accrualModes;
+
+    // collateralizedAsset => price feed the loans against it are liquidated with, loans against collaterals without a feed cannot be liquidated
+    mapping(address => PriceFeed) public priceFeeds;
+
+    // id of a running loan => its keys in loansByNonce, see _loanId
+    mapping(bytes32 => LoanKey) public loanKeys;
+
+    // lender => ids of the running loans of the lender, loans taken before the loans were enumerated are not listed
+    mapping(address => EnumerableSetUpgradeable.Bytes32Set) private lenderLoans;
+
+    // borrower => ids of the running loans of the borrower
+    mapping(address => EnumerableSetUpgradeable.Bytes32Set) private borrowerLoans;
+
     // events
-    event Borrow(address indexed borrower, address indexed collateralizedAsset, address indexed lender, string salt, uint256 collateralizedAmount, uint256 lentAmount);
-    event Repay(address indexed borrower, address indexed collateralizedAsset, address indexed lender, string salt, uint256 repaidAmount);
-    event ClearDebt(address indexed borrower, address indexed collateralizedAsset, address indexed lender, string salt, uint256 amount);
+    event Borrow(address indexed borrower, address indexed collateralizedAsset, address indexed lender, uint256 nonce, uint256 collateralizedAmount, uint256 lentAmount);
+    event Repay(address indexed borrower, address indexed collateralizedAsset, address indexed lender, uint256 nonce, uint256 repaidAmount);
+    event ClearDebt(address indexed borrower, address indexed collateralizedAsset, address indexed lender, uint256 nonce, uint256 amount);
     event Cancel(address indexed collateralizedAsset, address indexed lender, string salt);
     event CancelOffer(address indexed user);
+    event CancelNonces(address indexed user, uint256 indexed wordPos, uint256 mask);
+    event SetAccrualMode(address indexed collateralizedAsset, uint8 accrual, uint256 minInterestPeriod);
+    event SetPriceFeed(address indexed collateralizedAsset, address aggregator, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 maxDelay);
+    event Liquidate(address indexed borrower, address indexed collateralizedAsset, address indexed lender, uint256 nonce, address liquidator, uint256 repaidAmount, uint256 seizedAmount, uint256 returnedAmount);
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -100,6 +166,14 @@ contract SalvorLendingERC20 is Initializable, EIP712Upgradeable, OwnableUpgradea
         blockRange = _blockRange;
     }
 
+    /**
+    * @notice Sets the timestamp until which loan offers signed with a string salt are honored. This action can only be performed by the contract owner.
+    * @param _legacyCutoff The cutoff timestamp, legacy loan offers are rejected from this timestamp on.
+    */
+    function setLegacyCutoff(uint256 _legacyCutoff) external onlyOwner {
+        legacyCutoff = _legacyCutoff;
+    }
+
     /**
     * @notice Allows the contract owner to set whether an ERC20 token address is allowed as collateral.
     * @param asset The address of the ERC20 token to be set as allowed or disallowed.
@@ -109,6 +183,33 @@ contract SalvorLendingERC20 is Initializable, EIP712Upgradeable, OwnableUpgradea
         allowedAssets[asset] = isActive;
     }
 
+    /**
+    * @notice Allows the contract owner to set how the interest of the new loans against a collateral accrues. Running loans keep the accrual mode they started with.
+    * @param asset The address of the ERC20 token used as collateral.
+    * @param accrual LibInterest.DAILY charges every started day, LibInterest.PER_SECOND prorates the interest per second.
+    * @param minInterestPeriod The shortest period interest is charged for when it accrues per second.
+    */
+    function setAccrualMode(address asset, uint8 accrual, uint256 minInterestPeriod) external onlyOwner {
+        require(accrual <= LibInterest.PER_SECOND, "unknown accrual");
+        accrualModes[asset] = AccrualMode(accrual, minInterestPeriod);
+        emit SetAccrualMode(asset, accrual, minInterestPeriod);
+    }
+
+    /**
+    * @notice Allows the contract owner to set the price feed the loans against a collateral are liquidated with. The zero aggregator removes the feed.
+    * @param asset The address of the ERC20 token used as collateral.
+    * @param aggregator The Chainlink-style aggregator of the price of a whole collateral token in the lent currency.
+    * @param liquidationThreshold The highest loan to value of a healthy loan, 1 ether is 100%.
+    * @param liquidationBonus The collateral the liquidator receives on top of the repayment, 1 ether is 100% of the repayment.
+    * @param maxDelay The longest time since the last answer of the aggregator the price is accepted for.
+    */
+    function setPriceFeed(address asset, address aggregator, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 maxDelay) external onlyOwner {
+        require(aggregator == address(0) || (liquidationThreshold > 0 && liquidationThreshold <= 1 ether), "invalid liquidation threshold");
+        require(liquidationBonus <= 1 ether, "invalid liquidation bonus");
+        priceFeeds[asset] = PriceFeed(aggregator, liquidationThreshold, liquidationBonus, maxDelay);
+        emit SetPriceFeed(asset, aggregator, liquidationThreshold, liquidationBonus, maxDelay);
+    }
+
     /**
     * @notice Assigns a new validator address. Restricted to actions by the contract owner.
     * @param _validator The new validator's address, which cannot be the zero address.
@@ -142,11 +243,50 @@ contract SalvorLendingERC20 is Initializable, EIP712Upgradeable, OwnableUpgradea
         return _hashTypedDataV4(hash).recover(signature);
     }
 
+    /**
+    * @notice Cancels a loan offer signed with a string salt. It is only available until the legacy cutoff,
+    * loan offers signed with a nonce are cancelled with invalidateNonces.
+    * @param loanOffer The legacy loan offer to be cancelled.
+    * @param signature The signature of the lender verifying the loan offer.
+    */
+    function cancelOffer(LibLendingERC20.LegacyLoanOffer memory loanOffer, bytes memory signature) whenNotPaused nonReentrant legacyAllowed external {
+        require(loanOffer.startedAt > 0, "non existent offer");
+        bytes32 hash = LibLendingERC20.hashLegacy(loanOffer);
+        address lender = _hashTypedDataV4(hash).recover(signature);
+        require(msg.sender == lender, "msg.sender is not authorized");
+        require(loanOffer.lender == lender, "lender does not match");
+
+        require(!fills[hash], "order has been already cancelled");
+        fills[hash] = true;
+
+        emit Cancel(loanOffer.collateralizedAsset, loanOffer.lender, loanOffer.salt);
+    }
+
     function cancelAllOffers() external whenNotPaused {
         cancelOfferTimestamps[msg.sender][address(0x0)] = block.timestamp;
         emit CancelOffer(msg.sender);
     }
 
+    /**
+    * @notice Cancels the loan offers of the sender whose nonces are set in the mask. A word covers 256 consecutive nonces.
+    * Legacy loan offers are cancelled by the nonce derived from their salt.
+    * @param wordPos The index of the word in the nonce bitmap, i.e. nonce >> 8.
+    * @param mask The bits of the nonces to be cancelled, i.e. 1 << (nonce & 0xff).
+    */
+    function invalidateNonces(uint256 wordPos, uint256 mask) external whenNotPaused {
+        LibNonce.invalidate(nonceBitmaps[msg.sender], wordPos, mask);
+        emit CancelNonces(msg.sender, wordPos, mask);
+    }
+
+    /**
+    * @notice Checks whether the nonce of the lender is invalidated.
+    * @param lender The owner of the nonce.
+    * @param nonce The nonce to be checked.
+    */
+    function isNonceUsed(address lender, uint256 nonce) external view returns (bool) {
+        return LibNonce.isUsed(nonceBitmaps[lender], nonce);
+    }
+
     /**
     * @notice Allows a borrower to take out a loan by providing a valid loan offer, the corresponding signatures, and the token details.
     * @param _loanOffer The loan offer struct containing the loan terms.
@@ -159,49 +299,108 @@ contract SalvorLendingERC20 is Initializable, EIP712Upgradeable, OwnableUpgradea
     whenNotPaused
     external
     {
-        Loan storage loan = loans[msg.sender][_loanOffer.collateralizedAsset][_loanOffer.lender][_loanOffer.salt];
-        require(loan.startedAt == 0, "has been already borrowed");
-        require(_loanOffer.price < (token.amount * 1 ether), "Loan offer price must be less than the token amount in wei.");
+        bytes32 hash = LibLendingERC20.hash(_loanOffer);
+        _borrow(_loanOffer, hash, _hashTypedDataV4(hash).recover(signature), token, tokenSignature);
+    }
 
-        validateLoanOffer(_loanOffer, signature, token, tokenSignature);
+    /**
+    * @notice Allows a borrower to take out a loan from a loan offer signed with a string salt. It is only available until the legacy cutoff.
+    * The loan is kept by the nonce derived from the salt.
+    * @param _loanOffer The legacy loan offer struct containing the loan terms.
+    * @param signature The signature of the lender verifying the loan offer.
+    * @param token The token struct containing the details of the ERC20 token used for the loan, its orderHash is the legacy hash of the offer.
+    * @param tokenSignature The signature of the borrower verifying the token details.
+    */
+    function borrowLegacy(LibLendingERC20.LegacyLoanOffer memory _loanOffer, bytes memory signature, LibLendingERC20.Token memory token, bytes memory tokenSignature)
+    nonReentrant
+    whenNotPaused
+    legacyAllowed
+    external
+    {
+        bytes32 hash = LibLendingERC20.hashLegacy(_loanOffer);
+        _borrow(LibLendingERC20.fromLegacy(_loanOffer), hash, _hashTypedDataV4(hash).recover(signature), token, tokenSignature);
+    }
 
-        uint256 collateralizedAmount = (token.amount * 1 ether) / _loanOffer.price;
+    /**
+    * @notice Allows a borrower to repay an active loan, returning the collateral and settling the debt.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _lender The address of the lender.
+    * @param _nonce The nonce of the loan offer, used to differentiate between loans with the same borrower, lender, and collateral.
+    */
+    function repay(address _collateralizedAsset, address _lender, uint256 _nonce) whenNotPaused nonReentrant public {
+        _repay(loansByNonce[msg.sender][_collateralizedAsset][_lender][_nonce], _collateralizedAsset, _lender, _nonce);
+        _deleteLoan(msg.sender, _collateralizedAsset, _lender, _nonce);
+    }
 
-        emit Borrow(msg.sender, _loanOffer.collateralizedAsset, _loanOffer.lender, _loanOffer.salt, collateralizedAmount, token.amount);
-        SafeERC20Upgradeable.safeTransferFrom(IERC20Upgradeable(_loanOffer.collateralizedAsset), msg.sender, address(this), collateralizedAmount);
-        IAssetManager(assetManager).payERC20Lending(_loanOffer.lender, msg.sender, token.amount);
+    /**
+	* @notice Allows a borrower to repay an active loan using ETH, which is then converted to the ERC20 token used as collateral.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _lender The address of the lender.
+    * @param _nonce The nonce of the loan offer, used to differentiate between loans with the same borrower, lender, and collateral.
+    */
+    function repayETH(address _collateralizedAsset, address _lender, uint256 _nonce) external payable {
+        IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
+        repay(_collateralizedAsset, _lender, _nonce);
+    }
 
-        loan.rate = _loanOffer.rate;
-        loan.lentAmount = token.amount;
-        loan.collateralizedAmount = collateralizedAmount;
-        loan.startedAt = block.timestamp;
-        loan.duration = _loanOffer.duration;
+    /**
+    * @notice Allows a lender to claim the collateral of a loan if the borrower has not repaid the loan after the loan period has ended.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _borrower The address of the borrower.
+    * @param _nonce The nonce of the loan offer, used to differentiate between loans with the same borrower, lender, and collateral.
+    */
+    function clearDebt(address _collateralizedAsset, address _borrower, uint256 _nonce) whenNotPaused nonReentrant external {
+        _clearDebt(loansByNonce[_borrower][_collateralizedAsset][msg.sender][_nonce], _collateralizedAsset, _borrower, _nonce);
+        _deleteLoan(_borrower, _collateralizedAsset, msg.sender, _nonce);
     }
 
     /**
-    * @notice Allows a borrower to repay an active loan, returning the collateral and settling the debt.
+    * @notice Allows anyone to liquidate a running loan whose loan to value exceeds the liquidation threshold of its collateral.
+    * The liquidator pays the repayment of the loan to the lender and receives the collateral worth the repayment and the liquidation bonus,
+    * the rest of the collateral is returned to the borrower.
     * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _borrower The address of the borrower.
     * @param _lender The address of the lender.
-    * @param _salt A unique identifier for the loan, used to differentiate between loans with the same borrower, lender, and collateral.
+    * @param _nonce The nonce of the loan offer, used to differentiate between loans with the same borrower, lender, and collateral.
     */
-    function repay(address _collateralizedAsset, address _lender, string memory _salt) whenNotPaused nonReentrant public {
-        Loan memory loan = loans[msg.sender][_collateralizedAsset][_lender][_salt];
-
-        require(loan.startedAt > 0, "there is not any active loan");
+    function liquidate(address _collateralizedAsset, address _borrower, address _lender, uint256 _nonce) whenNotPaused nonReentrant external {
+        Loan memory loan = loansByNonce[_borrower][_collateralizedAsset][_lender][_nonce];
+        require(getHealthFactor(_borrower, _collateralizedAsset, _lender, _nonce) < 1 ether, "loan is healthy");
+
+        uint256 payment = _calculateRepayment(loan);
+        uint256 seized = payment * (1 ether + priceFeeds[_collateralizedAsset].liquidationBonus) / 1 ether;
+        seized = seized * _collateralUnit(_collateralizedAsset) / getCollateralPrice(_collateralizedAsset);
+        if (seized > loan.collateralizedAmount) {
+            seized = loan.collateralizedAmount;
+        }
+        _deleteLoan(_borrower, _collateralizedAsset, _lender, _nonce);
 
-        uint256 payment = calculateRepayment(msg.sender, _collateralizedAsset, _lender, _salt);
+        emit Liquidate(_borrower, _collateralizedAsset, _lender, _nonce, msg.sender, payment, seized, loan.collateralizedAmount - seized);
+        if (msg.sender != _lender) {
+            IAssetManager(assetManager).transferFrom(msg.sender, _lender, payment);
+        }
+        SafeERC20Upgradeable.safeTransfer(IERC20Upgradeable(_collateralizedAsset), msg.sender, seized);
+        if (loan.collateralizedAmount > seized) {
+            SafeERC20Upgradeable.safeTransfer(IERC20Upgradeable(_collateralizedAsset), _borrower, loan.collateralizedAmount - seized);
+        }
+    }
 
-        emit Repay(msg.sender, _collateralizedAsset, _lender, _salt, payment);
-        IAssetManager(assetManager).transferFrom(msg.sender, _lender, payment);
-        SafeERC20Upgradeable.safeTransfer(IERC20Upgradeable(_collateralizedAsset), msg.sender, loan.collateralizedAmount);
+    /**
+    * @notice Allows a borrower to repay a loan taken before the upgrade from an offer signed with a string salt.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _lender The address of the lender.
+    * @param _salt The salt of the legacy loan offer.
+    */
+    function repay(address _collateralizedAsset, address _lender, string memory _salt) whenNotPaused nonReentrant public {
+        _repay(loans[msg.sender][_collateralizedAsset][_lender][_salt], _collateralizedAsset, _lender, LibNonce.fromSalt(_salt));
         delete loans[msg.sender][_collateralizedAsset][_lender][_salt];
     }
 
     /**
-	* @notice Allows a borrower to repay an active loan using ETH, which is then converted to the ERC20 token used as collateral.
+    * @notice Allows a borrower to repay a loan taken before the upgrade from an offer signed with a string salt using ETH.
     * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
     * @param _lender The address of the lender.
-    * @param _salt A unique identifier for the loan, used to differentiate between loans with the same borrower, lender, and collateral.
+    * @param _salt The salt of the legacy loan offer.
     */
     function repayETH(address _collateralizedAsset, address _lender, string memory _salt) external payable {
         IAssetManager(assetManager).deposit{ value: msg.value }(msg.sender);
@@ -209,62 +408,129 @@ contract SalvorLendingERC20 is Initializable, EIP712Upgradeable, OwnableUpgradea
     }
 
     /**
-    * @notice Allows a lender to claim the collateral of a loan if the borrower has not repaid the loan after the loan period has ended.
+    * @notice Allows a lender to claim the collateral of a loan taken before the upgrade from an offer signed with a string salt.
     * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
     * @param _borrower The address of the borrower.
-    * @param _salt A unique identifier for the loan, used to differentiate between loans with the same borrower, lender, and collateral.
+    * @param _salt The salt of the legacy loan offer.
     */
     function clearDebt(address _collateralizedAsset, address _borrower, string memory _salt) whenNotPaused nonReentrant external {
-        Loan memory loan = loans[_borrower][_collateralizedAsset][msg.sender][_salt];
+        _clearDebt(loans[_borrower][_collateralizedAsset][msg.sender][_salt], _collateralizedAsset, _borrower, LibNonce.fromSalt(_salt));
+        delete loans[_borrower][_collateralizedAsset][msg.sender][_salt];
+    }
 
-        require(loan.startedAt > 0, "there is not any active loan");
-        require(block.timestamp > (loan.duration + loan.startedAt), "loan period is not finished");
+    /**
+    * @notice Opens a loan from a loan offer whose signer is already recovered.
+    * @param _loanOffer The loan offer struct containing the loan terms.
+    * @param hash The hash of the loan offer, which keeps its filled amount.
+    * @param lender The recovered signer of the loan offer.
+    * @param token The token struct containing the details of the ERC20 token used for the loan.
+    * @param tokenSignature The signature of the borrower verifying the token details.
+    */
+    function _borrow(LibLendingERC20.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingERC20.Token memory token, bytes memory tokenSignature) internal {
+        Loan storage loan = loansByNonce[msg.sender][_loanOffer.collateralizedAsset][_loanOffer.lender][_loanOffer.nonce];
+        require(loan.startedAt == 0, "has been already borrowed");
+        require(_loanOffer.price < (token.amount * 1 ether), "Loan offer price must be less than the token amount in wei.");
 
-        emit ClearDebt(_borrower, _collateralizedAsset, msg.sender, _salt, loan.collateralizedAmount);
-        SafeERC20Upgradeable.safeTransfer(IERC20Upgradeable(_collateralizedAsset), msg.sender, loan.collateralizedAmount);
+        validateLoanOffer(_loanOffer, hash, lender, token, tokenSignature);
 
-        delete loans[_borrower][_collateralizedAsset][msg.sender][_salt];
+        uint256 collateralizedAmount = (token.amount * 1 ether) / _loanOffer.price;
+
+        emit Borrow(msg.sender, _loanOffer.collateralizedAsset, _loanOffer.lender, _loanOffer.nonce, collateralizedAmount, token.amount);
+        SafeERC20Upgradeable.safeTransferFrom(IERC20Upgradeable(_loanOffer.collateralizedAsset), msg.sender, address(this), collateralizedAmount);
+        IAssetManager(assetManager).payERC20Lending(_loanOffer.lender, msg.sender, token.amount);
+
+        loan.rate = _loanOffer.rate;
+        loan.lentAmount = token.amount;
+        loan.collateralizedAmount = collateralizedAmount;
+        loan.startedAt = block.timestamp;
+        loan.duration = _loanOffer.duration;
+        AccrualMode storage accrualMode = accrualModes[_loanOffer.collateralizedAsset];
+        loan.accrual = accrualMode.accrual;
+        loan.minInterestPeriod = accrualMode.minInterestPeriod;
+
+        bytes32 loanId = _loanId(msg.sender, _loanOffer.collateralizedAsset, _loanOffer.lender, _loanOffer.nonce);
+        loanKeys[loanId] = LoanKey(msg.sender, _loanOffer.collateralizedAsset, _loanOffer.lender, _loanOffer.nonce);
+        lenderLoans[_loanOffer.lender].add(loanId);
+        borrowerLoans[msg.sender].add(loanId);
     }
 
-    function cancelOffer(LibLendingERC20.LoanOffer memory loanOffer, bytes memory signature) whenNotPaused nonReentrant external {
-        require(loanOffer.startedAt > 0, "non existent offer");
-        address lender = _validate(loanOffer, signature);
-        require(msg.sender == lender, "msg.sender is not authorized");
-        require(loanOffer.lender == lender, "lender does not match");
+    /**
+    * @notice Deletes a closed loan of loansByNonce and removes it from the loans of its lender and borrower.
+    * @param _borrower The address of the borrower.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _lender The address of the lender.
+    * @param _nonce The nonce of the loan offer.
+    */
+    function _deleteLoan(address _borrower, address _collateralizedAsset, address _lender, uint256 _nonce) internal {
+        delete loansByNonce[_borrower][_collateralizedAsset][_lender][_nonce];
+        bytes32 loanId = _loanId(_borrower, _collateralizedAsset, _lender, _nonce);
+        delete loanKeys[loanId];
+        lenderLoans[_lender].remove(loanId);
+        borrowerLoans[_borrower].remove(loanId);
+    }
 
-        bytes32 hash = LibLendingERC20.hash(loanOffer);
+    function _loanId(address _borrower, address _collateralizedAsset, address _lender, uint256 _nonce) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_borrower, _collateralizedAsset, _lender, _nonce));
+    }
 
-        require(!fills[hash], "order has been already cancelled");
-        fills[hash] = true;
+    /**
+    * @notice Settles the debt of the sender and returns the collateral. The caller deletes the loan afterwards.
+    * @param loan The loan to be repaid.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _lender The address of the lender.
+    * @param _nonce The nonce of the loan offer.
+    */
+    function _repay(Loan memory loan, address _collateralizedAsset, address _lender, uint256 _nonce) internal {
+        require(loan.startedAt > 0, "there is not any active loan");
 
-        emit Cancel(loanOffer.collateralizedAsset, loanOffer.lender, loanOffer.salt);
+        uint256 payment = _calculateRepayment(loan);
+
+        emit Repay(msg.sender, _collateralizedAsset, _lender, _nonce, payment);
+        IAssetManager(assetManager).transferFrom(msg.sender, _lender, payment);
+        SafeERC20Upgradeable.safeTransfer(IERC20Upgradeable(_collateralizedAsset), msg.sender, loan.collateralizedAmount);
+    }
+
+    /**
+    * @notice Transfers the collateral of an overdue loan to the sender. The caller deletes the loan afterwards.
+    * @param loan The loan to be cleared.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _borrower The address of the borrower.
+    * @param _nonce The nonce of the loan offer.
+    */
+    function _clearDebt(Loan memory loan, address _collateralizedAsset, address _borrower, uint256 _nonce) internal {
+        require(loan.startedAt > 0, "there is not any active loan");
+        require(block.timestamp > (loan.duration + loan.startedAt), "loan period is not finished");
+
+        emit ClearDebt(_borrower, _collateralizedAsset, msg.sender, _nonce, loan.collateralizedAmount);
+        SafeERC20Upgradeable.safeTransfer(IERC20Upgradeable(_collateralizedAsset), msg.sender, loan.collateralizedAmount);
     }
 
     /**
     * @notice Validates a loan offer and the associated token details provided by the borrower.
     * @dev This function checks various conditions such as the allowed assets, loan and token amounts, loan duration, and signatures.
     * @param _loanOffer The loan offer struct containing the loan terms.
-    * @param signature The signature of the lender verifying the loan offer.
+    * @param hash The hash of the loan offer, which keeps its filled amount.
+    * @param lender The recovered signer of the loan offer.
     * @param _token The token struct containing the details of the ERC20 token used for the loan.
     * @param _tokenSignature The signature of the borrower verifying the token details.
     */
-    function validateLoanOffer(LibLendingERC20.LoanOffer memory _loanOffer, bytes memory signature, LibLendingERC20.Token memory _token, bytes memory _tokenSignature) internal {
+    function validateLoanOffer(LibLendingERC20.LoanOffer memory _loanOffer, bytes32 hash, address lender, LibLendingERC20.Token memory _token, bytes memory _tokenSignature) internal {
         require(allowedAssets[_loanOffer.collateralizedAsset], "collateralized asset is not allowed");
         require(_loanOffer.amount >= 1 ether, "insufficient lent amount");
         require(_loanOffer.duration >= 86400, "at least a day");
         require(_token.amount >= 1 ether, "insufficient amount requested");
-        bytes32 hash = LibLendingERC20.hash(_loanOffer);
         require(hash == _token.orderHash, "hash does not match");
-        address lender = _validate(_loanOffer, signature);
         require(msg.sender != lender, "signer cannot borrow from own loan offer");
         require(_loanOffer.lender == lender, "lender does not match");
         require(msg.sender == _token.borrower, "token and borrower does not match");
         require(_hashTypedDataV4(LibLendingERC20.hashToken(_token)).recover(_tokenSignature) == validator, "token signature is not valid");
         require(_token.blockNumber + blockRange > block.number, "token signature has been expired");
         require(cancelOfferTimestamps[lender][address(0x0)] < _loanOffer.startedAt, "offer is cancelled");
+        require(!LibNonce.isUsed(nonceBitmaps[lender], _loanOffer.nonce), "offer has been cancelled");
 
         sizes[hash] += _token.amount;
         require(_loanOffer.amount >= sizes[hash], "size is filled");
+        // legacy offers cancelled before the upgrade are kept by their hashes
         require(!fills[hash], "offer has been cancelled");
     }
 
@@ -277,26 +543,118 @@ contract SalvorLendingERC20 is Initializable, EIP712Upgradeable, OwnableUpgradea
         return LibLendingERC20.hash(_loanOffer);
     }
 
+    /**
+    * @notice Generates a hash for a loan offer signed with a string salt, it is the orderHash of the tokens of legacy offers.
+    * @param _loanOffer The legacy loan offer struct containing the loan terms.
+    * @return The hash of the legacy loan offer.
+    */
+    function hashLegacyOffer(LibLendingERC20.LegacyLoanOffer memory _loanOffer) external pure returns(bytes32) {
+        return LibLendingERC20.hashLegacy(_loanOffer);
+    }
+
     /**
     * @notice Calculates the repayment amount for a loan based on the elapsed time and the agreed interest rate.
     * @param _borrower The address of the borrower.
     * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
     * @param _lender The address of the lender.
-    * @param _salt A unique identifier for the loan, used to differentiate between loans with the same borrower, lender, and collateral.
+    * @param _nonce The nonce of the loan offer, used to differentiate between loans with the same borrower, lender, and collateral.
+    * @return The total repayment amount, including the principal and accrued interest.
+    */
+    function calculateRepayment(address _borrower, address _collateralizedAsset, address _lender, uint256 _nonce) public view returns (uint256) {
+        return _calculateRepayment(loansByNonce[_borrower][_collateralizedAsset][_lender][_nonce]);
+    }
+
+    /**
+    * @notice Calculates the repayment amount for a loan taken before the upgrade from an offer signed with a string salt.
+    * @param _borrower The address of the borrower.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _lender The address of the lender.
+    * @param _salt The salt of the legacy loan offer.
     * @return The total repayment amount, including the principal and accrued interest.
     */
     function calculateRepayment(address _borrower, address _collateralizedAsset, address _lender, string memory _salt) public view returns (uint256) {
-        Loan memory loan = loans[_borrower][_collateralizedAsset][_lender][_salt];
-
-        uint256 elapsedDay = ((block.timestamp - loan.startedAt) / 86400) + 1;
-        uint256 totalDays = loan.duration / 86400;
-        if (totalDays <= elapsedDay) {
-            return loan.lentAmount + ((loan.lentAmount * loan.rate) / 1 ether);
-        } else {
-            return loan.lentAmount + ((loan.lentAmount * loan.rate * elapsedDay) / (1 ether * totalDays));
+        return _calculateRepayment(loans[_borrower][_collateralizedAsset][_lender][_salt]);
+    }
+
+    /**
+    * @notice Returns the number of running loans of a lender or a borrower.
+    * @param _user The address of the lender or the borrower.
+    * @param _isLender Whether the loans the user lent (true) or borrowed (false) are counted.
+    */
+    function getLoanCount(address _user, bool _isLender) external view returns (uint256) {
+        return (_isLender ? lenderLoans[_user] : borrowerLoans[_user]).length();
+    }
+
+    /**
+    * @notice Returns a page of the running loans of a lender or a borrower with their accrued repayment and default status.
+    * The order of the loans changes as loans are closed, the page is empty from getLoanCount on.
+    * @param _user The address of the lender or the borrower.
+    * @param _isLender Whether the loans the user lent (true) or borrowed (false) are listed.
+    * @param _offset The index of the first loan in the page.
+    * @param _limit The largest number of loans in the page.
+    */
+    function getLoansOf(address _user, bool _isLender, uint256 _offset, uint256 _limit) external view returns (LoanDetails[] memory page) {
+        EnumerableSetUpgradeable.Bytes32Set storage loanIds = _isLender ? lenderLoans[_user] : borrowerLoans[_user];
+        uint256 count = loanIds.length();
+        uint256 end = _offset + _limit < count ? _offset + _limit : count;
+        page = new LoanDetails[](_offset < end ? end - _offset : 0);
+        for (uint256 i; i < page.length; ++i) {
+            LoanKey memory key = loanKeys[loanIds.at(_offset + i)];
+            Loan memory loan = loansByNonce[key.borrower][key.collateralizedAsset][key.lender][key.nonce];
+            page[i] = LoanDetails(key, loan, _calculateRepayment(loan), block.timestamp > loan.startedAt + loan.duration);
         }
     }
 
+    /**
+    * @notice Returns the price of a whole collateral token (1 ether of its units) in the lent currency, read from the price feed of the collateral.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral.
+    * @return The price scaled to 18 decimals.
+    */
+    function getCollateralPrice(address _collateralizedAsset) public view returns (uint256) {
+        PriceFeed memory feed = priceFeeds[_collateralizedAsset];
+        require(feed.aggregator != address(0), "collateral has no price feed");
+        (, int256 answer, , uint256 updatedAt, ) = IAggregatorV3(feed.aggregator).latestRoundData();
+        require(answer > 0, "invalid price");
+        require(block.timestamp <= updatedAt + feed.maxDelay, "price is stale");
+        return uint256(answer) * 1 ether / (10 ** IAggregatorV3(feed.aggregator).decimals());
+    }
+
+    /**
+    * @notice Returns the health factor of a running loan, the value of its collateral times the liquidation threshold over its repayment amount.
+    * A loan whose health factor is below 1 ether exceeds the liquidation threshold and can be liquidated.
+    * @param _borrower The address of the borrower.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral for the loan.
+    * @param _lender The address of the lender.
+    * @param _nonce The nonce of the loan offer, used to differentiate between loans with the same borrower, lender, and collateral.
+    * @return The health factor scaled to 18 decimals.
+    */
+    function getHealthFactor(address _borrower, address _collateralizedAsset, address _lender, uint256 _nonce) public view returns (uint256) {
+        Loan memory loan = loansByNonce[_borrower][_collateralizedAsset][_lender][_nonce];
+        require(loan.startedAt > 0, "there is not any active loan");
+        uint256 collateralValue = loan.collateralizedAmount * getCollateralPrice(_collateralizedAsset) / _collateralUnit(_collateralizedAsset);
+        return collateralValue * priceFeeds[_collateralizedAsset].liquidationThreshold / _calculateRepayment(loan);
+    }
+
+    /**
+    * @notice Returns a whole token of a collateral in its smallest unit, the price of the feeds is the price of a whole token.
+    * @param _collateralizedAsset The address of the ERC20 token used as collateral.
+    */
+    function _collateralUnit(address _collateralizedAsset) internal view returns (uint256) {
+        return 10 ** IERC20MetadataUpgradeable(_collateralizedAsset).decimals();
+    }
+
+    function _calculateRepayment(Loan memory loan) internal view returns (uint256) {
+        return LibInterest.repayment(loan.lentAmount, loan.rate, loan.startedAt, loan.duration, loan.accrual, loan.minInterestPeriod);
+    }
+
+    /**
+    * @notice Ensures that loan offers signed with a string salt are still honored.
+    */
+    modifier legacyAllowed() {
+        require(block.timestamp < legacyCutoff, "legacy orders are no longer accepted");
+        _;
+    }
+
     /**
     * @notice Ensures that a given address is not the zero address.
     * @param _address The address to check.
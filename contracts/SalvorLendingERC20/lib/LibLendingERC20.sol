@@ -1,13 +1,15 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.16;
 
+import "../../libs/LibNonce.sol";
+
 library LibLendingERC20 {
 
     bytes constant orderTypeString = abi.encodePacked(
         "LoanOffer(",
         "address lender,",
         "address collateralizedAsset,",
-        "string salt,",
+        "uint256 nonce,",
         "uint256 amount,",
         "uint256 price,",
         "uint256 startedAt,",
@@ -29,10 +31,26 @@ library LibLendingERC20 {
 
     bytes32 constant TOKEN_TYPEHASH = keccak256(tokenTypeString);
 
+    // type string of the loan offers signed with a string salt, they are honored until the legacy cutoff
+    bytes constant legacyOrderTypeString = abi.encodePacked(
+        "LoanOffer(",
+        "address lender,",
+        "address collateralizedAsset,",
+        "string salt,",
+        "uint256 amount,",
+        "uint256 price,",
+        "uint256 startedAt,",
+        "uint256 duration,",
+        "uint256 rate"
+        ")"
+    );
+
+    bytes32 constant LEGACY_ORDER_TYPEHASH = keccak256(legacyOrderTypeString);
+
     struct LoanOffer {
         address lender;
         address collateralizedAsset;
-        string salt;
+        uint256 nonce; // lender nonce, the offer is cancelled once it is invalidated
         uint amount;
         uint price;
         uint startedAt;
@@ -47,12 +65,23 @@ library LibLendingERC20 {
         address borrower;
     }
 
+    struct LegacyLoanOffer {
+        address lender;
+        address collateralizedAsset;
+        string salt;
+        uint amount;
+        uint price;
+        uint startedAt;
+        uint duration;
+        uint rate;
+    }
+
     function hash(LoanOffer memory loan) internal pure returns (bytes32) {
         return keccak256(abi.encode(
             ORDER_TYPEHASH,
             loan.lender,
             loan.collateralizedAsset,
-            keccak256(bytes(loan.salt)),
+            loan.nonce,
             loan.amount,
             loan.price,
             loan.startedAt,
@@ -70,4 +99,32 @@ library LibLendingERC20 {
             token.borrower
         ));
     }
-}
\ No newline at end of file
+
+    function hashLegacy(LegacyLoanOffer memory loan) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            LEGACY_ORDER_TYPEHASH,
+            loan.lender,
+            loan.collateralizedAsset,
+            keccak256(bytes(loan.salt)),
+            loan.amount,
+            loan.price,
+            loan.startedAt,
+            loan.duration,
+            loan.rate
+        ));
+    }
+
+    // converts a legacy loan offer, its nonce is derived from the salt
+    function fromLegacy(LegacyLoanOffer memory loan) internal pure returns (LoanOffer memory) {
+        return LoanOffer({
+            lender: loan.lender,
+            collateralizedAsset: loan.collateralizedAsset,
+            nonce: LibNonce.fromSalt(loan.salt),
+            amount: loan.amount,
+            price: loan.price,
+            startedAt: loan.startedAt,
+            duration: loan.duration,
+            rate: loan.rate
+        });
+    }
+}
@@ -0,0 +1,7 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+interface ISalvorLoanNote {
+	function issue(address to, address collection, uint256 tokenId) external returns (uint256);
+	function cancel(address collection, uint256 tokenId) external;
+}
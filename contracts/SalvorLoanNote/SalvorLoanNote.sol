@@ -0,0 +1,193 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721EnumerableUpgradeable.sol";
+import "./ISalvorLoanNote.sol";
+
+interface ISalvorLendingPositions {
+    function transferPosition(address collection, uint256 tokenId, address to) external;
+    function items(address collection, uint256 tokenId) external view returns (address borrower, address lender, uint256 amount, uint256 duration, uint256 rate, uint256 startedAt, uint8 accrual, uint256 minInterestPeriod, uint256 settledInterest);
+    function getCalculateRepayLoanAmount(address[] memory collections, uint256[] memory tokenIds) external view returns (uint256);
+}
+
+/**
+* @title Salvor Loan Note
+* @notice ERC-721 notes of the positions of the loans of Salvor Lending. One instance is deployed for the promissory notes of the lenders and one for the obligation receipts of the borrowers.
+* A note is issued when its holder takes the position and burned when the loan is closed, transferring a note hands the position of the loan over to the new holder.
+* The notes are enumerable, so the loans of a lender or a borrower can be listed with getLoansOf.
+*/
+contract SalvorLoanNote is Initializable, ERC721EnumerableUpgradeable, OwnableUpgradeable, ISalvorLoanNote {
+
+    // The loan a note belongs to
+    struct Position {
+        address collection; // address of the collateralized collection
+        uint256 tokenId;    // tokenId of the collateralized NFT
+    }
+
+    // A loan of a holder as listed by getLoansOf
+    struct LoanDetails {
+        uint256 noteId;     // id of the note of the holder
+        address collection; // address of the collateralized collection
+        uint256 tokenId;    // tokenId of the collateralized NFT
+        address borrower;   // address of the borrower
+        address lender;     // address of the lender
+        uint256 amount;     // lent amount of the loan
+        uint256 duration;   // duration of the loan
+        uint256 rate;       // interest rate of the loan
+        uint256 startedAt;  // timestamp the loan started at
+        uint256 repayment;  // amount the loan is repaid with now, principal and accrued interest
+        bool isDefaulted;   // whether the duration of the loan is over, the lender can then liquidate it
+    }
+
+    // Address of the lending contract, the only one that issues and cancels notes and whose positions follow the transfers of the notes
+    address public lending;
+
+    // Whether the holders of the notes are the lenders (promissory notes) or the borrowers (obligation receipts) of the loans
+    bool public isLenderNote;
+
+    // Number of notes issued so far, the id of the last note
+    uint256 public issuedCount;
+
+    // Base url of the token metadata, e.g “https://salvor.io/notes/”
+    string public baseTokenURI;
+
+    // Mapping from a note id to the loan it belongs to
+    mapping(uint256 => Position) public positions;
+
+    // Mapping from a collection address and tokenId to the id of the note of its running loan, 0 if the loan has no note
+    mapping(address => mapping(uint256 => uint256)) public noteIds;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(string memory _name, string memory _symbol, address _lending, bool _isLenderNote) public initializer addressIsNotZero(_lending) {
+        __ERC721_init_unchained(_name, _symbol);
+        __ERC721Enumerable_init_unchained();
+        __Ownable_init_unchained();
+        lending = _lending;
+        isLenderNote = _isLenderNote;
+    }
+
+    /**
+    * @notice allows the contract owner to update baseTokenURI.
+    * @param _baseTokenURI base url for the tokenUri
+    */
+    function setBaseTokenURI(string memory _baseTokenURI) external onlyOwner {
+        baseTokenURI = _baseTokenURI;
+    }
+
+    /**
+    * @notice Issues a new note of the loan of an NFT to the holder of the position, the previous note of the loan is burned. Only the lending contract can issue notes.
+    * @param _to The lender or the borrower of the loan.
+    * @param _collection The address of the collateralized collection.
+    * @param _tokenId The tokenId of the collateralized NFT.
+    * @return noteId The id of the new note.
+    */
+    function issue(address _to, address _collection, uint256 _tokenId) external onlyLending returns (uint256 noteId) {
+        _cancel(_collection, _tokenId);
+        noteId = ++issuedCount;
+        positions[noteId] = Position(_collection, _tokenId);
+        noteIds[_collection][_tokenId] = noteId;
+        // not a safe mint, the receiver cannot reenter the lending contract in the middle of a loan
+        _mint(_to, noteId);
+    }
+
+    /**
+    * @notice Burns the note of the loan of an NFT when the loan is closed, loans without a note are ignored. Only the lending contract can cancel notes.
+    * @param _collection The address of the collateralized collection.
+    * @param _tokenId The tokenId of the collateralized NFT.
+    */
+    function cancel(address _collection, uint256 _tokenId) external onlyLending {
+        _cancel(_collection, _tokenId);
+    }
+
+    /**
+    * @notice Returns the holder of the note of the loan of an NFT, the zero address if the loan has no note.
+    * @param _collection The address of the collateralized collection.
+    * @param _tokenId The tokenId of the collateralized NFT.
+    */
+    function holderOf(address _collection, uint256 _tokenId) external view returns (address) {
+        uint256 noteId = noteIds[_collection][_tokenId];
+        return noteId == 0 ? address(0) : ownerOf(noteId);
+    }
+
+    /**
+    * @notice Returns a page of the loans of the notes of a holder, the lender or the borrower of the loans, with their accrued repayment and default status.
+    * The holder has balanceOf(holder) loans, the page is empty from that offset on.
+    * @param _holder The holder of the notes.
+    * @param _offset The index of the first note of the holder in the page.
+    * @param _limit The largest number of loans in the page.
+    */
+    function getLoansOf(address _holder, uint256 _offset, uint256 _limit) external view returns (LoanDetails[] memory page) {
+        uint256 count = balanceOf(_holder);
+        uint256 end = _offset + _limit < count ? _offset + _limit : count;
+        page = new LoanDetails[](_offset < end ? end - _offset : 0);
+        for (uint256 i; i < page.length; ++i) {
+            page[i] = getLoan(tokenOfOwnerByIndex(_holder, _offset + i));
+        }
+    }
+
+    /**
+    * @notice Returns the loan of a note with its accrued repayment and default status.
+    * @param _noteId The id of the note.
+    */
+    function getLoan(uint256 _noteId) public view returns (LoanDetails memory loan) {
+        Position memory position = positions[_noteId];
+        require(position.collection != address(0), "note does not exist");
+        loan.noteId = _noteId;
+        loan.collection = position.collection;
+        loan.tokenId = position.tokenId;
+        (loan.borrower, loan.lender, loan.amount, loan.duration, loan.rate, loan.startedAt, , , ) = ISalvorLendingPositions(lending).items(position.collection, position.tokenId);
+
+        address[] memory collections = new address[](1);
+        uint256[] memory tokenIds = new uint256[](1);
+        collections[0] = position.collection;
+        tokenIds[0] = position.tokenId;
+        loan.repayment = ISalvorLendingPositions(lending).getCalculateRepayLoanAmount(collections, tokenIds);
+        loan.isDefaulted = block.timestamp > loan.startedAt + loan.duration;
+    }
+
+    function _cancel(address _collection, uint256 _tokenId) internal {
+        uint256 noteId = noteIds[_collection][_tokenId];
+        if (noteId > 0) {
+            delete noteIds[_collection][_tokenId];
+            delete positions[noteId];
+            _burn(noteId);
+        }
+    }
+
+    /**
+    * @dev hands the position of the loan over to the receiver of a transferred note, issuing and burning notes leave the position as it is.
+    */
+    function _afterTokenTransfer(address from, address to, uint256 tokenId) internal override {
+        if (from != address(0) && to != address(0)) {
+            Position storage position = positions[tokenId];
+            ISalvorLendingPositions(lending).transferPosition(position.collection, position.tokenId, to);
+        }
+    }
+
+    function _baseURI() internal view override returns (string memory) {
+        return baseTokenURI;
+    }
+
+    /**
+    * @notice Ensures that the caller is the lending contract.
+    */
+    modifier onlyLending() {
+        require(msg.sender == lending, "caller is not the lending");
+        _;
+    }
+
+    /**
+    * @notice Ensures that a given address is not the zero address.
+    * @param _address The address to check.
+    */
+    modifier addressIsNotZero(address _address) {
+        require(_address != address(0), "Given address must be a non-zero address");
+        _;
+    }
+}
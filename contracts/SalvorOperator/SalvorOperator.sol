@@ -144,6 +144,13 @@ contract SalvorOperator is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable,
         adminWallet = _adminWallet;
     }
 
+    /**
+    * @notice sets the receiver of the breeding and upgrade revenue, the VeArt or the VeArtFeeDistributor
+    */
+    function setVeArtAddress(address _veArtAddress) external onlyOwner {
+        veArtAddress = _veArtAddress;
+    }
+
     function setSalvorMiniAddress(address _salvorMiniAddress) external onlyOwner {
         salvorMiniAddress = _salvorMiniAddress;
     }
@@ -186,7 +193,7 @@ contract SalvorOperator is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable,
             _safeTransferTo(companyWallet, companyWalletPart);
         }
         if (payment > 0) {
-            _safeTransferTo(veArtAddress, payment);
+            _sendRevenue(payment);
         }
 
         uint256 requestId = ++requestIds;
@@ -274,7 +281,7 @@ contract SalvorOperator is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable,
             _safeTransferTo(companyWallet, companyWalletPart);
         }
         if (payment > 0) {
-            _safeTransferTo(veArtAddress, payment);
+            _sendRevenue(payment);
         }
         uint256 requestId = ++requestIds;
         emit RndRequest(requestId, len);
@@ -345,7 +352,7 @@ contract SalvorOperator is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable,
             _safeTransferTo(companyWallet, companyWalletPart);
         }
         if (payment > 0) {
-            _safeTransferTo(veArtAddress, payment);
+            _sendRevenue(payment);
         }
         salvors[_tokenId].level += amount;
     }
@@ -411,4 +418,14 @@ contract SalvorOperator is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable,
             failedTransferBalance += _amount;
         }
     }
+
+    /**
+    * @notice sends the revenue to the veArtAddress, which is set by the owner and is called without a gas limit so that it can record the revenue
+    */
+    function _sendRevenue(uint256 _amount) internal {
+        (bool success, ) = payable(veArtAddress).call{value: _amount}("");
+        if (!success) {
+            failedTransferBalance += _amount;
+        }
+    }
 }
@@ -4,4 +4,13 @@ pragma solidity 0.8.16;
 interface IVeArt {
 	function totalSupply() external view returns (uint256);
 	function balanceOf(address account) external view returns (uint256);
+	function balanceOfAt(address account, uint256 blockNumber) external view returns (uint256);
+	function totalSupplyAt(uint256 blockNumber) external view returns (uint256);
+	function cumulativeBalanceAt(address account, uint256 timestamp) external view returns (uint256 balance, uint256 supply);
+	function users(address user) external view returns (uint256 amount, uint256 lastRelease, uint256 rewardDebt, uint256 artRewardDebt, uint256 failedArtBalance, uint256 failedBalance);
+	function pendingARTRewards(address user) external view returns (uint256);
+	function depositART(uint256 amount) external;
+	function withdrawART(uint256 amount) external;
+	function harvestVeART(address receiver) external;
+	function claimEarnings(address receiver) external;
 }
@@ -11,6 +11,7 @@ import "@openzeppelin/contracts-upgradeable/token/ERC721/utils/ERC721HolderUpgra
 import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
 import "../SalvorMini/ISalvorMini.sol";
 import "../SalvorOperator/ISalvorOperator.sol";
+import "./lib/LibCheckpoints.sol";
 
 /**
 * @title VeArt
@@ -59,6 +60,22 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         uint256 rewardDebt;
     }
 
+    // Struct to store information about a user's locked ART
+    struct LockInfo {
+        // Amount of ART locked by the user
+        uint256 amount;
+        // Time the lock was created, extended or increased at
+        uint256 start;
+        // Time the locked ART can be withdrawn without a penalty at
+        uint256 end;
+        // Locked veART minted to the user, it decays to zero at the end of the lock
+        uint256 veART;
+        // the rate of locked veART per second of the remaining lock, per art locked
+        uint256 generationRate;
+        // Share of the locked ART forfeited on an early withdrawal at the start of the lock, in basis points
+        uint256 penalty;
+    }
+
     // allows the whitelisted contracts.
     EnumerableSetUpgradeable.AddressSet private _whitelistedPlatforms;
 
@@ -134,6 +151,17 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
     ISalvorMini public salvorCollection;
     uint256 public depositSalvorFee;
     ISalvorOperator public salvorOperator;
+    // locks of ART, the locking is disabled while maxLockDuration is zero
+    mapping(address => LockInfo) public locks;
+    uint256 public maxLockDuration;
+    // veART generated per locked art by a lock of maxLockDuration
+    uint256 public lockMultiplier;
+    // in basis points
+    uint256 public earlyExitPenalty;
+    // veART balances of each address and the total supply from the blocks they changed at, with the decay of the locks, see LibCheckpoints
+    LibCheckpoints.History private _checkpoints;
+    // the locked veART of all the locks as last updated
+    uint256 public totalLockedVeART;
 
     event Deposit(address indexed user, uint256 amount);
     event DepositART(address indexed user, uint256 amount);
@@ -154,6 +182,9 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
     event BoostFeeSet(uint256 boostFee);
     event DqStake(address indexed user, address indexed collection, uint256 indexed tokenId, uint256 endedAt);
     event DqWithdraw(address indexed user, address indexed collection, uint256 indexed tokenId);
+    event LockART(address indexed user, uint256 amount, uint256 end);
+    event WithdrawLockedART(address indexed user, uint256 amount, uint256 penalty);
+    event LockConfigurationUpdated(uint256 maxLockDuration, uint256 lockMultiplier, uint256 earlyExitPenalty);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -219,6 +250,10 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         salvorCollection = ISalvorMini(_salvorCollection);
     }
 
+    function setSalvorMiniCollection(address _salvorMiniCollection) external onlyOwner {
+        salvorMiniCollection = ISalvorMini(_salvorMiniCollection);
+    }
+
     function setSalvorOperator(address _salvorOperator) external onlyOwner {
         salvorOperator = ISalvorOperator(_salvorOperator);
     }
@@ -272,6 +307,20 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         dqPools[_collection].withdrawDuration = _withdrawDuration;
     }
 
+    /**
+    * @notice Sets the terms of new locks, running locks keep the terms they were created with.
+    * @param _maxLockDuration the longest lock in seconds, zero disables new locks
+    * @param _lockMultiplier the veART generated per locked art by a lock of _maxLockDuration
+    * @param _earlyExitPenalty the share of the locked ART forfeited on a withdrawal at the start of the lock, in basis points
+    */
+    function setLockConfiguration(uint256 _maxLockDuration, uint256 _lockMultiplier, uint256 _earlyExitPenalty) external onlyOwner {
+        require(_earlyExitPenalty <= 10000, "Error: penalty cannot be higher than 100%");
+        maxLockDuration = _maxLockDuration;
+        lockMultiplier = _lockMultiplier;
+        earlyExitPenalty = _earlyExitPenalty;
+        emit LockConfigurationUpdated(_maxLockDuration, _lockMultiplier, _earlyExitPenalty);
+    }
+
     /**
     * @notice Gets the balance of the contract
     */
@@ -327,6 +376,77 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         art.safeTransferFrom(msg.sender, address(this), _amount);
     }
 
+    /**
+    * @notice Locks ART until _lockEnd, rounded down to the start of a week, for veART that is minted at once and decays to zero at the end of the lock.
+    * Locking more or extending a lock restarts it with the current terms. Locked veART is kept apart from the veART of depositART.
+    * @param _amount The amount of ART tokens to be locked, it can be zero to extend the lock
+    * @param _lockEnd The time the lock ends at
+    */
+    function lockART(uint256 _amount, uint256 _lockEnd) external nonReentrant whenNotPaused {
+        // ensures that the call is not made from a smart contract, unless it is on the whitelist.
+        _assertNotContract(msg.sender);
+
+        require(maxLockDuration > 0, "Error: locking is not enabled");
+        // the locks end at the start of a week, see LibCheckpoints
+        _lockEnd = (_lockEnd / 1 weeks) * 1 weeks;
+        require(_lockEnd > block.timestamp && _lockEnd <= block.timestamp + maxLockDuration, "Error: invalid lock end");
+
+        LockInfo storage lock = locks[msg.sender];
+        require(_lockEnd >= lock.end, "Error: lock end cannot be decreased");
+        require(lock.amount + _amount > 0, "Error: Deposit amount must be greater than zero");
+        require(art.balanceOf(msg.sender) >= _amount, "Error: Insufficient balance to deposit the specified amount");
+
+        lock.amount += _amount;
+        lock.start = block.timestamp;
+        lock.end = _lockEnd;
+        lock.generationRate = (lockMultiplier * WAD) / maxLockDuration;
+        lock.penalty = earlyExitPenalty;
+
+        // the pending rewards are paid before the ART is received, so they are paid from the ART rewards only
+        _setLockedVeART(msg.sender, projectedLockedVeART(msg.sender, block.timestamp));
+        _checkpoint(msg.sender);
+        totalStakedARTAmount += _amount;
+
+        emit LockART(msg.sender, _amount, _lockEnd);
+        if (_amount > 0) {
+            // Request art from user
+            art.safeTransferFrom(msg.sender, address(this), _amount);
+        }
+    }
+
+    /**
+    * @notice Withdraws the locked ART of the caller and burns the locked veART. Before the end of the lock a penalty is
+    * forfeited, which is the penalty of the lock prorated over the remaining time and is paid to the veART holders as ART rewards.
+    */
+    function withdrawLockedART() external nonReentrant whenNotPaused {
+        LockInfo memory lock = locks[msg.sender];
+        require(lock.amount > 0, "Error: amount to withdraw cannot be zero");
+
+        uint256 penalty = getEarlyExitPenalty(msg.sender);
+
+        _setLockedVeART(msg.sender, 0);
+        delete locks[msg.sender];
+        _checkpoint(msg.sender);
+        totalStakedARTAmount -= lock.amount;
+
+        // the penalty stays in the contract as ART rewards, it is shared by the remaining veART holders
+        if (penalty > 0 && _totalSupply > 0) {
+            accARTPerShare += ((penalty * ACC_ART_REWARD_PRECISION) / _totalSupply);
+        }
+
+        emit WithdrawLockedART(msg.sender, lock.amount - penalty, penalty);
+        art.safeTransfer(msg.sender, lock.amount - penalty);
+    }
+
+    /**
+    * @notice Burns the locked veART of a user that has decayed since it was last updated. It is also burned whenever the rewards of the user are paid.
+    * @param _user The address of the user
+    */
+    function updateLockedVeART(address _user) external nonReentrant whenNotPaused {
+        require(locks[_user].amount > 0, "Error: user has no lock");
+        _settleLockedVeART(_user);
+    }
+
     /**
     * @notice Burns a salvormini NFT to boost VeART generation rate for the sender.
     * @param _tokenId The unique identifier of the SalvorMini NFT being burned.
@@ -334,7 +454,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
     function burnSalvorMiniToBoostVeART(uint256 _tokenId) external payable whenNotPaused nonReentrant {
         // ensures that the call is not made from a smart contract, unless it is on the whitelist.
         _assertNotContract(msg.sender);
-        require(salvorMiniCollection.ownerOf(_tokenId) == msg.sender, "The provided NFT does not belong to the sender");
+        _assertNFTOwner(salvorMiniCollection.ownerOf(_tokenId), msg.sender);
 
         uint256 secondsElapsed = block.timestamp - users[msg.sender].lastRelease;
 
@@ -365,7 +485,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         _harvestVeART(msg.sender);
 
         for (uint256 i; i < len; ++i) {
-            require(ISalvorMini(_collection).ownerOf(_tokenIds[i]) == msg.sender, "The provided NFT does not belong to the sender");
+            _assertNFTOwner(ISalvorMini(_collection).ownerOf(_tokenIds[i]), msg.sender);
             ISalvorMini(_collection).safeTransferFrom(msg.sender, address(this), _tokenIds[i]);
             dqBoostDuration[msg.sender] += dqRarityLevels[_collection][_tokenIds[i]] * dqPools[_collection].multiplier * 1800;
             dqPoolItems[_collection][_tokenIds[i]].owner = msg.sender;
@@ -378,7 +498,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         _assertNotContract(msg.sender);
         uint256 len = _tokenIds.length;
         for (uint256 i; i < len; ++i) {
-            require(dqPoolItems[_collection][_tokenIds[i]].owner == msg.sender, "The provided NFT does not belong to the sender");
+            _assertNFTOwner(dqPoolItems[_collection][_tokenIds[i]].owner, msg.sender);
             require(dqPoolItems[_collection][_tokenIds[i]].endedAt <= block.timestamp, "The provided NFT has not yet expired, and cannot be withdrawn from the boosting pool.");
 
             ISalvorMini(_collection).safeTransferFrom(address(this), msg.sender, _tokenIds[i]);
@@ -443,6 +563,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
     * @param _receiver The address of the receiver
     */
     function _claimAllEarnings(address _receiver) internal {
+        _settleLockedVeART(_receiver);
         uint256 userVeARTBalance = balanceOf(_receiver);
         _updateReward();
         _updateARTReward();
@@ -545,6 +666,39 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         return 0;
     }
 
+    /**
+    * @notice Gets the time the lock of a user ends at, zero if the user has no lock
+    * @param _user The address of the user
+    */
+    function getLockEnd(address _user) external view returns (uint256) {
+        return locks[_user].end;
+    }
+
+    /**
+    * @notice Calculates the locked veART of a user at a time, it decays linearly to zero at the end of the lock.
+    * @param _user The address of the user
+    * @param _timestamp The time, it cannot be before the lock was last created, extended or increased
+    */
+    function projectedLockedVeART(address _user, uint256 _timestamp) public view returns (uint256) {
+        LockInfo memory lock = locks[_user];
+        if (_timestamp >= lock.end) {
+            return 0;
+        }
+        return _wmul(lock.amount, (lock.end - _timestamp) * lock.generationRate);
+    }
+
+    /**
+    * @notice Calculates the ART a user forfeits by withdrawing the locked ART now
+    * @param _user The address of the user
+    */
+    function getEarlyExitPenalty(address _user) public view returns (uint256) {
+        LockInfo memory lock = locks[_user];
+        if (block.timestamp >= lock.end) {
+            return 0;
+        }
+        return (lock.amount * lock.penalty * (lock.end - block.timestamp)) / ((lock.end - lock.start) * 10000);
+    }
+
     /**
     * @notice Calculate the amount of veART that can be claimed by user
     * @param _addr The address of the user
@@ -572,8 +726,8 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
             pending += _wmul(user.amount, secondsElapsed * veARTgenerationRate * 1);
         }
 
-        // get user's veART balance
-        uint256 userVeARTBalance = balanceOf(_addr);
+        // get user's veART balance, the locked veART does not count towards the cap
+        uint256 userVeARTBalance = balanceOf(_addr) - locks[_addr].veART;
 
 
 
@@ -620,6 +774,35 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
 		return _balances[account];
 	}
 
+	/**
+	* @notice Returns the veART balance of an account at the end of a mined block. The locked veART decays until the last change
+	* of the total supply at or before the block, whether or not its decay has been burned. The veART that can be harvested is not counted.
+	* @param account The address of the account
+	* @param blockNumber The number of the block
+	*/
+	function balanceOfAt(address account, uint256 blockNumber) external view returns (uint256) {
+		return LibCheckpoints.balanceAt(_checkpoints, account, blockNumber, _balances[account]);
+	}
+
+	/**
+	* @notice Returns the total supply of veART at the end of a mined block, with the locked veART decayed until its last change.
+	* @param blockNumber The number of the block
+	*/
+	function totalSupplyAt(uint256 blockNumber) external view returns (uint256) {
+		return LibCheckpoints.supplyAt(_checkpoints, blockNumber, _totalSupply);
+	}
+
+	/**
+	* @notice Returns the veART balance of an account and the total supply of veART integrated over time until a timestamp,
+	* in veART seconds. The difference between two timestamps is the time-weighted balance between them.
+	* The locked veART decays until the timestamp, timestamps after the current block are projected from the current balances and locks.
+	* @param account The address of the account
+	* @param timestamp The timestamp
+	*/
+	function cumulativeBalanceAt(address account, uint256 timestamp) external view returns (uint256 balance, uint256 supply) {
+		(balance, supply) = LibCheckpoints.cumulativeAt(_checkpoints, account, timestamp, _balances[account], _totalSupply);
+	}
+
 	/**
 	* @notice Returns the number of decimals used to get its user representation.
     */
@@ -628,6 +811,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
 	}
 
     function _withdrawART(address _receiver, uint256 _amount) internal {
+        _settleLockedVeART(_receiver);
         UserInfo memory user = users[_receiver];
         UserSalvorInfo memory userSalvorInfo = salvorUsers[_receiver];
         // Reset the user's last release timestamp
@@ -654,9 +838,10 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
             uint256 currentSalvorRewardDebt = ((userSalvorInfo.amount * accSalvorRewardPerShare) / ACC_REWARD_PER_SHARE_PRECISION);
             uint256 _pendingSalvorReward = currentSalvorRewardDebt - userSalvorInfo.rewardDebt;
 
-            // Reset the user's reward and ART reward debts
-            users[_receiver].rewardDebt = 0;
-            users[_receiver].artRewardDebt = 0;
+            // Reset the user's reward and ART reward debts to the locked veART, which is kept
+            uint256 lockedVeART = locks[_receiver].veART;
+            users[_receiver].rewardDebt = (lockedVeART * accRewardPerShare) / ACC_REWARD_PER_SHARE_PRECISION;
+            users[_receiver].artRewardDebt = (lockedVeART * accARTPerShare) / ACC_ART_REWARD_PRECISION;
             salvorUsers[_receiver].rewardDebt = currentSalvorRewardDebt;
 
 
@@ -675,7 +860,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
             }
 
             // Burn the user's VEART balance
-            _burn(_receiver, userVeARTBalance);
+            _burn(_receiver, userVeARTBalance - lockedVeART);
         }
 
         emit WithdrawART(_receiver, _amount);
@@ -731,6 +916,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
     * @param _addr address of the user claiming VeART
     */
     function _harvestVeART(address _addr) internal {
+        _settleLockedVeART(_addr);
         uint256 amount = claimableVeART(_addr);
         uint256 timeElapsed = block.timestamp - users[_addr].lastRelease;
         if (timeElapsed > boostDuration[_addr]) {
@@ -817,9 +1003,63 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         emit Deposit(_user, _amount);
     }
 
+    /**
+    * @notice Burns the locked veART of a user that has decayed since it was last updated, it is called before the rewards of the user are paid
+    * so that they are not earned by the decayed veART from then on.
+    * @param _user The address of the user
+    */
+    function _settleLockedVeART(address _user) internal {
+        _setLockedVeART(_user, projectedLockedVeART(_user, block.timestamp));
+    }
+
+    /**
+    * @notice Mints or burns the difference to the new locked veART of a user, paying out the rewards of the previous balance.
+    * @param _user The address of the user
+    * @param _lockedVeART The new locked veART of the user
+    */
+    function _setLockedVeART(address _user, uint256 _lockedVeART) internal {
+        uint256 _previousLockedVeART = locks[_user].veART;
+        if (_previousLockedVeART == _lockedVeART) {
+            return;
+        }
+        UserInfo memory user = users[_user];
+        uint256 _previousAmount = balanceOf(_user);
+
+        // Update the reward variables
+        _updateReward();
+        _updateARTReward();
+
+        // Calculate the pending rewards of the previous balance
+        uint256 _pending = ((_previousAmount * accRewardPerShare) / ACC_REWARD_PER_SHARE_PRECISION) - user.rewardDebt;
+        uint256 _pendingARTReward = ((_previousAmount * accARTPerShare) / ACC_ART_REWARD_PRECISION) - user.artRewardDebt;
+
+        locks[_user].veART = _lockedVeART;
+        totalLockedVeART = totalLockedVeART + _lockedVeART - _previousLockedVeART;
+        if (_lockedVeART > _previousLockedVeART) {
+            _mint(_user, _lockedVeART - _previousLockedVeART);
+        } else {
+            _burn(_user, _previousLockedVeART - _lockedVeART);
+        }
+
+        // Calculate the reward debts for the new balance
+        uint256 _newAmount = balanceOf(_user);
+        users[_user].rewardDebt = (_newAmount * accRewardPerShare) / ACC_REWARD_PER_SHARE_PRECISION;
+        users[_user].artRewardDebt = (_newAmount * accARTPerShare) / ACC_ART_REWARD_PRECISION;
+
+        if (_pending > 0) {
+            emit ClaimReward(_user, _pending);
+            _claimEarnings(_user, _pending);
+        }
+        if (_pendingARTReward > 0) {
+            emit ClaimARTReward(_user, _pendingARTReward);
+            _claimARTEarnings(_user, _pendingARTReward);
+        }
+    }
+
     function depositSalvors(uint256[] calldata _tokenIds) external payable nonReentrant whenNotPaused {
         uint256 len = _tokenIds.length;
         require(len <= 100, "exceeded the limits");
+        _settleLockedVeART(msg.sender);
         require(balanceOf(msg.sender) * 10000 >= _totalSupply, "Insufficient power balance.");
         // ensures that the call is not made from a smart contract, unless it is on the whitelist.
         _assertNotContract(msg.sender);
@@ -827,7 +1067,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         for (uint256 i; i < len; ++i) {
             uint256 salvorPower = salvorOperator.getSalvorPower(_tokenIds[i]);
             require(salvorPower > 0, "The provided NFT does not have salvor power");
-            require(salvorCollection.ownerOf(_tokenIds[i]) == msg.sender, "The provided NFT does not belong to the sender");
+            _assertNFTOwner(salvorCollection.ownerOf(_tokenIds[i]), msg.sender);
             emit DepositSalvor(msg.sender, _tokenIds[i]);
             salvorCollection.transferFrom(msg.sender, address(this), _tokenIds[i]);
             salvorOwners[_tokenIds[i]] = msg.sender;
@@ -882,6 +1122,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
     }
 
     function _withdrawSalvors(address _receiver, uint256[] memory _tokenIds) internal {
+        _settleLockedVeART(_receiver);
         uint256 len = _tokenIds.length;
         UserSalvorInfo memory userSalvorInfo = salvorUsers[_receiver];
         UserInfo memory user = users[_receiver];
@@ -889,7 +1130,7 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         for (uint256 i; i < len; ++i) {
             uint256 salvorPower = salvorOperator.getSalvorPower(_tokenIds[i]);
             require(salvorPower > 0, "The provided NFT does not have salvor power");
-            require(salvorOwners[_tokenIds[i]] == _receiver, "The provided NFT does not belong to the sender");
+            _assertNFTOwner(salvorOwners[_tokenIds[i]], _receiver);
             emit WithdrawSalvor(_receiver, _tokenIds[i]);
             salvorCollection.transferFrom(address(this), _receiver, _tokenIds[i]);
             totalSalvorAmount += salvorPower;
@@ -994,6 +1235,15 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
         }
     }
 
+    /**
+    * @notice This function asserts that the owner of an NFT is the given user.
+    * @param _owner the owner of the NFT
+    * @param _user the address of the user
+    */
+    function _assertNFTOwner(address _owner, address _user) private pure {
+        require(_owner == _user, "The provided NFT does not belong to the sender");
+    }
+
 
 
     /** @dev Creates `amount` tokens and assigns them to `account`, increasing
@@ -1059,7 +1309,16 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
      *
      * To learn more about hooks, head to xref:ROOT:extending-contracts.adoc#using-hooks[Using Hooks].
      */
-	function _beforeTokenTransfer(address from, address to, uint256 amount) internal {}
+	function _beforeTokenTransfer(address from, address to, uint256 amount) internal {
+		// the balances held before the checkpoints were introduced are kept from block 0
+		address account = from == address(0) ? to : from;
+		if (_checkpoints.balances[account].length == 0 && _balances[account] > 0) {
+			_checkpoints.balances[account].push(LibCheckpoints.Checkpoint(0, 0, uint192(_balances[account]), 0, 0, 0));
+		}
+		if (_checkpoints.supply.length == 0 && _totalSupply > 0) {
+			_checkpoints.supply.push(LibCheckpoints.Checkpoint(0, 0, uint192(_totalSupply), 0, 0, 0));
+		}
+	}
 
     /**
      * @dev Hook that is called after any transfer of tokens. This includes
@@ -1075,7 +1334,19 @@ contract VeArt is ERC721HolderUpgradeable, ReentrancyGuardUpgradeable, PausableU
      *
      * To learn more about hooks, head to xref:ROOT:extending-contracts.adoc#using-hooks[Using Hooks].
      */
-	function _afterTokenOperation(address account, uint256 newBalance) internal {}
+	function _afterTokenOperation(address account, uint256 newBalance) internal {
+		_checkpoint(account);
+	}
+
+    /**
+    * @notice Records the veART balance of an account and the total supply from the current block on, with the lock of the account.
+    * The locked veART is recorded as projected, whether or not its decay has been burned.
+    * @param _account The address of the account
+    */
+    function _checkpoint(address _account) internal {
+        LockInfo storage lock = locks[_account];
+        LibCheckpoints.write(_checkpoints, _account, _balances[_account] - lock.veART, _totalSupply - totalLockedVeART, lock.amount * lock.generationRate, lock.end);
+    }
 
     /**
     * performs a rounded multiplication of two uint256 values `x` and `y` 
@@ -0,0 +1,213 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+// Historical veART balances, with the locked veART decaying between them. Its functions are public so that the library is deployed on its own
+// and linked to VeArt, which keeps VeArt under the contract size limit.
+library LibCheckpoints {
+    // the locks end at the start of a week, so the decay of the locked veART of the supply changes at most once a week
+    uint256 constant WEEK = 1 weeks;
+    uint256 constant WAD = 10**18;
+
+    // a veART balance from a block on
+    struct Checkpoint {
+        uint32 fromBlock;
+        uint32 fromTimestamp;
+        // the veART that does not decay
+        uint192 value;
+        // the balance integrated over time until fromTimestamp, in veART seconds
+        uint256 cumulative;
+        // the locked veART at fromTimestamp, times WAD
+        uint256 bias;
+        // the locked veART that decays per second, times WAD
+        uint256 slope;
+    }
+
+    // the checkpoints of the accounts and of the total supply, a checkpoint from block 0 keeps the balance held before the first change
+    struct History {
+        mapping(address => Checkpoint[]) balances;
+        Checkpoint[] supply;
+        // the decay of the supply that stops at the start of a week, when the locks that end then run out
+        mapping(uint256 => uint256) slopeChanges;
+    }
+
+    /**
+    * @notice Records the balance of an account and the total supply from the current block on, replacing the ones recorded earlier in the same block.
+    * The lock of the account replaces the one it had in its last checkpoint.
+    * @param h The checkpoints
+    * @param _account The address of the account
+    * @param _value The veART of the account that does not decay
+    * @param _supplyValue The veART of the supply that does not decay
+    * @param _slope The locked veART of the account that decays per second, times WAD
+    * @param _end The time the lock of the account ends at, the start of a week
+    */
+    function write(History storage h, address _account, uint256 _value, uint256 _supplyValue, uint256 _slope, uint256 _end) public {
+        Checkpoint[] storage balances = h.balances[_account];
+        Checkpoint[] storage supply = h.supply;
+        uint256 bias;
+        uint256 slope;
+        if (supply.length > 0) {
+            (bias, slope, ) = _advance(h, supply[supply.length - 1], true, block.timestamp);
+        }
+        if (balances.length > 0) {
+            Checkpoint memory last = balances[balances.length - 1];
+            if (last.slope > 0) {
+                uint256 lastEnd = last.fromTimestamp + last.bias / last.slope;
+                if (lastEnd > block.timestamp) {
+                    bias -= last.slope * (lastEnd - block.timestamp);
+                    slope -= last.slope;
+                    h.slopeChanges[lastEnd] -= last.slope;
+                }
+            }
+        }
+        uint256 lockedBias;
+        if (_end > block.timestamp) {
+            lockedBias = _slope * (_end - block.timestamp);
+            bias += lockedBias;
+            slope += _slope;
+            h.slopeChanges[_end] += _slope;
+        } else {
+            _slope = 0;
+        }
+        _push(h, balances, false, _value, lockedBias, _slope);
+        _push(h, supply, true, _supplyValue, bias, slope);
+    }
+
+    /**
+    * @notice Returns the balance of an account at the end of a mined block. Its locked veART decays until the last change of the supply at or
+    * before the block, as the time of the blocks without a checkpoint is not known.
+    * @param h The checkpoints
+    * @param _account The address of the account
+    * @param _blockNumber The number of the block
+    * @param _currentValue The current balance, which is returned when the account has no checkpoints as it has never changed
+    */
+    function balanceAt(History storage h, address _account, uint256 _blockNumber, uint256 _currentValue) public view returns (uint256) {
+        require(_blockNumber < block.number, "Error: block not yet mined");
+        Checkpoint[] storage balances = h.balances[_account];
+        if (balances.length == 0) {
+            return _currentValue;
+        }
+        uint256 index = _upperCheckpoint(balances, _blockNumber, false);
+        if (index == 0) {
+            return 0;
+        }
+        // every change of a balance changes the supply in the same block
+        uint256 timestamp = h.supply[_upperCheckpoint(h.supply, _blockNumber, false) - 1].fromTimestamp;
+        Checkpoint storage checkpoint = balances[index - 1];
+        (uint256 bias, , ) = _advance(h, checkpoint, false, timestamp);
+        return checkpoint.value + bias / WAD;
+    }
+
+    /**
+    * @notice Returns the total supply at the end of a mined block.
+    * @param h The checkpoints
+    * @param _blockNumber The number of the block
+    * @param _currentValue The current supply, which is returned when the supply has no checkpoints as it has never changed
+    */
+    function supplyAt(History storage h, uint256 _blockNumber, uint256 _currentValue) public view returns (uint256) {
+        require(_blockNumber < block.number, "Error: block not yet mined");
+        if (h.supply.length == 0) {
+            return _currentValue;
+        }
+        uint256 index = _upperCheckpoint(h.supply, _blockNumber, false);
+        if (index == 0) {
+            return 0;
+        }
+        Checkpoint storage checkpoint = h.supply[index - 1];
+        return checkpoint.value + checkpoint.bias / WAD;
+    }
+
+    /**
+    * @notice Returns the balance of an account and the total supply integrated over time until a timestamp, in veART seconds.
+    * The locked veART decays until the timestamp, including after the current block.
+    * @param h The checkpoints
+    * @param _account The address of the account
+    * @param _timestamp The timestamp
+    * @param _currentBalance The current balance, which has been held since timestamp 0 when the account has no checkpoints
+    * @param _currentSupply The current supply, which has been held since timestamp 0 when the supply has no checkpoints
+    */
+    function cumulativeAt(History storage h, address _account, uint256 _timestamp, uint256 _currentBalance, uint256 _currentSupply) public view returns (uint256 balance, uint256 supply) {
+        balance = _cumulativeAt(h, h.balances[_account], false, _timestamp, _currentBalance);
+        supply = _cumulativeAt(h, h.supply, true, _timestamp, _currentSupply);
+    }
+
+    /**
+    * @notice Records a balance from the current block on, the integral until then is taken from the last checkpoint of an earlier block.
+    */
+    function _push(History storage h, Checkpoint[] storage _checkpoints, bool _isSupply, uint256 _value, uint256 _bias, uint256 _slope) private {
+        uint256 len = _checkpoints.length;
+        if (len > 0 && _checkpoints[len - 1].fromBlock == block.number) {
+            Checkpoint storage last = _checkpoints[len - 1];
+            last.value = uint192(_value);
+            last.bias = _bias;
+            last.slope = _slope;
+        } else {
+            uint256 cumulative;
+            if (len > 0) {
+                (, , cumulative) = _advance(h, _checkpoints[len - 1], _isSupply, block.timestamp);
+            }
+            _checkpoints.push(Checkpoint(uint32(block.number), uint32(block.timestamp), uint192(_value), cumulative, _bias, _slope));
+        }
+    }
+
+    /**
+    * @notice Finds a balance integrated over time until a timestamp from the last checkpoint before it.
+    */
+    function _cumulativeAt(History storage h, Checkpoint[] storage _checkpoints, bool _isSupply, uint256 _timestamp, uint256 _currentValue) private view returns (uint256 cumulative) {
+        if (_checkpoints.length == 0) {
+            return _currentValue * _timestamp;
+        }
+        uint256 index = _upperCheckpoint(_checkpoints, _timestamp, true);
+        if (index > 0) {
+            (, , cumulative) = _advance(h, _checkpoints[index - 1], _isSupply, _timestamp);
+        }
+    }
+
+    /**
+    * @notice Returns the locked veART of a checkpoint and its decay at a later timestamp, times WAD, and the balance integrated until then.
+    * The decay of the supply changes at the start of every week by the locks that end then, the one of an account stops at the end of its lock.
+    * @param h The checkpoints
+    * @param _checkpoint The checkpoint
+    * @param _isSupply Whether the checkpoint is one of the supply
+    * @param _timestamp The timestamp, not before the checkpoint
+    */
+    function _advance(History storage h, Checkpoint storage _checkpoint, bool _isSupply, uint256 _timestamp) private view returns (uint256 bias, uint256 slope, uint256 cumulative) {
+        uint256 time = _checkpoint.fromTimestamp;
+        bias = _checkpoint.bias;
+        slope = _checkpoint.slope;
+        // the locked veART integrated over time, times 2 * WAD
+        uint256 locked;
+        while (time < _timestamp && slope > 0) {
+            uint256 next = (time / WEEK + 1) * WEEK;
+            if (next > _timestamp) {
+                next = _timestamp;
+            }
+            uint256 drop = slope * (next - time);
+            locked += (2 * bias - drop) * (next - time);
+            bias -= drop;
+            time = next;
+            if (time % WEEK == 0) {
+                slope -= _isSupply ? h.slopeChanges[time] : (bias == 0 ? slope : 0);
+            }
+        }
+        cumulative = _checkpoint.cumulative + _checkpoint.value * (_timestamp - _checkpoint.fromTimestamp) + locked / (2 * WAD);
+    }
+
+    /**
+    * @notice Returns the number of checkpoints starting at or before a block number or a timestamp, with a binary search.
+    * @param _checkpoints The checkpoints of the balance
+    * @param _key The block number or the timestamp
+    * @param _byTimestamp Whether the key is a timestamp
+    */
+    function _upperCheckpoint(Checkpoint[] storage _checkpoints, uint256 _key, bool _byTimestamp) private view returns (uint256 high) {
+        high = _checkpoints.length;
+        uint256 low;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if ((_byTimestamp ? _checkpoints[mid].fromTimestamp : _checkpoints[mid].fromBlock) > _key) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+    }
+}
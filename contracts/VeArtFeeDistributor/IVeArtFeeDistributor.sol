@@ -0,0 +1,7 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+interface IVeArtFeeDistributor {
+	function claim(uint256[] calldata epochs) external;
+	function claimable(address user, uint256 epoch) external view returns (uint256);
+}
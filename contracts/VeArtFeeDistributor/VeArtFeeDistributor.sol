@@ -0,0 +1,195 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "../VeArt/IVeArt.sol";
+
+/**
+* @title VeArtFeeDistributor
+* @notice Collects the protocol revenue in weekly epochs and distributes the revenue of each ended epoch to the veART holders
+* by their time-weighted veART balance during the epoch. The revenue sources send it native tokens in place of the VeArt.
+*/
+contract VeArtFeeDistributor is ReentrancyGuardUpgradeable, PausableUpgradeable, OwnableUpgradeable {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+
+    uint256 public constant EPOCH_DURATION = 1 weeks;
+
+    IVeArt public veArt;
+
+    // the start of the first epoch, epochs start on the same weekday and time as unix time
+    uint256 public startTime;
+
+    // epoch -> revenue distributed in the epoch
+    mapping(uint256 => uint256) public epochRevenues;
+
+    // epoch -> source -> revenue received from the source in the epoch
+    mapping(uint256 => mapping(address => uint256)) public epochSourceRevenues;
+
+    // epoch -> sources of the revenue received in the epoch
+    mapping(uint256 => EnumerableSetUpgradeable.AddressSet) private _epochSources;
+
+    // user -> epoch -> whether the user claimed their reward of the epoch
+    mapping(address => mapping(uint256 => bool)) public claimed;
+
+    event RevenueReceived(uint256 indexed epoch, address indexed source, uint256 amount);
+    event Claim(address indexed user, uint256 indexed epoch, uint256 amount);
+    event CarryOver(uint256 indexed fromEpoch, uint256 indexed toEpoch, uint256 amount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(IVeArt _veArt) public initializer {
+        __Ownable_init_unchained();
+        __Pausable_init_unchained();
+        __ReentrancyGuard_init_unchained();
+        veArt = _veArt;
+        startTime = (block.timestamp / EPOCH_DURATION) * EPOCH_DURATION;
+    }
+
+    /**
+    * @notice Records the received native tokens as revenue of the current epoch from the sender.
+    * It is not paused, as the sources require their transfers to succeed.
+    */
+    receive() external payable {
+        _addRevenue(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev pause contract, restricting certain operations
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev unpause contract, enabling certain operations
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+    * @notice Claims the rewards of the caller from ended epochs.
+    * @param _epochs The epochs to claim from
+    */
+    function claim(uint256[] calldata _epochs) external nonReentrant whenNotPaused {
+        uint256 current = currentEpoch();
+        uint256 total;
+        for (uint256 i = 0; i < _epochs.length; i++) {
+            uint256 epoch = _epochs[i];
+            require(epoch < current, "Error: epoch has not ended");
+            require(!claimed[msg.sender][epoch], "Error: already claimed");
+            claimed[msg.sender][epoch] = true;
+
+            uint256 amount = _reward(msg.sender, epoch);
+            total += amount;
+            emit Claim(msg.sender, epoch, amount);
+        }
+        require(total > 0, "Error: nothing to claim");
+        (bool success, ) = payable(msg.sender).call{value: total}("");
+        require(success, "Error: transfer failed");
+    }
+
+    /**
+    * @notice Moves the revenue of an ended epoch in which there was no veART to the current epoch, as no one can claim it.
+    * The revenue by source of the ended epoch is kept, the moved revenue is received from this contract in the current epoch.
+    * @param _epoch The ended epoch
+    */
+    function carryOver(uint256 _epoch) external whenNotPaused {
+        uint256 current = currentEpoch();
+        require(_epoch < current, "Error: epoch has not ended");
+        (, uint256 supply) = _epochBalances(address(0), _epoch);
+        require(supply == 0, "Error: epoch has veART holders");
+        uint256 amount = epochRevenues[_epoch];
+        require(amount > 0, "Error: no revenue to carry over");
+
+        epochRevenues[_epoch] = 0;
+        emit CarryOver(_epoch, current, amount);
+        _addRevenue(address(this), amount);
+    }
+
+    /**
+    * @notice Returns the reward of a user from an ended epoch, which is zero once claimed.
+    * @param _user The address of the user
+    * @param _epoch The epoch
+    */
+    function claimable(address _user, uint256 _epoch) external view returns (uint256) {
+        if (_epoch >= currentEpoch() || claimed[_user][_epoch]) {
+            return 0;
+        }
+        return _reward(_user, _epoch);
+    }
+
+    /**
+    * @notice Returns the revenue received in an epoch by source contract.
+    * @param _epoch The epoch
+    */
+    function getEpochRevenue(uint256 _epoch) external view returns (address[] memory sources, uint256[] memory amounts) {
+        sources = _epochSources[_epoch].values();
+        amounts = new uint256[](sources.length);
+        for (uint256 i = 0; i < sources.length; i++) {
+            amounts[i] = epochSourceRevenues[_epoch][sources[i]];
+        }
+    }
+
+    /**
+    * @notice Returns the time-weighted veART balance of a user and the time-weighted veART supply during an epoch, in veART seconds.
+    * The values of the current epoch are projected from the current balances until its end.
+    * @param _user The address of the user
+    * @param _epoch The epoch
+    */
+    function getEpochBalances(address _user, uint256 _epoch) external view returns (uint256 balance, uint256 supply) {
+        return _epochBalances(_user, _epoch);
+    }
+
+    /**
+    * @notice Returns the current epoch, starting from zero.
+    */
+    function currentEpoch() public view returns (uint256) {
+        return (block.timestamp - startTime) / EPOCH_DURATION;
+    }
+
+    /**
+    * @notice Returns the start timestamp of an epoch, which ends at the start of the next one.
+    * @param _epoch The epoch
+    */
+    function epochStart(uint256 _epoch) public view returns (uint256) {
+        return startTime + _epoch * EPOCH_DURATION;
+    }
+
+    /**
+    * @notice Records revenue of the current epoch from a source.
+    */
+    function _addRevenue(address _source, uint256 _amount) internal {
+        uint256 epoch = currentEpoch();
+        epochRevenues[epoch] += _amount;
+        epochSourceRevenues[epoch][_source] += _amount;
+        _epochSources[epoch].add(_source);
+        emit RevenueReceived(epoch, _source, _amount);
+    }
+
+    /**
+    * @notice Returns the share of the revenue of an epoch by the time-weighted veART balance of a user.
+    */
+    function _reward(address _user, uint256 _epoch) internal view returns (uint256) {
+        (uint256 balance, uint256 supply) = _epochBalances(_user, _epoch);
+        if (supply == 0) {
+            return 0;
+        }
+        return (epochRevenues[_epoch] * balance) / supply;
+    }
+
+    /**
+    * @notice Returns the differences of the cumulative veART balances of a user and the supply between the start and the end of an epoch.
+    */
+    function _epochBalances(address _user, uint256 _epoch) internal view returns (uint256 balance, uint256 supply) {
+        (uint256 balanceAtStart, uint256 supplyAtStart) = veArt.cumulativeBalanceAt(_user, epochStart(_epoch));
+        (uint256 balanceAtEnd, uint256 supplyAtEnd) = veArt.cumulativeBalanceAt(_user, epochStart(_epoch + 1));
+        return (balanceAtEnd - balanceAtStart, supplyAtEnd - supplyAtStart);
+    }
+}
@@ -0,0 +1,382 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "../VeArt/IVeArt.sol";
+import "../VeArtFeeDistributor/IVeArtFeeDistributor.sol";
+
+/**
+* @title VeArtVault
+* @notice An ERC-4626 vault of ART that stakes the pooled ART in VeArt and compounds the ART rewards by staking them again.
+* The shares are transferable and the native rewards of VeArt and the VeArtFeeDistributor are shared by the holders of the shares.
+* It must be whitelisted in VeArt with addPlatform.
+*/
+contract VeArtVault is ERC4626Upgradeable, ReentrancyGuardUpgradeable, PausableUpgradeable, OwnableUpgradeable {
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    uint256 public constant ACC_REWARD_PER_SHARE_PRECISION = 1e24;
+
+    IVeArt public veArt;
+
+    IVeArtFeeDistributor public feeDistributor;
+
+    // ART held by the vault that is not staked, ART sent to the vault without a deposit is not counted
+    uint256 public idleAssets;
+
+    // the percentage of the assets kept unstaked to pay withdrawals without unstaking, in basis points
+    uint256 public bufferPercentage;
+
+    // native rewards per share, the native balance of the vault is distributed up to lastRewardBalance
+    uint256 public accRewardPerShare;
+    uint256 public lastRewardBalance;
+
+    // native rewards of each holder that are not yet claimed, and the rewards per share they were last updated at
+    mapping(address => uint256) public rewards;
+    mapping(address => uint256) public rewardDebt;
+
+    struct WithdrawalRequest {
+        uint256 assets;
+        uint256 batch;
+    }
+
+    // the withdrawals larger than the unstaked ART are requested and unstaked in batches, as unstaking burns the veART of the vault
+    mapping(address => WithdrawalRequest) public withdrawalRequests;
+
+    // the batch of the requests that are not yet unstaked, and the ART requested by them
+    uint256 public currentBatch;
+    uint256 public queuedAssets;
+
+    // unstaked ART that is reserved for the requests of the unstaked batches
+    uint256 public reservedAssets;
+
+    // the minimum time between two batches of unstaking, and the time of the last one
+    uint256 public withdrawalInterval;
+    uint256 public lastProcessedAt;
+
+    event Compound(uint256 artRewards, uint256 staked);
+    event ClaimReward(address indexed user, uint256 amount);
+    event BufferPercentageSet(uint256 bufferPercentage);
+    event FeeDistributorSet(address indexed feeDistributor);
+    event WithdrawalIntervalSet(uint256 withdrawalInterval);
+    event WithdrawalRequested(address indexed user, uint256 assets, uint256 batch);
+    event WithdrawalRequestCancelled(address indexed user, uint256 assets);
+    event ProcessWithdrawals(uint256 batch, uint256 assets, uint256 unstaked);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(IVeArt _veArt, IERC20MetadataUpgradeable _art) public initializer {
+        __ERC20_init_unchained("Salvor Compounding ART", "cART");
+        __ERC4626_init_unchained(_art);
+        __Ownable_init_unchained();
+        __Pausable_init_unchained();
+        __ReentrancyGuard_init_unchained();
+        veArt = _veArt;
+        bufferPercentage = 500;
+        withdrawalInterval = 1 days;
+    }
+
+    /**
+    * @notice Receives the native rewards, which are distributed to the holders of the shares when the shares next change or are claimed.
+    */
+    receive() external payable {}
+
+    /**
+     * @dev pause contract, restricting certain operations
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev unpause contract, enabling certain operations
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+    * @notice Sets the percentage of the assets kept unstaked to pay withdrawals. A withdrawal larger than the unstaked ART must be
+    * requested with requestWithdrawal first.
+    * @param _bufferPercentage The percentage in basis points
+    */
+    function setBufferPercentage(uint256 _bufferPercentage) external onlyOwner {
+        require(_bufferPercentage <= 10000, "Error: percentage cannot be higher than 100%");
+        bufferPercentage = _bufferPercentage;
+        emit BufferPercentageSet(_bufferPercentage);
+    }
+
+    /**
+    * @notice Sets the minimum time between two batches of unstaking. Each batch burns the veART of the vault.
+    * @param _withdrawalInterval The time in seconds
+    */
+    function setWithdrawalInterval(uint256 _withdrawalInterval) external onlyOwner {
+        withdrawalInterval = _withdrawalInterval;
+        emit WithdrawalIntervalSet(_withdrawalInterval);
+    }
+
+    /**
+    * @notice Sets the VeArtFeeDistributor the rewards of the veART of the vault are claimed from.
+    * @param _feeDistributor The address of the VeArtFeeDistributor
+    */
+    function setFeeDistributor(address _feeDistributor) external onlyOwner {
+        feeDistributor = IVeArtFeeDistributor(_feeDistributor);
+        emit FeeDistributorSet(_feeDistributor);
+    }
+
+    /**
+    * @notice Claims the rewards of the vault from VeArt and stakes the unstaked ART beyond the buffer, which also harvests the veART of the vault.
+    * Anyone can call it.
+    */
+    function compound() external nonReentrant whenNotPaused {
+        uint256 balanceBefore = _artBalance();
+        veArt.claimEarnings(address(this));
+        uint256 artRewards = _artBalance() - balanceBefore;
+        idleAssets += artRewards;
+
+        uint256 buffer = (totalAssets() * bufferPercentage) / 10000;
+        uint256 freeAssets = idleAssets - reservedAssets;
+        uint256 staked;
+        if (freeAssets > buffer) {
+            staked = freeAssets - buffer;
+            balanceBefore = _artBalance();
+            IERC20Upgradeable(asset()).safeIncreaseAllowance(address(veArt), staked);
+            veArt.depositART(staked);
+            _syncIdleAssets(balanceBefore);
+        } else if (stakedAssets() > 0) {
+            balanceBefore = _artBalance();
+            veArt.harvestVeART(address(this));
+            _syncIdleAssets(balanceBefore);
+        }
+        emit Compound(artRewards, staked);
+    }
+
+    /**
+    * @notice Requests a withdrawal of ART, which can be withdrawn once its batch is unstaked by processWithdrawals.
+    * A holder has one request at a time.
+    * @param _assets The amount of ART to withdraw
+    */
+    function requestWithdrawal(uint256 _assets) external nonReentrant whenNotPaused {
+        require(_assets > 0, "Error: amount cannot be zero");
+        require(withdrawalRequests[msg.sender].assets == 0, "Error: withdrawal already requested");
+        require(_assets <= convertToAssets(balanceOf(msg.sender)), "Error: not enough shares");
+        withdrawalRequests[msg.sender] = WithdrawalRequest(_assets, currentBatch);
+        queuedAssets += _assets;
+        emit WithdrawalRequested(msg.sender, _assets, currentBatch);
+    }
+
+    /**
+    * @notice Cancels the withdrawal request of the caller, the ART reserved for it is staked again by the next compound.
+    */
+    function cancelWithdrawalRequest() external nonReentrant {
+        WithdrawalRequest memory request = withdrawalRequests[msg.sender];
+        require(request.assets > 0, "Error: no withdrawal requested");
+        if (request.batch == currentBatch) {
+            queuedAssets -= request.assets;
+        } else {
+            reservedAssets -= MathUpgradeable.min(request.assets, reservedAssets);
+        }
+        delete withdrawalRequests[msg.sender];
+        emit WithdrawalRequestCancelled(msg.sender, request.assets);
+    }
+
+    /**
+    * @notice Unstakes the ART of the queued withdrawal requests at once and reserves it for them. Anyone can call it once
+    * withdrawalInterval has passed since the last batch.
+    */
+    function processWithdrawals() external nonReentrant whenNotPaused {
+        require(queuedAssets > 0, "Error: no withdrawal requested");
+        require(block.timestamp >= lastProcessedAt + withdrawalInterval, "Error: withdrawal interval has not passed");
+        uint256 unstaked = MathUpgradeable.min(queuedAssets, stakedAssets());
+        if (unstaked > 0) {
+            uint256 balanceBefore = _artBalance();
+            veArt.withdrawART(unstaked);
+            _syncIdleAssets(balanceBefore);
+        }
+        // the requests of holders who have since transferred their shares may exceed the ART of the vault
+        reservedAssets = MathUpgradeable.min(reservedAssets + queuedAssets, idleAssets);
+        emit ProcessWithdrawals(currentBatch, queuedAssets, unstaked);
+        queuedAssets = 0;
+        lastProcessedAt = block.timestamp;
+        currentBatch++;
+    }
+
+    /**
+    * @notice Claims the native rewards of the veART of the vault from ended epochs of the VeArtFeeDistributor. Anyone can call it.
+    * @param _epochs The epochs to claim from
+    */
+    function claimFees(uint256[] calldata _epochs) external nonReentrant whenNotPaused {
+        require(address(feeDistributor) != address(0), "Error: fee distributor is not set");
+        feeDistributor.claim(_epochs);
+    }
+
+    /**
+    * @notice Claims the native rewards of the caller.
+    */
+    function claimRewards() external nonReentrant whenNotPaused {
+        _updateRewards();
+        _settleRewards(msg.sender);
+        uint256 amount = rewards[msg.sender];
+        require(amount > 0, "Error: nothing to claim");
+        rewards[msg.sender] = 0;
+        lastRewardBalance -= amount;
+
+        emit ClaimReward(msg.sender, amount);
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Error: transfer failed");
+    }
+
+    /**
+    * @notice Returns the native rewards of a holder that can be claimed.
+    * @param _user The address of the holder
+    */
+    function pendingRewards(address _user) external view returns (uint256) {
+        uint256 _accRewardPerShare = accRewardPerShare;
+        uint256 supply = totalSupply();
+        if (address(this).balance > lastRewardBalance && supply > 0) {
+            _accRewardPerShare += ((address(this).balance - lastRewardBalance) * ACC_REWARD_PER_SHARE_PRECISION) / supply;
+        }
+        return rewards[_user] + ((balanceOf(_user) * _accRewardPerShare) / ACC_REWARD_PER_SHARE_PRECISION) - rewardDebt[_user];
+    }
+
+    /**
+    * @notice Returns the ART staked by the vault in VeArt.
+    */
+    function stakedAssets() public view returns (uint256 amount) {
+        (amount, , , , , ) = veArt.users(address(this));
+    }
+
+    /**
+    * @notice Returns the ART of the vault: the staked ART, the unstaked ART and the pending ART rewards in VeArt.
+    */
+    function totalAssets() public view override returns (uint256) {
+        return stakedAssets() + idleAssets + veArt.pendingARTRewards(address(this));
+    }
+
+    /**
+    * @notice Returns the ART a holder can withdraw: the unstaked ART that is not reserved and the ART reserved for their request.
+    * @param _owner The address of the holder
+    */
+    function maxWithdraw(address _owner) public view override returns (uint256) {
+        return MathUpgradeable.min(super.maxWithdraw(_owner), _availableAssets(_owner));
+    }
+
+    /**
+    * @notice Returns the shares a holder can redeem for the ART they can withdraw.
+    * @param _owner The address of the holder
+    */
+    function maxRedeem(address _owner) public view override returns (uint256) {
+        return MathUpgradeable.min(super.maxRedeem(_owner), _convertToShares(_availableAssets(_owner), MathUpgradeable.Rounding.Down));
+    }
+
+    /**
+    * @notice Returns zero while the vault is paused, as the deposits are paused.
+    */
+    function maxDeposit(address _receiver) public view override returns (uint256) {
+        return paused() ? 0 : super.maxDeposit(_receiver);
+    }
+
+    /**
+    * @notice Returns zero while the vault is paused, as the deposits are paused.
+    */
+    function maxMint(address _receiver) public view override returns (uint256) {
+        return paused() ? 0 : super.maxMint(_receiver);
+    }
+
+    /**
+    * @notice Keeps the deposited ART unstaked until the next compound.
+    */
+    function _deposit(address _caller, address _receiver, uint256 _assets, uint256 _shares) internal override nonReentrant whenNotPaused {
+        super._deposit(_caller, _receiver, _assets, _shares);
+        idleAssets += _assets;
+    }
+
+    /**
+    * @notice Pays the withdrawal from the unstaked ART, the ART reserved for the request of the owner first.
+    */
+    function _withdraw(address _caller, address _receiver, address _owner, uint256 _assets, uint256 _shares) internal override nonReentrant {
+        WithdrawalRequest storage request = withdrawalRequests[_owner];
+        if (request.assets > 0 && request.batch < currentBatch) {
+            uint256 used = MathUpgradeable.min(_assets, request.assets);
+            request.assets -= used;
+            reservedAssets -= MathUpgradeable.min(used, reservedAssets);
+        }
+        idleAssets -= _assets;
+        super._withdraw(_caller, _receiver, _owner, _assets, _shares);
+    }
+
+    /**
+    * @notice Updates the native rewards of the holders before their shares change.
+    */
+    function _beforeTokenTransfer(address _from, address _to, uint256 _amount) internal override {
+        super._beforeTokenTransfer(_from, _to, _amount);
+        _updateRewards();
+        if (_from != address(0)) {
+            _settleRewards(_from);
+        }
+        if (_to != address(0)) {
+            _settleRewards(_to);
+        }
+    }
+
+    /**
+    * @notice Resets the reward debts of the holders to their new shares.
+    */
+    function _afterTokenTransfer(address _from, address _to, uint256 _amount) internal override {
+        super._afterTokenTransfer(_from, _to, _amount);
+        if (_from != address(0)) {
+            rewardDebt[_from] = (balanceOf(_from) * accRewardPerShare) / ACC_REWARD_PER_SHARE_PRECISION;
+        }
+        if (_to != address(0)) {
+            rewardDebt[_to] = (balanceOf(_to) * accRewardPerShare) / ACC_REWARD_PER_SHARE_PRECISION;
+        }
+    }
+
+    /**
+    * @notice Distributes the native tokens received since the last update to the current shares.
+    */
+    function _updateRewards() internal {
+        uint256 balance = address(this).balance;
+        uint256 supply = totalSupply();
+        if (balance > lastRewardBalance && supply > 0) {
+            accRewardPerShare += ((balance - lastRewardBalance) * ACC_REWARD_PER_SHARE_PRECISION) / supply;
+            lastRewardBalance = balance;
+        }
+    }
+
+    /**
+    * @notice Moves the native rewards of a holder since their last update to their unclaimed rewards.
+    */
+    function _settleRewards(address _user) internal {
+        uint256 accumulated = (balanceOf(_user) * accRewardPerShare) / ACC_REWARD_PER_SHARE_PRECISION;
+        rewards[_user] += accumulated - rewardDebt[_user];
+        rewardDebt[_user] = accumulated;
+    }
+
+    /**
+    * @notice Adds the ART received from VeArt since _balanceBefore, the rewards and the unstaked ART, to the unstaked ART.
+    * The ART staked since then is subtracted.
+    */
+    function _syncIdleAssets(uint256 _balanceBefore) internal {
+        idleAssets = idleAssets + _artBalance() - _balanceBefore;
+    }
+
+    /**
+    * @notice Returns the unstaked ART a holder can withdraw.
+    */
+    function _availableAssets(address _owner) internal view returns (uint256) {
+        WithdrawalRequest memory request = withdrawalRequests[_owner];
+        uint256 reserved = request.batch < currentBatch ? request.assets : 0;
+        return MathUpgradeable.min(idleAssets, idleAssets - reservedAssets + reserved);
+    }
+
+    function _artBalance() internal view returns (uint256) {
+        return IERC20Upgradeable(asset()).balanceOf(address(this));
+    }
+}
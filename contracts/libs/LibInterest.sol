@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+// repayments of the NFT and ERC20 loans. The interest is the rate of the whole loan duration, prorated by the elapsed time.
+library LibInterest {
+    // interest accrues for every started day of the loan
+    uint8 constant DAILY = 0;
+    // interest accrues per second, for at least the minimum interest period of the loan
+    uint8 constant PER_SECOND = 1;
+
+    /**
+    * @notice Returns the principal of a loan with the interest accrued until now. The whole interest is due once the duration is over.
+    * @param _amount The principal of the loan.
+    * @param _rate The interest rate of the whole loan duration, 1 ether is 100%.
+    * @param _startedAt The timestamp the loan started at.
+    * @param _duration The duration of the loan.
+    * @param _accrual DAILY or PER_SECOND.
+    * @param _minInterestPeriod The shortest period interest is charged for when it accrues per second.
+    */
+    function repayment(uint256 _amount, uint256 _rate, uint256 _startedAt, uint256 _duration, uint8 _accrual, uint256 _minInterestPeriod) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - _startedAt;
+        uint256 period = _duration;
+        if (_accrual == PER_SECOND) {
+            if (elapsed < _minInterestPeriod) {
+                elapsed = _minInterestPeriod;
+            }
+        } else {
+            elapsed = (elapsed / 86400) + 1;
+            period = _duration / 86400;
+        }
+        if (period <= elapsed) {
+            return _amount + ((_amount * _rate) / 1 ether);
+        }
+        return _amount + ((_amount * _rate * elapsed) / (1 ether * period));
+    }
+}
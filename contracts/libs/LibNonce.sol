@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+// per-user nonce bitmaps: a nonce is used or invalidated once its bit is set. Each word holds 256 consecutive nonces,
+// so a user can cancel a whole range of nonces with a single word update.
+library LibNonce {
+    /**
+    * @notice Splits a nonce into the word index in the bitmap and the bit index in that word.
+    * @param nonce The nonce to be located.
+    */
+    function position(uint256 nonce) internal pure returns (uint256 wordPos, uint256 bitPos) {
+        wordPos = nonce >> 8;
+        bitPos = nonce & 0xff;
+    }
+
+    /**
+    * @notice Checks whether the given nonce is used or invalidated.
+    * @param bitmap The bitmap of the nonce owner.
+    * @param nonce The nonce to be checked.
+    */
+    function isUsed(mapping(uint256 => uint256) storage bitmap, uint256 nonce) internal view returns (bool) {
+        (uint256 wordPos, uint256 bitPos) = position(nonce);
+        return bitmap[wordPos] & (1 << bitPos) != 0;
+    }
+
+    /**
+    * @notice Marks the given nonce as used.
+    * @param bitmap The bitmap of the nonce owner.
+    * @param nonce The nonce to be used.
+    */
+    function use(mapping(uint256 => uint256) storage bitmap, uint256 nonce) internal {
+        (uint256 wordPos, uint256 bitPos) = position(nonce);
+        bitmap[wordPos] |= (1 << bitPos);
+    }
+
+    /**
+    * @notice Invalidates every nonce whose bit is set in the mask within the given word.
+    * @param bitmap The bitmap of the nonce owner.
+    * @param wordPos The index of the word, i.e. nonce >> 8.
+    * @param mask The bits to be set in the word.
+    */
+    function invalidate(mapping(uint256 => uint256) storage bitmap, uint256 wordPos, uint256 mask) internal {
+        bitmap[wordPos] |= mask;
+    }
+
+    /**
+    * @notice Derives the nonce of a signed payload that still uses a string salt.
+    * @param salt The legacy salt.
+    */
+    function fromSalt(string memory salt) internal pure returns (uint256) {
+        return uint256(keccak256(bytes(salt)));
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/MerkleProofUpgradeable.sol";
+
+// merkle trees of eligible tokenIds that trait offers commit to. Leaves are keccak256(keccak256(abi.encode(tokenId)))
+// and the pairs are sorted before hashing, see libs/sdk/merkle.js for the tree builder.
+library LibTokenTree {
+    /**
+    * @notice Returns the leaf of a tokenId in a token tree.
+    * @param tokenId The tokenId to be hashed.
+    */
+    function leaf(uint256 tokenId) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(tokenId))));
+    }
+
+    /**
+    * @notice Checks whether the tokenId is a member of the tree with the given root.
+    * @param proof The sibling hashes from the leaf to the root.
+    * @param root The root of the token tree.
+    * @param tokenId The tokenId to be checked.
+    */
+    function contains(bytes32[] memory proof, bytes32 root, uint256 tokenId) internal pure returns (bool) {
+        return MerkleProofUpgradeable.verify(proof, root, leaf(tokenId));
+    }
+}
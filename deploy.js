@@ -1,5 +1,6 @@
 const { ethers, upgrades } = require("hardhat")
 const hre = require("hardhat")
+const { deployLending, deployLoanNotes } = require("./libs/deployLending")
 
 async function main() {
 	const [deployer] = await ethers.getSigners()
@@ -9,7 +10,6 @@ async function main() {
 	console.log("Account balance:", (await deployer.getBalance()).toString())
 
 	const ExchangeFC = await ethers.getContractFactory("SalvorExchange")
-	const LendingFC = await ethers.getContractFactory("SalvorLending")
 	const AssetManagerFC = await ethers.getContractFactory("AssetManager")
 
 	const assetManager = await upgrades.deployProxy(AssetManagerFC, [])
@@ -38,8 +38,7 @@ async function main() {
 	const tx2 = await salvorExchange.setAssetManager(assetManager.address)
 	await tx2.wait()
 
-	const salvorLending = await upgrades.deployProxy(LendingFC, [])
-	await salvorLending.deployed()
+	const salvorLending = await deployLending(hre)
 	console.log(`deployed contract --> lending: ${salvorLending.address}`)
 	const lendingImplementationAddress = await upgrades.erc1967.getImplementationAddress(salvorLending.address)
 	console.log("lending implementation --> ", lendingImplementationAddress)
@@ -53,6 +52,10 @@ async function main() {
 
 	const tx4 = await salvorLending.setAssetManager(assetManager.address)
 	await tx4.wait()
+
+	const { lenderNote, borrowerNote } = await deployLoanNotes(hre, salvorLending)
+	console.log(`deployed contract --> lender notes: ${lenderNote.address}`)
+	console.log(`deployed contract --> borrower notes: ${borrowerNote.address}`)
 }
 
 main()
@@ -1,5 +1,6 @@
 const { ethers, upgrades } = require("hardhat")
 const hre = require("hardhat")
+const { deployVeArt } = require("./libs/deployVeArt")
 
 async function main() {
 	const [deployer] = await ethers.getSigners()
@@ -8,11 +9,9 @@ async function main() {
 
 	console.log("Account balance:", (await deployer.getBalance()).toString())
 
-	const VeArtCF = await ethers.getContractFactory("VeArt")
 	const erc20ArtTokenAddress = "0xC3d64c244D53e743f6CFb72A342DCBF89D267187"
 
-	const veArt = await upgrades.deployProxy(VeArtCF, [erc20ArtTokenAddress])
-	await veArt.deployed()
+	const veArt = await deployVeArt({ ethers, upgrades }, erc20ArtTokenAddress)
 	console.log(`deployed contract --> veArt: ${veArt.address}`)
 	const veArtImplementationAddress = await upgrades.erc1967.getImplementationAddress(veArt.address)
 	console.log("veArt implementation --> ", veArtImplementationAddress)
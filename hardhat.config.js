@@ -33,6 +33,43 @@ module.exports = {
             runs: 100
           }
         }
+      },
+      "contracts/AssetManager/AssetManager.sol": {
+        version: "0.8.16",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 100
+          }
+        }
+      },
+      "contracts/SalvorExchange/SalvorExchange.sol": {
+        version: "0.8.16",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 100
+          }
+        }
+      },
+      "contracts/SalvorLending/SalvorLending.sol": {
+        version: "0.8.16",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 50
+          }
+        }
+      },
+      "contracts/VeArt/VeArt.sol": {
+        version: "0.8.16",
+        settings: {
+          viaIR: true,
+          optimizer: {
+            enabled: true,
+            runs: 50
+          }
+        }
       }
     },
     settings: {
@@ -1,117 +1,51 @@
-const { ethers } = require("hardhat")
-
-const { v4: uuidv4 } = require('uuid')
-// These constants must match the ones used in the smart contract.
-const SIGNING_DOMAIN_NAME = "Salvor"
-const SIGNING_DOMAIN_VERSION = "3"
+const { SalvorSDK } = require("./sdk")
 
 class ExchangeSigner {
 	constructor({ contract, signer }) {
 		this.contract = contract
 		this.signer = signer
+		this.sdk = new SalvorSDK({ signer, contracts: { exchange: contract } })
 	}
 
-	async createVoucher(seller, nftContractAddress, tokenId, price = 0) {
-		const voucher = {
-			salt: uuidv4(),
+	// the vouchers start at the latest block, so that they are live on any chain and fork
+	async createVoucher(seller, nftContractAddress, tokenId, price = 0, currency, startedAt) {
+		if (startedAt == null) {
+			startedAt = await this.sdk.getBlockTimestamp()
+		}
+		return this.sdk.signBatchOrder({
 			seller,
 			orders: [{
 				nftContractAddress,
-				salt: uuidv4(),
 				tokenId,
 				price,
-				duration: 6 * 30 * 24 * 60 * 60,
-				// startedAt: Number((+new Date() / 1000).toFixed(0))
-				startedAt: 1635826550
-			}],
-		}
-		const domain = await this._signingDomain()
-		const types = {
-			BatchOrder: [
-				{ name: "salt", type: "string" },
-				{ name: "seller", type: "address" },
-				{ name: "orders", type: "Order[]" }
-			],
-			Order: [
-				{ name: "nftContractAddress", type: "address" },
-				{ name: "salt", type: "string" },
-				{ name: "tokenId", type: "uint256" },
-				{ name: "price", type: "uint256" },
-				{ name: "duration", type: "uint256" },
-				{ name: "startedAt", type: "uint256" }
-			]
-		}
-		// console.log(domain, types, voucher)
-		const signature = await this.signer._signTypedData(domain, types, voucher)
-		return {
-			voucher,
-			signature,
-		}
+				currency,
+				startedAt
+			}]
+		})
 	}
 
-	async createOfferVoucher(buyer, nftContractAddress, tokenId, bid = 0) {
-		const voucher = {
+	async createOfferVoucher(buyer, nftContractAddress, tokenId, bid = 0, currency, startedAt) {
+		if (startedAt == null) {
+			startedAt = await this.sdk.getBlockTimestamp()
+		}
+		return this.sdk.signOffer({
 			nftContractAddress,
 			buyer,
-			salt: uuidv4(),
-			traits: 'allItems',
 			tokenId,
 			bid,
-			duration: 6 * 30 * 24 * 60 * 60,
-			size: 1,
-			// startedAt: Number((+new Date() / 1000).toFixed(0)),
-			startedAt: 1635826550,
+			currency,
+			startedAt,
 			isCollectionOffer: true
-		}
-		const domain = await this._signingDomain()
-		const types = {
-			Offer: [
-				{ name: "nftContractAddress", type: "address" },
-				{ name: "buyer", type: "address" },
-				{ name: "salt", type: "string" },
-				{ name: "traits", type: "string" },
-				{ name: "tokenId", type: "uint256" },
-				{ name: "bid", type: "uint256" },
-				{ name: "duration", type: "uint256" },
-				{ name: "size", type: "uint256" },
-				{ name: "startedAt", type: "uint256" },
-				{ name: "isCollectionOffer", type: "bool" }
-			]
-		}
-		// console.log(domain, types, voucher)
-		const signature = await this.signer._signTypedData(domain, types, voucher)
-		return {
-			voucher,
-			signature,
-		}
+		})
 	}
 
-	async signToken(tokenId, salt, traits, sender, nftContractAddress) {
-		const latestBlockNumber = await ethers.provider.getBlockNumber()
-		const voucher = { tokenId, blockNumber: latestBlockNumber, sender, nftContractAddress, uuid: uuidv4(), salt, traits}
-		const domain = await this._signingDomain()
-		const types = {
-			Token: [
-				{ name: "tokenId", type: "uint256" },
-				{ name: "blockNumber", type: "uint256" },
-				{ name: "sender", type: "address" },
-				{ name: "nftContractAddress", type: "address" },
-				{ name: "uuid", type: "string" },
-				{ name: "salt", type: "string" },
-				{ name: "traits", type: "string" },
-			]
-		}
-
-		return {
-			signature: await this.signer._signTypedData(domain, types, voucher),
-			voucher
-		}
+	async signToken(tokenId, nonce, traits, sender, nftContractAddress, amount = 1) {
+		return this.sdk.signExchangeToken({ tokenId, amount, nonce, traits, sender, nftContractAddress })
 	}
 
 	async signCancelOrder(nftContractAddress, salt, sender, tokenId) {
-		const latestBlockNumber = await ethers.provider.getBlockNumber()
+		const latestBlockNumber = await this.sdk.getBlockNumber()
 		const voucher = { nftContractAddress, sender, salt, blockNumber: latestBlockNumber, tokenId }
-		const domain = await this._signingDomain()
 		const types = {
 			CancelOrder: [
 				{ name: "nftContractAddress", type: "address" },
@@ -121,25 +55,8 @@ class ExchangeSigner {
 				{ name: "tokenId", type: "uint256" }
 			]
 		}
-
-		return {
-			signature: await this.signer._signTypedData(domain, types, voucher),
-			voucher
-		}
-	}
-	async _signingDomain() {
-		if (this._domain != null) {
-			return this._domain
-		}
-		const chainId = await this.contract.getChainId()
-		this._domain = {
-			name: SIGNING_DOMAIN_NAME,
-			version: SIGNING_DOMAIN_VERSION,
-			chainId: Number(chainId),
-			verifyingContract: this.contract.address,
-		}
-		return this._domain
+		return this.sdk.sign("exchange", types, voucher)
 	}
 }
 
-module.exports = ExchangeSigner
\ No newline at end of file
+module.exports = ExchangeSigner
@@ -1,51 +1,15 @@
-const { v4: uuidv4 } = require('uuid')
-// These constants must match the ones used in the smart contract.
-const SIGNING_DOMAIN_NAME = "Salvor"
-const SIGNING_DOMAIN_VERSION = "1"
+const { SalvorSDK } = require("./sdk")
 
 class MarketplaceSigner {
 	constructor({ contract, signer }) {
 		this.contract = contract
 		this.signer = signer
+		this.sdk = new SalvorSDK({ signer, contracts: { marketplace: contract } })
 	}
 
 	async createVoucher(nftContractAddress, tokenId, price = 0, shareholders) {
-		const voucher = { nftContractAddress, salt: uuidv4(), tokenId, price, shareholders }
-		const domain = await this._signingDomain()
-		const types = {
-			Order: [
-				{ name: "nftContractAddress", type: "address" },
-				{ name: "salt", type: "string" },
-				{ name: "tokenId", type: "uint256" },
-				{ name: "price", type: "uint256" },
-				{ name: "shareholders", type: "Shareholder[]" }
-			],
-			Shareholder: [
-				{ name: "account", type: "address" },
-				{ name: "value", type: "uint96" }
-			]
-		}
-		// console.log(domain, types, voucher)
-		const signature = await this.signer._signTypedData(domain, types, voucher)
-		return {
-			voucher,
-			signature,
-		}
-	}
-
-	async _signingDomain() {
-		if (this._domain != null) {
-			return this._domain
-		}
-		const chainId = await this.contract.getChainId()
-		this._domain = {
-			name: SIGNING_DOMAIN_NAME,
-			version: SIGNING_DOMAIN_VERSION,
-			chainId: Number(chainId),
-			verifyingContract: this.contract.address,
-		}
-		return this._domain
+		return this.sdk.signMarketplaceOrder({ nftContractAddress, tokenId, price, shareholders })
 	}
 }
 
-module.exports = MarketplaceSigner
\ No newline at end of file
+module.exports = MarketplaceSigner
@@ -0,0 +1,49 @@
+// default settings of the SalvorGovernor and the SalvorTimelock, the durations of the votes are in blocks
+const GOVERNANCE_SETTINGS = {
+	minDelay: 2 * 86400, // seconds between queuing and executing a proposal
+	votingDelay: 1,
+	votingPeriod: 302400, // a week of 2 second blocks
+	proposalThreshold: 0, // veART needed to propose
+	quorumNumerator: 400 // 4% of the veART supply, in basis points
+}
+
+/**
+ * Deploys the SalvorTimelock and the SalvorGovernor behind proxies. The governor is the only proposer and canceller of the timelock,
+ * anyone can execute the proposals it queued, and the deployer renounces the admin role of the timelock.
+ * The governed contracts are handed over with transferToTimelock.
+ * @param {Object} hre the hardhat runtime environment, or any object with its ethers and upgrades
+ * @param {string} veArt the address of the VeArt the votes are counted from
+ * @param {Object} [settings] overrides of GOVERNANCE_SETTINGS
+ */
+async function deployGovernance({ ethers, upgrades }, veArt, settings = {}) {
+	const { minDelay, votingDelay, votingPeriod, proposalThreshold, quorumNumerator } = { ...GOVERNANCE_SETTINGS, ...settings }
+	const [deployer] = await ethers.getSigners()
+
+	const timelock = await upgrades.deployProxy(await ethers.getContractFactory("SalvorTimelock"), [minDelay, [], [ethers.constants.AddressZero]])
+	await timelock.deployed()
+
+	const governor = await upgrades.deployProxy(await ethers.getContractFactory("SalvorGovernor"), [veArt, timelock.address, votingDelay, votingPeriod, proposalThreshold, quorumNumerator])
+	await governor.deployed()
+
+	await (await timelock.grantRole(await timelock.PROPOSER_ROLE(), governor.address)).wait()
+	await (await timelock.grantRole(await timelock.CANCELLER_ROLE(), governor.address)).wait()
+	await (await timelock.renounceRole(await timelock.TIMELOCK_ADMIN_ROLE(), deployer.address)).wait()
+	return { timelock, governor }
+}
+
+/**
+ * Transfers the ownership of the governed contracts to the timelock, their owner functions can only be called by proposals from then on.
+ * @param {Object} timelock the SalvorTimelock contract
+ * @param {Array<Object>} contracts the governed contracts, e.g. the AssetManager, SalvorLendingV2 and VeArt, connected to their owner
+ */
+async function transferToTimelock(timelock, contracts) {
+	for (const contract of contracts) {
+		await (await contract.transferOwnership(timelock.address)).wait()
+	}
+}
+
+module.exports = {
+	GOVERNANCE_SETTINGS,
+	deployGovernance,
+	transferToTimelock
+}
@@ -0,0 +1,59 @@
+// SalvorLendingV2 is linked to external libraries that keep it under the contract size limit, see contracts/SalvorLending/lib
+const LENDING_LIBRARIES = ["LibLiquidation", "LibLoanValidation"]
+
+// name, symbol and holders of the notes of the loan positions, see contracts/SalvorLoanNote
+const LOAN_NOTES = {
+	lenderNote: { name: "Salvor Promissory Note", symbol: "SPN", isLenderNote: true },
+	borrowerNote: { name: "Salvor Obligation Receipt", symbol: "SOR", isLenderNote: false }
+}
+
+/**
+ * Deploys the external libraries of SalvorLendingV2 and returns its contract factory linked to them,
+ * e.g. to upgrade a proxy with upgrades.upgradeProxy(address, factory, { unsafeAllowLinkedLibraries: true }).
+ * @param {Object} ethers ethers of the hardhat runtime environment
+ */
+async function getLendingFactory(ethers) {
+	const libraries = {}
+	for (const name of LENDING_LIBRARIES) {
+		const library = await (await ethers.getContractFactory(name)).deploy()
+		await library.deployed()
+		libraries[name] = library.address
+	}
+	return ethers.getContractFactory("SalvorLendingV2", { libraries })
+}
+
+/**
+ * Deploys SalvorLendingV2 behind a proxy, linked to freshly deployed libraries.
+ * @param {Object} hre the hardhat runtime environment, or any object with its ethers and upgrades
+ */
+async function deployLending({ ethers, upgrades }) {
+	const factory = await getLendingFactory(ethers)
+	const lending = await upgrades.deployProxy(factory, [], { unsafeAllowLinkedLibraries: true })
+	await lending.deployed()
+	return lending
+}
+
+/**
+ * Deploys the promissory notes of the lenders and the obligation receipts of the borrowers behind proxies and sets them on a SalvorLendingV2,
+ * which issues them for the loans started from then on.
+ * @param {Object} hre the hardhat runtime environment, or any object with its ethers and upgrades
+ * @param {Object} lending the SalvorLendingV2 contract, connected to its owner
+ */
+async function deployLoanNotes({ ethers, upgrades }, lending) {
+	const factory = await ethers.getContractFactory("SalvorLoanNote")
+	const notes = {}
+	for (const [key, { name, symbol, isLenderNote }] of Object.entries(LOAN_NOTES)) {
+		notes[key] = await upgrades.deployProxy(factory, [name, symbol, lending.address, isLenderNote])
+		await notes[key].deployed()
+	}
+	await (await lending.setLoanNotes(notes.lenderNote.address, notes.borrowerNote.address)).wait()
+	return notes
+}
+
+module.exports = {
+	LENDING_LIBRARIES,
+	LOAN_NOTES,
+	getLendingFactory,
+	deployLending,
+	deployLoanNotes
+}
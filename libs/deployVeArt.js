@@ -0,0 +1,35 @@
+// VeArt is linked to an external library that keeps it under the contract size limit, see contracts/VeArt/lib
+const VEART_LIBRARIES = ["LibCheckpoints"]
+
+/**
+ * Deploys the external libraries of VeArt and returns its contract factory linked to them,
+ * e.g. to upgrade a proxy with upgrades.upgradeProxy(address, factory, { unsafeAllowLinkedLibraries: true }).
+ * @param {Object} ethers ethers of the hardhat runtime environment
+ */
+async function getVeArtFactory(ethers) {
+	const libraries = {}
+	for (const name of VEART_LIBRARIES) {
+		const library = await (await ethers.getContractFactory(name)).deploy()
+		await library.deployed()
+		libraries[name] = library.address
+	}
+	return ethers.getContractFactory("VeArt", { libraries })
+}
+
+/**
+ * Deploys VeArt behind a proxy, linked to freshly deployed libraries.
+ * @param {Object} hre the hardhat runtime environment, or any object with its ethers and upgrades
+ * @param {string} art address of the ART token
+ */
+async function deployVeArt({ ethers, upgrades }, art) {
+	const factory = await getVeArtFactory(ethers)
+	const veArt = await upgrades.deployProxy(factory, [art], { unsafeAllowLinkedLibraries: true })
+	await veArt.deployed()
+	return veArt
+}
+
+module.exports = {
+	VEART_LIBRARIES,
+	getVeArtFactory,
+	deployVeArt
+}
@@ -0,0 +1,147 @@
+const { ethers } = require("ethers")
+
+const { BigNumber, utils } = ethers
+
+// Builds the proposals of the SalvorGovernor, see contracts/SalvorGovernor. Passed proposals are executed by the SalvorTimelock,
+// which must own the governed contracts.
+
+// the parameter setters of the governed contracts, other functions are called with a fragment of their own
+const GOVERNED_FUNCTIONS = {
+	assetManager: [
+		"function setProtocolFee(address _platform, uint96 _protocolFee)",
+		"function setLiquidationFee(uint96 _liquidationFee)",
+		"function setPaymentToken(address _currency, bool _isAllowed)"
+	],
+	lending: [
+		"function setPool(address _collection, uint256 _duration, uint256 _rate, bool _isActive)",
+		"function setPoolAccrual(address _collection, uint8 _accrual, uint256 _minInterestPeriod)",
+		"function setLiquidationCurve(address _collection, uint256 _startMultiplier, uint256 _floorMultiplier, uint8 _decay, uint256 _decayFactor)",
+		"function setLoanTermLimits(address _collection, uint256 _minDuration, uint256 _maxDuration, uint256 _minRate, uint256 _maxRate)"
+	],
+	lendingErc20: [
+		"function setAllowedAsset(address asset, bool isActive)",
+		"function setPriceFeed(address asset, address aggregator, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 maxDelay)"
+	],
+	veArt: [
+		"function setMaxCap(uint256 _maxCap)",
+		"function setARTGenerationRate(uint256 _rewardARTGenerationRate)",
+		"function setLockConfiguration(uint256 _maxLockDuration, uint256 _lockMultiplier, uint256 _earlyExitPenalty)"
+	],
+	governor: [
+		"function setQuorumNumerator(uint256 _quorumNumerator)",
+		"function setVotingDelay(uint256 newVotingDelay)",
+		"function setVotingPeriod(uint256 newVotingPeriod)",
+		"function setProposalThreshold(uint256 newProposalThreshold)"
+	]
+}
+
+// IGovernor.state
+const PROPOSAL_STATE = {
+	PENDING: 0,
+	ACTIVE: 1,
+	CANCELED: 2,
+	DEFEATED: 3,
+	SUCCEEDED: 4,
+	QUEUED: 5,
+	EXPIRED: 6,
+	EXECUTED: 7
+}
+
+// the support of a vote, see GovernorCountingSimple
+const VOTE = {
+	AGAINST: 0,
+	FOR: 1,
+	ABSTAIN: 2
+}
+
+const interfaces = {}
+
+function interfaceOf(contract) {
+	if (!GOVERNED_FUNCTIONS[contract]) {
+		throw new Error(`unknown governed contract ${contract}, set the fragment of the function instead`)
+	}
+	interfaces[contract] = interfaces[contract] || new utils.Interface(GOVERNED_FUNCTIONS[contract])
+	return interfaces[contract]
+}
+
+/**
+ * Encodes a call of a proposal.
+ * @param {Object} action
+ * @param {string} action.target the address of the called contract
+ * @param {string} action.method the name of the called function, or its fragment, e.g. "function setFee(uint256 fee)"
+ * @param {string} [action.contract] the key of the called contract in GOVERNED_FUNCTIONS, not needed when method is a fragment
+ * @param {Array} [action.args] the arguments of the call
+ * @param {BigNumberish} [action.value] the native amount sent with the call, paid by the timelock
+ * @returns {{ target: string, value: BigNumber, calldata: string }}
+ */
+function encodeAction({ target, method, contract, args = [], value = 0 }) {
+	if (!utils.isAddress(target)) {
+		throw new Error(`invalid target ${target}`)
+	}
+	const contractInterface = method.startsWith("function ") ? new utils.Interface([method]) : interfaceOf(contract)
+	const fragment = method.startsWith("function ") ? contractInterface.fragments[0] : contractInterface.getFunction(method)
+	return {
+		target,
+		value: BigNumber.from(value),
+		calldata: contractInterface.encodeFunctionData(fragment, args)
+	}
+}
+
+/**
+ * Builds a proposal of the SalvorGovernor from its actions, which are executed in order by the timelock.
+ * @param {Array<Object>} actions the calls of the proposal, see encodeAction
+ * @param {string} description the description of the proposal, proposals with the same actions and description have the same id
+ * @returns {{ targets: string[], values: BigNumber[], calldatas: string[], description: string, descriptionHash: string }}
+ */
+function buildProposal(actions, description) {
+	if (!actions.length) {
+		throw new Error("a proposal needs at least one action")
+	}
+	const encoded = actions.map(encodeAction)
+	return {
+		targets: encoded.map(({ target }) => target),
+		values: encoded.map(({ value }) => value),
+		calldatas: encoded.map(({ calldata }) => calldata),
+		description,
+		descriptionHash: utils.id(description)
+	}
+}
+
+/**
+ * Returns the id of a proposal, like SalvorGovernor.hashProposal.
+ * @param {Object} proposal the proposal, see buildProposal
+ * @returns {BigNumber}
+ */
+function hashProposal({ targets, values, calldatas, descriptionHash }) {
+	return BigNumber.from(utils.keccak256(utils.defaultAbiCoder.encode(
+		["address[]", "uint256[]", "bytes[]", "bytes32"],
+		[targets, values, calldatas, descriptionHash]
+	)))
+}
+
+/**
+ * Returns the arguments of SalvorGovernor.propose for a proposal.
+ * @param {Object} proposal the proposal, see buildProposal
+ */
+function proposeArgs({ targets, values, calldatas, description }) {
+	return [targets, values, calldatas, description]
+}
+
+/**
+ * Returns the arguments of SalvorGovernor.queue and SalvorGovernor.execute for a proposal.
+ * @param {Object} proposal the proposal, see buildProposal
+ */
+function executeArgs({ targets, values, calldatas, descriptionHash }) {
+	return [targets, values, calldatas, descriptionHash]
+}
+
+module.exports = {
+	GOVERNED_FUNCTIONS,
+	PROPOSAL_STATE,
+	VOTE,
+	encodeAction,
+	buildProposal,
+	hashProposal,
+	proposeArgs,
+	executeArgs
+}
@@ -0,0 +1,280 @@
+const { v4: uuidv4 } = require("uuid")
+const { ethers } = require("ethers")
+const { randomNonce } = require("./nonce")
+
+// currency of orders and offers that are paid in the native currency
+const NATIVE_CURRENCY = ethers.constants.AddressZero
+
+// token root of offers that are filled with validator tokens, see merkle.js for offers that commit to a token tree
+const NO_TOKEN_ROOT = ethers.constants.HashZero
+
+// token standards of orders and offers, ERC721 orders always carry a single item
+const TOKEN_STANDARDS = { ERC721: 0, ERC1155: 1 }
+
+// default validity of listings, offers and loan offers: 6 months
+const DEFAULT_DURATION = 6 * 30 * 24 * 60 * 60
+
+const now = () => Math.floor(Date.now() / 1000)
+
+const required = (struct, fields) => {
+	for (const [name, value] of Object.entries(fields)) {
+		if (value === undefined || value === null) {
+			throw new Error(`${struct}.${name} is required`)
+		}
+	}
+}
+
+/**
+ * @typedef {Object} Order LibOrderV2.Order
+ * @property {string} nftContractAddress
+ * @property {BigNumberish} nonce
+ * @property {BigNumberish} tokenId
+ * @property {number} tokenStandard
+ * @property {BigNumberish} amount quantity of the listing
+ * @property {BigNumberish} price price of a single item
+ * @property {string} currency
+ * @property {BigNumberish} duration
+ * @property {BigNumberish} startedAt
+ */
+
+/**
+ * @typedef {Object} BatchOrder LibOrderV2.BatchOrder
+ * @property {string} seller
+ * @property {Order[]} orders
+ */
+
+/**
+ * @typedef {Object} Offer LibOrderV2.Offer
+ * @property {string} nftContractAddress
+ * @property {string} buyer
+ * @property {BigNumberish} nonce
+ * @property {string} traits
+ * @property {string} tokenRoot merkle root of the eligible tokenIds
+ * @property {BigNumberish} tokenId
+ * @property {number} tokenStandard
+ * @property {BigNumberish} bid bid for a single item
+ * @property {string} currency
+ * @property {BigNumberish} duration
+ * @property {BigNumberish} size quantity of items
+ * @property {BigNumberish} startedAt
+ * @property {boolean} isCollectionOffer
+ * @property {boolean} autoInvalidate the offer is invalid once the buyer balance falls below the bid
+ */
+
+/**
+ * @typedef {Object} ExchangeToken LibOrderV2.Token
+ * @property {BigNumberish} tokenId
+ * @property {BigNumberish} amount quantity sold to the offer
+ * @property {BigNumberish} blockNumber
+ * @property {string} sender
+ * @property {string} nftContractAddress
+ * @property {BigNumberish} nonce
+ * @property {string} traits
+ */
+
+/**
+ * @typedef {Object} LoanOffer LibLendingV2.LoanOffer
+ * @property {string} nftContractAddress
+ * @property {string} lender
+ * @property {BigNumberish} nonce
+ * @property {string} traits
+ * @property {string} tokenRoot merkle root of the eligible tokenIds
+ * @property {BigNumberish} duration validity of the offer
+ * @property {BigNumberish} amount
+ * @property {BigNumberish} rate interest rate of the loan, 0 with a loanDuration of 0 takes the pool terms
+ * @property {BigNumberish} loanDuration duration of the loan in day units
+ * @property {BigNumberish} size
+ * @property {BigNumberish} startedAt
+ */
+
+/**
+ * @typedef {Object} LendingToken LibLendingV2.Token
+ * @property {BigNumberish} tokenId
+ * @property {BigNumberish} nonce
+ * @property {string} traits
+ * @property {BigNumberish} blockNumber
+ * @property {string} owner
+ * @property {string} nftContractAddress
+ * @property {string} lender
+ */
+
+/**
+ * @typedef {Object} Erc20LoanOffer LibLendingERC20.LoanOffer
+ * @property {string} lender
+ * @property {string} collateralizedAsset
+ * @property {BigNumberish} nonce
+ * @property {BigNumberish} amount
+ * @property {BigNumberish} price
+ * @property {BigNumberish} startedAt
+ * @property {BigNumberish} duration
+ * @property {BigNumberish} rate
+ */
+
+/**
+ * @typedef {Object} Erc20Token LibLendingERC20.Token
+ * @property {string} orderHash
+ * @property {BigNumberish} blockNumber
+ * @property {BigNumberish} amount
+ * @property {string} borrower
+ */
+
+/**
+ * Legacy structs replace the nonce with a string salt, e.g. LibOrderV2.LegacyOrder.
+ * They are only built to migrate or test orders signed before the nonces, the contracts reject them after the legacy cutoff.
+ */
+
+/** @returns {Order} */
+function buildOrder({
+	nftContractAddress,
+	tokenId,
+	price,
+	tokenStandard = TOKEN_STANDARDS.ERC721,
+	amount = 1,
+	currency = NATIVE_CURRENCY,
+	nonce = randomNonce(),
+	duration = DEFAULT_DURATION,
+	startedAt = now()
+}) {
+	required("Order", { nftContractAddress, tokenId, price })
+	return { nftContractAddress, nonce, tokenId, tokenStandard, amount, price, currency, duration, startedAt }
+}
+
+/** @returns {BatchOrder} */
+function buildBatchOrder({ seller, orders }) {
+	required("BatchOrder", { seller, orders })
+	return { seller, orders: orders.map(buildOrder) }
+}
+
+function buildLegacyOrder({ nftContractAddress, tokenId, price, salt = uuidv4(), duration = DEFAULT_DURATION, startedAt = now() }) {
+	required("Order", { nftContractAddress, tokenId, price })
+	return { nftContractAddress, salt, tokenId, price, duration, startedAt }
+}
+
+function buildLegacyBatchOrder({ seller, orders, salt = uuidv4() }) {
+	required("BatchOrder", { seller, orders })
+	return { salt, seller, orders: orders.map(buildLegacyOrder) }
+}
+
+/** @returns {Offer} */
+function buildOffer({
+	nftContractAddress,
+	buyer,
+	bid,
+	currency = NATIVE_CURRENCY,
+	tokenId = 0,
+	tokenStandard = TOKEN_STANDARDS.ERC721,
+	traits = "allItems",
+	tokenRoot = NO_TOKEN_ROOT,
+	isCollectionOffer = false,
+	autoInvalidate = false,
+	size = 1,
+	nonce = randomNonce(),
+	duration = DEFAULT_DURATION,
+	startedAt = now()
+}) {
+	required("Offer", { nftContractAddress, buyer, bid })
+	return { nftContractAddress, buyer, nonce, traits, tokenRoot, tokenId, tokenStandard, bid, currency, duration, size, startedAt, isCollectionOffer, autoInvalidate }
+}
+
+function buildLegacyOffer({
+	nftContractAddress,
+	buyer,
+	bid,
+	tokenId = 0,
+	traits = "allItems",
+	isCollectionOffer = false,
+	size = 1,
+	salt = uuidv4(),
+	duration = DEFAULT_DURATION,
+	startedAt = now()
+}) {
+	required("Offer", { nftContractAddress, buyer, bid })
+	return { nftContractAddress, buyer, salt, traits, tokenId, bid, duration, size, startedAt, isCollectionOffer }
+}
+
+/** @returns {ExchangeToken} */
+function buildExchangeToken({ tokenId, amount = 1, blockNumber, sender, nftContractAddress, nonce, traits = "allItems" }) {
+	required("Token", { tokenId, blockNumber, sender, nftContractAddress, nonce })
+	return { tokenId, amount, blockNumber, sender, nftContractAddress, nonce, traits }
+}
+
+/** @returns {LoanOffer} */
+function buildLoanOffer({
+	nftContractAddress,
+	lender,
+	amount,
+	traits = "allItems",
+	tokenRoot = NO_TOKEN_ROOT,
+	rate = 0,
+	loanDuration = 0,
+	size = 1,
+	nonce = randomNonce(),
+	duration = DEFAULT_DURATION,
+	startedAt = now()
+}) {
+	required("LoanOffer", { nftContractAddress, lender, amount })
+	return { nftContractAddress, lender, nonce, traits, tokenRoot, duration, amount, rate, loanDuration, size, startedAt }
+}
+
+function buildLegacyLoanOffer({
+	nftContractAddress,
+	lender,
+	amount,
+	traits = "allItems",
+	size = 1,
+	salt = uuidv4(),
+	duration = DEFAULT_DURATION,
+	startedAt = now()
+}) {
+	required("LoanOffer", { nftContractAddress, lender, amount })
+	return { nftContractAddress, lender, salt, traits, duration, amount, size, startedAt }
+}
+
+/** @returns {LendingToken} */
+function buildLendingToken({ tokenId, nonce, blockNumber, owner, nftContractAddress, lender, traits = "allItems" }) {
+	required("Token", { tokenId, nonce, blockNumber, owner, nftContractAddress, lender })
+	return { tokenId, nonce, traits, blockNumber, owner, nftContractAddress, lender }
+}
+
+/** @returns {Erc20LoanOffer} */
+function buildErc20LoanOffer({ lender, collateralizedAsset, amount, price, rate, nonce = randomNonce(), duration = DEFAULT_DURATION, startedAt = now() }) {
+	required("LoanOffer", { lender, collateralizedAsset, amount, price, rate })
+	return { lender, collateralizedAsset, nonce, amount, price, startedAt, duration, rate }
+}
+
+function buildLegacyErc20LoanOffer({ lender, collateralizedAsset, amount, price, rate, salt = uuidv4(), duration = DEFAULT_DURATION, startedAt = now() }) {
+	required("LoanOffer", { lender, collateralizedAsset, amount, price, rate })
+	return { lender, collateralizedAsset, salt, amount, price, startedAt, duration, rate }
+}
+
+/** @returns {Erc20Token} */
+function buildErc20Token({ orderHash, blockNumber, amount, borrower }) {
+	required("Token", { orderHash, blockNumber, amount, borrower })
+	return { orderHash, blockNumber, amount, borrower }
+}
+
+function buildMarketplaceOrder({ nftContractAddress, tokenId, price, shareholders = [], salt = uuidv4() }) {
+	required("Order", { nftContractAddress, tokenId, price })
+	return { nftContractAddress, salt, tokenId, price, shareholders }
+}
+
+module.exports = {
+	DEFAULT_DURATION,
+	NATIVE_CURRENCY,
+	NO_TOKEN_ROOT,
+	TOKEN_STANDARDS,
+	buildOrder,
+	buildBatchOrder,
+	buildOffer,
+	buildExchangeToken,
+	buildLoanOffer,
+	buildLendingToken,
+	buildErc20LoanOffer,
+	buildErc20Token,
+	buildMarketplaceOrder,
+	buildLegacyOrder,
+	buildLegacyBatchOrder,
+	buildLegacyOffer,
+	buildLegacyLoanOffer,
+	buildLegacyErc20LoanOffer
+}
@@ -0,0 +1,64 @@
+// These constants must match the ones used in the smart contracts.
+const DOMAINS = {
+	exchange: { name: "Salvor", version: "3" },
+	lending: { name: "SalvorLending", version: "2" },
+	lendingErc20: { name: "SalvorLendingERC20", version: "1" },
+	marketplace: { name: "Salvor", version: "1" }
+}
+
+/**
+ * Resolves and caches the EIP-712 domain of each Salvor contract.
+ * The chain id is read once from the provider unless it is given up front, which allows offline signing.
+ */
+class DomainResolver {
+	constructor({ provider, chainId, contracts = {} }) {
+		this.provider = provider
+		this.chainId = chainId != null ? Number(chainId) : null
+		this.contracts = {}
+		this._domains = {}
+		for (const key of Object.keys(contracts)) {
+			this.setContract(key, contracts[key])
+		}
+	}
+
+	setContract(key, contract) {
+		if (!DOMAINS[key]) {
+			throw new Error(`unknown salvor contract: ${key}`)
+		}
+		this.contracts[key] = typeof contract === "string" ? contract : contract.address
+		delete this._domains[key]
+	}
+
+	async getChainId() {
+		if (this.chainId == null) {
+			if (!this.provider) {
+				throw new Error("a provider or a chainId is required to resolve the signing domain")
+			}
+			const network = await this.provider.getNetwork()
+			this.chainId = Number(network.chainId)
+		}
+		return this.chainId
+	}
+
+	async resolve(key) {
+		if (this._domains[key] != null) {
+			return this._domains[key]
+		}
+		const verifyingContract = this.contracts[key]
+		if (!verifyingContract) {
+			throw new Error(`address of the ${key} contract is not set`)
+		}
+		this._domains[key] = {
+			name: DOMAINS[key].name,
+			version: DOMAINS[key].version,
+			chainId: await this.getChainId(),
+			verifyingContract
+		}
+		return this._domains[key]
+	}
+}
+
+module.exports = {
+	DOMAINS,
+	DomainResolver
+}
@@ -0,0 +1,74 @@
+const { ethers } = require("ethers")
+const {
+	EXCHANGE_TYPES,
+	LENDING_TYPES,
+	LENDING_ERC20_TYPES,
+	LEGACY_EXCHANGE_TYPES,
+	LEGACY_LENDING_TYPES,
+	LEGACY_LENDING_ERC20_TYPES
+} = require("./types")
+
+const { _TypedDataEncoder } = ethers.utils
+
+// Struct hashes, equal to the LibOrderV2, LibLendingV2 and LibLendingERC20 hash functions.
+
+const hashStruct = (types, primaryType) => value => _TypedDataEncoder.hashStruct(primaryType, types, value)
+
+// LibOrderV2.hash
+const hashBatchOrder = hashStruct(EXCHANGE_TYPES.BatchOrder, "BatchOrder")
+// LibOrderV2._hashOrderItem
+const hashOrderItem = hashStruct(EXCHANGE_TYPES.Order, "Order")
+// LibOrderV2.hashOffer
+const hashOffer = hashStruct(EXCHANGE_TYPES.Offer, "Offer")
+// LibOrderV2.hashToken
+const hashExchangeToken = hashStruct(EXCHANGE_TYPES.Token, "Token")
+// LibLendingV2.hash
+const hashLoanOffer = hashStruct(LENDING_TYPES.LoanOffer, "LoanOffer")
+// LibLendingV2.hashToken
+const hashLendingToken = hashStruct(LENDING_TYPES.Token, "Token")
+// LibLendingERC20.hash
+const hashErc20LoanOffer = hashStruct(LENDING_ERC20_TYPES.LoanOffer, "LoanOffer")
+// LibLendingERC20.hashToken
+const hashErc20Token = hashStruct(LENDING_ERC20_TYPES.Token, "Token")
+// LibOrderV2.hashLegacy
+const hashLegacyBatchOrder = hashStruct(LEGACY_EXCHANGE_TYPES.BatchOrder, "BatchOrder")
+// LibOrderV2._hashLegacyOrderItem
+const hashLegacyOrderItem = hashStruct(LEGACY_EXCHANGE_TYPES.Order, "Order")
+// LibOrderV2.hashLegacyOffer
+const hashLegacyOffer = hashStruct(LEGACY_EXCHANGE_TYPES.Offer, "Offer")
+// LibLendingV2.hashLegacy
+const hashLegacyLoanOffer = hashStruct(LEGACY_LENDING_TYPES.LoanOffer, "LoanOffer")
+// LibLendingERC20.hashLegacy
+const hashLegacyErc20LoanOffer = hashStruct(LEGACY_LENDING_ERC20_TYPES.LoanOffer, "LoanOffer")
+
+/**
+ * Returns the digest the contracts pass to ECDSA.recover, i.e. _hashTypedDataV4(structHash).
+ */
+function typedDataDigest(domain, types, value) {
+	return _TypedDataEncoder.hash(domain, types, value)
+}
+
+/**
+ * Recovers the address that signed the given voucher, the same way the contracts' _validate functions do.
+ */
+function recoverSigner(domain, types, value, signature) {
+	return ethers.utils.recoverAddress(typedDataDigest(domain, types, value), signature)
+}
+
+module.exports = {
+	hashBatchOrder,
+	hashOrderItem,
+	hashOffer,
+	hashExchangeToken,
+	hashLoanOffer,
+	hashLendingToken,
+	hashErc20LoanOffer,
+	hashErc20Token,
+	hashLegacyBatchOrder,
+	hashLegacyOrderItem,
+	hashLegacyOffer,
+	hashLegacyLoanOffer,
+	hashLegacyErc20LoanOffer,
+	typedDataDigest,
+	recoverSigner
+}
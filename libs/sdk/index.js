@@ -0,0 +1,198 @@
+const { DOMAINS, DomainResolver } = require("./domain")
+const {
+	EXCHANGE_TYPES,
+	LENDING_TYPES,
+	LENDING_ERC20_TYPES,
+	MARKETPLACE_TYPES,
+	LEGACY_EXCHANGE_TYPES,
+	LEGACY_LENDING_TYPES,
+	LEGACY_LENDING_ERC20_TYPES
+} = require("./types")
+const builders = require("./builders")
+const hash = require("./hash")
+const nonce = require("./nonce")
+const merkle = require("./merkle")
+const interest = require("./interest")
+const liquidation = require("./liquidation")
+const refinance = require("./refinance")
+
+/**
+ * Builds and signs every EIP-712 payload accepted by the Salvor contracts.
+ * It only depends on an injected ethers signer/provider, so the same code runs in Node and in the browser.
+ *
+ * const sdk = new SalvorSDK({ signer, contracts: { exchange: "0x...", lending: "0x..." } })
+ * const { voucher, signature } = await sdk.signOffer({ nftContractAddress, buyer, bid })
+ */
+class SalvorSDK {
+	constructor({ signer, provider, chainId, contracts = {} }) {
+		this.signer = signer
+		this.provider = provider || (signer && signer.provider)
+		this.domains = new DomainResolver({ provider: this.provider, chainId, contracts })
+	}
+
+	setContract(key, contract) {
+		this.domains.setContract(key, contract)
+	}
+
+	async getBlockNumber() {
+		if (!this.provider) {
+			throw new Error("a provider is required to read the latest block number")
+		}
+		// ethers never lets getBlockNumber() go backwards, which breaks on local nodes that get reset
+		const block = await this.provider.getBlock("latest")
+		return block.number
+	}
+
+	async getBlockTimestamp() {
+		if (!this.provider) {
+			throw new Error("a provider is required to read the latest block timestamp")
+		}
+		const block = await this.provider.getBlock("latest")
+		return block.timestamp
+	}
+
+	async sign(key, types, voucher) {
+		if (!this.signer) {
+			throw new Error("a signer is required to sign salvor payloads")
+		}
+		const domain = await this.domains.resolve(key)
+		const signature = await this.signer._signTypedData(domain, types, voucher)
+		return {
+			voucher,
+			signature
+		}
+	}
+
+	async recover(key, types, voucher, signature) {
+		const domain = await this.domains.resolve(key)
+		return hash.recoverSigner(domain, types, voucher, signature)
+	}
+
+	async verify(key, types, voucher, signature, expectedSigner) {
+		const signer = await this.recover(key, types, voucher, signature)
+		return signer.toLowerCase() === expectedSigner.toLowerCase()
+	}
+
+	// SalvorExchangeV2
+
+	async signBatchOrder(params) {
+		return this.sign("exchange", EXCHANGE_TYPES.BatchOrder, builders.buildBatchOrder(params))
+	}
+
+	async signOffer(params) {
+		return this.sign("exchange", EXCHANGE_TYPES.Offer, builders.buildOffer(params))
+	}
+
+	async signExchangeToken(params) {
+		const blockNumber = params.blockNumber != null ? params.blockNumber : await this.getBlockNumber()
+		return this.sign("exchange", EXCHANGE_TYPES.Token, builders.buildExchangeToken({ ...params, blockNumber }))
+	}
+
+	async recoverBatchOrder(voucher, signature) {
+		return this.recover("exchange", EXCHANGE_TYPES.BatchOrder, voucher, signature)
+	}
+
+	async recoverOffer(voucher, signature) {
+		return this.recover("exchange", EXCHANGE_TYPES.Offer, voucher, signature)
+	}
+
+	async recoverExchangeToken(voucher, signature) {
+		return this.recover("exchange", EXCHANGE_TYPES.Token, voucher, signature)
+	}
+
+	async signLegacyBatchOrder(params) {
+		return this.sign("exchange", LEGACY_EXCHANGE_TYPES.BatchOrder, builders.buildLegacyBatchOrder(params))
+	}
+
+	async signLegacyOffer(params) {
+		return this.sign("exchange", LEGACY_EXCHANGE_TYPES.Offer, builders.buildLegacyOffer(params))
+	}
+
+	async recoverLegacyBatchOrder(voucher, signature) {
+		return this.recover("exchange", LEGACY_EXCHANGE_TYPES.BatchOrder, voucher, signature)
+	}
+
+	async recoverLegacyOffer(voucher, signature) {
+		return this.recover("exchange", LEGACY_EXCHANGE_TYPES.Offer, voucher, signature)
+	}
+
+	// SalvorLendingV2
+
+	async signLoanOffer(params) {
+		return this.sign("lending", LENDING_TYPES.LoanOffer, builders.buildLoanOffer(params))
+	}
+
+	async signLendingToken(params) {
+		const blockNumber = params.blockNumber != null ? params.blockNumber : await this.getBlockNumber()
+		return this.sign("lending", LENDING_TYPES.Token, builders.buildLendingToken({ ...params, blockNumber }))
+	}
+
+	async recoverLoanOffer(voucher, signature) {
+		return this.recover("lending", LENDING_TYPES.LoanOffer, voucher, signature)
+	}
+
+	async recoverLendingToken(voucher, signature) {
+		return this.recover("lending", LENDING_TYPES.Token, voucher, signature)
+	}
+
+	async signLegacyLoanOffer(params) {
+		return this.sign("lending", LEGACY_LENDING_TYPES.LoanOffer, builders.buildLegacyLoanOffer(params))
+	}
+
+	async recoverLegacyLoanOffer(voucher, signature) {
+		return this.recover("lending", LEGACY_LENDING_TYPES.LoanOffer, voucher, signature)
+	}
+
+	// SalvorLendingERC20
+
+	async signErc20LoanOffer(params) {
+		return this.sign("lendingErc20", LENDING_ERC20_TYPES.LoanOffer, builders.buildErc20LoanOffer(params))
+	}
+
+	async signErc20Token(params) {
+		const blockNumber = params.blockNumber != null ? params.blockNumber : await this.getBlockNumber()
+		return this.sign("lendingErc20", LENDING_ERC20_TYPES.Token, builders.buildErc20Token({ ...params, blockNumber }))
+	}
+
+	async recoverErc20LoanOffer(voucher, signature) {
+		return this.recover("lendingErc20", LENDING_ERC20_TYPES.LoanOffer, voucher, signature)
+	}
+
+	async recoverErc20Token(voucher, signature) {
+		return this.recover("lendingErc20", LENDING_ERC20_TYPES.Token, voucher, signature)
+	}
+
+	async signLegacyErc20LoanOffer(params) {
+		return this.sign("lendingErc20", LEGACY_LENDING_ERC20_TYPES.LoanOffer, builders.buildLegacyErc20LoanOffer(params))
+	}
+
+	async recoverLegacyErc20LoanOffer(voucher, signature) {
+		return this.recover("lendingErc20", LEGACY_LENDING_ERC20_TYPES.LoanOffer, voucher, signature)
+	}
+
+	// Marketplace
+
+	async signMarketplaceOrder(params) {
+		return this.sign("marketplace", MARKETPLACE_TYPES.Order, builders.buildMarketplaceOrder(params))
+	}
+}
+
+module.exports = {
+	SalvorSDK,
+	DomainResolver,
+	DOMAINS,
+	EXCHANGE_TYPES,
+	LENDING_TYPES,
+	LENDING_ERC20_TYPES,
+	MARKETPLACE_TYPES,
+	LEGACY_EXCHANGE_TYPES,
+	LEGACY_LENDING_TYPES,
+	LEGACY_LENDING_ERC20_TYPES,
+	...builders,
+	...hash,
+	...nonce,
+	...merkle,
+	...interest,
+	...liquidation,
+	...refinance
+}
@@ -0,0 +1,52 @@
+const { ethers } = require("ethers")
+
+const { BigNumber, constants } = ethers
+
+// Repayments of the NFT and ERC20 loans, mirrors contracts/libs/LibInterest.sol.
+
+// how the interest of the loans of a pool accrues, see SalvorLendingV2.setPoolAccrual and SalvorLendingERC20.setAccrualMode
+const ACCRUAL = { DAILY: 0, PER_SECOND: 1 }
+
+const DAY = 86400
+
+/**
+ * Returns the principal of a loan with the interest accrued at the given timestamp, like LibInterest.repayment.
+ * The loan can be read straight from SalvorLendingV2.items or SalvorLendingERC20.loansByNonce.
+ * The whole interest is due once the duration is over.
+ * @param {Object} loan
+ * @param {BigNumberish} loan.amount principal of the loan, lentAmount for ERC20 loans
+ * @param {BigNumberish} loan.rate interest rate of the whole loan duration, 1 ether is 100%
+ * @param {BigNumberish} loan.startedAt
+ * @param {BigNumberish} loan.duration
+ * @param {number} loan.accrual ACCRUAL.DAILY charges every started day, ACCRUAL.PER_SECOND prorates the interest per second
+ * @param {BigNumberish} loan.minInterestPeriod shortest period interest is charged for when it accrues per second
+ * @param {BigNumberish} loan.settledInterest interest already paid by partial repayments and top ups of NFT loans
+ * @param {BigNumberish} at timestamp of the repayment, e.g. the timestamp of the latest block
+ * @returns {BigNumber}
+ */
+function quoteRepayment({ amount, lentAmount, rate, startedAt, duration, accrual = ACCRUAL.DAILY, minInterestPeriod = 0, settledInterest = 0 }, at) {
+	amount = BigNumber.from(amount != null ? amount : lentAmount)
+	rate = BigNumber.from(rate)
+	let elapsed = BigNumber.from(at).sub(startedAt)
+	let period = BigNumber.from(duration)
+	if (elapsed.lt(0)) {
+		throw new Error("the repayment cannot be quoted before the loan started")
+	}
+	if (Number(accrual) === ACCRUAL.PER_SECOND) {
+		if (elapsed.lt(minInterestPeriod)) {
+			elapsed = BigNumber.from(minInterestPeriod)
+		}
+	} else {
+		elapsed = elapsed.div(DAY).add(1)
+		period = period.div(DAY)
+	}
+	if (period.lte(elapsed)) {
+		return amount.add(amount.mul(rate).div(constants.WeiPerEther)).sub(settledInterest)
+	}
+	return amount.add(amount.mul(rate).mul(elapsed).div(constants.WeiPerEther.mul(period))).sub(settledInterest)
+}
+
+module.exports = {
+	ACCRUAL,
+	quoteRepayment
+}
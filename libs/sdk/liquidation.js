@@ -0,0 +1,111 @@
+const { ethers } = require("ethers")
+
+const { BigNumber, constants } = ethers
+
+// Dutch auctions of defaulted NFT loans, mirrors contracts/SalvorLending/lib/LibLiquidation.sol.
+
+// how the price of a Dutch auction drops, see SalvorLendingV2.setLiquidationCurve
+const DECAY = { LINEAR: 0, EXPONENTIAL: 1 }
+
+// the curve of the pools that have none: 3x the end price, dropping linearly to it
+const DEFAULT_LIQUIDATION_CURVE = {
+	startMultiplier: constants.WeiPerEther.mul(3),
+	floorMultiplier: constants.WeiPerEther,
+	decay: DECAY.LINEAR,
+	decayFactor: 0
+}
+
+/**
+ * Returns the Dutch auction a loan gets on the liquidation curve of its pool, like LibLiquidation.schedule.
+ * @param {Object} curve the liquidation curve, e.g. SalvorLendingV2.liquidationCurves(collection)
+ * @param {BigNumberish} endPrice repayment of the loan
+ * @param {BigNumberish} startTime timestamp the loan is due at
+ * @param {BigNumberish} duration SalvorLendingV2.auctionDuration
+ * @param {BigNumberish} dropInterval SalvorLendingV2.dropInterval
+ * @returns {Object} the auction as read from SalvorLendingV2.dutchAuctions
+ */
+function scheduleDutchAuction(curve, endPrice, startTime, duration, dropInterval) {
+	if (BigNumber.from(curve.startMultiplier).isZero()) {
+		curve = DEFAULT_LIQUIDATION_CURVE
+	}
+	endPrice = BigNumber.from(endPrice)
+	return {
+		duration: BigNumber.from(duration),
+		dropInterval: BigNumber.from(dropInterval),
+		startTime: BigNumber.from(startTime),
+		startPrice: endPrice.mul(curve.startMultiplier).div(constants.WeiPerEther),
+		endPrice,
+		floorPrice: endPrice.mul(curve.floorMultiplier).div(constants.WeiPerEther),
+		decay: Number(curve.decay),
+		decayFactor: BigNumber.from(curve.decayFactor)
+	}
+}
+
+/**
+ * Raises a decay factor to the number of drops by squaring, like LibLiquidation._pow.
+ * @param {BigNumberish} factor decay factor, 1 ether is 100%
+ * @param {number} exponent number of drops
+ * @returns {BigNumber}
+ */
+function pow(factor, exponent) {
+	let result = constants.WeiPerEther
+	factor = BigNumber.from(factor)
+	while (exponent > 0) {
+		if (exponent % 2 === 1) {
+			result = result.mul(factor).div(constants.WeiPerEther)
+		}
+		factor = factor.mul(factor).div(constants.WeiPerEther)
+		exponent = Math.floor(exponent / 2)
+	}
+	return result
+}
+
+/**
+ * Returns the price of a Dutch auction at the given timestamp, like SalvorLendingV2.getDutchPrice.
+ * @param {Object} auction e.g. SalvorLendingV2.dutchAuctions(collection, tokenId)
+ * @param {BigNumberish} at timestamp of the bid
+ * @returns {BigNumber}
+ */
+function quoteDutchPrice(auction, at) {
+	const elapsed = BigNumber.from(at).sub(auction.startTime)
+	if (elapsed.lt(0)) {
+		return BigNumber.from(auction.startPrice)
+	}
+	// auctions created before the liquidation curves end at their end price
+	const floorPrice = BigNumber.from(auction.floorPrice).isZero() ? BigNumber.from(auction.endPrice) : BigNumber.from(auction.floorPrice)
+	if (elapsed.gt(auction.duration)) {
+		return floorPrice
+	}
+	let diffPrice = BigNumber.from(auction.startPrice).sub(floorPrice)
+	const steps = elapsed.div(auction.dropInterval).toNumber()
+	if (Number(auction.decay) === DECAY.EXPONENTIAL) {
+		return floorPrice.add(diffPrice.mul(pow(auction.decayFactor, steps)).div(constants.WeiPerEther))
+	}
+	const dropsPerStep = diffPrice.div(BigNumber.from(auction.duration).div(auction.dropInterval))
+	return BigNumber.from(auction.startPrice).sub(dropsPerStep.mul(steps))
+}
+
+/**
+ * Returns the price of a Dutch auction at every drop interval, from its start until it is over.
+ * @param {Object} auction e.g. the result of scheduleDutchAuction
+ * @returns {Array<{ elapsed: number, price: BigNumber }>} elapsed is in seconds since the start of the auction
+ */
+function simulateLiquidation(auction) {
+	const duration = BigNumber.from(auction.duration).toNumber()
+	const dropInterval = BigNumber.from(auction.dropInterval).toNumber()
+	const startTime = BigNumber.from(auction.startTime)
+	const points = []
+	for (let elapsed = 0; elapsed <= duration; elapsed += dropInterval) {
+		points.push({ elapsed, price: quoteDutchPrice(auction, startTime.add(elapsed)) })
+	}
+	points.push({ elapsed: duration + 1, price: quoteDutchPrice(auction, startTime.add(duration + 1)) })
+	return points
+}
+
+module.exports = {
+	DECAY,
+	DEFAULT_LIQUIDATION_CURVE,
+	scheduleDutchAuction,
+	quoteDutchPrice,
+	simulateLiquidation
+}
@@ -0,0 +1,105 @@
+const { ethers } = require("ethers")
+
+const { BigNumber, utils } = ethers
+
+// Trait offers and loan offers can commit to the merkle root of their eligible tokenIds (see contracts/libs/LibTokenTree.sol),
+// sellers and borrowers then fill them with a proof instead of a validator token.
+
+const ALL_ITEMS = "allItems"
+
+/**
+ * Returns the leaf of a tokenId: keccak256(keccak256(abi.encode(tokenId))), like LibTokenTree.leaf.
+ */
+function tokenLeaf(tokenId) {
+	return utils.keccak256(utils.keccak256(utils.defaultAbiCoder.encode(["uint256"], [tokenId])))
+}
+
+// pairs are sorted before hashing, so the proofs do not need to tell left from right (MerkleProofUpgradeable.verify)
+const hashPair = (a, b) => utils.keccak256(utils.concat(a < b ? [a, b] : [b, a]))
+
+/**
+ * Lists the traits of an item as "Type:Value" strings. Items are either such a list already,
+ * as in the validator traits file, or ERC721 metadata with { attributes: [{ trait_type, value }] }.
+ */
+function traitsOf(item) {
+	if (Array.isArray(item)) {
+		return item
+	}
+	return ((item && item.attributes) || []).map(attribute => `${attribute.trait_type}:${attribute.value}`)
+}
+
+class TokenTree {
+	constructor(tokenIds) {
+		this.tokenIds = [...new Set(tokenIds.map(tokenId => BigNumber.from(tokenId).toString()))]
+		if (this.tokenIds.length === 0) {
+			throw new Error("a token tree needs at least one tokenId")
+		}
+		this.layers = [this.tokenIds.map(tokenLeaf).sort()]
+		while (this.layers[this.layers.length - 1].length > 1) {
+			const layer = this.layers[this.layers.length - 1]
+			const next = []
+			for (let i = 0; i < layer.length; i += 2) {
+				// the last node of an odd layer moves up unchanged
+				next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i])
+			}
+			this.layers.push(next)
+		}
+	}
+
+	/**
+	 * Builds the tree of the items that have every given trait. metadata is keyed by tokenId,
+	 * e.g. { "1": ["Background:Blue"] } or { "1": { attributes: [{ trait_type: "Background", value: "Blue" }] } }.
+	 * "allItems" keeps every item of the metadata.
+	 */
+	static fromMetadata(metadata, traits = ALL_ITEMS) {
+		const required = [].concat(traits).filter(trait => trait !== ALL_ITEMS)
+		const tokenIds = Object.entries(metadata)
+			.filter(([, item]) => {
+				const owned = new Set(traitsOf(item))
+				return required.every(trait => owned.has(trait))
+			})
+			.map(([tokenId]) => tokenId)
+		return new TokenTree(tokenIds)
+	}
+
+	static verify(root, tokenId, proof) {
+		return proof.reduce(hashPair, tokenLeaf(tokenId)) === root.toLowerCase()
+	}
+
+	get root() {
+		return this.layers[this.layers.length - 1][0]
+	}
+
+	has(tokenId) {
+		return this.layers[0].includes(tokenLeaf(tokenId))
+	}
+
+	/**
+	 * Returns the sibling hashes from the leaf of the tokenId to the root, the proof of LibOrderV2.TokenProof and LibLendingV2.TokenProof.
+	 */
+	getProof(tokenId) {
+		let index = this.layers[0].indexOf(tokenLeaf(tokenId))
+		if (index === -1) {
+			throw new Error(`token ${tokenId} is not in the tree`)
+		}
+		const proof = []
+		for (const layer of this.layers.slice(0, -1)) {
+			const sibling = index ^ 1
+			if (sibling < layer.length) {
+				proof.push(layer[sibling])
+			}
+			index = index >> 1
+		}
+		return proof
+	}
+
+	toJSON() {
+		return { root: this.root, tokenIds: this.tokenIds }
+	}
+}
+
+module.exports = {
+	TokenTree,
+	tokenLeaf,
+	traitsOf
+}
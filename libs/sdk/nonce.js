@@ -0,0 +1,70 @@
+const { ethers } = require("ethers")
+
+const { BigNumber } = ethers
+
+// Nonces live in per-user bitmaps on chain (see contracts/libs/LibNonce.sol): word = nonce >> 8, bit = nonce & 0xff.
+
+/**
+ * Returns a random 256 bit nonce, the default of the builders.
+ * Apps that want to cancel listings in ranges should hand out consecutive nonces instead, 256 of them share one word.
+ */
+function randomNonce() {
+	return BigNumber.from(ethers.utils.randomBytes(32)).toString()
+}
+
+/**
+ * Returns the nonce the contracts derive from the string salt of a legacy order or offer.
+ */
+function legacyNonce(salt) {
+	return BigNumber.from(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(salt))).toString()
+}
+
+function noncePosition(nonce) {
+	const value = BigNumber.from(nonce)
+	return {
+		wordPos: value.shr(8).toString(),
+		bitPos: value.and(0xff).toNumber()
+	}
+}
+
+/**
+ * Groups nonces by bitmap word, each item is the argument list of one invalidateNonces(wordPos, mask) call.
+ */
+function nonceInvalidations(nonces) {
+	const masks = new Map()
+	for (const nonce of nonces) {
+		const { wordPos, bitPos } = noncePosition(nonce)
+		const mask = masks.get(wordPos) || BigNumber.from(0)
+		masks.set(wordPos, mask.or(BigNumber.from(1).shl(bitPos)))
+	}
+	return [...masks.entries()].map(([wordPos, mask]) => ({ wordPos, mask: mask.toString() }))
+}
+
+/**
+ * Returns the invalidation of every nonce in [from, to], e.g. all the listings handed out in a session.
+ */
+function nonceRangeInvalidations(from, to) {
+	from = BigNumber.from(from)
+	to = BigNumber.from(to)
+	if (from.gt(to)) {
+		throw new Error("nonce range is empty")
+	}
+	const invalidations = []
+	const full = ethers.constants.MaxUint256
+	for (let word = from.shr(8); word.lte(to.shr(8)); word = word.add(1)) {
+		const first = word.eq(from.shr(8)) ? from.and(0xff).toNumber() : 0
+		const last = word.eq(to.shr(8)) ? to.and(0xff).toNumber() : 255
+		// bits first..last
+		const mask = full.shr(255 - last).and(full.shl(first))
+		invalidations.push({ wordPos: word.toString(), mask: mask.toString() })
+	}
+	return invalidations
+}
+
+module.exports = {
+	randomNonce,
+	legacyNonce,
+	noncePosition,
+	nonceInvalidations,
+	nonceRangeInvalidations
+}
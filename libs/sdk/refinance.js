@@ -0,0 +1,90 @@
+const { ethers } = require("ethers")
+
+const { BigNumber, constants } = ethers
+
+// Picks the loan offers NFT loans are refinanced with, see SalvorLendingV2.batchRefinance.
+
+// traits of the loan offers for every item of a collection
+const ALL_ITEMS = "allItems"
+
+const DAY = 86400
+
+/**
+ * Returns whether a loan offer can be taken by batchRefinance, which needs no validator token.
+ * Loan offers with a token root are proven with a merkle proof, others must be for every item of the collection.
+ * @param {Object} voucher the loan offer
+ * @returns {boolean}
+ */
+function isRefinanceable(voucher) {
+	return voucher.tokenRoot !== constants.HashZero || voucher.traits === ALL_ITEMS
+}
+
+/**
+ * Returns the duration and rate of the loan of a loan offer, like SalvorLendingV2._startLoan.
+ * Loan offers that leave both rate and loanDuration at 0 take the terms of the pool, the terms of others must be within the limits of the pool.
+ * @param {Object} voucher the loan offer
+ * @param {Object} pool the terms of the pool of the collection, e.g. SalvorLendingV2.lendingPools(collection)
+ * @param {Object} [limits] the limits of the pool, e.g. SalvorLendingV2.loanTermLimits(collection)
+ * @returns {{ duration: BigNumber, rate: BigNumber }|null} null when the terms are out of the limits
+ */
+function loanTermsOf(voucher, pool, limits) {
+	const duration = BigNumber.from(voucher.loanDuration || 0)
+	const rate = BigNumber.from(voucher.rate || 0)
+	if (duration.isZero() && rate.isZero()) {
+		if (!pool) {
+			throw new Error("the pool terms are required for loan offers that take them")
+		}
+		return { duration: BigNumber.from(pool.duration), rate: BigNumber.from(pool.rate) }
+	}
+	if (limits) {
+		const withinDuration = duration.mod(DAY).isZero() && duration.gte(limits.minDuration) && duration.lte(limits.maxDuration)
+		if (!withinDuration || rate.lt(limits.minRate) || rate.gt(limits.maxRate)) {
+			return null
+		}
+	}
+	return { duration, rate }
+}
+
+/**
+ * Finds the cheapest live loan offer of a supplied list, e.g. to refinance a loan with batchRefinance.
+ * An offer is live when it has started, has not expired and lends at least minAmount; offers can carry the remaining size read from
+ * SalvorLendingV2.getRemainingAmount, filled offers are skipped. The cheapest offer has the lowest rate per second, whatever its amount:
+ * the interest of a refinanced loan accrues on the borrowed amount, not on the amount of the offer.
+ * @param {Array<{ voucher: Object, signature: string, remaining?: BigNumberish }>} offers signed loan offers, e.g. from the order book
+ * @param {Object} options
+ * @param {BigNumberish} options.at timestamp the offer is taken at, e.g. the timestamp of the latest block
+ * @param {Object} [options.pool] the terms of the pool, required when an offer takes them
+ * @param {Object} [options.limits] the limits of the pool, offers out of them are skipped
+ * @param {BigNumberish} [options.minAmount] the smallest amount to borrow, e.g. the repayment of the loan being refinanced
+ * @param {boolean} [options.refinanceable] only consider the offers batchRefinance takes, true by default
+ * @returns {Object|null} the offer with the duration, rate and whole interest of its loan, or null when no offer is live
+ */
+function findCheapestOffer(offers, { at, pool, limits, minAmount = 0, refinanceable = true }) {
+	let cheapest = null
+	for (const offer of offers) {
+		const { voucher } = offer
+		const elapsed = BigNumber.from(at).sub(voucher.startedAt)
+		if (elapsed.lt(0) || elapsed.gte(voucher.duration) || BigNumber.from(voucher.amount).lt(minAmount)) {
+			continue
+		}
+		if ((offer.remaining != null && BigNumber.from(offer.remaining).isZero()) || (refinanceable && !isRefinanceable(voucher))) {
+			continue
+		}
+		const terms = loanTermsOf(voucher, pool, limits)
+		if (!terms) {
+			continue
+		}
+		const interest = BigNumber.from(voucher.amount).mul(terms.rate).div(constants.WeiPerEther)
+		// compares the rates per second without dividing, rate / duration < cheapest.rate / cheapest.duration
+		if (!cheapest || terms.rate.mul(cheapest.duration).lt(cheapest.rate.mul(terms.duration))) {
+			cheapest = { ...offer, ...terms, interest }
+		}
+	}
+	return cheapest
+}
+
+module.exports = {
+	isRefinanceable,
+	loanTermsOf,
+	findCheapestOffer
+}
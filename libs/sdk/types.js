@@ -0,0 +1,216 @@
+// EIP-712 type definitions. These must match the type strings in LibOrderV2, LibLendingV2 and LibLendingERC20.
+
+const EXCHANGE_TYPES = {
+	BatchOrder: {
+		BatchOrder: [
+			{ name: "seller", type: "address" },
+			{ name: "orders", type: "Order[]" }
+		],
+		Order: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "tokenId", type: "uint256" },
+			{ name: "tokenStandard", type: "uint8" },
+			{ name: "amount", type: "uint256" },
+			{ name: "price", type: "uint256" },
+			{ name: "currency", type: "address" },
+			{ name: "duration", type: "uint256" },
+			{ name: "startedAt", type: "uint256" }
+		]
+	},
+	Order: {
+		Order: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "tokenId", type: "uint256" },
+			{ name: "tokenStandard", type: "uint8" },
+			{ name: "amount", type: "uint256" },
+			{ name: "price", type: "uint256" },
+			{ name: "currency", type: "address" },
+			{ name: "duration", type: "uint256" },
+			{ name: "startedAt", type: "uint256" }
+		]
+	},
+	Offer: {
+		Offer: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "buyer", type: "address" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "traits", type: "string" },
+			{ name: "tokenRoot", type: "bytes32" },
+			{ name: "tokenId", type: "uint256" },
+			{ name: "tokenStandard", type: "uint8" },
+			{ name: "bid", type: "uint256" },
+			{ name: "currency", type: "address" },
+			{ name: "duration", type: "uint256" },
+			{ name: "size", type: "uint256" },
+			{ name: "startedAt", type: "uint256" },
+			{ name: "isCollectionOffer", type: "bool" },
+			{ name: "autoInvalidate", type: "bool" }
+		]
+	},
+	Token: {
+		Token: [
+			{ name: "tokenId", type: "uint256" },
+			{ name: "amount", type: "uint256" },
+			{ name: "blockNumber", type: "uint256" },
+			{ name: "sender", type: "address" },
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "traits", type: "string" }
+		]
+	}
+}
+
+const LENDING_TYPES = {
+	LoanOffer: {
+		LoanOffer: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "lender", type: "address" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "traits", type: "string" },
+			{ name: "tokenRoot", type: "bytes32" },
+			{ name: "duration", type: "uint256" },
+			{ name: "amount", type: "uint256" },
+			{ name: "rate", type: "uint256" },
+			{ name: "loanDuration", type: "uint256" },
+			{ name: "size", type: "uint256" },
+			{ name: "startedAt", type: "uint256" }
+		]
+	},
+	Token: {
+		Token: [
+			{ name: "tokenId", type: "uint256" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "traits", type: "string" },
+			{ name: "blockNumber", type: "uint256" },
+			{ name: "owner", type: "address" },
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "lender", type: "address" }
+		]
+	}
+}
+
+const LENDING_ERC20_TYPES = {
+	LoanOffer: {
+		LoanOffer: [
+			{ name: "lender", type: "address" },
+			{ name: "collateralizedAsset", type: "address" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "amount", type: "uint256" },
+			{ name: "price", type: "uint256" },
+			{ name: "startedAt", type: "uint256" },
+			{ name: "duration", type: "uint256" },
+			{ name: "rate", type: "uint256" }
+		]
+	},
+	Token: {
+		Token: [
+			{ name: "orderHash", type: "bytes32" },
+			{ name: "blockNumber", type: "uint256" },
+			{ name: "amount", type: "uint256" },
+			{ name: "borrower", type: "address" }
+		]
+	}
+}
+
+// Orders and offers signed with a string salt. The contracts honor them until their legacy cutoff,
+// the tokens of legacy offers use the nonce derived from the salt (see legacyNonce).
+
+const LEGACY_EXCHANGE_TYPES = {
+	BatchOrder: {
+		BatchOrder: [
+			{ name: "salt", type: "string" },
+			{ name: "seller", type: "address" },
+			{ name: "orders", type: "Order[]" }
+		],
+		Order: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "salt", type: "string" },
+			{ name: "tokenId", type: "uint256" },
+			{ name: "price", type: "uint256" },
+			{ name: "duration", type: "uint256" },
+			{ name: "startedAt", type: "uint256" }
+		]
+	},
+	Order: {
+		Order: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "salt", type: "string" },
+			{ name: "tokenId", type: "uint256" },
+			{ name: "price", type: "uint256" },
+			{ name: "duration", type: "uint256" },
+			{ name: "startedAt", type: "uint256" }
+		]
+	},
+	Offer: {
+		Offer: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "buyer", type: "address" },
+			{ name: "salt", type: "string" },
+			{ name: "traits", type: "string" },
+			{ name: "tokenId", type: "uint256" },
+			{ name: "bid", type: "uint256" },
+			{ name: "duration", type: "uint256" },
+			{ name: "size", type: "uint256" },
+			{ name: "startedAt", type: "uint256" },
+			{ name: "isCollectionOffer", type: "bool" }
+		]
+	}
+}
+
+const LEGACY_LENDING_TYPES = {
+	LoanOffer: {
+		LoanOffer: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "lender", type: "address" },
+			{ name: "salt", type: "string" },
+			{ name: "traits", type: "string" },
+			{ name: "duration", type: "uint256" },
+			{ name: "amount", type: "uint256" },
+			{ name: "size", type: "uint256" },
+			{ name: "startedAt", type: "uint256" }
+		]
+	}
+}
+
+const LEGACY_LENDING_ERC20_TYPES = {
+	LoanOffer: {
+		LoanOffer: [
+			{ name: "lender", type: "address" },
+			{ name: "collateralizedAsset", type: "address" },
+			{ name: "salt", type: "string" },
+			{ name: "amount", type: "uint256" },
+			{ name: "price", type: "uint256" },
+			{ name: "startedAt", type: "uint256" },
+			{ name: "duration", type: "uint256" },
+			{ name: "rate", type: "uint256" }
+		]
+	}
+}
+
+const MARKETPLACE_TYPES = {
+	Order: {
+		Order: [
+			{ name: "nftContractAddress", type: "address" },
+			{ name: "salt", type: "string" },
+			{ name: "tokenId", type: "uint256" },
+			{ name: "price", type: "uint256" },
+			{ name: "shareholders", type: "Shareholder[]" }
+		],
+		Shareholder: [
+			{ name: "account", type: "address" },
+			{ name: "value", type: "uint96" }
+		]
+	}
+}
+
+module.exports = {
+	EXCHANGE_TYPES,
+	LENDING_TYPES,
+	LENDING_ERC20_TYPES,
+	MARKETPLACE_TYPES,
+	LEGACY_EXCHANGE_TYPES,
+	LEGACY_LENDING_TYPES,
+	LEGACY_LENDING_ERC20_TYPES
+}
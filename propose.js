@@ -0,0 +1,40 @@
+const fs = require("fs")
+const { ethers } = require("hardhat")
+const { buildProposal, hashProposal, proposeArgs, executeArgs, PROPOSAL_STATE } = require("./libs/governance")
+
+// Proposes the actions of a JSON file to the SalvorGovernor, then queues and executes the proposal once it passed.
+// GOVERNOR_ADDRESS=... PROPOSAL=proposal.json [STEP=propose|queue|execute] npx hardhat run --network fuji propose.js
+// The file holds the description and the actions of the proposal, see libs/governance.js:
+// { "description": "Lower the lending fee", "actions": [{ "contract": "assetManager", "target": "0x...", "method": "setProtocolFee", "args": ["0x...", 100] }] }
+
+const STEPS = ["propose", "queue", "execute"]
+
+async function main() {
+	const { GOVERNOR_ADDRESS, PROPOSAL, STEP = "propose" } = process.env
+	if (!GOVERNOR_ADDRESS || !PROPOSAL) {
+		throw new Error("GOVERNOR_ADDRESS and PROPOSAL must be set")
+	}
+	if (!STEPS.includes(STEP)) {
+		throw new Error(`STEP must be one of ${STEPS.join(", ")}`)
+	}
+	const { description, actions } = JSON.parse(fs.readFileSync(PROPOSAL, "utf8"))
+	const proposal = buildProposal(actions, description)
+	const proposalId = hashProposal(proposal)
+	const governor = await ethers.getContractAt("SalvorGovernor", GOVERNOR_ADDRESS)
+
+	if (STEP === "propose") {
+		await (await governor.propose(...proposeArgs(proposal))).wait()
+	} else {
+		await (await governor[STEP](...executeArgs(proposal))).wait()
+	}
+	const state = await governor.state(proposalId)
+	console.log(`proposal ${proposalId.toString()}: ${Object.keys(PROPOSAL_STATE).find(key => PROPOSAL_STATE[key] === state)}`)
+	console.log(`voting from block ${(await governor.proposalSnapshot(proposalId)).toString()} to block ${(await governor.proposalDeadline(proposalId)).toString()}`)
+}
+
+main()
+	.then(() => process.exit(0))
+	.catch((error) => {
+		console.error(error)
+		process.exit(1)
+	})
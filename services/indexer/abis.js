@@ -0,0 +1,66 @@
+// Only the events and views the indexer reads.
+
+const EXCHANGE_ABI = [
+	"event Redeem(address indexed collection, uint256 indexed tokenId, address indexed seller, uint256 nonce, uint256 amount, uint256 value, address currency)",
+	"event AcceptOffer(address indexed collection, uint256 indexed tokenId, address indexed buyer, uint256 nonce, uint256 amount, uint256 bid, address currency)",
+	"event CancelNonces(address indexed user, uint256 indexed wordPos, uint256 mask)",
+	"event CancelOffer(address indexed user)",
+	"event CancelAllOrders(address indexed user, address indexed collection)"
+]
+
+const LENDING_ABI = [
+	"event Borrow(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 amount)",
+	"event Repay(address indexed collection, uint256 indexed tokenId, uint256 repaidAmount)",
+	"event Extend(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 amount, uint256 repaidAmount)",
+	"event Refinance(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 amount, uint256 repaidAmount)",
+	"event PartialRepay(address indexed collection, uint256 indexed tokenId, uint256 principal, uint256 interest)",
+	"event TopUp(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 amount, uint256 interest)",
+	"event Delegate(address indexed collection, uint256 indexed tokenId, uint256 nonce, uint256 delegatedAmount, uint256 receivedAmount)",
+	"event ClearDebt(address indexed collection, uint256 indexed tokenId)",
+	"event TransferPosition(address indexed collection, uint256 indexed tokenId, address indexed to, bool isLender)",
+	"event DutchAuctionMadeBid(address indexed collection, uint256 indexed tokenId, address indexed seller, uint256 amount, uint256 endPrice)",
+	"event CancelOffer(address indexed user)",
+	"event CancelNonces(address indexed user, uint256 indexed wordPos, uint256 mask)",
+	"function items(address, uint256) view returns (address borrower, address lender, uint256 amount, uint256 duration, uint256 rate, uint256 startedAt)"
+]
+
+const LENDING_ERC20_ABI = [
+	"event Borrow(address indexed borrower, address indexed collateralizedAsset, address indexed lender, uint256 nonce, uint256 collateralizedAmount, uint256 lentAmount)",
+	"event Repay(address indexed borrower, address indexed collateralizedAsset, address indexed lender, uint256 nonce, uint256 repaidAmount)",
+	"event ClearDebt(address indexed borrower, address indexed collateralizedAsset, address indexed lender, uint256 nonce, uint256 amount)",
+	"event Liquidate(address indexed borrower, address indexed collateralizedAsset, address indexed lender, uint256 nonce, address liquidator, uint256 repaidAmount, uint256 seizedAmount, uint256 returnedAmount)",
+	"event CancelNonces(address indexed user, uint256 indexed wordPos, uint256 mask)",
+	"event CancelOffer(address indexed user)"
+]
+
+const ASSET_MANAGER_ABI = [
+	"event Fund(address indexed user, uint256 amount, bool isExternal)",
+	"event Withdraw(address indexed user, uint256 amount, bool isExternal)",
+	"event TransferFrom(address indexed user, address indexed to, uint256 amount)",
+	"event FundERC20(address indexed currency, address indexed user, uint256 amount)",
+	"event WithdrawERC20(address indexed currency, address indexed user, uint256 amount)",
+	"event TransferERC20From(address indexed currency, address indexed user, address indexed to, uint256 amount)",
+	"event FailedTransfer(address indexed receiver, uint256 amount)",
+	"event LiquidationSurplus(address indexed collection, uint256 indexed tokenId, address indexed borrower, uint256 amount, uint256 fee)",
+	"function protocolFees(address) view returns (uint96)",
+	"function liquidationFee() view returns (uint96)"
+]
+
+const VE_ART_ABI = [
+	"event DepositART(address indexed user, uint256 amount)",
+	"event WithdrawART(address indexed user, uint256 amount)",
+	"event LockART(address indexed user, uint256 amount, uint256 end)",
+	"event WithdrawLockedART(address indexed user, uint256 amount, uint256 penalty)",
+	"event BurnSalvorMini(address indexed user, uint256 indexed tokenId, uint256 rarityLevel)",
+	"event DqStake(address indexed user, address indexed collection, uint256 indexed tokenId, uint256 endedAt)",
+	"event DqWithdraw(address indexed user, address indexed collection, uint256 indexed tokenId)",
+	"event ClaimReward(address indexed user, uint256 amount)"
+]
+
+module.exports = {
+	EXCHANGE_ABI,
+	LENDING_ABI,
+	LENDING_ERC20_ABI,
+	ASSET_MANAGER_ABI,
+	VE_ART_ABI
+}
@@ -0,0 +1,6 @@
+const { LOAN_STATUS, Indexer } = require("./indexer")
+
+module.exports = {
+	LOAN_STATUS,
+	Indexer
+}
@@ -0,0 +1,458 @@
+const fs = require("fs")
+const path = require("path")
+const initSqlJs = require("sql.js")
+const { ethers } = require("ethers")
+const { SCHEMA } = require("./schema")
+const { EXCHANGE_ABI, LENDING_ABI, LENDING_ERC20_ABI, ASSET_MANAGER_ABI, VE_ART_ABI } = require("./abis")
+
+const ABIS = {
+	exchange: EXCHANGE_ABI,
+	lending: LENDING_ABI,
+	lendingErc20: LENDING_ERC20_ABI,
+	assetManager: ASSET_MANAGER_ABI,
+	veArt: VE_ART_ABI
+}
+
+const LOAN_STATUS = {
+	ACTIVE: "active",
+	REPAID: "repaid",
+	EXTENDED: "extended",
+	REFINANCED: "refinanced",
+	DELEGATED: "delegated",
+	DEFAULTED: "defaulted",
+	LIQUIDATED: "liquidated"
+}
+
+const lower = address => (address == null ? null : address.toLowerCase())
+
+const camelCase = row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key.replace(/_([a-z])/g, (_, c) => c.toUpperCase()), value]))
+
+// bps, as in AssetManager._getPortionOfBid
+const portion = (amount, bps) => ethers.BigNumber.from(amount).mul(bps).div(10000)
+
+/**
+ * Backfills and follows the Salvor contract events into a SQLite database (sql.js, so no native build is needed).
+ * Blocks closer than `confirmations` to the head are not indexed; hashes of the indexed blocks are kept
+ * for `reorgDepth` blocks and a mismatch rolls the database back to the last common block.
+ */
+class Indexer {
+	constructor({ SQL, db, provider, contracts, path: dbPath, startBlock = 0, confirmations = 0, reorgDepth = 64, batchSize = 2000 }) {
+		this.SQL = SQL
+		this.db = db
+		this.provider = provider
+		this.path = dbPath
+		this.startBlock = startBlock
+		this.confirmations = confirmations
+		this.reorgDepth = reorgDepth
+		this.batchSize = batchSize
+		this.contracts = {}
+		for (const [key, address] of Object.entries(contracts)) {
+			if (!ABIS[key]) {
+				throw new Error(`unknown salvor contract: ${key}`)
+			}
+			this.contracts[key] = new ethers.Contract(address, ABIS[key], provider)
+		}
+		this.db.exec(SCHEMA)
+	}
+
+	static async create(options) {
+		const SQL = await initSqlJs()
+		const db = options.path && fs.existsSync(options.path) ? new SQL.Database(fs.readFileSync(options.path)) : new SQL.Database()
+		return new Indexer({ ...options, SQL, db })
+	}
+
+	_all(sql, params = []) {
+		const statement = this.db.prepare(sql)
+		statement.bind(params)
+		const rows = []
+		while (statement.step()) {
+			rows.push(statement.getAsObject())
+		}
+		statement.free()
+		return rows
+	}
+
+	_run(sql, params = []) {
+		this.db.run(sql, params)
+	}
+
+	get cursor() {
+		const [row] = this._all("SELECT value FROM meta WHERE key = 'cursor'")
+		return row ? Number(row.value) : this.startBlock - 1
+	}
+
+	_setCursor(blockNumber) {
+		this._run("INSERT INTO meta (key, value) VALUES ('cursor', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value", [String(blockNumber)])
+	}
+
+	save() {
+		if (this.path) {
+			fs.mkdirSync(path.dirname(this.path), { recursive: true })
+			fs.writeFileSync(this.path, Buffer.from(this.db.export()))
+		}
+	}
+
+	close() {
+		this.db.close()
+	}
+
+	/**
+	 * Indexes every block up to head - confirmations. Returns the last indexed block.
+	 */
+	async sync() {
+		await this._checkReorg()
+		const head = (await this.provider.getBlock("latest")).number - this.confirmations
+		let from = this.cursor + 1
+		while (from <= head) {
+			const to = Math.min(from + this.batchSize - 1, head)
+			await this._indexRange(from, to)
+			from = to + 1
+		}
+		this.save()
+		return this.cursor
+	}
+
+	/**
+	 * Keeps syncing every `interval` ms until stop() is called.
+	 */
+	follow({ interval = 4000, onError = console.error } = {}) {
+		this.stop()
+		const tick = async () => {
+			try {
+				await this.sync()
+			} catch (e) {
+				onError(e)
+			}
+			if (this._following) {
+				this._timer = setTimeout(tick, interval)
+			}
+		}
+		this._following = true
+		this._timer = setTimeout(tick, 0)
+	}
+
+	stop() {
+		this._following = false
+		clearTimeout(this._timer)
+	}
+
+	async _checkReorg() {
+		const stored = this._all("SELECT number, hash FROM blocks ORDER BY number DESC")
+		let forkPoint = null
+		for (const { number, hash } of stored) {
+			const block = await this.provider.getBlock(number)
+			if (block != null && block.hash === hash) {
+				break
+			}
+			forkPoint = number
+		}
+		if (forkPoint != null) {
+			this._rollback(forkPoint)
+		}
+	}
+
+	_rollback(blockNumber) {
+		this._run("BEGIN")
+		// the changes are undone from the latest one, which restores the values from before the first rolled back block
+		const changes = this._all("SELECT loan_id, field, previous FROM loan_changes WHERE block_number >= ? ORDER BY block_number DESC, log_index DESC", [blockNumber])
+		for (const { loan_id: loanId, field, previous } of changes) {
+			this._run(`UPDATE loans SET ${field} = ? WHERE id = ?`, [previous, loanId])
+		}
+		for (const table of ["events", "sales", "fees", "loan_changes"]) {
+			this._run(`DELETE FROM ${table} WHERE block_number >= ?`, [blockNumber])
+		}
+		this._run("DELETE FROM blocks WHERE number >= ?", [blockNumber])
+		this._run("DELETE FROM loans WHERE opened_block >= ?", [blockNumber])
+		this._run("UPDATE loans SET status = ?, closed_block = NULL WHERE closed_block >= ?", [LOAN_STATUS.ACTIVE, blockNumber])
+		this._setCursor(blockNumber - 1)
+		this._run("COMMIT")
+	}
+
+	async _indexRange(from, to) {
+		const logs = []
+		for (const [key, contract] of Object.entries(this.contracts)) {
+			for (const log of await this.provider.getLogs({ address: contract.address, fromBlock: from, toBlock: to })) {
+				let event
+				try {
+					event = contract.interface.parseLog(log)
+				} catch (e) {
+					continue
+				}
+				logs.push({ key, log, event })
+			}
+		}
+		logs.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.logIndex - b.log.logIndex)
+
+		// the chain reads happen before the transaction so that a failing call leaves nothing half written
+		const records = []
+		for (const item of logs) {
+			records.push({ ...item, tx: await this.provider.getTransaction(item.log.transactionHash), context: await this._readContext(item) })
+		}
+		const hashes = new Map()
+		for (const blockNumber of new Set([...logs.map(item => item.log.blockNumber), to])) {
+			if (blockNumber > to - this.reorgDepth) {
+				hashes.set(blockNumber, (await this.provider.getBlock(blockNumber)).hash)
+			}
+		}
+
+		this._run("BEGIN")
+		for (const record of records) {
+			this._apply(record)
+		}
+		for (const [number, hash] of hashes) {
+			this._run("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)", [number, hash])
+		}
+		this._run("DELETE FROM blocks WHERE number <= ?", [to - this.reorgDepth])
+		this._run("DELETE FROM loan_changes WHERE block_number <= ?", [to - this.reorgDepth])
+		this._setCursor(to)
+		this._run("COMMIT")
+	}
+
+	async _protocolFee(platform, blockTag) {
+		if (!this.contracts.assetManager) {
+			return null
+		}
+		return this.contracts.assetManager.protocolFees(platform, { blockTag })
+	}
+
+	async _liquidationFee(blockTag) {
+		if (!this.contracts.assetManager) {
+			return null
+		}
+		return this.contracts.assetManager.liquidationFee({ blockTag })
+	}
+
+	async _readContext({ key, log, event }) {
+		const blockTag = log.blockNumber
+		const { name, args } = event
+		if (key === "exchange" && (name === "Redeem" || name === "AcceptOffer")) {
+			return { bps: await this._protocolFee(this.contracts.exchange.address, blockTag) }
+		}
+		if (key === "lending" && ["Borrow", "Extend", "Refinance", "Delegate", "PartialRepay", "TopUp"].includes(name)) {
+			const item = await this.contracts.lending.items(args.collection, args.tokenId, { blockTag })
+			return { item, bps: await this._protocolFee(this.contracts.lending.address, blockTag) }
+		}
+		if (key === "lending" && name === "DutchAuctionMadeBid") {
+			return { bps: await this._liquidationFee(blockTag) }
+		}
+		if (key === "lendingErc20" && name === "Borrow") {
+			return { bps: await this._protocolFee(this.contracts.lendingErc20.address, blockTag) }
+		}
+		return {}
+	}
+
+	_apply({ key, log, event, tx, context }) {
+		const { name, args } = event
+		const blockNumber = log.blockNumber
+		const serialized = {}
+		for (const fragment of event.eventFragment.inputs) {
+			const value = args[fragment.name]
+			serialized[fragment.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value
+		}
+		const user = args.user || args.receiver || args.borrower || args.buyer || tx.from
+		this._run(
+			"INSERT OR IGNORE INTO events (block_number, log_index, tx_hash, contract, name, user, args) VALUES (?, ?, ?, ?, ?, ?, ?)",
+			[blockNumber, log.logIndex, log.transactionHash, key, name, lower(user), JSON.stringify(serialized)]
+		)
+
+		// only exchange sales can be paid in ERC20 tokens
+		const currency = lower(args.currency || ethers.constants.AddressZero)
+		const fee = (amount, bps) => {
+			if (bps != null) {
+				this._run(
+					"INSERT OR IGNORE INTO fees (block_number, log_index, source, amount, currency) VALUES (?, ?, ?, ?, ?)",
+					[blockNumber, log.logIndex, key, portion(amount, bps).toString(), currency]
+				)
+			}
+		}
+		// price is the total paid for the sold quantity
+		const sale = (kind, seller, buyer, price) => {
+			this._run(
+				"INSERT OR IGNORE INTO sales (block_number, log_index, kind, collection, token_id, seller, buyer, amount, price, currency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+				[blockNumber, log.logIndex, kind, lower(args.collection), args.tokenId.toString(), lower(seller), lower(buyer), args.amount.toString(), price.toString(), currency]
+			)
+		}
+		const openLoan = (kind, asset, tokenId, nonce, borrower, lender, amount) => {
+			this._run(
+				"INSERT INTO loans (kind, asset, token_id, nonce, borrower, lender, amount, opened_block, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+				[kind, lower(asset), tokenId, nonce.toString(), lower(borrower), lower(lender), amount.toString(), blockNumber, LOAN_STATUS.ACTIVE]
+			)
+		}
+		const closeNftLoan = status => {
+			this._run(
+				"UPDATE loans SET status = ?, closed_block = ? WHERE kind = 'nft' AND asset = ? AND token_id = ? AND status = ?",
+				[status, blockNumber, lower(args.collection), args.tokenId.toString(), LOAN_STATUS.ACTIVE]
+			)
+		}
+		// changes a column of the active loan and keeps its previous value for _rollback
+		const updateNftLoan = (field, value) => {
+			const loans = this._all(
+				`SELECT id, ${field} AS previous FROM loans WHERE kind = 'nft' AND asset = ? AND token_id = ? AND status = ?`,
+				[lower(args.collection), args.tokenId.toString(), LOAN_STATUS.ACTIVE]
+			)
+			for (const { id, previous } of loans) {
+				this._run(
+					"INSERT OR IGNORE INTO loan_changes (block_number, log_index, loan_id, field, previous) VALUES (?, ?, ?, ?, ?)",
+					[blockNumber, log.logIndex, id, field, previous]
+				)
+				this._run(`UPDATE loans SET ${field} = ? WHERE id = ?`, [value, id])
+			}
+		}
+		// partial repayments and top-ups change the principal of the active loan
+		const setNftLoanAmount = amount => updateNftLoan("amount", amount.toString())
+		// the holders of the loan notes take over the positions, see SalvorLoanNote
+		const setNftLoanHolder = (role, holder) => updateNftLoan(role, lower(holder))
+		const closeErc20Loan = status => {
+			this._run(
+				"UPDATE loans SET status = ?, closed_block = ? WHERE kind = 'erc20' AND asset = ? AND nonce = ? AND borrower = ? AND lender = ? AND status = ?",
+				[status, blockNumber, lower(args.collateralizedAsset), args.nonce.toString(), lower(args.borrower), lower(args.lender), LOAN_STATUS.ACTIVE]
+			)
+		}
+
+		if (key === "exchange") {
+			if (name === "Redeem") {
+				sale("listing", args.seller, tx.from, args.value)
+				fee(args.value, context.bps)
+			} else if (name === "AcceptOffer") {
+				// the bid of offers is per item
+				const price = args.bid.mul(args.amount)
+				sale("offer", tx.from, args.buyer, price)
+				fee(price, context.bps)
+			}
+		} else if (key === "lending") {
+			const tokenId = args.tokenId == null ? null : args.tokenId.toString()
+			if (name === "Borrow") {
+				openLoan("nft", args.collection, tokenId, args.nonce, context.item.borrower, context.item.lender, args.amount)
+				fee(args.amount, context.bps)
+			} else if (name === "Extend" || name === "Refinance") {
+				closeNftLoan(name === "Extend" ? LOAN_STATUS.EXTENDED : LOAN_STATUS.REFINANCED)
+				openLoan("nft", args.collection, tokenId, args.nonce, context.item.borrower, context.item.lender, args.amount)
+				fee(args.amount, context.bps)
+			} else if (name === "Delegate") {
+				closeNftLoan(LOAN_STATUS.DELEGATED)
+				openLoan("nft", args.collection, tokenId, args.nonce, context.item.borrower, context.item.lender, context.item.amount)
+				// delegations pay twice the protocol fee, see AssetManager.payLendingDelegatedBatch
+				fee(args.delegatedAmount, context.bps == null ? null : context.bps.mul(2))
+			} else if (name === "PartialRepay") {
+				setNftLoanAmount(context.item.amount)
+			} else if (name === "TopUp") {
+				setNftLoanAmount(context.item.amount)
+				fee(args.amount, context.bps)
+			} else if (name === "Repay") {
+				closeNftLoan(LOAN_STATUS.REPAID)
+			} else if (name === "ClearDebt") {
+				closeNftLoan(LOAN_STATUS.DEFAULTED)
+			} else if (name === "TransferPosition") {
+				setNftLoanHolder(args.isLender ? "lender" : "borrower", args.to)
+			} else if (name === "DutchAuctionMadeBid") {
+				closeNftLoan(LOAN_STATUS.LIQUIDATED)
+				sale("dutch", args.seller, tx.from, args.amount)
+				// the liquidation fee of the surplus over the end price, the rest goes to the borrower, see AssetManager.dutchPayV3
+				if (args.amount.gt(args.endPrice)) {
+					fee(args.amount.sub(args.endPrice), context.bps)
+				}
+			}
+		} else if (key === "lendingErc20") {
+			if (name === "Borrow") {
+				openLoan("erc20", args.collateralizedAsset, null, args.nonce, args.borrower, args.lender, args.lentAmount)
+				fee(args.lentAmount, context.bps)
+			} else if (name === "Repay") {
+				closeErc20Loan(LOAN_STATUS.REPAID)
+			} else if (name === "ClearDebt") {
+				closeErc20Loan(LOAN_STATUS.DEFAULTED)
+			} else if (name === "Liquidate") {
+				closeErc20Loan(LOAN_STATUS.LIQUIDATED)
+			}
+		}
+	}
+
+	// queries
+
+	/**
+	 * Loans of a user. role is "borrower", "lender" or omitted for both; status and kind ("nft" or "erc20") are optional.
+	 */
+	getLoans({ user, role, status, kind } = {}) {
+		const where = []
+		const params = []
+		if (user != null) {
+			if (role === "borrower" || role === "lender") {
+				where.push(`${role} = ?`)
+				params.push(lower(user))
+			} else {
+				where.push("(borrower = ? OR lender = ?)")
+				params.push(lower(user), lower(user))
+			}
+		}
+		if (status != null) {
+			where.push("status = ?")
+			params.push(status)
+		}
+		if (kind != null) {
+			where.push("kind = ?")
+			params.push(kind)
+		}
+		const clause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""
+		return this._all(`SELECT * FROM loans ${clause} ORDER BY opened_block, id`, params).map(camelCase)
+	}
+
+	/**
+	 * Sales (listings, accepted offers and dutch auction bids) of a collection, optionally filtered by currency.
+	 */
+	getSales({ collection, tokenId, currency, fromBlock = 0, toBlock = Number.MAX_SAFE_INTEGER } = {}) {
+		const where = ["block_number >= ?", "block_number <= ?"]
+		const params = [fromBlock, toBlock]
+		if (collection != null) {
+			where.push("collection = ?")
+			params.push(lower(collection))
+		}
+		if (tokenId != null) {
+			where.push("token_id = ?")
+			params.push(tokenId.toString())
+		}
+		if (currency != null) {
+			where.push("currency = ?")
+			params.push(lower(currency))
+		}
+		return this._all(`SELECT * FROM sales WHERE ${where.join(" AND ")} ORDER BY block_number, log_index`, params).map(camelCase)
+	}
+
+	/**
+	 * Protocol fees earned per source contract in the given currency (the native one by default), as decimal strings.
+	 */
+	getFeeTotals({ fromBlock = 0, toBlock = Number.MAX_SAFE_INTEGER, currency = ethers.constants.AddressZero } = {}) {
+		const rows = this._all(
+			"SELECT source, amount FROM fees WHERE block_number >= ? AND block_number <= ? AND currency = ?",
+			[fromBlock, toBlock, lower(currency)]
+		)
+		const bySource = {}
+		let total = ethers.constants.Zero
+		for (const { source, amount } of rows) {
+			bySource[source] = ethers.BigNumber.from(bySource[source] || 0).add(amount).toString()
+			total = total.add(amount)
+		}
+		return { total: total.toString(), bySource }
+	}
+
+	/**
+	 * Raw decoded events, optionally filtered by user, contract key and event name.
+	 */
+	getEvents({ user, contract, name } = {}) {
+		const where = []
+		const params = []
+		for (const [column, value] of [["user", lower(user)], ["contract", contract], ["name", name]]) {
+			if (value != null) {
+				where.push(`${column} = ?`)
+				params.push(value)
+			}
+		}
+		const clause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""
+		return this._all(`SELECT * FROM events ${clause} ORDER BY block_number, log_index`, params)
+			.map(camelCase)
+			.map(row => ({ ...row, args: JSON.parse(row.args) }))
+	}
+}
+
+module.exports = {
+	LOAN_STATUS,
+	Indexer
+}
@@ -0,0 +1,73 @@
+// Amounts are stored as decimal strings, addresses in lower case. The currency of native amounts is the zero address.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+	key TEXT PRIMARY KEY,
+	value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+	number INTEGER PRIMARY KEY,
+	hash TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS events (
+	block_number INTEGER NOT NULL,
+	log_index INTEGER NOT NULL,
+	tx_hash TEXT NOT NULL,
+	contract TEXT NOT NULL,
+	name TEXT NOT NULL,
+	user TEXT,
+	args TEXT NOT NULL,
+	PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_user ON events (user);
+CREATE TABLE IF NOT EXISTS loans (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	kind TEXT NOT NULL,
+	asset TEXT NOT NULL,
+	token_id TEXT,
+	nonce TEXT NOT NULL,
+	borrower TEXT NOT NULL,
+	lender TEXT NOT NULL,
+	amount TEXT NOT NULL,
+	opened_block INTEGER NOT NULL,
+	closed_block INTEGER,
+	status TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS loans_borrower ON loans (borrower);
+CREATE INDEX IF NOT EXISTS loans_lender ON loans (lender);
+CREATE INDEX IF NOT EXISTS loans_asset ON loans (asset, token_id);
+-- the previous values of the loan columns changed by later events, kept to roll the changes back
+CREATE TABLE IF NOT EXISTS loan_changes (
+	block_number INTEGER NOT NULL,
+	log_index INTEGER NOT NULL,
+	loan_id INTEGER NOT NULL,
+	field TEXT NOT NULL,
+	previous TEXT NOT NULL,
+	PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS sales (
+	block_number INTEGER NOT NULL,
+	log_index INTEGER NOT NULL,
+	kind TEXT NOT NULL,
+	collection TEXT NOT NULL,
+	token_id TEXT NOT NULL,
+	seller TEXT,
+	buyer TEXT NOT NULL,
+	amount TEXT NOT NULL,
+	price TEXT NOT NULL,
+	currency TEXT NOT NULL,
+	PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS sales_collection ON sales (collection);
+CREATE TABLE IF NOT EXISTS fees (
+	block_number INTEGER NOT NULL,
+	log_index INTEGER NOT NULL,
+	source TEXT NOT NULL,
+	amount TEXT NOT NULL,
+	currency TEXT NOT NULL,
+	PRIMARY KEY (block_number, log_index)
+);
+`
+
+module.exports = {
+	SCHEMA
+}
@@ -0,0 +1,9 @@
+const { STATUS, OrderBook } = require("./orderBook")
+const { MemoryStore, JsonFileStore } = require("./store")
+
+module.exports = {
+	STATUS,
+	OrderBook,
+	MemoryStore,
+	JsonFileStore
+}
@@ -0,0 +1,367 @@
+const { ethers } = require("ethers")
+const { SalvorSDK, hashOrderItem, hashOffer, noncePosition } = require("../../libs/sdk")
+const { MemoryStore } = require("./store")
+
+const EXCHANGE_ABI = [
+	"event Redeem(address indexed collection, uint256 indexed tokenId, address indexed seller, uint256 nonce, uint256 amount, uint256 value, address currency)",
+	"event CancelNonces(address indexed user, uint256 indexed wordPos, uint256 mask)",
+	"event CancelOffer(address indexed user)",
+	"event CancelAllOrders(address indexed user, address indexed collection)",
+	"event AcceptOffer(address indexed collection, uint256 indexed tokenId, address indexed buyer, uint256 nonce, uint256 amount, uint256 bid, address currency)",
+	"function isNonceUsed(address, uint256) view returns (bool)",
+	"function sizes(bytes32) view returns (uint256)",
+	"function orderFills(address, uint256) view returns (uint256)",
+	"function cancelOfferTimestamps(address, address) view returns (uint256)",
+	"function cancelOrderTimestamps(address, address) view returns (uint256)",
+	"function buyerBalance(address, address) view returns (uint256)"
+]
+
+const STATUS = {
+	LIVE: "live",
+	FILLED: "filled",
+	CANCELLED: "cancelled",
+	EXPIRED: "expired"
+}
+
+// BigNumbers are stored as decimal strings so that the book can be serialized as JSON
+const normalize = value => {
+	if (ethers.BigNumber.isBigNumber(value)) {
+		return value.toString()
+	}
+	if (Array.isArray(value)) {
+		return value.map(normalize)
+	}
+	if (value != null && typeof value === "object") {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]))
+	}
+	return typeof value === "number" ? value.toString() : value
+}
+
+const lower = address => address.toLowerCase()
+
+const addToIndex = (index, key, id) => {
+	if (!index.has(key)) {
+		index.set(key, new Set())
+	}
+	index.get(key).add(id)
+}
+
+/**
+ * Keeps the signed BatchOrders and Offers of SalvorExchangeV2 and tracks which of them can still be filled.
+ * Liveness follows the contract events (Redeem, CancelNonces, CancelAllOrders, CancelOffer, AcceptOffer)
+ * and can be reconciled against the nonce bitmaps, sizes and the cancel timestamps with refresh().
+ */
+class OrderBook {
+	constructor({ provider, exchange, store = new MemoryStore(), startBlock = 0, confirmations = 0 }) {
+		this.provider = provider
+		this.exchange = new ethers.Contract(typeof exchange === "string" ? exchange : exchange.address, EXCHANGE_ABI, provider)
+		this.sdk = new SalvorSDK({ provider, contracts: { exchange: this.exchange.address } })
+		this.store = store
+		this.confirmations = confirmations
+		this.cursor = startBlock - 1
+		this.entries = new Map()
+		this._resetIndexes()
+	}
+
+	_resetIndexes() {
+		this.byCollection = new Map()
+		this.byToken = new Map()
+		this.byMaker = new Map()
+		this.byNonce = new Map()
+	}
+
+	_index(entry) {
+		const collection = lower(entry.collection)
+		addToIndex(this.byCollection, collection, entry.id)
+		if (entry.tokenId != null) {
+			addToIndex(this.byToken, `${collection}:${entry.tokenId}`, entry.id)
+		}
+		addToIndex(this.byMaker, lower(entry.maker), entry.id)
+		// nonces are scoped to the maker, events only carry the maker and the nonce of the filled or cancelled item
+		addToIndex(this.byNonce, `${lower(entry.maker)}:${entry.nonce}`, entry.id)
+	}
+
+	async load() {
+		const state = await this.store.load()
+		if (state == null) {
+			return
+		}
+		this.cursor = state.cursor
+		this.entries = new Map(state.entries.map(entry => [entry.id, entry]))
+		this._resetIndexes()
+		for (const entry of this.entries.values()) {
+			this._index(entry)
+		}
+	}
+
+	async save() {
+		await this.store.save({ cursor: this.cursor, entries: [...this.entries.values()] })
+	}
+
+	/**
+	 * Adds every item of a signed BatchOrder. Returns the ids (order item hashes) of the stored items.
+	 */
+	async addBatchOrder(batchOrder, signature) {
+		batchOrder = normalize(batchOrder)
+		const seller = await this.sdk.recoverBatchOrder(batchOrder, signature)
+		if (lower(seller) !== lower(batchOrder.seller)) {
+			throw new Error("seller does not match")
+		}
+		const ids = batchOrder.orders.map((order, position) => {
+			const id = hashOrderItem(order)
+			if (!this.entries.has(id)) {
+				const entry = {
+					id,
+					kind: "order",
+					status: STATUS.LIVE,
+					collection: order.nftContractAddress,
+					tokenId: order.tokenId,
+					maker: seller,
+					nonce: order.nonce,
+					tokenStandard: order.tokenStandard,
+					amount: order.amount,
+					filled: 0,
+					price: order.price,
+					currency: order.currency,
+					startedAt: order.startedAt,
+					duration: order.duration,
+					position,
+					batchOrder,
+					signature
+				}
+				this.entries.set(id, entry)
+				this._index(entry)
+			}
+			return id
+		})
+		await this.save()
+		return ids
+	}
+
+	/**
+	 * Adds a signed Offer. Returns its id (the offer hash used as key of the sizes mapping).
+	 */
+	async addOffer(offer, signature) {
+		offer = normalize(offer)
+		const buyer = await this.sdk.recoverOffer(offer, signature)
+		if (lower(buyer) !== lower(offer.buyer)) {
+			throw new Error("buyer does not match")
+		}
+		const id = hashOffer(offer)
+		if (!this.entries.has(id)) {
+			const entry = {
+				id,
+				kind: "offer",
+				status: STATUS.LIVE,
+				collection: offer.nftContractAddress,
+				tokenId: offer.isCollectionOffer ? null : offer.tokenId,
+				maker: buyer,
+				nonce: offer.nonce,
+				tokenStandard: offer.tokenStandard,
+				price: offer.bid,
+				currency: offer.currency,
+				startedAt: offer.startedAt,
+				duration: offer.duration,
+				size: offer.size,
+				filled: 0,
+				autoInvalidate: offer.autoInvalidate === true,
+				offer,
+				signature
+			}
+			this.entries.set(id, entry)
+			this._index(entry)
+			await this.save()
+		}
+		return id
+	}
+
+	get(id) {
+		return this.entries.get(id)
+	}
+
+	_query(kind, { collection, tokenId, maker, status = STATUS.LIVE }) {
+		let ids
+		if (collection != null && tokenId != null) {
+			ids = this.byToken.get(`${lower(collection)}:${tokenId}`)
+		} else if (collection != null) {
+			ids = this.byCollection.get(lower(collection))
+		} else if (maker != null) {
+			ids = this.byMaker.get(lower(maker))
+		} else {
+			ids = this.entries.keys()
+		}
+		return [...(ids || [])]
+			.map(id => this.entries.get(id))
+			.filter(entry => kind == null || entry.kind === kind)
+			.filter(entry => maker == null || lower(entry.maker) === lower(maker))
+			.filter(entry => status == null || entry.status === status)
+	}
+
+	/**
+	 * Listed items, filtered by collection, tokenId and/or seller. Pass status: null to get every status.
+	 */
+	getOrders({ collection, tokenId, seller, status } = {}) {
+		return this._query("order", { collection, tokenId, maker: seller, status })
+	}
+
+	/**
+	 * Offers, filtered by collection, tokenId and/or buyer. Collection offers have no tokenId.
+	 */
+	getOffers({ collection, tokenId, buyer, status } = {}) {
+		return this._query("offer", { collection, tokenId, maker: buyer, status })
+	}
+
+	/**
+	 * Sums what the buyer still owes to its live offers per currency, i.e. the bid times the remaining size of each offer,
+	 * next to the balance that pays them (SalvorExchangeV2.buyerBalance). unfunded lists the auto invalidated offers whose bid
+	 * is above the balance, anyone can cancel them with invalidateUnfundedOffers.
+	 */
+	async getCommitments(buyer) {
+		const byCurrency = new Map()
+		for (const entry of this.getOffers({ buyer })) {
+			const currency = ethers.utils.getAddress(entry.currency)
+			if (!byCurrency.has(currency)) {
+				byCurrency.set(currency, { outstanding: ethers.constants.Zero, entries: [] })
+			}
+			const commitment = byCurrency.get(currency)
+			commitment.outstanding = commitment.outstanding.add(ethers.BigNumber.from(entry.price).mul(Number(entry.size) - entry.filled))
+			commitment.entries.push(entry)
+		}
+		const commitments = []
+		for (const [currency, { outstanding, entries }] of byCurrency) {
+			const balance = await this.exchange.buyerBalance(buyer, currency)
+			commitments.push({
+				currency,
+				outstanding: outstanding.toString(),
+				balance: balance.toString(),
+				covered: balance.gte(outstanding),
+				unfunded: entries.filter(entry => entry.autoInvalidate && balance.lt(entry.price)).map(entry => entry.id)
+			})
+		}
+		return commitments
+	}
+
+	_entriesByNonce(maker, nonce) {
+		return [...(this.byNonce.get(`${lower(maker)}:${nonce.toString()}`) || [])].map(id => this.entries.get(id))
+	}
+
+	_close(entry, status) {
+		if (entry.status === STATUS.LIVE) {
+			entry.status = status
+		}
+	}
+
+	_applyEvent(event, timestamp) {
+		const { name, args } = event
+		if (name === "Redeem") {
+			// ERC1155 listings stay live until their whole quantity is sold
+			for (const entry of this._entriesByNonce(args.seller, args.nonce)) {
+				entry.filled += args.amount.toNumber()
+				if (entry.filled >= Number(entry.amount)) {
+					this._close(entry, STATUS.FILLED)
+				}
+			}
+		} else if (name === "CancelNonces") {
+			for (const entry of this._query(null, { maker: args.user })) {
+				const { wordPos, bitPos } = noncePosition(entry.nonce)
+				if (args.wordPos.eq(wordPos) && !args.mask.shr(bitPos).and(1).isZero()) {
+					this._close(entry, STATUS.CANCELLED)
+				}
+			}
+		} else if (name === "AcceptOffer") {
+			for (const entry of this._entriesByNonce(args.buyer, args.nonce)) {
+				entry.filled += args.amount.toNumber()
+				if (entry.filled >= Number(entry.size)) {
+					this._close(entry, STATUS.FILLED)
+				}
+			}
+		} else if (name === "CancelOffer") {
+			for (const entry of this._query("offer", { maker: args.user })) {
+				if (Number(entry.startedAt) <= timestamp) {
+					this._close(entry, STATUS.CANCELLED)
+				}
+			}
+		} else if (name === "CancelAllOrders") {
+			for (const entry of this._query("order", { maker: args.user, collection: args.collection })) {
+				if (Number(entry.startedAt) <= timestamp) {
+					this._close(entry, STATUS.CANCELLED)
+				}
+			}
+		}
+	}
+
+	/**
+	 * Applies the exchange events emitted since the last sync. Returns the last processed block.
+	 */
+	async sync() {
+		const latest = (await this.provider.getBlock("latest")).number - this.confirmations
+		if (latest <= this.cursor) {
+			return this.cursor
+		}
+		const logs = await this.provider.getLogs({ address: this.exchange.address, fromBlock: this.cursor + 1, toBlock: latest })
+		const timestamps = new Map()
+		for (const log of logs) {
+			let event
+			try {
+				event = this.exchange.interface.parseLog(log)
+			} catch (e) {
+				continue
+			}
+			if (!timestamps.has(log.blockNumber)) {
+				timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp)
+			}
+			this._applyEvent(event, timestamps.get(log.blockNumber))
+		}
+		this.cursor = latest
+		this._expire((await this.provider.getBlock(latest)).timestamp)
+		await this.save()
+		return this.cursor
+	}
+
+	_expire(timestamp) {
+		for (const entry of this.entries.values()) {
+			if (entry.status === STATUS.LIVE && timestamp - Number(entry.startedAt) >= Number(entry.duration)) {
+				entry.status = STATUS.EXPIRED
+			}
+		}
+	}
+
+	/**
+	 * Re-reads the nonce bitmaps, sizes, order fills and the cancel timestamps for the live entries, e.g. after a restart with a lost cursor.
+	 */
+	async refresh() {
+		const { timestamp } = await this.provider.getBlock("latest")
+		for (const entry of this.entries.values()) {
+			if (entry.status !== STATUS.LIVE) {
+				continue
+			}
+			if (entry.kind === "order") {
+				const cancelledAll = await this.exchange.cancelOrderTimestamps(entry.maker, ethers.constants.AddressZero)
+				const cancelledCollection = await this.exchange.cancelOrderTimestamps(entry.maker, entry.collection)
+				if (cancelledAll.gte(entry.startedAt) || cancelledCollection.gte(entry.startedAt)) {
+					entry.status = STATUS.CANCELLED
+				} else if (await this.exchange.isNonceUsed(entry.maker, entry.nonce)) {
+					// the bitmap does not tell a sale from a cancellation, the events do
+					entry.status = STATUS.FILLED
+				} else {
+					entry.filled = (await this.exchange.orderFills(entry.maker, entry.nonce)).toNumber()
+				}
+			} else {
+				const cancelled = await this.exchange.cancelOfferTimestamps(entry.maker, ethers.constants.AddressZero)
+				entry.filled = (await this.exchange.sizes(entry.id)).toNumber()
+				if (cancelled.gte(entry.startedAt) || await this.exchange.isNonceUsed(entry.maker, entry.nonce)) {
+					entry.status = STATUS.CANCELLED
+				} else if (entry.filled >= Number(entry.size)) {
+					entry.status = STATUS.FILLED
+				}
+			}
+		}
+		this._expire(timestamp)
+		await this.save()
+	}
+}
+
+module.exports = {
+	STATUS,
+	OrderBook
+}
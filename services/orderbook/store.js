@@ -0,0 +1,50 @@
+const fs = require("fs")
+const path = require("path")
+
+/**
+ * Stores keep the order book state ({ cursor, entries }) between restarts.
+ * Any object with async load() and save(state) can be plugged in.
+ */
+
+class MemoryStore {
+	constructor() {
+		this.state = null
+	}
+
+	async load() {
+		return this.state
+	}
+
+	async save(state) {
+		this.state = JSON.parse(JSON.stringify(state))
+	}
+}
+
+class JsonFileStore {
+	constructor({ path: filePath }) {
+		if (!filePath) {
+			throw new Error("order book file path is not set")
+		}
+		this.path = filePath
+	}
+
+	async load() {
+		if (!fs.existsSync(this.path)) {
+			return null
+		}
+		return JSON.parse(fs.readFileSync(this.path, "utf8"))
+	}
+
+	async save(state) {
+		fs.mkdirSync(path.dirname(this.path), { recursive: true })
+		// write to a temporary file first so a crash never leaves a truncated book behind
+		const tmpPath = `${this.path}.tmp`
+		fs.writeFileSync(tmpPath, JSON.stringify(state))
+		fs.renameSync(tmpPath, this.path)
+	}
+}
+
+module.exports = {
+	MemoryStore,
+	JsonFileStore
+}
@@ -0,0 +1,223 @@
+const { ethers } = require("ethers")
+const {
+	hashOffer,
+	hashLoanOffer,
+	hashErc20LoanOffer,
+	hashLegacyOffer,
+	hashLegacyLoanOffer,
+	hashLegacyErc20LoanOffer,
+	legacyNonce
+} = require("../../libs/sdk")
+
+const NONCE_ABI = [
+	"function isNonceUsed(address, uint256) view returns (bool)",
+	"function legacyCutoff() view returns (uint256)"
+]
+
+const EXCHANGE_ABI = [
+	...NONCE_ABI,
+	"function sizes(bytes32) view returns (uint256)",
+	"function cancelOfferTimestamps(address, address) view returns (uint256)",
+	"function buyerBalance(address, address) view returns (uint256)"
+]
+
+const LENDING_ABI = [
+	...NONCE_ABI,
+	"function sizes(bytes32) view returns (uint256)",
+	"function cancelOfferTimestamps(address, address) view returns (uint256)",
+	"function lendingPools(address) view returns (uint256 duration, uint256 rate, bool isActive)",
+	"function loanTermLimits(address) view returns (uint256 minDuration, uint256 maxDuration, uint256 minRate, uint256 maxRate)"
+]
+
+const LENDING_ERC20_ABI = [
+	...NONCE_ABI,
+	"function sizes(bytes32) view returns (uint256)",
+	"function fills(bytes32) view returns (bool)",
+	"function cancelOfferTimestamps(address, address) view returns (uint256)",
+	"function allowedAssets(address) view returns (bool)"
+]
+
+const ERC721_ABI = ["function ownerOf(uint256) view returns (address)"]
+
+const ERC1155_ABI = ["function balanceOf(address, uint256) view returns (uint256)"]
+
+const ERC1155 = 1
+
+// offers that commit to a token tree are filled with a merkle proof, the contracts reject validator tokens for them
+const hasTokenRoot = offer => offer.tokenRoot != null && offer.tokenRoot !== ethers.constants.HashZero
+
+const ERC20_ABI = ["function balanceOf(address) view returns (uint256)"]
+
+class ValidationError extends Error {
+	constructor(message, statusCode = 422) {
+		super(message)
+		this.name = "ValidationError"
+		this.statusCode = statusCode
+	}
+}
+
+const assert = (condition, message) => {
+	if (!condition) {
+		throw new ValidationError(message)
+	}
+}
+
+const sameAddress = (a, b) => a != null && b != null && a.toLowerCase() === b.toLowerCase()
+
+async function assertLive(provider, offer) {
+	const { timestamp } = await provider.getBlock("latest")
+	assert(ethers.BigNumber.from(offer.startedAt).lte(timestamp), "offer has not started yet")
+	assert(ethers.BigNumber.from(timestamp).sub(offer.startedAt).lt(offer.duration), "offer has expired")
+}
+
+// offers signed before the nonces carry a string salt instead, the contracts honor them until the legacy cutoff
+const isLegacy = offer => offer.nonce == null && offer.salt != null
+
+async function assertNonce(provider, contract, offer, signer) {
+	if (isLegacy(offer)) {
+		const { timestamp } = await provider.getBlock("latest")
+		assert((await contract.legacyCutoff()).gt(timestamp), "legacy orders are no longer accepted")
+	}
+	const nonce = isLegacy(offer) ? legacyNonce(offer.salt) : offer.nonce
+	assert(!(await contract.isNonceUsed(signer, nonce)), "offer is cancelled")
+	return nonce
+}
+
+async function assertOwner(provider, collection, tokenId, owner) {
+	let currentOwner
+	try {
+		currentOwner = await new ethers.Contract(collection, ERC721_ABI, provider).ownerOf(tokenId)
+	} catch (e) {
+		throw new ValidationError("token does not exist")
+	}
+	assert(sameAddress(currentOwner, owner), "token is not owned by the requester")
+}
+
+async function assertBalance(provider, collection, tokenId, owner, amount) {
+	const balance = await new ethers.Contract(collection, ERC1155_ABI, provider).balanceOf(owner, tokenId)
+	assert(balance.gte(amount), "token is not owned by the requester")
+}
+
+/**
+ * Mirrors the SalvorExchangeV2.acceptOffer requirements that can be checked before the seller sends the transaction.
+ * Returns the nonce the token has to carry. amount is the quantity sold to ERC1155 offers.
+ */
+async function checkExchangeOffer({ provider, sdk, traits, contracts }, { offer, signature, tokenId, sender, amount = 1 }) {
+	assert(offer != null && signature != null && tokenId != null && sender != null, "offer, signature, tokenId and sender are required")
+	const isErc1155 = Number(offer.tokenStandard || 0) === ERC1155
+	amount = ethers.BigNumber.from(amount)
+	assert(amount.gt(0) && (isErc1155 || amount.eq(1)), "invalid amount")
+	const exchange = new ethers.Contract(contracts.exchange, EXCHANGE_ABI, provider)
+
+	const buyer = isLegacy(offer) ? await sdk.recoverLegacyOffer(offer, signature) : await sdk.recoverOffer(offer, signature)
+	assert(sameAddress(buyer, offer.buyer), "buyer does not match")
+	assert(!sameAddress(buyer, sender), "signer cannot redeem own coupon")
+	assert(ethers.BigNumber.from(offer.bid).gt(0), "non existent offer")
+	assert(!hasTokenRoot(offer), "offer requires a token proof")
+
+	await assertLive(provider, offer)
+	const cancelledAt = await exchange.cancelOfferTimestamps(buyer, ethers.constants.AddressZero)
+	assert(cancelledAt.lt(offer.startedAt), "offer is cancelled")
+	const nonce = await assertNonce(provider, exchange, offer, buyer)
+	const filled = await exchange.sizes(isLegacy(offer) ? hashLegacyOffer(offer) : hashOffer(offer))
+	assert(filled.add(amount).lte(offer.size), "size is filled")
+	if (offer.autoInvalidate) {
+		const balance = await exchange.buyerBalance(buyer, offer.currency)
+		assert(balance.gte(ethers.BigNumber.from(offer.bid).mul(amount)), "buyer balance is below the bid")
+	}
+
+	if (offer.isCollectionOffer) {
+		assert(traits.has(offer.nftContractAddress, tokenId, offer.traits), "traits does not match")
+	} else {
+		assert(ethers.BigNumber.from(tokenId).eq(offer.tokenId), "token id does not match")
+	}
+	if (isErc1155) {
+		await assertBalance(provider, offer.nftContractAddress, tokenId, sender, amount)
+	} else {
+		await assertOwner(provider, offer.nftContractAddress, tokenId, sender)
+	}
+	return nonce
+}
+
+// loan offers that leave rate and loanDuration at 0, like legacy offers, take the pool terms
+async function assertLoanTerms(lending, loanOffer) {
+	const rate = ethers.BigNumber.from(loanOffer.rate || 0)
+	const loanDuration = ethers.BigNumber.from(loanOffer.loanDuration || 0)
+	if (rate.isZero() && loanDuration.isZero()) {
+		return
+	}
+	const limits = await lending.loanTermLimits(loanOffer.nftContractAddress)
+	assert(loanDuration.mod(86400).isZero() && loanDuration.gte(limits.minDuration) && loanDuration.lte(limits.maxDuration), "loan duration is out of the pool limits")
+	assert(rate.gte(limits.minRate) && rate.lte(limits.maxRate), "rate is out of the pool limits")
+}
+
+/**
+ * Mirrors the SalvorLendingV2.validateLoanOffer requirements that can be checked before the borrower sends the transaction.
+ * Returns the nonce the token has to carry.
+ */
+async function checkLoanOffer({ provider, sdk, traits, contracts }, { loanOffer, signature, tokenId, borrower }) {
+	assert(loanOffer != null && signature != null && tokenId != null && borrower != null, "loanOffer, signature, tokenId and borrower are required")
+	const lending = new ethers.Contract(contracts.lending, LENDING_ABI, provider)
+
+	assert(ethers.BigNumber.from(loanOffer.amount).gt(0), "lend amount cannot be 0")
+	const pool = await lending.lendingPools(loanOffer.nftContractAddress)
+	assert(pool.isActive, "pool is not active")
+	assert(!hasTokenRoot(loanOffer), "loan offer requires a token proof")
+
+	const lender = isLegacy(loanOffer) ? await sdk.recoverLegacyLoanOffer(loanOffer, signature) : await sdk.recoverLoanOffer(loanOffer, signature)
+	assert(sameAddress(lender, loanOffer.lender), "lender does not match with signed data")
+	assert(!sameAddress(lender, borrower), "signer cannot borrow from own loan offer")
+
+	await assertLive(provider, loanOffer)
+	const cancelledAt = await lending.cancelOfferTimestamps(lender, ethers.constants.AddressZero)
+	assert(cancelledAt.lt(loanOffer.startedAt), "offer is cancelled")
+	const nonce = await assertNonce(provider, lending, loanOffer, lender)
+	const filled = await lending.sizes(isLegacy(loanOffer) ? hashLegacyLoanOffer(loanOffer) : hashLoanOffer(loanOffer))
+	assert(filled.lt(loanOffer.size), "size is filled")
+	await assertLoanTerms(lending, loanOffer)
+
+	assert(traits.has(loanOffer.nftContractAddress, tokenId, loanOffer.traits), "traits does not match")
+	await assertOwner(provider, loanOffer.nftContractAddress, tokenId, borrower)
+	return nonce
+}
+
+/**
+ * Mirrors the SalvorLendingERC20.validateLoanOffer requirements and checks that the borrower holds enough collateral.
+ */
+async function checkErc20LoanOffer({ provider, sdk, contracts }, { loanOffer, signature, amount, borrower }) {
+	assert(loanOffer != null && signature != null && amount != null && borrower != null, "loanOffer, signature, amount and borrower are required")
+	const lendingErc20 = new ethers.Contract(contracts.lendingErc20, LENDING_ERC20_ABI, provider)
+	const oneEther = ethers.constants.WeiPerEther
+	amount = ethers.BigNumber.from(amount)
+
+	assert(await lendingErc20.allowedAssets(loanOffer.collateralizedAsset), "collateralized asset is not allowed")
+	assert(amount.gte(oneEther), "insufficient amount requested")
+	assert(ethers.BigNumber.from(loanOffer.price).lt(amount.mul(oneEther)), "Loan offer price must be less than the token amount in wei.")
+
+	const lender = isLegacy(loanOffer) ? await sdk.recoverLegacyErc20LoanOffer(loanOffer, signature) : await sdk.recoverErc20LoanOffer(loanOffer, signature)
+	assert(sameAddress(lender, loanOffer.lender), "lender does not match")
+	assert(!sameAddress(lender, borrower), "signer cannot borrow from own loan offer")
+
+	await assertLive(provider, loanOffer)
+	const cancelledAt = await lendingErc20.cancelOfferTimestamps(lender, ethers.constants.AddressZero)
+	assert(cancelledAt.lt(loanOffer.startedAt), "offer is cancelled")
+	await assertNonce(provider, lendingErc20, loanOffer, lender)
+
+	const orderHash = isLegacy(loanOffer) ? hashLegacyErc20LoanOffer(loanOffer) : hashErc20LoanOffer(loanOffer)
+	assert(!(await lendingErc20.fills(orderHash)), "offer has been cancelled")
+	const filled = await lendingErc20.sizes(orderHash)
+	assert(filled.add(amount).lte(loanOffer.amount), "size is filled")
+
+	const collateral = amount.mul(oneEther).div(loanOffer.price)
+	const balance = await new ethers.Contract(loanOffer.collateralizedAsset, ERC20_ABI, provider).balanceOf(borrower)
+	assert(balance.gte(collateral), "insufficient collateral balance")
+
+	return orderHash
+}
+
+module.exports = {
+	ValidationError,
+	checkExchangeOffer,
+	checkLoanOffer,
+	checkErc20LoanOffer
+}
@@ -0,0 +1,34 @@
+require("dotenv").config()
+const { ethers } = require("ethers")
+const { createValidatorServer } = require("./server")
+const { PrivateKeyStore, KeystoreFileStore } = require("./keyStore")
+const { TraitRegistry } = require("./traits")
+
+/**
+ * Runs the validator service from environment variables:
+ * VALIDATOR_RPC_URL, VALIDATOR_PORT, VALIDATOR_PRIVATE_KEY or VALIDATOR_KEYSTORE (+ VALIDATOR_KEYSTORE_PASSWORD),
+ * VALIDATOR_TRAITS_FILE, EXCHANGE_ADDRESS, LENDING_ADDRESS and LENDING_ERC20_ADDRESS.
+ */
+async function main() {
+	const provider = new ethers.providers.JsonRpcProvider(process.env.VALIDATOR_RPC_URL || "http://127.0.0.1:8545")
+	const keyStore = process.env.VALIDATOR_KEYSTORE
+		? new KeystoreFileStore({ path: process.env.VALIDATOR_KEYSTORE, password: process.env.VALIDATOR_KEYSTORE_PASSWORD })
+		: new PrivateKeyStore({ privateKey: process.env.VALIDATOR_PRIVATE_KEY })
+	const traits = process.env.VALIDATOR_TRAITS_FILE ? TraitRegistry.fromFile(process.env.VALIDATOR_TRAITS_FILE) : new TraitRegistry()
+	const contracts = {}
+	if (process.env.EXCHANGE_ADDRESS) contracts.exchange = process.env.EXCHANGE_ADDRESS
+	if (process.env.LENDING_ADDRESS) contracts.lending = process.env.LENDING_ADDRESS
+	if (process.env.LENDING_ERC20_ADDRESS) contracts.lendingErc20 = process.env.LENDING_ERC20_ADDRESS
+
+	const port = Number(process.env.VALIDATOR_PORT || 8080)
+	const server = createValidatorServer({ provider, keyStore, contracts, traits })
+	server.listen(port, () => {
+		console.log(`validator service is listening on ${port}`)
+	})
+}
+
+main()
+	.catch((error) => {
+		console.error(error)
+		process.exit(1)
+	})
@@ -0,0 +1,43 @@
+const fs = require("fs")
+const { ethers } = require("ethers")
+
+/**
+ * Key stores hand the validator service the wallet that signs Token vouchers.
+ * Any object with an async getSigner() returning an ethers Signer can be plugged in (e.g. a KMS backed signer).
+ */
+
+class PrivateKeyStore {
+	constructor({ privateKey }) {
+		if (!privateKey) {
+			throw new Error("validator private key is not set")
+		}
+		this.wallet = new ethers.Wallet(privateKey)
+	}
+
+	async getSigner() {
+		return this.wallet
+	}
+}
+
+class KeystoreFileStore {
+	constructor({ path, password }) {
+		if (!path) {
+			throw new Error("validator keystore path is not set")
+		}
+		this.path = path
+		this.password = password || ""
+	}
+
+	async getSigner() {
+		if (this.wallet == null) {
+			const json = fs.readFileSync(this.path, "utf8")
+			this.wallet = await ethers.Wallet.fromEncryptedJson(json, this.password)
+		}
+		return this.wallet
+	}
+}
+
+module.exports = {
+	PrivateKeyStore,
+	KeystoreFileStore
+}
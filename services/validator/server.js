@@ -0,0 +1,120 @@
+const http = require("http")
+const { SalvorSDK } = require("../../libs/sdk")
+const { TraitRegistry } = require("./traits")
+const { ValidationError, checkExchangeOffer, checkLoanOffer, checkErc20LoanOffer } = require("./checks")
+
+// request bodies are small JSON documents, anything larger is rejected
+const MAX_BODY_SIZE = 64 * 1024
+
+const readBody = req => new Promise((resolve, reject) => {
+	let body = ""
+	let tooLarge = false
+	req.on("data", chunk => {
+		if (tooLarge) {
+			return
+		}
+		body += chunk
+		if (body.length > MAX_BODY_SIZE) {
+			// the rest of the body is read and dropped, destroying the request would also close the socket the error is sent on
+			tooLarge = true
+			body = ""
+			reject(new ValidationError("request body is too large", 413))
+		}
+	})
+	req.on("end", () => {
+		if (tooLarge) {
+			return
+		}
+		try {
+			resolve(body.length > 0 ? JSON.parse(body) : {})
+		} catch (e) {
+			reject(new ValidationError("request body is not valid json", 400))
+		}
+	})
+	req.on("error", reject)
+})
+
+const send = (res, statusCode, payload) => {
+	res.writeHead(statusCode, { "Content-Type": "application/json" })
+	res.end(JSON.stringify(payload))
+}
+
+/**
+ * Creates the validator co-signing service. Every route re-checks the fill conditions against the chain
+ * and only then signs the Token voucher that the contracts require from the validator address.
+ *
+ * POST /v1/exchange/token      { offer, signature, tokenId, sender, amount? }
+ * POST /v1/lending/token       { loanOffer, signature, tokenId, borrower }
+ * POST /v1/lending-erc20/token { loanOffer, signature, amount, borrower }
+ * GET  /v1/health
+ */
+function createValidatorServer({ provider, keyStore, contracts, traits = new TraitRegistry(), logger = console }) {
+	let sdk
+	const getSdk = async () => {
+		if (sdk == null) {
+			const signer = await keyStore.getSigner()
+			sdk = new SalvorSDK({ signer, provider, contracts })
+		}
+		return sdk
+	}
+
+	const routes = {
+		"GET /v1/health": async () => {
+			const { signer } = await getSdk()
+			return { validator: await signer.getAddress(), blockNumber: await provider.getBlockNumber() }
+		},
+		"POST /v1/exchange/token": async body => {
+			const context = { provider, sdk: await getSdk(), traits, contracts }
+			const nonce = await checkExchangeOffer(context, body)
+			const { offer, tokenId, sender, amount = 1 } = body
+			return context.sdk.signExchangeToken({
+				tokenId,
+				amount: amount.toString(),
+				nonce,
+				traits: offer.traits,
+				sender,
+				nftContractAddress: offer.nftContractAddress
+			})
+		},
+		"POST /v1/lending/token": async body => {
+			const context = { provider, sdk: await getSdk(), traits, contracts }
+			const nonce = await checkLoanOffer(context, body)
+			const { loanOffer, tokenId, borrower } = body
+			return context.sdk.signLendingToken({
+				tokenId,
+				nonce,
+				traits: loanOffer.traits,
+				owner: borrower,
+				nftContractAddress: loanOffer.nftContractAddress,
+				lender: loanOffer.lender
+			})
+		},
+		"POST /v1/lending-erc20/token": async body => {
+			const context = { provider, sdk: await getSdk(), traits, contracts }
+			const orderHash = await checkErc20LoanOffer(context, body)
+			const { amount, borrower } = body
+			return context.sdk.signErc20Token({ orderHash, amount: amount.toString(), borrower })
+		}
+	}
+
+	return http.createServer(async (req, res) => {
+		const route = routes[`${req.method} ${req.url.split("?")[0]}`]
+		if (!route) {
+			return send(res, 404, { error: "not found" })
+		}
+		try {
+			const body = req.method === "POST" ? await readBody(req) : {}
+			send(res, 200, await route(body))
+		} catch (e) {
+			if (e instanceof ValidationError) {
+				return send(res, e.statusCode, { error: e.message })
+			}
+			logger.error(e)
+			send(res, 500, { error: "internal error" })
+		}
+	})
+}
+
+module.exports = {
+	createValidatorServer
+}
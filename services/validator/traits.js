@@ -0,0 +1,46 @@
+const fs = require("fs")
+
+// "allItems" is the trait used by offers that accept every item of a collection.
+const ALL_ITEMS = "allItems"
+
+/**
+ * Trait membership of collection items, loaded from a JSON file shaped as
+ * { "<collection address>": { "<tokenId>": ["Background:Blue", "Eyes:Laser"] } }
+ */
+class TraitRegistry {
+	constructor(collections = {}) {
+		this.collections = {}
+		for (const [collection, items] of Object.entries(collections)) {
+			this.setItems(collection, items)
+		}
+	}
+
+	static fromFile(path) {
+		return new TraitRegistry(JSON.parse(fs.readFileSync(path, "utf8")))
+	}
+
+	setItems(collection, items) {
+		const key = collection.toLowerCase()
+		this.collections[key] = this.collections[key] || {}
+		for (const [tokenId, traits] of Object.entries(items)) {
+			this.collections[key][tokenId.toString()] = new Set(traits)
+		}
+	}
+
+	has(collection, tokenId, trait) {
+		if (trait === ALL_ITEMS) {
+			return true
+		}
+		const items = this.collections[collection.toLowerCase()]
+		if (!items) {
+			return false
+		}
+		const traits = items[tokenId.toString()]
+		return traits != null && traits.has(trait)
+	}
+}
+
+module.exports = {
+	ALL_ITEMS,
+	TraitRegistry
+}
@@ -0,0 +1,61 @@
+const { ethers } = require("hardhat")
+const { scheduleDutchAuction, simulateLiquidation, DECAY } = require("./libs/sdk")
+
+// Charts the Dutch auction price curve of a lending pool.
+// LENDING_ADDRESS=... COLLECTION=... [END_PRICE=1] [TOKEN_ID=...] npx hardhat run --network fuji simulateLiquidation.js
+// END_PRICE is the repayment of the loan in ether. With TOKEN_ID the running auction of that loan is charted instead.
+
+const BAR_WIDTH = 50
+const MAX_ROWS = 48
+
+async function main() {
+	const { LENDING_ADDRESS, COLLECTION, END_PRICE = "1", TOKEN_ID } = process.env
+	if (!LENDING_ADDRESS || !COLLECTION) {
+		throw new Error("LENDING_ADDRESS and COLLECTION must be set")
+	}
+	const lending = await ethers.getContractAt("SalvorLendingV2", LENDING_ADDRESS)
+
+	let auction
+	if (TOKEN_ID != null) {
+		auction = await lending.dutchAuctions(COLLECTION, TOKEN_ID)
+		if (auction.startTime.isZero()) {
+			throw new Error(`${COLLECTION} #${TOKEN_ID} has no running loan`)
+		}
+		console.log(`auction of ${COLLECTION} #${TOKEN_ID}`)
+	} else {
+		const curve = await lending.liquidationCurves(COLLECTION)
+		auction = scheduleDutchAuction(curve, ethers.utils.parseEther(END_PRICE), 0, await lending.auctionDuration(), await lending.dropInterval())
+		console.log(`liquidation curve of ${COLLECTION}${curve.startMultiplier.isZero() ? " (default)" : ""}`)
+	}
+	if (auction.dropInterval.isZero()) {
+		throw new Error("the drop interval of the auction is not set")
+	}
+	console.log(`start ${ethers.utils.formatEther(auction.startPrice)}, end ${ethers.utils.formatEther(auction.endPrice)}, floor ${ethers.utils.formatEther(auction.floorPrice.isZero() ? auction.endPrice : auction.floorPrice)}, ${Number(auction.decay) === DECAY.EXPONENTIAL ? `exponential decay of ${ethers.utils.formatEther(auction.decayFactor)}` : "linear decay"}`)
+	console.log(chart(simulateLiquidation(auction), auction.endPrice))
+}
+
+// one row per drop, or per a few drops for long auctions, and a last row once the auction is over; | marks the end price, below which the auction clears under the debt
+function chart(points, endPrice) {
+	const every = Math.ceil(points.length / MAX_ROWS)
+	const rows = points.filter((point, i) => i % every === 0 || i === points.length - 1)
+	const max = rows.reduce((max, { price }) => price.gt(max) ? price : max, endPrice)
+	const endColumn = endPrice.mul(BAR_WIDTH).div(max).toNumber()
+	return rows.map(({ elapsed, price }, i) => {
+		const width = price.mul(BAR_WIDTH).div(max).toNumber()
+		const bar = Array.from({ length: BAR_WIDTH + 1 }, (_, i) => i < width ? "█" : (i === endColumn ? "|" : " ")).join("")
+		return `${(i === rows.length - 1 ? "over" : formatElapsed(elapsed)).padStart(8)} ${bar} ${ethers.utils.formatEther(price)}`
+	}).join("\n")
+}
+
+function formatElapsed(seconds) {
+	const hours = Math.floor(seconds / 3600)
+	const minutes = Math.floor((seconds % 3600) / 60)
+	return `${hours}h${String(minutes).padStart(2, "0")}m`
+}
+
+main()
+	.then(() => process.exit(0))
+	.catch((error) => {
+		console.error(error)
+		process.exit(1)
+	})
@@ -0,0 +1,229 @@
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+
+const PERMIT_TYPES = {
+	Permit: [
+		{ name: "owner", type: "address" },
+		{ name: "spender", type: "address" },
+		{ name: "value", type: "uint256" },
+		{ name: "nonce", type: "uint256" },
+		{ name: "deadline", type: "uint256" }
+	]
+}
+
+describe("Asset Manager", function () {
+	before(async function () {
+		// ABIs
+		this.assetManagerCF = await ethers.getContractFactory("AssetManager")
+		this.assetManagerDummyCF = await ethers.getContractFactory("AssetManagerDummy")
+		this.currencyCF = await ethers.getContractFactory("ERC20PermitDummy")
+		this.erc721DummyCF = await ethers.getContractFactory("ERC721Dummy")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.lender = this.signers[1]
+		this.borrower = this.signers[2]
+		this.externalWallet = this.signers[3]
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.currency = await this.currencyCF.deploy("Salvor Dollar", "SUSD")
+		await this.currency.mint(this.lender.address, ethers.utils.parseEther("10"))
+		await this.currency.mint(this.borrower.address, ethers.utils.parseEther("10"))
+
+		this.assetManager = await upgrades.deployProxy(this.assetManagerCF, [])
+		await this.assetManager.deployed()
+	})
+
+	it("it should preserve the native balances when it is upgraded", async function () {
+		const proxy = await upgrades.deployProxy(this.assetManagerDummyCF, [])
+		await proxy.deployed()
+		await proxy.connect(this.lender).deposit({ value: ethers.utils.parseEther("1") })
+		await proxy.connect(this.borrower).deposit({ value: ethers.utils.parseEther("2") })
+
+		const assetManager = await upgrades.upgradeProxy(proxy.address, this.assetManagerCF)
+		expect(await assetManager.biddingWallets(this.lender.address)).to.be.equal(ethers.utils.parseEther("1"))
+		expect(await assetManager.biddingWallets(this.borrower.address)).to.be.equal(ethers.utils.parseEther("2"))
+		expect(await assetManager.walletBalance(this.borrower.address, ethers.constants.AddressZero)).to.be.equal(ethers.utils.parseEther("2"))
+		expect(await assetManager.walletBalance(this.borrower.address, this.currency.address)).to.be.equal(0)
+
+		await assetManager.connect(this.borrower).withdraw(ethers.utils.parseEther("0.5"))
+		expect(await assetManager.biddingWallets(this.borrower.address)).to.be.equal(ethers.utils.parseEther("1.5"))
+		expect(await assetManager.balance()).to.be.equal(ethers.utils.parseEther("2.5"))
+	})
+
+	it("it should keep half of the liquidation surplus after the upgrade", async function () {
+		const proxy = await upgrades.deployProxy(this.assetManagerDummyCF, [])
+		await proxy.deployed()
+
+		const assetManager = await upgrades.upgradeProxy(proxy.address, this.assetManagerCF)
+		expect(await assetManager.liquidationFee()).to.be.equal(0)
+		await expect(assetManager.connect(this.borrower).initializeV2()).to.be.revertedWith("Ownable: caller is not the owner")
+		await expect(assetManager.initializeV2()).to.emit(assetManager, "SetLiquidationFee").withArgs(5000)
+		expect(await assetManager.liquidationFee()).to.be.equal(5000)
+		await expect(assetManager.initializeV2()).to.be.revertedWith("Initializable: contract is already initialized")
+
+		// new proxies start with the same fee
+		const deployed = await upgrades.deployProxy(this.assetManagerCF, [])
+		expect(await deployed.liquidationFee()).to.be.equal(5000)
+	})
+
+	it("it should pay the dutch auctions of the lending deployed before the liquidation surplus", async function () {
+		const parse = ethers.utils.parseEther
+		const platform = this.owner
+		const bidder = this.externalWallet
+		await this.assetManager.addPlatform(platform.address)
+		await this.assetManager.connect(bidder)['deposit()']({ value: parse("3") })
+		const nft = await this.erc721DummyCF.deploy("Salvor", "SLV")
+		await nft.mint(1, platform.address, 0)
+		await nft.setApprovalForAll(this.assetManager.address, true)
+
+		// dutchPayV2 keeps half of the surplus over the end price as the fee, and the lender gets the rest without the delegated amount
+		await expect(this.assetManager.connect(this.lender).dutchPayV2(nft.address, 1, bidder.address, this.lender.address, parse("3"), parse("2"), parse("0.1"))).to.be.revertedWith("not allowed")
+		await expect(this.assetManager.dutchPayV2(nft.address, 1, bidder.address, this.lender.address, parse("3"), parse("2"), parse("0.1")))
+			.to.emit(this.assetManager, "TransferFrom").withArgs(bidder.address, this.lender.address, parse("2.5"))
+		expect(await nft.ownerOf(1)).to.be.equal(bidder.address)
+		expect(await this.assetManager.biddingWallets(bidder.address)).to.be.equal(0)
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("2.4"))
+		expect(await this.assetManager.biddingWallets(this.borrower.address)).to.be.equal(0)
+		expect(await this.assetManager.pendingFee()).to.be.equal(parse("0.6"))
+	})
+
+	it("it should deposit and withdraw ERC20 tokens", async function () {
+		const amount = ethers.utils.parseEther("4")
+		await this.currency.connect(this.lender).approve(this.assetManager.address, amount)
+		await expect(this.assetManager.connect(this.lender).depositERC20(this.currency.address, amount)).to.be.revertedWith("currency is not allowed")
+		await this.assetManager.setPaymentToken(this.currency.address, true)
+
+		await expect(this.assetManager.connect(this.lender).depositERC20(this.currency.address, amount))
+			.to.emit(this.assetManager, "FundERC20").withArgs(this.currency.address, this.lender.address, amount)
+		expect(await this.assetManager.tokenWallets(this.lender.address, this.currency.address)).to.be.equal(amount)
+		expect(await this.assetManager.walletBalance(this.lender.address, this.currency.address)).to.be.equal(amount)
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(0)
+
+		// the borrower approves the deposit with a permit
+		const { chainId } = await ethers.provider.getNetwork()
+		const { timestamp } = await ethers.provider.getBlock("latest")
+		const permit = { owner: this.borrower.address, spender: this.assetManager.address, value: amount, nonce: 0, deadline: timestamp + 3600 }
+		const domain = { name: "Salvor Dollar", version: "1", chainId, verifyingContract: this.currency.address }
+		const { v, r, s } = ethers.utils.splitSignature(await this.borrower._signTypedData(domain, PERMIT_TYPES, permit))
+		await expect(this.assetManager.connect(this.externalWallet).depositERC20WithPermit(this.currency.address, amount, permit.deadline, v, r, s)).to.be.revertedWith("ERC20: insufficient allowance")
+		// a copy of the permit submitted first does not block the deposit, which uses the allowance granted by it
+		await this.currency.connect(this.externalWallet).permit(permit.owner, permit.spender, permit.value, permit.deadline, v, r, s)
+		await this.assetManager.connect(this.borrower).depositERC20WithPermit(this.currency.address, amount, permit.deadline, v, r, s)
+		expect(await this.assetManager.tokenWallets(this.borrower.address, this.currency.address)).to.be.equal(amount)
+		expect(await this.currency.balanceOf(this.assetManager.address)).to.be.equal(amount.mul(2))
+
+		// delisted tokens can still be withdrawn
+		await this.assetManager.setPaymentToken(this.currency.address, false)
+		await expect(this.assetManager.connect(this.lender).withdrawERC20(this.currency.address, amount.add(1))).to.be.revertedWith("Balance is insufficient for a withdrawal")
+		await expect(this.assetManager.connect(this.lender).withdrawERC20(this.currency.address, amount))
+			.to.emit(this.assetManager, "WithdrawERC20").withArgs(this.currency.address, this.lender.address, amount)
+		expect(await this.assetManager.tokenWallets(this.lender.address, this.currency.address)).to.be.equal(0)
+		expect(await this.currency.balanceOf(this.lender.address)).to.be.equal(ethers.utils.parseEther("10"))
+	})
+
+	it("it should credit the amount received of tokens with a fee on transfers", async function () {
+		// the token burns 1% of every transfer
+		const feeToken = await (await ethers.getContractFactory("ERC20FeeDummy")).deploy("Fee Dollar", "FUSD", 100)
+		const amount = ethers.utils.parseEther("4")
+		const received = ethers.utils.parseEther("3.96")
+		await feeToken.mint(this.lender.address, amount)
+		await feeToken.connect(this.lender).approve(this.assetManager.address, amount)
+		await this.assetManager.setPaymentToken(feeToken.address, true)
+
+		await expect(this.assetManager.connect(this.lender).depositERC20(feeToken.address, amount))
+			.to.emit(this.assetManager, "FundERC20").withArgs(feeToken.address, this.lender.address, received)
+		expect(await this.assetManager.tokenWallets(this.lender.address, feeToken.address)).to.be.equal(received)
+		expect(await feeToken.balanceOf(this.assetManager.address)).to.be.equal(received)
+
+		// the whole credit can be withdrawn
+		await this.assetManager.connect(this.lender).withdrawERC20(feeToken.address, received)
+		expect(await feeToken.balanceOf(this.assetManager.address)).to.be.equal(0)
+	})
+
+	it("it should pay from the bidding wallets in the currency of the payment", async function () {
+		const parse = ethers.utils.parseEther
+		const platform = this.owner
+		const seller = this.externalWallet
+		await this.assetManager.addPlatform(platform.address)
+		await this.assetManager.setProtocolFee(platform.address, 200)
+		await this.assetManager.setPaymentToken(this.currency.address, true)
+		for (const user of [this.lender, this.borrower]) {
+			await this.currency.connect(user).approve(this.assetManager.address, parse("10"))
+			await this.assetManager.connect(user).depositERC20(this.currency.address, parse("10"))
+		}
+		await this.assetManager.connect(this.lender)['deposit()']({ value: parse("1") })
+		const wallet = user => this.assetManager.tokenWallets(user.address, this.currency.address)
+
+		// transfers
+		await expect(this.assetManager.connect(this.lender)['transferFrom(address,address,address,uint256)'](this.currency.address, this.lender.address, seller.address, parse("1"))).to.be.revertedWith("not allowed")
+		await expect(this.assetManager['transferFrom(address,address,address,uint256)'](this.currency.address, this.lender.address, seller.address, parse("11"))).to.be.revertedWith("Insufficient balance")
+		await expect(this.assetManager['transferFrom(address,address,address,uint256)'](this.currency.address, this.lender.address, seller.address, parse("1")))
+			.to.emit(this.assetManager, "TransferERC20From").withArgs(this.currency.address, this.lender.address, seller.address, parse("1"))
+		expect(await wallet(this.lender)).to.be.equal(parse("9"))
+		expect(await wallet(seller)).to.be.equal(parse("1"))
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("1"))
+
+		// loans, the protocol fee is kept in the currency
+		await this.assetManager['payERC20Lending(address,address,address,uint256)'](this.currency.address, this.lender.address, this.borrower.address, parse("2"))
+		expect(await wallet(this.lender)).to.be.equal(parse("7"))
+		expect(await wallet(this.borrower)).to.be.equal(parse("11.96"))
+		expect(await this.assetManager.pendingERC20Fees(this.currency.address)).to.be.equal(parse("0.04"))
+
+		const loan = {
+			lender: this.lender.address, previousLender: seller.address, borrower: this.borrower.address, collection: ethers.constants.AddressZero,
+			tokenId: 0, amount: parse("1"), repaymentAmount: parse("1.5"), delegatedAmount: parse("0.5")
+		}
+		await this.assetManager['payLendingBatchV2(address,(address,address,address,address,uint256,uint256,uint256,uint256)[])'](this.currency.address, [loan])
+		expect(await wallet(this.lender)).to.be.equal(parse("6"))
+		expect(await wallet(this.borrower)).to.be.equal(parse("11.44"))
+		expect(await wallet(seller)).to.be.equal(parse("2"))
+		expect(await this.assetManager.pendingERC20Fees(this.currency.address)).to.be.equal(parse("0.56"))
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("1"))
+
+		// sales, the royalty is kept in the currency
+		const nft = await this.erc721DummyCF.connect(seller).deploy("Salvor", "SLV")
+		await nft.connect(seller).mint(1, seller.address, 0)
+		await nft.connect(seller).mint(2, seller.address, 0)
+		await nft.connect(seller).setApprovalForAll(this.assetManager.address, true)
+		await this.assetManager.setCollectionRoyalty(nft.address, this.signers[5].address, 500, true)
+		await this.assetManager['payMPBatch(address,(address,address,address,uint256,uint256)[])'](this.currency.address, [
+			{ buyer: this.borrower.address, seller: seller.address, collection: nft.address, tokenId: 1, price: parse("1") }
+		])
+		expect(await nft.ownerOf(1)).to.be.equal(this.borrower.address)
+		expect(await wallet(this.borrower)).to.be.equal(parse("10.44"))
+		expect(await wallet(seller)).to.be.equal(parse("2.93"))
+		expect(await this.assetManager.pendingERC20Royalties(nft.address, this.currency.address)).to.be.equal(parse("0.05"))
+
+		// payments priced in the currency are taken from the bidding wallet when it covers the price, without an allowance
+		await this.currency.connect(this.borrower).approve(this.assetManager.address, 0)
+		await this.assetManager.payMPBatchV2([
+			{ buyer: this.borrower.address, seller: seller.address, collection: nft.address, tokenId: 2, tokenStandard: 0, amount: 1, price: parse("1"), currency: this.currency.address }
+		])
+		expect(await nft.ownerOf(2)).to.be.equal(this.borrower.address)
+		expect(await wallet(this.borrower)).to.be.equal(parse("9.44"))
+		expect(await wallet(seller)).to.be.equal(parse("3.86"))
+		expect(await this.assetManager.pendingERC20Fees(this.currency.address)).to.be.equal(parse("0.6"))
+
+		// the tokens of the wallets and of the pending fees and royalties stay in the asset manager
+		const held = (await wallet(this.lender)).add(await wallet(this.borrower)).add(await wallet(seller)).add(parse("0.6")).add(parse("0.1"))
+		expect(await this.currency.balanceOf(this.assetManager.address)).to.be.equal(held)
+	})
+})
@@ -1,6 +1,8 @@
 const { ethers, network, upgrades } = require("hardhat")
 const { expect } = require("chai")
 const ExchangeSigner = require("../libs/ExchangeSigner")
+const { SalvorSDK, TOKEN_STANDARDS, TokenTree, hashOffer, nonceInvalidations } = require("../libs/sdk")
+const { deployVeArt } = require("../libs/deployVeArt")
 
 describe("Exchange", function () {
 	before(async function () {
@@ -9,7 +11,6 @@ describe("Exchange", function () {
 		this.nftCollectibleCF = await ethers.getContractFactory("NFTCollectible")
 		this.assetManagerCF = await ethers.getContractFactory("AssetManager")
 		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
-		this.veARTCF = await ethers.getContractFactory("VeArt")
 
 		// Accounts
 		this.signers = await ethers.getSigners()
@@ -37,8 +38,7 @@ describe("Exchange", function () {
 		// Contracts
 		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
 
-		this.veART = await upgrades.deployProxy(this.veARTCF, [this.salvorGovernanceToken.address])
-		await this.veART.deployed()
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
 
 		this.assetManager = await upgrades.deployProxy(this.assetManagerCF, [])
 		await this.assetManager.deployed()
@@ -106,19 +106,21 @@ describe("Exchange", function () {
 
 	it("it should cancel listing", async function () {
 		const exchangeSigner = new ExchangeSigner({ contract: this.exchange, signer: this.seller })
-		const { voucher, signature } = await exchangeSigner.createVoucher(this.seller.address, this.nftCollectible.address, 1, ethers.utils.parseEther("1"))
+		const { voucher } = await exchangeSigner.createVoucher(this.seller.address, this.nftCollectible.address, 1, ethers.utils.parseEther("1"))
+		const [{ wordPos, mask }] = nonceInvalidations([voucher.orders[0].nonce])
 		await this.exchange.setBlockRange(40)
 
 		await this.exchange.pause()
-		await expect(this.exchange.batchCancelOrder([voucher], [signature], [0])).to.be.revertedWith("Pausable: paused")
+		await expect(this.exchange.connect(this.seller).invalidateNonces(wordPos, mask)).to.be.revertedWith("Pausable: paused")
 		await this.exchange.unpause()
 
-		await expect(this.exchange.connect(this.signers[3]).batchCancelOrder([voucher], [signature], [0])).to.be.revertedWith("only signer")
+		await this.exchange.connect(this.signers[3]).invalidateNonces(wordPos, mask)
+		expect(await this.exchange.isNonceUsed(this.seller.address, voucher.orders[0].nonce)).to.be.equal(false)
 
-		const tx = await this.exchange.connect(this.seller).batchCancelOrder([voucher], [signature], [0])
+		const tx = await this.exchange.connect(this.seller).invalidateNonces(wordPos, mask)
 		const receipt = await tx.wait()
-		expect(receipt.events.filter(event => event.event === "CancelOrder").length).to.be.equal(1)
-		await expect(this.exchange.connect(this.seller).batchCancelOrder([voucher], [signature], [0])).to.be.revertedWith("order has already redeemed or cancelled")
+		expect(receipt.events.filter(event => event.event === "CancelNonces").length).to.be.equal(1)
+		expect(await this.exchange.isNonceUsed(this.seller.address, voucher.orders[0].nonce)).to.be.equal(true)
 	})
 
 	it("it should buy", async function () {
@@ -129,7 +131,8 @@ describe("Exchange", function () {
 		await this.exchange.unpause()
 
 		await this.exchange.setBlockRange(40)
-		await this.exchange.connect(this.seller).batchCancelOrder([voucher], [signature], [0])
+		const [{ wordPos, mask }] = nonceInvalidations([voucher.orders[0].nonce])
+		await this.exchange.connect(this.seller).invalidateNonces(wordPos, mask)
 		// const blockNumBefore = await ethers.provider.getBlockNumber();
 		// const blockBefore = await ethers.provider.getBlock(blockNumBefore);
 		// const timestampBefore = blockBefore.timestamp;
@@ -166,42 +169,291 @@ describe("Exchange", function () {
 		const { voucher, signature } = await exchangeSigner.createOfferVoucher(this.buyer.address, this.nftCollectible.address, 1, ethers.utils.parseEther("1"))
 
 		const exchangeSigner2 = new ExchangeSigner({ contract: this.exchange, signer: this.signers[4] })
-		let tokenResult = await exchangeSigner2.signToken(1, voucher.salt + '1', voucher.traits, this.seller.address, this.nftCollectible.address)
+		let tokenResult = await exchangeSigner2.signToken(1, ethers.BigNumber.from(voucher.nonce).add(1), voucher.traits, this.seller.address, this.nftCollectible.address)
 
 		await this.exchange.pause()
 		await expect(this.exchange.acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("Pausable: paused")
 		await this.exchange.unpause()
 
 
-		await expect(this.exchange.connect(this.signers[3]).acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("salt does not match")
+		await expect(this.exchange.connect(this.signers[3]).acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("nonce does not match")
 
-		tokenResult = await exchangeSigner2.signToken(1, voucher.salt, voucher.traits, this.seller.address, this.nftCollectible.address)
+		tokenResult = await exchangeSigner2.signToken(1, voucher.nonce, voucher.traits, this.seller.address, this.nftCollectible.address)
 
 		await expect(this.exchange.connect(this.buyer).acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("signer cannot redeem own coupon")
 
 		const { voucher: voucher1, signature: signature1 } = await exchangeSigner.createOfferVoucher(this.buyer.address, this.nftCollectible.address, 1, ethers.utils.parseEther("0"))
-		tokenResult = await exchangeSigner2.signToken(1, voucher1.salt, voucher1.traits, this.seller.address, this.buyer.address, this.nftCollectible.address)
+		tokenResult = await exchangeSigner2.signToken(1, voucher1.nonce, voucher1.traits, this.seller.address, this.buyer.address, this.nftCollectible.address)
 		await expect(this.exchange.connect(this.seller).acceptOfferBatch([voucher1], [signature1], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("non existent offer")
 
-		tokenResult = await exchangeSigner2.signToken(1, voucher.salt, voucher.traits, this.seller.address, this.nftCollectible.address)
+		tokenResult = await exchangeSigner2.signToken(1, voucher.nonce, voucher.traits, this.seller.address, this.nftCollectible.address)
 		await expect(this.exchange.connect(this.seller).acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [signature])).to.be.revertedWith("token signature is not valid")
 
-		tokenResult = await exchangeSigner2.signToken(1, voucher.salt, voucher.traits, this.signers[3].address, this.nftCollectible.address)
+		tokenResult = await exchangeSigner2.signToken(1, voucher.nonce, voucher.traits, this.signers[3].address, this.nftCollectible.address)
 		await expect(this.exchange.connect(this.seller).acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("token signature does not belong to msg.sender")
 
-		tokenResult = await exchangeSigner2.signToken(1, voucher.salt, voucher.traits, this.seller.address, this.nftCollectible.address)
+		tokenResult = await exchangeSigner2.signToken(1, voucher.nonce, voucher.traits, this.seller.address, this.nftCollectible.address)
 		await expect(this.exchange.connect(this.seller).acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("token signature has been expired")
 
 		await this.exchange.setBlockRange(40)
-		tokenResult = await exchangeSigner2.signToken(1, voucher.salt, "test_trait", this.seller.address, this.nftCollectible.address)
+		tokenResult = await exchangeSigner2.signToken(1, voucher.nonce, "test_trait", this.seller.address, this.nftCollectible.address)
 		await expect(this.exchange.connect(this.seller).acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("traits does not match")
 
 
 		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true);
 		await this.assetManager.connect(this.buyer)['deposit()']({ value: ethers.utils.parseEther("1") })
-		tokenResult = await exchangeSigner2.signToken(1, voucher.salt, voucher.traits, this.seller.address, this.nftCollectible.address)
+		tokenResult = await exchangeSigner2.signToken(1, voucher.nonce, voucher.traits, this.seller.address, this.nftCollectible.address)
 		const tx3 = await this.exchange.connect(this.seller).acceptOfferBatch([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])
 		const receipt3 = await tx3.wait()
 		expect(receipt3.events.filter(event => event.event === "AcceptOffer").length).to.be.equal(1)
 	})
+	it("it should settle orders and offers in an allowed ERC20 token", async function () {
+		const currency = this.salvorGovernanceToken
+		await currency.initialMint([this.buyer.address], [ethers.utils.parseEther("10")])
+		await this.exchange.setBlockRange(40)
+		await this.assetManager.setProtocolFee(this.exchange.address, 200)
+		await this.assetManager.setCollectionRoyalty(this.nftCollectible.address, this.externalWallet.address, 500, true)
+		await this.nftCollectible.connect(this.seller).setApprovalForAll(this.assetManager.address, true)
+
+		const exchangeSigner = new ExchangeSigner({ contract: this.exchange, signer: this.seller })
+		const { voucher, signature } = await exchangeSigner.createVoucher(this.seller.address, this.nftCollectible.address, 1, ethers.utils.parseEther("1"), currency.address)
+
+		await expect(this.exchange.connect(this.buyer).batchBuy([voucher], [signature], [0])).to.be.revertedWith("currency is not allowed")
+		await expect(this.assetManager.connect(this.buyer).setPaymentToken(currency.address, true)).to.be.revertedWith("Ownable: caller is not the owner")
+		await expect(this.assetManager.setPaymentToken(ethers.constants.AddressZero, true)).to.be.revertedWith("Given address must be a non-zero address")
+		await this.assetManager.setPaymentToken(currency.address, true)
+		expect(await this.assetManager.paymentTokens(currency.address)).to.be.equal(true)
+
+		await expect(this.exchange.connect(this.buyer).batchBuy([voucher], [signature], [0])).to.be.revertedWith("ERC20: insufficient allowance")
+		await currency.connect(this.buyer).approve(this.assetManager.address, ethers.utils.parseEther("10"))
+
+		const tx = await this.exchange.connect(this.buyer).batchBuy([voucher], [signature], [0])
+		const receipt = await tx.wait()
+		expect(receipt.events.find(event => event.event === "Redeem").args.currency).to.be.equal(currency.address)
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(this.buyer.address)
+		// the 2% protocol fee and the 5% royalty are kept by the asset manager
+		expect(await currency.balanceOf(this.seller.address)).to.be.equal(ethers.utils.parseEther("0.93"))
+		expect(await currency.balanceOf(this.assetManager.address)).to.be.equal(ethers.utils.parseEther("0.07"))
+		expect(await this.assetManager.pendingERC20Fees(currency.address)).to.be.equal(ethers.utils.parseEther("0.02"))
+		expect(await this.assetManager.pendingERC20Royalties(this.nftCollectible.address, currency.address)).to.be.equal(ethers.utils.parseEther("0.05"))
+		expect(await this.assetManager.biddingWallets(this.buyer.address)).to.be.equal(0)
+
+		const buyerSigner = new ExchangeSigner({ contract: this.exchange, signer: this.buyer })
+		const offer = await buyerSigner.createOfferVoucher(this.buyer.address, this.nftCollectible.address, 0, ethers.utils.parseEther("2"), currency.address)
+		const validatorSigner = new ExchangeSigner({ contract: this.exchange, signer: this.signers[4] })
+		const token = await validatorSigner.signToken(2, offer.voucher.nonce, offer.voucher.traits, this.seller.address, this.nftCollectible.address)
+		const tx2 = await this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+		const receipt2 = await tx2.wait()
+		expect(receipt2.events.find(event => event.event === "AcceptOffer").args.currency).to.be.equal(currency.address)
+		expect(await this.nftCollectible.ownerOf(2)).to.be.equal(this.buyer.address)
+		expect(await currency.balanceOf(this.seller.address)).to.be.equal(ethers.utils.parseEther("2.79"))
+		expect(await this.assetManager.pendingERC20Fees(currency.address)).to.be.equal(ethers.utils.parseEther("0.06"))
+
+		await this.assetManager.withdrawERC20RoyaltyAmount(this.nftCollectible.address, currency.address)
+		expect(await currency.balanceOf(this.externalWallet.address)).to.be.equal(ethers.utils.parseEther("0.15"))
+		await expect(this.assetManager.withdrawERC20RoyaltyAmount(this.nftCollectible.address, currency.address)).to.be.revertedWith("no credits to withdraw")
+
+		await expect(this.assetManager.connect(this.seller).withdrawPendingERC20Fee(currency.address, this.seller.address)).to.be.revertedWith("Ownable: caller is not the owner")
+		await this.assetManager.withdrawPendingERC20Fee(currency.address, this.signers[5].address)
+		expect(await currency.balanceOf(this.signers[5].address)).to.be.equal(ethers.utils.parseEther("0.06"))
+		expect(await currency.balanceOf(this.assetManager.address)).to.be.equal(0)
+
+		// removing the token from the allowlist stops new payments in it
+		await this.assetManager.setPaymentToken(currency.address, false)
+		const listing = await exchangeSigner.createVoucher(this.seller.address, this.nftCollectible.address, 3, ethers.utils.parseEther("1"), currency.address)
+		await expect(this.exchange.connect(this.buyer).batchBuy([listing.voucher], [listing.signature], [0])).to.be.revertedWith("currency is not allowed")
+	})
+	it("it should fill ERC1155 orders and offers partially", async function () {
+		const erc1155 = await (await ethers.getContractFactory("ERC1155Dummy")).connect(this.seller).deploy("")
+		await erc1155.mint(1, 10)
+		await erc1155.setApprovalForAll(this.assetManager.address, true)
+		await this.exchange.setBlockRange(40)
+		const price = ethers.utils.parseEther("0.1")
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+
+		const sellerSdk = new SalvorSDK({ signer: this.seller, contracts: { exchange: this.exchange } })
+		const { voucher, signature } = await sellerSdk.signBatchOrder({
+			seller: this.seller.address,
+			orders: [{ nftContractAddress: erc1155.address, tokenId: 1, tokenStandard: TOKEN_STANDARDS.ERC1155, amount: 5, price, startedAt }]
+		})
+		const nonce = voucher.orders[0].nonce
+		await expect(this.exchange.connect(this.buyer).batchBuyPartialETH([voucher], [signature], [0], [6], { value: price.mul(6) })).to.be.revertedWith("amount exceeds the remaining quantity")
+		await expect(this.exchange.connect(this.buyer).batchBuyPartial([voucher], [signature], [0], [])).to.be.revertedWith("inputs do not match")
+
+		const tx = await this.exchange.connect(this.buyer).batchBuyPartialETH([voucher], [signature], [0], [2], { value: price.mul(2) })
+		const redeem = (await tx.wait()).events.find(event => event.event === "Redeem")
+		expect(redeem.args.amount).to.be.equal(2)
+		expect(redeem.args.value).to.be.equal(price.mul(2))
+		expect(await erc1155.balanceOf(this.buyer.address, 1)).to.be.equal(2)
+		expect(await this.exchange.orderFills(this.seller.address, nonce)).to.be.equal(2)
+		expect(await this.exchange.isNonceUsed(this.seller.address, nonce)).to.be.equal(false)
+
+		// batchBuy takes the rest of the listing
+		await this.exchange.connect(this.buyer).batchBuyETH([voucher], [signature], [0], { value: price.mul(3) })
+		expect(await erc1155.balanceOf(this.buyer.address, 1)).to.be.equal(5)
+		expect(await this.exchange.orderFills(this.seller.address, nonce)).to.be.equal(5)
+		expect(await this.exchange.isNonceUsed(this.seller.address, nonce)).to.be.equal(true)
+		await expect(this.exchange.connect(this.buyer).batchBuyPartial([voucher], [signature], [0], [1])).to.be.revertedWith("order has already redeemed or cancelled")
+
+		// ERC721 orders always carry a single item
+		const erc721Order = await sellerSdk.signBatchOrder({
+			seller: this.seller.address,
+			orders: [{ nftContractAddress: this.nftCollectible.address, tokenId: 1, amount: 2, price, startedAt }]
+		})
+		await expect(this.exchange.connect(this.buyer).batchBuyETH([erc721Order.voucher], [erc721Order.signature], [0], { value: price.mul(2) })).to.be.revertedWith("unsupported token standard")
+
+		const buyerSdk = new SalvorSDK({ signer: this.buyer, contracts: { exchange: this.exchange } })
+		const validatorSdk = new SalvorSDK({ signer: this.signers[4], contracts: { exchange: this.exchange } })
+		const offer = await buyerSdk.signOffer({ nftContractAddress: erc1155.address, buyer: this.buyer.address, tokenId: 1, tokenStandard: TOKEN_STANDARDS.ERC1155, bid: price, size: 4, startedAt })
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: price.mul(4) })
+		const signToken = amount => validatorSdk.signExchangeToken({
+			tokenId: 1,
+			amount,
+			nonce: offer.voucher.nonce,
+			traits: offer.voucher.traits,
+			sender: this.seller.address,
+			nftContractAddress: erc1155.address
+		})
+
+		let token = await signToken(3)
+		const tx2 = await this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+		const acceptOffer = (await tx2.wait()).events.find(event => event.event === "AcceptOffer")
+		expect(acceptOffer.args.amount).to.be.equal(3)
+		expect(await this.exchange.sizes(hashOffer(offer.voucher))).to.be.equal(3)
+		expect(await erc1155.balanceOf(this.buyer.address, 1)).to.be.equal(8)
+		expect(await this.assetManager.biddingWallets(this.buyer.address)).to.be.equal(price)
+
+		token = await signToken(2)
+		await expect(this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])).to.be.revertedWith("size is filled")
+		token = await signToken(0)
+		await expect(this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])).to.be.revertedWith("invalid amount")
+		token = await signToken(1)
+		await this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+		expect(await erc1155.balanceOf(this.buyer.address, 1)).to.be.equal(9)
+		expect(await this.assetManager.biddingWallets(this.seller.address)).to.be.equal(price.mul(9))
+
+		// ERC721 offers accept a single item
+		const erc721Offer = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, tokenId: 1, bid: price, size: 2, startedAt })
+		const erc721Token = await validatorSdk.signExchangeToken({
+			tokenId: 1,
+			amount: 2,
+			nonce: erc721Offer.voucher.nonce,
+			traits: erc721Offer.voucher.traits,
+			sender: this.seller.address,
+			nftContractAddress: this.nftCollectible.address
+		})
+		await expect(this.exchange.connect(this.seller).acceptOfferBatch([erc721Offer.voucher], [erc721Offer.signature], [erc721Token.voucher], [erc721Token.signature])).to.be.revertedWith("invalid amount")
+	})
+
+	it("it should batch transfer ERC1155 tokens through the asset manager", async function () {
+		const erc1155 = await (await ethers.getContractFactory("ERC1155Dummy")).connect(this.seller).deploy("")
+		await erc1155.mintBatch([1, 2], [4, 4])
+		await erc1155.setApprovalForAll(this.assetManager.address, true)
+
+		await expect(this.assetManager.connect(this.seller).batchTransferERC1155(erc1155.address, [1, 2], [1], this.buyer.address)).to.be.revertedWith("tokenIds and amounts inputs does not match")
+		await this.assetManager.connect(this.seller).batchTransferERC1155(erc1155.address, [1, 2], [1, 3], this.buyer.address)
+		expect(await erc1155.balanceOf(this.buyer.address, 1)).to.be.equal(1)
+		expect(await erc1155.balanceOf(this.buyer.address, 2)).to.be.equal(3)
+
+		await expect(this.assetManager.connect(this.seller).erc1155TransferFrom(this.seller.address, this.buyer.address, erc1155.address, 1, 1)).to.be.revertedWith("not allowed")
+	})
+
+	it("it should accept trait offers with merkle proofs", async function () {
+		await this.exchange.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		const price = ethers.utils.parseEther("0.1")
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const tree = TokenTree.fromMetadata({
+			1: { attributes: [{ trait_type: "Background", value: "Blue" }] },
+			2: { attributes: [{ trait_type: "Background", value: "Red" }] },
+			3: { attributes: [{ trait_type: "Background", value: "Blue" }] }
+		}, "Background:Blue")
+
+		const buyerSdk = new SalvorSDK({ signer: this.buyer, contracts: { exchange: this.exchange } })
+		const offer = await buyerSdk.signOffer({
+			nftContractAddress: this.nftCollectible.address,
+			buyer: this.buyer.address,
+			traits: "Background:Blue",
+			tokenRoot: tree.root,
+			isCollectionOffer: true,
+			bid: price,
+			size: 2,
+			startedAt
+		})
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: price.mul(2) })
+
+		await expect(this.exchange.connect(this.seller).acceptOfferBatchWithProofs([offer.voucher], [offer.signature], [])).to.be.revertedWith("inputs do not match")
+		await expect(this.exchange.connect(this.seller).acceptOfferBatchWithProofs([offer.voucher], [offer.signature], [{ tokenId: 2, amount: 1, proof: tree.getProof(1) }])).to.be.revertedWith("token is not in the offer tree")
+		await expect(this.exchange.connect(this.buyer).acceptOfferBatchWithProofs([offer.voucher], [offer.signature], [{ tokenId: 1, amount: 1, proof: tree.getProof(1) }])).to.be.revertedWith("signer cannot redeem own coupon")
+
+		const tx = await this.exchange.connect(this.seller).acceptOfferBatchWithProofs(
+			[offer.voucher, offer.voucher],
+			[offer.signature, offer.signature],
+			[{ tokenId: 1, amount: 1, proof: tree.getProof(1) }, { tokenId: 3, amount: 1, proof: tree.getProof(3) }]
+		)
+		const receipt = await tx.wait()
+		expect(receipt.events.filter(event => event.event === "AcceptOffer").length).to.be.equal(2)
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(this.buyer.address)
+		expect(await this.nftCollectible.ownerOf(3)).to.be.equal(this.buyer.address)
+		expect(await this.exchange.sizes(hashOffer(offer.voucher))).to.be.equal(2)
+
+		// offers with a token root are not filled with validator tokens
+		const validatorSdk = new SalvorSDK({ signer: this.signers[4], contracts: { exchange: this.exchange } })
+		const rootOffer = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, tokenRoot: tree.root, isCollectionOffer: true, bid: price, startedAt })
+		const rootToken = await validatorSdk.signExchangeToken({
+			tokenId: 2,
+			nonce: rootOffer.voucher.nonce,
+			traits: rootOffer.voucher.traits,
+			sender: this.seller.address,
+			nftContractAddress: this.nftCollectible.address
+		})
+		await expect(this.exchange.connect(this.seller).acceptOfferBatch([rootOffer.voucher], [rootOffer.signature], [rootToken.voucher], [rootToken.signature])).to.be.revertedWith("offer requires a token proof")
+
+		// and offers without one are not filled with proofs
+		const traitOffer = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, isCollectionOffer: true, bid: price, startedAt })
+		await expect(this.exchange.connect(this.seller).acceptOfferBatchWithProofs([traitOffer.voucher], [traitOffer.signature], [{ tokenId: 2, amount: 1, proof: [] }])).to.be.revertedWith("offer has no token root")
+	})
+
+	it("it should auto invalidate offers when the buyer balance falls below the bid", async function () {
+		await this.exchange.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: ethers.utils.parseEther("1") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+
+		const buyerSdk = new SalvorSDK({ signer: this.buyer, contracts: { exchange: this.exchange } })
+		const validatorSdk = new SalvorSDK({ signer: this.signers[4], contracts: { exchange: this.exchange } })
+		const offer = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, tokenId: 1, bid: ethers.utils.parseEther("0.4"), autoInvalidate: true, startedAt })
+		const other = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, isCollectionOffer: true, bid: ethers.utils.parseEther("0.3"), size: 2, startedAt })
+		const token = await validatorSdk.signExchangeToken({ tokenId: 1, nonce: offer.voucher.nonce, sender: this.seller.address, nftContractAddress: this.nftCollectible.address })
+
+		expect(await this.exchange.getFillableAmount(offer.voucher)).to.be.equal(1)
+		expect(await this.exchange.getFillableAmount(other.voucher)).to.be.equal(2)
+		let [outstanding, balance] = await this.exchange.getOutstandingCommitment(this.buyer.address, ethers.constants.AddressZero, [offer.voucher, other.voucher])
+		expect(outstanding).to.be.equal(ethers.utils.parseEther("1"))
+		expect(balance).to.be.equal(ethers.utils.parseEther("1"))
+		await expect(this.exchange.invalidateUnfundedOffers([offer.voucher], [offer.signature])).to.be.revertedWith("buyer balance covers the bid")
+
+		await this.assetManager.connect(this.buyer).withdraw(ethers.utils.parseEther("0.7"))
+		expect(await this.exchange.getFillableAmount(offer.voucher)).to.be.equal(0)
+		// the remaining amount does not depend on whether the offer is live
+		expect(await this.exchange.getRemainingAmount(offer.voucher)).to.be.equal(1)
+		expect(await this.exchange.getFillableAmount(other.voucher)).to.be.equal(2);
+		[outstanding, balance] = await this.exchange.getOutstandingCommitment(this.buyer.address, ethers.constants.AddressZero, [offer.voucher, other.voucher])
+		expect(outstanding).to.be.equal(ethers.utils.parseEther("0.6"))
+		expect(balance).to.be.equal(ethers.utils.parseEther("0.3"))
+		await expect(this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])).to.be.revertedWith("buyer balance is below the bid")
+
+		await expect(this.exchange.invalidateUnfundedOffers([other.voucher], [other.signature])).to.be.revertedWith("offer is not auto invalidated")
+		await expect(this.exchange.invalidateUnfundedOffers([{ ...offer.voucher, nonce: 1 }], [offer.signature])).to.be.revertedWith("buyer does not match")
+		const tx = await this.exchange.connect(this.externalWallet).invalidateUnfundedOffers([offer.voucher], [offer.signature])
+		const receipt = await tx.wait()
+		expect(receipt.events.filter(event => event.event === "CancelNonces").length).to.be.equal(1)
+		expect(await this.exchange.isNonceUsed(this.buyer.address, offer.voucher.nonce)).to.be.equal(true)
+
+		// topping up the bidding wallet does not revive the offer
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: ethers.utils.parseEther("1") })
+		expect(await this.exchange.getFillableAmount(offer.voucher)).to.be.equal(0)
+		expect(await this.exchange.getRemainingAmount(offer.voucher)).to.be.equal(1)
+		await expect(this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])).to.be.revertedWith("offer is cancelled")
+	})
 })
\ No newline at end of file
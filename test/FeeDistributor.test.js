@@ -0,0 +1,186 @@
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { deployVeArt } = require("../libs/deployVeArt")
+
+const totalToken = "1000000000000000000000000" // 1M
+const week = 7 * 86400
+
+describe("Fee Distributor", function () {
+	before(async function () {
+		// ABIs
+		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
+		this.feeDistributorCF = await ethers.getContractFactory("VeArtFeeDistributor")
+		this.paymentManagerCF = await ethers.getContractFactory("PaymentManager")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.alice = this.signers[1]
+		this.bob = this.signers[2]
+		this.marketplace = this.signers[3]
+		this.breeding = this.signers[4]
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
+
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
+		const receivers = [this.veART.address, this.owner.address, this.alice.address, this.bob.address]
+		await this.salvorGovernanceToken.initialMint(receivers, [totalToken, totalToken, totalToken, totalToken])
+
+		this.feeDistributor = await upgrades.deployProxy(this.feeDistributorCF, [this.veART.address])
+		await this.feeDistributor.deployed()
+	})
+
+	it("prevent initialize multiple times", async function () {
+		await expect(this.feeDistributor.initialize(this.veART.address)).to.be.revertedWith("Initializable: contract is already initialized")
+		const { timestamp } = await ethers.provider.getBlock("latest")
+		expect(await this.feeDistributor.startTime()).to.be.equal(timestamp - (timestamp % week))
+		expect(await this.feeDistributor.currentEpoch()).to.be.equal(0)
+		expect(await this.feeDistributor.veArt()).to.be.equal(this.veART.address)
+	})
+
+	it("it should distribute the revenue of an epoch by the time-weighted veART", async function () {
+		const setNextTimestamp = (timestamp) => network.provider.send("evm_setNextBlockTimestamp", [timestamp.toNumber()])
+		const start = await this.feeDistributor.epochStart(1)
+		const end = await this.feeDistributor.epochStart(2)
+
+		// there is no veART in the first epoch
+		await this.breeding.sendTransaction({ to: this.feeDistributor.address, value: ethers.utils.parseEther("1") })
+		for (const staker of [this.alice, this.bob]) {
+			await this.salvorGovernanceToken.connect(staker).approve(this.veART.address, "100000000000000000000000")
+			await this.veART.connect(staker).depositART("100000000000000000000000")
+		}
+		await setNextTimestamp(start)
+		await this.veART.harvestVeART(this.alice.address)
+		await setNextTimestamp(start.add(1))
+		await this.veART.harvestVeART(this.bob.address)
+		const aliceBalance = await this.veART.balanceOf(this.alice.address)
+		const bobBalance = await this.veART.balanceOf(this.bob.address)
+		expect(await this.feeDistributor.currentEpoch()).to.be.equal(1)
+
+		await expect(this.marketplace.sendTransaction({ to: this.feeDistributor.address, value: ethers.utils.parseEther("3") }))
+			.to.emit(this.feeDistributor, "RevenueReceived").withArgs(1, this.marketplace.address, ethers.utils.parseEther("3"))
+		// the revenue of the first epoch cannot be claimed, it is carried over to the current one
+		await expect(this.feeDistributor.carryOver(1)).to.be.revertedWith("Error: epoch has not ended")
+		await expect(this.feeDistributor.carryOver(0)).to.emit(this.feeDistributor, "CarryOver").withArgs(0, 1, ethers.utils.parseEther("1"))
+		await expect(this.feeDistributor.carryOver(0)).to.be.revertedWith("Error: no revenue to carry over")
+		await this.breeding.sendTransaction({ to: this.feeDistributor.address, value: ethers.utils.parseEther("1") })
+
+		// bob's veART grows in the middle of the epoch
+		await setNextTimestamp(start.add(week / 2))
+		await this.veART.harvestVeART(this.bob.address)
+		const bobGrownBalance = await this.veART.balanceOf(this.bob.address)
+		expect(bobGrownBalance).to.be.gt(bobBalance)
+
+		await setNextTimestamp(end)
+		await network.provider.send("evm_mine")
+		expect(await this.feeDistributor.currentEpoch()).to.be.equal(2)
+
+		const revenue = ethers.utils.parseEther("5")
+		expect(await this.feeDistributor.epochRevenues(0)).to.be.equal(0)
+		expect(await this.feeDistributor.epochRevenues(1)).to.be.equal(revenue)
+		const [sources, amounts] = await this.feeDistributor.getEpochRevenue(1)
+		expect(sources).to.deep.equal([this.marketplace.address, this.feeDistributor.address, this.breeding.address])
+		expect(amounts.map(amount => amount.toString())).to.deep.equal(["3", "1", "1"].map(amount => ethers.utils.parseEther(amount).toString()))
+		const [sourcesOfFirstEpoch] = await this.feeDistributor.getEpochRevenue(0)
+		expect(sourcesOfFirstEpoch).to.deep.equal([this.breeding.address])
+
+		const aliceWeight = aliceBalance.mul(week)
+		const bobWeight = bobBalance.mul(week / 2 - 1).add(bobGrownBalance.mul(week / 2))
+		const supplyWeight = aliceWeight.add(bobWeight)
+		const [aliceEpochBalance, epochSupply] = await this.feeDistributor.getEpochBalances(this.alice.address, 1)
+		expect(aliceEpochBalance).to.be.equal(aliceWeight)
+		expect(epochSupply).to.be.equal(supplyWeight)
+		const aliceReward = revenue.mul(aliceWeight).div(supplyWeight)
+		const bobReward = revenue.mul(bobWeight).div(supplyWeight)
+		expect(await this.feeDistributor.claimable(this.alice.address, 1)).to.be.equal(aliceReward)
+		expect(await this.feeDistributor.claimable(this.bob.address, 1)).to.be.equal(bobReward)
+		expect(await this.feeDistributor.claimable(this.alice.address, 2)).to.be.equal(0)
+
+		await expect(this.feeDistributor.connect(this.alice).claim([2])).to.be.revertedWith("Error: epoch has not ended")
+		await expect(this.feeDistributor.connect(this.alice).claim([0])).to.be.revertedWith("Error: nothing to claim")
+		await expect(this.feeDistributor.connect(this.alice).claim([1])).to.changeEtherBalance(this.alice, aliceReward)
+		await expect(this.feeDistributor.connect(this.alice).claim([1])).to.be.revertedWith("Error: already claimed")
+		expect(await this.feeDistributor.claimable(this.alice.address, 1)).to.be.equal(0)
+		await expect(this.feeDistributor.connect(this.bob).claim([1])).to.emit(this.feeDistributor, "Claim").withArgs(this.bob.address, 1, bobReward)
+		expect(await ethers.provider.getBalance(this.feeDistributor.address)).to.be.equal(revenue.sub(aliceReward).sub(bobReward))
+		await expect(this.feeDistributor.carryOver(1)).to.be.revertedWith("Error: epoch has veART holders")
+
+		await this.feeDistributor.pause()
+		await expect(this.feeDistributor.connect(this.alice).claim([1])).to.be.revertedWith("Pausable: paused")
+		// the revenue is still received while paused
+		await expect(this.marketplace.sendTransaction({ to: this.feeDistributor.address, value: 1 })).to.emit(this.feeDistributor, "RevenueReceived")
+	})
+
+	it("it should weight the locked veART of an epoch by its decay", async function () {
+		const year = 365 * 86400
+		const amount = ethers.utils.parseEther("1000")
+		const WAD = ethers.constants.WeiPerEther
+		await this.veART.setLockConfiguration(2 * year, 200, 5000)
+		const start = await this.feeDistributor.epochStart(1)
+		const end = await this.feeDistributor.epochStart(2)
+
+		// both locks span the epoch and outlive it, and are not updated until it ends
+		const lockEnds = [end.add(week), end.add(3 * week)]
+		const lockers = [this.alice, this.bob]
+		for (const [i, locker] of lockers.entries()) {
+			await this.salvorGovernanceToken.connect(locker).approve(this.veART.address, amount)
+			await this.veART.connect(locker).lockART(amount, lockEnds[i])
+		}
+		const lockedBalances = await Promise.all(lockers.map(locker => this.veART.balanceOf(locker.address)))
+		await this.marketplace.sendTransaction({ to: this.feeDistributor.address, value: ethers.utils.parseEther("1") })
+		await network.provider.send("evm_setNextBlockTimestamp", [start.toNumber()])
+		await this.marketplace.sendTransaction({ to: this.feeDistributor.address, value: ethers.utils.parseEther("2") })
+		await network.provider.send("evm_setNextBlockTimestamp", [end.toNumber()])
+		await network.provider.send("evm_mine")
+		for (const [i, locker] of lockers.entries()) {
+			expect(await this.veART.balanceOf(locker.address)).to.be.equal(lockedBalances[i])
+		}
+
+		// the locked veART decays by its slope over the epoch
+		const slope = amount.mul(WAD.mul(200).div(2 * year))
+		const weights = lockEnds.map(lockEnd => slope.mul(lockEnd.sub(start).pow(2).sub(lockEnd.sub(end).pow(2))).div(WAD.mul(2)))
+		const supplyWeight = weights[0].add(weights[1])
+		const revenue = ethers.utils.parseEther("2")
+		for (const [i, locker] of lockers.entries()) {
+			const [epochBalance, epochSupply] = await this.feeDistributor.getEpochBalances(locker.address, 1)
+			expect(epochBalance).to.be.equal(weights[i])
+			expect(epochSupply).to.be.equal(supplyWeight)
+			expect(await this.feeDistributor.claimable(locker.address, 1)).to.be.equal(revenue.mul(weights[i]).div(supplyWeight))
+		}
+		// the lock that ends first has a smaller share than its undecayed balance would give it
+		expect(weights[0].mul(lockedBalances[1])).to.be.lt(weights[1].mul(lockedBalances[0]))
+	})
+
+	it("it should record the veART share of the marketplace commission", async function () {
+		const paymentManager = await upgrades.deployProxy(this.paymentManagerCF, [])
+		await paymentManager.deployed()
+		await paymentManager.addPlatform(this.marketplace.address)
+		await paymentManager.setCompanyWallet(this.owner.address)
+		await paymentManager.setVeARTAddress(this.feeDistributor.address)
+		await paymentManager.setVeARTCommissionPercentage(5000)
+		const collection = this.signers[5].address
+		await paymentManager.setCollectionRoyalty(collection, ethers.constants.AddressZero, 0, true)
+
+		await expect(paymentManager.connect(this.marketplace).payout(this.bob.address, collection, 1, [], 1000, { value: ethers.utils.parseEther("10") }))
+			.to.emit(this.feeDistributor, "RevenueReceived").withArgs(0, paymentManager.address, ethers.utils.parseEther("0.5"))
+		expect(await paymentManager.failedTransferBalance(this.feeDistributor.address)).to.be.equal(0)
+		expect(await this.feeDistributor.epochSourceRevenues(0, paymentManager.address)).to.be.equal(ethers.utils.parseEther("0.5"))
+	})
+})
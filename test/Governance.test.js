@@ -0,0 +1,175 @@
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { deployLending } = require("../libs/deployLending")
+const { deployGovernance, transferToTimelock } = require("../libs/deployGovernance")
+const { buildProposal, hashProposal, proposeArgs, executeArgs, PROPOSAL_STATE, VOTE } = require("../libs/governance")
+const { deployVeArt } = require("../libs/deployVeArt")
+
+const totalToken = "1000000000000000000000000" // 1M
+
+describe("Governance", function () {
+	before(async function () {
+		// ABIs
+		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
+		this.assetManagerCF = await ethers.getContractFactory("AssetManager")
+		this.erc721CollectibleCF = await ethers.getContractFactory("ERC721Dummy")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.voter = this.signers[1]
+		this.opponent = this.signers[2]
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
+
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
+		const receivers = [this.veART.address, this.owner.address, this.voter.address, this.opponent.address]
+		await this.salvorGovernanceToken.initialMint(receivers, [totalToken, totalToken, totalToken, totalToken])
+
+		this.assetManager = await upgrades.deployProxy(this.assetManagerCF, [])
+		await this.assetManager.deployed()
+
+		this.lending = await deployLending({ ethers, upgrades })
+		// setPool approves the collection for the asset manager, so it has to be an ERC721
+		this.erc721Collectible = await this.erc721CollectibleCF.deploy("S", "s")
+		await this.erc721Collectible.deployed()
+		this.collection = this.erc721Collectible.address
+		await this.lending.setAssetManager(this.assetManager.address)
+
+		const { timelock, governor } = await deployGovernance({ ethers, upgrades }, this.veART.address, { minDelay: 3600, votingDelay: 1, votingPeriod: 10 })
+		this.timelock = timelock
+		this.governor = governor
+		await transferToTimelock(this.timelock, [this.assetManager, this.lending, this.veART])
+
+		// the voter stakes twice as much ART as the opponent
+		for (const [staker, amount] of [[this.voter, "200000000000000000000000"], [this.opponent, "100000000000000000000000"]]) {
+			await this.salvorGovernanceToken.connect(staker).approve(this.veART.address, amount)
+			await this.veART.connect(staker).depositART(amount)
+		}
+		await network.provider.send("evm_increaseTime", [3600])
+		await network.provider.send("evm_mine")
+		await this.veART.harvestVeART(this.voter.address)
+		await this.veART.harvestVeART(this.opponent.address)
+
+		this.proposal = buildProposal([
+			{ contract: "assetManager", target: this.assetManager.address, method: "setProtocolFee", args: [this.lending.address, 100] },
+			{ contract: "lending", target: this.lending.address, method: "setPool", args: [this.collection, 7 * 86400, ethers.utils.parseEther("0.05"), true] },
+			{ contract: "veArt", target: this.veART.address, method: "setMaxCap", args: [50] }
+		], "Set the lending fee, the pool of the collection and the max cap")
+		this.proposalId = hashProposal(this.proposal)
+	})
+
+	it("prevent initialize multiple times", async function () {
+		await expect(this.governor.initialize(this.veART.address, this.timelock.address, 1, 10, 0, 400)).to.be.revertedWith("Initializable: contract is already initialized")
+		await expect(this.timelock.initialize(3600, [], [])).to.be.revertedWith("Initializable: contract is already initialized")
+	})
+
+	it("it should hand the governed contracts over to the timelock", async function () {
+		expect(await this.assetManager.owner()).to.be.equal(this.timelock.address)
+		expect(await this.lending.owner()).to.be.equal(this.timelock.address)
+		expect(await this.veART.owner()).to.be.equal(this.timelock.address)
+		await expect(this.veART.setMaxCap(50)).to.be.revertedWith("Ownable: caller is not the owner")
+
+		expect(await this.timelock.hasRole(await this.timelock.PROPOSER_ROLE(), this.governor.address)).to.be.equal(true)
+		expect(await this.timelock.hasRole(await this.timelock.TIMELOCK_ADMIN_ROLE(), this.owner.address)).to.be.equal(false)
+		expect(await this.governor.veArt()).to.be.equal(this.veART.address)
+		expect(await this.governor.quorumNumerator()).to.be.equal(400)
+	})
+
+	it("it should execute a passed proposal through the timelock", async function () {
+		expect(await this.governor.hashProposal(...executeArgs(this.proposal))).to.be.equal(this.proposalId)
+		await expect(this.governor.connect(this.voter).propose(...proposeArgs(this.proposal))).to.emit(this.governor, "ProposalCreated")
+		expect(await this.governor.state(this.proposalId)).to.be.equal(PROPOSAL_STATE.PENDING)
+		await network.provider.send("evm_mine")
+
+		// the votes are the veART balances at the start of the proposal, the voter withdraws after it and still votes with the snapshot
+		const snapshot = await this.governor.proposalSnapshot(this.proposalId)
+		const votes = await this.veART.balanceOf(this.voter.address)
+		const opposingVotes = await this.veART.balanceOf(this.opponent.address)
+		await this.veART.connect(this.voter).withdrawAllART()
+		expect(await this.veART.balanceOf(this.voter.address)).to.be.equal(0)
+		expect(await this.governor.getVotes(this.voter.address, snapshot)).to.be.equal(votes)
+		expect(await this.governor.quorum(snapshot)).to.be.equal(votes.add(opposingVotes).mul(400).div(10000))
+		expect(await this.governor.state(this.proposalId)).to.be.equal(PROPOSAL_STATE.ACTIVE)
+
+		await expect(this.governor.connect(this.voter).castVote(this.proposalId, VOTE.FOR))
+			.to.emit(this.governor, "VoteCast").withArgs(this.voter.address, this.proposalId, VOTE.FOR, votes, "")
+		await this.governor.connect(this.opponent).castVote(this.proposalId, VOTE.AGAINST)
+		// veART staked after the start of the proposal does not vote
+		await this.salvorGovernanceToken.approve(this.veART.address, totalToken)
+		await this.veART.depositART(totalToken)
+		await network.provider.send("evm_increaseTime", [3600])
+		await network.provider.send("evm_mine")
+		await this.veART.harvestVeART(this.owner.address)
+		await expect(this.governor.castVote(this.proposalId, VOTE.AGAINST)).to.emit(this.governor, "VoteCast").withArgs(this.owner.address, this.proposalId, VOTE.AGAINST, 0, "")
+
+		const { forVotes, againstVotes } = await this.governor.proposalVotes(this.proposalId)
+		expect(forVotes).to.be.equal(votes)
+		expect(againstVotes).to.be.equal(opposingVotes)
+
+		await network.provider.send("hardhat_mine", ["0xa"])
+		expect(await this.governor.state(this.proposalId)).to.be.equal(PROPOSAL_STATE.SUCCEEDED)
+		await this.governor.queue(...executeArgs(this.proposal))
+		expect(await this.governor.state(this.proposalId)).to.be.equal(PROPOSAL_STATE.QUEUED)
+		await expect(this.governor.execute(...executeArgs(this.proposal))).to.be.revertedWith("TimelockController: operation is not ready")
+
+		await network.provider.send("evm_increaseTime", [3600])
+		await this.governor.connect(this.signers[6]).execute(...executeArgs(this.proposal))
+		expect(await this.governor.state(this.proposalId)).to.be.equal(PROPOSAL_STATE.EXECUTED)
+		expect(await this.assetManager.protocolFees(this.lending.address)).to.be.equal(100)
+		const pool = await this.lending.lendingPools(this.collection)
+		expect(pool.duration).to.be.equal(7 * 86400)
+		expect(pool.rate).to.be.equal(ethers.utils.parseEther("0.05"))
+		expect(pool.isActive).to.be.equal(true)
+		expect(await this.veART.maxCap()).to.be.equal(50)
+	})
+
+	it("it should defeat proposals that are outvoted or below the quorum", async function () {
+		await this.governor.connect(this.voter).propose(...proposeArgs(this.proposal))
+		await network.provider.send("evm_mine")
+		await this.governor.connect(this.voter).castVote(this.proposalId, VOTE.AGAINST)
+		await this.governor.connect(this.opponent).castVote(this.proposalId, VOTE.FOR)
+		await network.provider.send("hardhat_mine", ["0xa"])
+		expect(await this.governor.state(this.proposalId)).to.be.equal(PROPOSAL_STATE.DEFEATED)
+		await expect(this.governor.queue(...executeArgs(this.proposal))).to.be.revertedWith("Governor: proposal not successful")
+
+		// a proposal can only change the quorum, the votes for it are then below the new quorum
+		const quorumProposal = buildProposal([
+			{ contract: "governor", target: this.governor.address, method: "setQuorumNumerator", args: [9000] }
+		], "Raise the quorum to 90%")
+		await expect(this.governor.setQuorumNumerator(9000)).to.be.revertedWith("Governor: onlyGovernance")
+		await this.governor.connect(this.voter).propose(...proposeArgs(quorumProposal))
+		await network.provider.send("evm_mine")
+		await this.governor.connect(this.voter).castVote(hashProposal(quorumProposal), VOTE.FOR)
+		await network.provider.send("hardhat_mine", ["0xa"])
+		await this.governor.queue(...executeArgs(quorumProposal))
+		await network.provider.send("evm_increaseTime", [3600])
+		await expect(this.governor.execute(...executeArgs(quorumProposal))).to.emit(this.governor, "QuorumNumeratorUpdated").withArgs(9000)
+
+		const proposal = buildProposal([
+			{ contract: "veArt", target: this.veART.address, method: "setMaxCap", args: [50] }
+		], "Set the max cap")
+		await this.governor.connect(this.voter).propose(...proposeArgs(proposal))
+		await network.provider.send("evm_mine")
+		await this.governor.connect(this.voter).castVote(hashProposal(proposal), VOTE.FOR)
+		await network.provider.send("hardhat_mine", ["0xa"])
+		expect(await this.governor.state(hashProposal(proposal))).to.be.equal(PROPOSAL_STATE.DEFEATED)
+	})
+})
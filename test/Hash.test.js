@@ -0,0 +1,181 @@
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const sdk = require("../libs/sdk")
+const { deployLending } = require("../libs/deployLending")
+
+const MAX_UINT = ethers.constants.MaxUint256
+
+describe("Hash", function () {
+	before(async function () {
+		// ABIs
+		this.hashDummyCF = await ethers.getContractFactory("HashDummy")
+		this.exchangeCF = await ethers.getContractFactory("SalvorExchangeV2")
+		this.lendingErc20CF = await ethers.getContractFactory("SalvorLendingERC20")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.seller = this.signers[1]
+		this.buyer = this.signers[2]
+		this.validator = this.signers[4]
+		this.nftContractAddress = this.signers[5].address
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.hashDummy = await this.hashDummyCF.deploy()
+		await this.hashDummy.deployed()
+
+		this.exchange = await upgrades.deployProxy(this.exchangeCF, [])
+		await this.exchange.deployed()
+
+		this.lending = await deployLending({ ethers, upgrades })
+
+		this.lendingErc20 = await upgrades.deployProxy(this.lendingErc20CF, [])
+		await this.lendingErc20.deployed()
+
+		this.contracts = {
+			exchange: this.exchange.address,
+			lending: this.lending.address,
+			lendingErc20: this.lendingErc20.address
+		}
+	})
+
+	it("it should hash orders like LibOrderV2", async function () {
+		const orders = [
+			sdk.buildOrder({ nftContractAddress: this.nftContractAddress, tokenId: 1, price: ethers.utils.parseEther("1") }),
+			sdk.buildOrder({ nftContractAddress: this.nftContractAddress, tokenId: MAX_UINT, price: 0, nonce: 0, duration: 0, startedAt: 0 }),
+			sdk.buildOrder({ nftContractAddress: this.nftContractAddress, tokenId: 3, price: MAX_UINT, nonce: MAX_UINT, currency: this.buyer.address }),
+			sdk.buildOrder({ nftContractAddress: this.nftContractAddress, tokenId: 4, price: 1, tokenStandard: sdk.TOKEN_STANDARDS.ERC1155, amount: 25 })
+		]
+		for (const order of orders) {
+			expect(sdk.hashOrderItem(order)).to.be.equal(await this.hashDummy.hashOrderItem(order))
+		}
+
+		const batchOrder = sdk.buildBatchOrder({ seller: this.seller.address, orders })
+		expect(sdk.hashBatchOrder(batchOrder)).to.be.equal(await this.hashDummy.hashBatchOrder(batchOrder))
+
+		const emptyBatchOrder = { seller: this.seller.address, orders: [] }
+		expect(sdk.hashBatchOrder(emptyBatchOrder)).to.be.equal(await this.hashDummy.hashBatchOrder(emptyBatchOrder))
+	})
+
+	it("it should hash offers and tokens like LibOrderV2", async function () {
+		const offers = [
+			sdk.buildOffer({ nftContractAddress: this.nftContractAddress, buyer: this.buyer.address, bid: ethers.utils.parseEther("1"), isCollectionOffer: true }),
+			sdk.buildOffer({ nftContractAddress: this.nftContractAddress, buyer: this.buyer.address, bid: MAX_UINT, currency: this.seller.address, tokenId: 7, traits: "", size: 5 }),
+			sdk.buildOffer({ nftContractAddress: this.nftContractAddress, buyer: this.buyer.address, bid: 1, tokenId: 8, tokenStandard: sdk.TOKEN_STANDARDS.ERC1155, size: 40 })
+		]
+		for (const offer of offers) {
+			expect(sdk.hashOffer(offer)).to.be.equal(await this.hashDummy.hashOffer(offer))
+		}
+
+		const token = sdk.buildExchangeToken({ tokenId: 1, blockNumber: 100, sender: this.seller.address, nftContractAddress: this.nftContractAddress, nonce: offers[0].nonce, traits: "Background:Blue" })
+		expect(sdk.hashExchangeToken(token)).to.be.equal(await this.hashDummy.hashExchangeToken(token))
+
+		const erc1155Token = sdk.buildExchangeToken({ tokenId: 8, amount: 12, blockNumber: 100, sender: this.seller.address, nftContractAddress: this.nftContractAddress, nonce: offers[2].nonce })
+		expect(sdk.hashExchangeToken(erc1155Token)).to.be.equal(await this.hashDummy.hashExchangeToken(erc1155Token))
+	})
+
+	it("it should hash loan offers and tokens like LibLendingV2", async function () {
+		const loanOffer = sdk.buildLoanOffer({ nftContractAddress: this.nftContractAddress, lender: this.buyer.address, amount: ethers.utils.parseEther("1"), size: 3 })
+		expect(sdk.hashLoanOffer(loanOffer)).to.be.equal(await this.hashDummy.hashLoanOffer(loanOffer))
+
+		const token = sdk.buildLendingToken({ tokenId: 1, nonce: loanOffer.nonce, blockNumber: 100, owner: this.seller.address, nftContractAddress: this.nftContractAddress, lender: this.buyer.address })
+		expect(sdk.hashLendingToken(token)).to.be.equal(await this.hashDummy.hashLendingToken(token))
+	})
+
+	it("it should hash loan offers and tokens like LibLendingERC20", async function () {
+		const loanOffer = sdk.buildErc20LoanOffer({
+			lender: this.buyer.address,
+			collateralizedAsset: this.nftContractAddress,
+			amount: ethers.utils.parseEther("1"),
+			price: ethers.utils.parseEther("3"),
+			rate: 1000
+		})
+		const offerHash = sdk.hashErc20LoanOffer(loanOffer)
+		expect(offerHash).to.be.equal(await this.hashDummy.hashErc20LoanOffer(loanOffer))
+		expect(offerHash).to.be.equal(await this.lendingErc20.hashOffer(loanOffer))
+
+		const token = sdk.buildErc20Token({ orderHash: offerHash, blockNumber: 100, amount: 1, borrower: this.seller.address })
+		expect(sdk.hashErc20Token(token)).to.be.equal(await this.hashDummy.hashErc20Token(token))
+	})
+
+	it("it should prove token tree membership like LibTokenTree", async function () {
+		for (const size of [1, 2, 3, 8, 11]) {
+			const tokenIds = [...Array(size).keys()].map(i => i * 7 + 1)
+			const tree = new sdk.TokenTree(tokenIds)
+			for (const tokenId of tokenIds) {
+				expect(await this.hashDummy.tokenTreeContains(tree.getProof(tokenId), tree.root, tokenId)).to.be.equal(true)
+			}
+			expect(await this.hashDummy.tokenTreeContains(tree.getProof(tokenIds[0]), tree.root, 2)).to.be.equal(false)
+		}
+	})
+
+	it("it should hash legacy orders and offers like the libraries", async function () {
+		const orders = [
+			sdk.buildLegacyOrder({ nftContractAddress: this.nftContractAddress, tokenId: MAX_UINT, price: 0, salt: "", duration: 0, startedAt: 0 }),
+			sdk.buildLegacyOrder({ nftContractAddress: this.nftContractAddress, tokenId: 3, price: MAX_UINT, salt: "ünïcödé salt ✓" })
+		]
+		const batchOrder = sdk.buildLegacyBatchOrder({ seller: this.seller.address, orders })
+		expect(sdk.hashLegacyBatchOrder(batchOrder)).to.be.equal(await this.hashDummy.hashLegacyBatchOrder(batchOrder))
+
+		const offer = sdk.buildLegacyOffer({ nftContractAddress: this.nftContractAddress, buyer: this.buyer.address, bid: 1, isCollectionOffer: true })
+		expect(sdk.hashLegacyOffer(offer)).to.be.equal(await this.hashDummy.hashLegacyOffer(offer))
+		expect(sdk.hashLegacyOffer(offer)).to.not.be.equal(sdk.hashOffer(sdk.buildOffer({ ...offer, nonce: sdk.legacyNonce(offer.salt) })))
+
+		const loanOffer = sdk.buildLegacyLoanOffer({ nftContractAddress: this.nftContractAddress, lender: this.buyer.address, amount: 1 })
+		expect(sdk.hashLegacyLoanOffer(loanOffer)).to.be.equal(await this.hashDummy.hashLegacyLoanOffer(loanOffer))
+
+		const erc20LoanOffer = sdk.buildLegacyErc20LoanOffer({ lender: this.buyer.address, collateralizedAsset: this.nftContractAddress, amount: 1, price: 2, rate: 3 })
+		expect(sdk.hashLegacyErc20LoanOffer(erc20LoanOffer)).to.be.equal(await this.hashDummy.hashLegacyErc20LoanOffer(erc20LoanOffer))
+		expect(sdk.hashLegacyErc20LoanOffer(erc20LoanOffer)).to.be.equal(await this.lendingErc20.hashLegacyOffer(erc20LoanOffer))
+	})
+
+	it("it should recover the same signer as the contracts", async function () {
+		const sellerSdk = new sdk.SalvorSDK({ signer: this.seller, contracts: this.contracts })
+		const buyerSdk = new sdk.SalvorSDK({ signer: this.buyer, contracts: this.contracts })
+		const validatorSdk = new sdk.SalvorSDK({ signer: this.validator, contracts: this.contracts })
+
+		const batchOrder = await sellerSdk.signBatchOrder({ seller: this.seller.address, orders: [{ nftContractAddress: this.nftContractAddress, tokenId: 1, price: 1 }] })
+		expect(await buyerSdk.recoverBatchOrder(batchOrder.voucher, batchOrder.signature)).to.be.equal(await this.exchange._validate(batchOrder.voucher, batchOrder.signature))
+		expect(await buyerSdk.recoverBatchOrder(batchOrder.voucher, batchOrder.signature)).to.be.equal(this.seller.address)
+
+		const offer = await buyerSdk.signOffer({ nftContractAddress: this.nftContractAddress, buyer: this.buyer.address, bid: 1 })
+		expect(await sellerSdk.recoverOffer(offer.voucher, offer.signature)).to.be.equal(await this.exchange._validateOffer(offer.voucher, offer.signature))
+		expect(await sellerSdk.verify("exchange", sdk.EXCHANGE_TYPES.Offer, offer.voucher, offer.signature, this.buyer.address)).to.be.equal(true)
+		expect(await sellerSdk.verify("exchange", sdk.EXCHANGE_TYPES.Offer, { ...offer.voucher, bid: 2 }, offer.signature, this.buyer.address)).to.be.equal(false)
+
+		const loanOffer = await buyerSdk.signLoanOffer({ nftContractAddress: this.nftContractAddress, lender: this.buyer.address, amount: 1 })
+		expect(await sellerSdk.recoverLoanOffer(loanOffer.voucher, loanOffer.signature)).to.be.equal(await this.lending._validate(loanOffer.voucher, loanOffer.signature))
+
+		const erc20LoanOffer = await buyerSdk.signErc20LoanOffer({ lender: this.buyer.address, collateralizedAsset: this.nftContractAddress, amount: 1, price: 2, rate: 3 })
+		expect(await sellerSdk.recoverErc20LoanOffer(erc20LoanOffer.voucher, erc20LoanOffer.signature)).to.be.equal(await this.lendingErc20._validate(erc20LoanOffer.voucher, erc20LoanOffer.signature))
+
+		const exchangeToken = await validatorSdk.signExchangeToken({ tokenId: 1, nonce: offer.voucher.nonce, sender: this.seller.address, nftContractAddress: this.nftContractAddress })
+		expect(await sellerSdk.recoverExchangeToken(exchangeToken.voucher, exchangeToken.signature)).to.be.equal(this.validator.address)
+
+		const lendingToken = await validatorSdk.signLendingToken({ tokenId: 1, nonce: loanOffer.voucher.nonce, owner: this.seller.address, nftContractAddress: this.nftContractAddress, lender: this.buyer.address })
+		expect(await sellerSdk.recoverLendingToken(lendingToken.voucher, lendingToken.signature)).to.be.equal(this.validator.address)
+
+		const erc20Token = await validatorSdk.signErc20Token({ orderHash: sdk.hashErc20LoanOffer(erc20LoanOffer.voucher), amount: 1, borrower: this.seller.address })
+		expect(await sellerSdk.recoverErc20Token(erc20Token.voucher, erc20Token.signature)).to.be.equal(this.validator.address)
+
+		const domain = await sellerSdk.domains.resolve("exchange")
+		const digest = sdk.typedDataDigest(domain, sdk.EXCHANGE_TYPES.Offer, offer.voucher)
+		expect(ethers.utils.recoverAddress(digest, offer.signature)).to.be.equal(this.buyer.address)
+	})
+})
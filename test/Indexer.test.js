@@ -0,0 +1,269 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { SalvorSDK } = require("../libs/sdk")
+const { Indexer, LOAN_STATUS } = require("../services/indexer")
+const { deployLending, deployLoanNotes } = require("../libs/deployLending")
+const { deployVeArt } = require("../libs/deployVeArt")
+
+async function buy(context, tokenId, price) {
+	const { voucher, signature } = await context.sellerSdk.signBatchOrder({
+		seller: context.seller.address,
+		orders: [{ nftContractAddress: context.nftCollectible.address, tokenId, price, startedAt: context.startedAt }]
+	})
+	await context.exchange.connect(context.buyer).batchBuy([voucher], [signature], [0])
+}
+
+async function borrow(context, tokenId, amount) {
+	const { voucher, signature } = await context.buyerSdk.signLoanOffer({ nftContractAddress: context.nftCollectible.address, lender: context.buyer.address, amount, startedAt: context.startedAt })
+	const token = await context.validatorSdk.signLendingToken({
+		tokenId,
+		nonce: voucher.nonce,
+		owner: context.seller.address,
+		nftContractAddress: context.nftCollectible.address,
+		lender: context.buyer.address
+	})
+	await context.lending.connect(context.seller).batchBorrow([voucher], [signature], [token.voucher], [token.signature])
+	return voucher
+}
+
+describe("Indexer", function () {
+	before(async function () {
+		// ABIs
+		this.exchangeCF = await ethers.getContractFactory("SalvorExchangeV2")
+		this.nftCollectibleCF = await ethers.getContractFactory("NFTCollectible")
+		this.assetManagerCF = await ethers.getContractFactory("AssetManager")
+		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.seller = this.signers[1]
+		this.buyer = this.signers[2]
+		this.validator = this.signers[4]
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
+		await this.salvorGovernanceToken.initialMint([this.seller.address], [ethers.utils.parseEther("100")])
+
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
+
+		this.assetManager = await upgrades.deployProxy(this.assetManagerCF, [])
+		await this.assetManager.deployed()
+		await this.assetManager.setVeArtAddress(this.veART.address)
+
+		this.exchange = await upgrades.deployProxy(this.exchangeCF, [])
+		await this.exchange.deployed()
+		await this.exchange.setAssetManager(this.assetManager.address)
+		await this.exchange.setValidator(this.validator.address)
+
+		this.lending = await deployLending({ ethers, upgrades })
+		await this.lending.setAssetManager(this.assetManager.address)
+		await this.lending.setValidator(this.validator.address)
+		await this.lending.setBlockRange(40)
+
+		await this.assetManager.addPlatform(this.exchange.address)
+		await this.assetManager.addPlatform(this.lending.address)
+		await this.assetManager.setProtocolFee(this.exchange.address, 200)
+		await this.assetManager.setProtocolFee(this.lending.address, 100)
+
+		this.nftCollectible = await this.nftCollectibleCF.connect(this.seller).deploy("Salvor", "SLV", [])
+		await this.nftCollectible.deployed()
+		await this.nftCollectible.mint("", []) // tokenId: 1
+		await this.nftCollectible.mint("", []) // tokenId: 2
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setPool(this.nftCollectible.address, 604800, "18493807888372071", true)
+
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: ethers.utils.parseEther("10") })
+		await this.assetManager.connect(this.seller)["deposit()"]({ value: ethers.utils.parseEther("1") })
+
+		const contracts = { exchange: this.exchange.address, lending: this.lending.address }
+		this.sellerSdk = new SalvorSDK({ signer: this.seller, contracts })
+		this.buyerSdk = new SalvorSDK({ signer: this.buyer, contracts })
+		this.validatorSdk = new SalvorSDK({ signer: this.validator, contracts })
+		this.startedAt = (await ethers.provider.getBlock("latest")).timestamp
+
+		this.indexerOptions = {
+			provider: ethers.provider,
+			contracts: {
+				exchange: this.exchange.address,
+				lending: this.lending.address,
+				assetManager: this.assetManager.address,
+				veArt: this.veART.address
+			}
+		}
+		this.indexer = await Indexer.create(this.indexerOptions)
+	})
+	afterEach(async function () {
+		this.indexer.close()
+	})
+
+	it("it should index sales, loans, fees and user history", async function () {
+
+		await borrow(this, 2, ethers.utils.parseEther("1"))
+		await this.lending.connect(this.seller).batchRepay([this.nftCollectible.address], [2])
+		await borrow(this, 2, ethers.utils.parseEther("2"))
+		await this.lending.connect(this.seller).partialRepay(this.nftCollectible.address, 2, ethers.utils.parseEther("0.5"))
+		await buy(this, 1, ethers.utils.parseEther("1"))
+		await this.salvorGovernanceToken.connect(this.seller).approve(this.veART.address, ethers.utils.parseEther("10"))
+		await this.veART.connect(this.seller).depositART(ethers.utils.parseEther("10"))
+
+		const cursor = await this.indexer.sync()
+		expect(cursor).to.be.equal(await ethers.provider.getBlockNumber())
+
+		const loans = this.indexer.getLoans({ user: this.seller.address, role: "borrower" })
+		expect(loans.map(loan => loan.status)).to.be.deep.equal([LOAN_STATUS.REPAID, LOAN_STATUS.ACTIVE])
+		expect(loans[1].lender).to.be.equal(this.buyer.address.toLowerCase())
+		expect(loans[1].amount).to.be.equal(ethers.utils.parseEther("1.5").toString())
+		expect(this.indexer.getLoans({ user: this.buyer.address, role: "lender", status: LOAN_STATUS.ACTIVE }).length).to.be.equal(1)
+		expect(this.indexer.getLoans({ user: this.buyer.address, role: "borrower" }).length).to.be.equal(0)
+
+		const sales = this.indexer.getSales({ collection: this.nftCollectible.address })
+		expect(sales.length).to.be.equal(1)
+		expect(sales[0]).to.include({ kind: "listing", tokenId: "1", seller: this.seller.address.toLowerCase(), buyer: this.buyer.address.toLowerCase(), currency: ethers.constants.AddressZero })
+		expect(this.indexer.getSales({ currency: this.salvorGovernanceToken.address }).length).to.be.equal(0)
+
+		const fees = this.indexer.getFeeTotals()
+		expect(fees.bySource.exchange).to.be.equal(ethers.utils.parseEther("0.02").toString())
+		expect(fees.bySource.lending).to.be.equal(ethers.utils.parseEther("0.03").toString())
+		expect(fees.total).to.be.equal(ethers.utils.parseEther("0.05").toString())
+		expect(await this.assetManager.pendingFee()).to.be.equal(fees.total)
+		expect(this.indexer.getFeeTotals({ currency: this.salvorGovernanceToken.address }).total).to.be.equal("0")
+
+		const deposits = this.indexer.getEvents({ user: this.seller.address, name: "DepositART" })
+		expect(deposits.length).to.be.equal(1)
+		expect(deposits[0].args.amount).to.be.equal(ethers.utils.parseEther("10").toString())
+		expect(this.indexer.getEvents({ user: this.buyer.address, contract: "assetManager", name: "Fund" }).length).to.be.equal(1)
+
+		// nothing new to index
+		expect(await this.indexer.sync()).to.be.equal(cursor)
+		expect(this.indexer.getSales().length).to.be.equal(1)
+	})
+
+	it("it should roll back reorganized blocks", async function () {
+		const { lenderNote } = await deployLoanNotes({ ethers, upgrades }, this.lending)
+		await borrow(this, 2, ethers.utils.parseEther("1"))
+		await this.indexer.sync()
+
+		const snapshot = await network.provider.send("evm_snapshot")
+		await this.lending.connect(this.seller).partialRepay(this.nftCollectible.address, 2, ethers.utils.parseEther("0.5"))
+		await lenderNote.connect(this.buyer).transferFrom(this.buyer.address, this.signers[5].address, 1)
+		await this.lending.connect(this.seller).batchRepay([this.nftCollectible.address], [2])
+		await buy(this, 1, ethers.utils.parseEther("1"))
+		await this.indexer.sync()
+		expect(this.indexer.getSales().length).to.be.equal(1)
+		const [repaid] = this.indexer.getLoans({ status: LOAN_STATUS.REPAID })
+		expect(repaid).to.include({ amount: ethers.utils.parseEther("0.5").toString(), lender: this.signers[5].address.toLowerCase() })
+
+		// the chain forgets the repayments, the transfer of the lender note and the sale and continues on another branch
+		await network.provider.send("evm_revert", [snapshot])
+		await network.provider.send("evm_increaseTime", [10])
+		await buy(this, 1, ethers.utils.parseEther("3"))
+		await network.provider.send("evm_mine")
+
+		await this.indexer.sync()
+		const sales = this.indexer.getSales()
+		expect(sales.length).to.be.equal(1)
+		expect(sales[0].price).to.be.equal(ethers.utils.parseEther("3").toString())
+		const loans = this.indexer.getLoans()
+		expect(loans.map(loan => loan.status)).to.be.deep.equal([LOAN_STATUS.ACTIVE])
+		expect(loans[0]).to.include({ amount: ethers.utils.parseEther("1").toString(), lender: this.buyer.address.toLowerCase() })
+		expect(this.indexer.getFeeTotals().bySource.exchange).to.be.equal(ethers.utils.parseEther("0.06").toString())
+	})
+
+	it("it should keep confirmations and persist the database", async function () {
+		const file = path.join(os.tmpdir(), `salvor-indexer-${Date.now()}.sqlite`)
+		try {
+			const indexer = await Indexer.create({ ...this.indexerOptions, path: file, confirmations: 2 })
+			await buy(this, 1, ethers.utils.parseEther("1"))
+			await indexer.sync()
+			expect(indexer.getSales().length).to.be.equal(0)
+
+			await network.provider.send("hardhat_mine", ["0x2"])
+			await indexer.sync()
+			expect(indexer.getSales().length).to.be.equal(1)
+			indexer.close()
+
+			const restored = await Indexer.create({ ...this.indexerOptions, path: file, confirmations: 2 })
+			expect(restored.cursor).to.be.equal(await ethers.provider.getBlockNumber() - 2)
+			expect(restored.getSales().length).to.be.equal(1)
+			restored.close()
+		} finally {
+			fs.rmSync(file, { force: true })
+		}
+	})
+
+	it("it should index liquidations with the liquidation fee", async function () {
+		const bidder = this.signers[5]
+		await this.lending.setAuctionDuration(86400)
+		await this.lending.setDropInterval(3600)
+		await this.assetManager.setLiquidationFee(1000)
+		await borrow(this, 2, ethers.utils.parseEther("1"))
+
+		const auction = await this.lending.dutchAuctions(this.nftCollectible.address, 2)
+		await network.provider.send("evm_setNextBlockTimestamp", [auction.startTime.add(10).toNumber()])
+		await this.lending.connect(bidder).makeBidForDutchAuctionETH(this.nftCollectible.address, 2, { value: auction.startPrice })
+
+		await this.indexer.sync()
+		expect(this.indexer.getLoans().map(loan => loan.status)).to.be.deep.equal([LOAN_STATUS.LIQUIDATED])
+		const sales = this.indexer.getSales({ collection: this.nftCollectible.address })
+		expect(sales.length).to.be.equal(1)
+		expect(sales[0]).to.include({ kind: "dutch", tokenId: "2", seller: this.buyer.address.toLowerCase(), buyer: bidder.address.toLowerCase(), price: auction.startPrice.toString() })
+
+		// the protocol fee of the loan and the liquidation fee of the surplus over the debt
+		const liquidationFee = auction.startPrice.sub(auction.endPrice).mul(1000).div(10000)
+		const fees = this.indexer.getFeeTotals()
+		expect(fees.bySource.lending).to.be.equal(ethers.utils.parseEther("0.01").add(liquidationFee).toString())
+		expect(await this.assetManager.pendingFee()).to.be.equal(fees.total)
+
+		const surpluses = this.indexer.getEvents({ user: this.seller.address, contract: "assetManager", name: "LiquidationSurplus" })
+		expect(surpluses.length).to.be.equal(1)
+		expect(surpluses[0].args.amount).to.be.equal(auction.startPrice.sub(auction.endPrice).sub(liquidationFee).toString())
+	})
+
+	it("it should follow the holders of the loan notes", async function () {
+		const { lenderNote, borrowerNote } = await deployLoanNotes({ ethers, upgrades }, this.lending)
+		await borrow(this, 2, ethers.utils.parseEther("1"))
+		await lenderNote.connect(this.buyer).transferFrom(this.buyer.address, this.signers[5].address, 1)
+		await borrowerNote.connect(this.seller).transferFrom(this.seller.address, this.signers[6].address, 1)
+
+		await this.indexer.sync()
+		const loans = this.indexer.getLoans({ status: LOAN_STATUS.ACTIVE })
+		expect(loans.length).to.be.equal(1)
+		expect(loans[0]).to.include({ lender: this.signers[5].address.toLowerCase(), borrower: this.signers[6].address.toLowerCase() })
+		expect(this.indexer.getLoans({ user: this.buyer.address }).length).to.be.equal(0)
+	})
+
+	it("it should index refinanced loans", async function () {
+		const newLender = this.signers[5]
+		await borrow(this, 2, ethers.utils.parseEther("1"))
+		await this.assetManager.connect(newLender)["deposit()"]({ value: ethers.utils.parseEther("2") })
+		const newLenderSdk = new SalvorSDK({ signer: newLender, contracts: { lending: this.lending.address } })
+		const { voucher, signature } = await newLenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: newLender.address, amount: ethers.utils.parseEther("2"), startedAt: this.startedAt })
+		await this.lending.connect(this.seller).batchRefinance([voucher], [signature], [{ tokenId: 2, proof: [] }])
+
+		await this.indexer.sync()
+		const loans = this.indexer.getLoans({ user: this.seller.address, role: "borrower" })
+		expect(loans.map(loan => loan.status)).to.be.deep.equal([LOAN_STATUS.REFINANCED, LOAN_STATUS.ACTIVE])
+		expect(loans[1]).to.include({ lender: newLender.address.toLowerCase(), amount: ethers.utils.parseEther("2").toString() })
+		expect(this.indexer.getFeeTotals().bySource.lending).to.be.equal(ethers.utils.parseEther("0.03").toString())
+	})
+})
@@ -1,15 +1,16 @@
 const { ethers, network, upgrades } = require("hardhat")
 const { expect } = require("chai")
 const LendingSigner = require("../libs/LendingSigner")
+const { SalvorSDK, TokenTree, ACCRUAL, DECAY, quoteRepayment, quoteDutchPrice, findCheapestOffer } = require("../libs/sdk")
+const { deployLending, deployLoanNotes } = require("../libs/deployLending")
+const { deployVeArt } = require("../libs/deployVeArt")
 
 describe("Lending", function () {
 	before(async function () {
 		// ABIs
-		this.lendingCF = await ethers.getContractFactory("SalvorLendingV2")
 		this.nftCollectibleCF = await ethers.getContractFactory("NFTCollectible")
 		this.assetManagerCF = await ethers.getContractFactory("AssetManager")
 		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
-		this.veARTCF = await ethers.getContractFactory("VeArt")
 
 		// Accounts
 		this.signers = await ethers.getSigners()
@@ -37,15 +38,13 @@ describe("Lending", function () {
 		// Contracts
 		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
 
-		this.veART = await upgrades.deployProxy(this.veARTCF, [this.salvorGovernanceToken.address])
-		await this.veART.deployed()
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
 
 		this.assetManager = await upgrades.deployProxy(this.assetManagerCF, [])
 		await this.assetManager.deployed()
 		await this.assetManager.setVeArtAddress(this.veART.address)
 
-		this.lending = await upgrades.deployProxy(this.lendingCF, [])
-		await this.lending.deployed()
+		this.lending = await deployLending({ ethers, upgrades })
 		await this.lending.setAssetManager(this.assetManager.address)
 		await this.lending.setValidator(this.signers[4].address)
 
@@ -109,7 +108,7 @@ describe("Lending", function () {
 		const { voucher, signature } = await lendingSigner.createOfferVoucher(this.lender.address, this.nftCollectible.address, ethers.utils.parseEther("1"))
 
 		const lendingSigner2 = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
-		let tokenResult = await lendingSigner2.signToken(1, voucher.salt + '1', voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		let tokenResult = await lendingSigner2.signToken(1, ethers.BigNumber.from(voucher.nonce).add(1), voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 		await this.lending.pause()
 		await expect(this.lending.batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("Pausable: paused")
 		await this.lending.unpause()
@@ -118,9 +117,9 @@ describe("Lending", function () {
 
 		await this.lending.setPool(this.nftCollectible.address, 604800, '18493807888372071', true)
 
-		await expect(this.lending.connect(this.signers[3]).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("salt does not match")
+		await expect(this.lending.connect(this.signers[3]).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("nonce does not match")
 
-		tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 
 		await expect(this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("token signature has been expired")
 		await this.lending.setBlockRange(40)
@@ -129,16 +128,16 @@ describe("Lending", function () {
 		await expect(this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("Insufficient balance")
 		await this.assetManager.connect(this.lender)['deposit()']({ value: ethers.utils.parseEther("1") })
 
-		tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.lender.address, this.nftCollectible.address, this.lender.address)
+		tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.lender.address, this.nftCollectible.address, this.lender.address)
 		await expect(this.lending.connect(this.lender).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("signer cannot borrow from own loan offer")
 
-		tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 		await expect(this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [signature])).to.be.revertedWith("token signature is not valid")
 
-		tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.signers[3].address, this.nftCollectible.address, this.lender.address)
+		tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.signers[3].address, this.nftCollectible.address, this.lender.address)
 		await expect(this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("token signature does not belong to msg.sender")
 
-		tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 		const tx3 = await this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])
 		const receipt3 = await tx3.wait()
 		expect(receipt3.events.filter(event => event.event === "Borrow").length).to.be.equal(1)
@@ -155,7 +154,7 @@ describe("Lending", function () {
 		await this.assetManager.connect(this.lender)['deposit()']({ value: ethers.utils.parseEther("1") })
 
 		const { voucher, signature } = await lendingSigner.createOfferVoucher(this.lender.address, this.nftCollectible.address, ethers.utils.parseEther("1"))
-		let tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		let tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 
 		const tx3 = await this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])
 		const receipt3 = await tx3.wait()
@@ -184,7 +183,7 @@ describe("Lending", function () {
 		await this.assetManager.connect(this.borrower)['deposit()']({ value: ethers.utils.parseEther("0.4") })
 
 		const { voucher, signature } = await lendingSigner.createOfferVoucher(this.lender.address, this.nftCollectible.address, ethers.utils.parseEther("1"))
-		let tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		let tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 
 		const tx3 = await this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])
 		const receipt3 = await tx3.wait()
@@ -214,7 +213,7 @@ describe("Lending", function () {
 		await this.assetManager.connect(this.borrower)['deposit()']({ value: ethers.utils.parseEther("0.4") })
 		await this.assetManager.connect(this.signers[5])['deposit()']({ value: ethers.utils.parseEther("1.1") })
 
-		let tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		let tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 
 		const tx3 = await this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])
 		const receipt3 = await tx3.wait()
@@ -223,7 +222,7 @@ describe("Lending", function () {
 		await network.provider.send("evm_increaseTime", [3601])
 		await network.provider.send("evm_mine")
 
-		let tokenResult2 = await lendingSigner2.signToken(1, voucher1.salt, voucher1.traits, this.borrower.address, this.nftCollectible.address, this.signers[5].address)
+		let tokenResult2 = await lendingSigner2.signToken(1, voucher1.nonce, voucher1.traits, this.borrower.address, this.nftCollectible.address, this.signers[5].address)
 		const tx4 = await this.lending.connect(this.borrower).batchExtend([voucher1], [signature1], [tokenResult2.voucher], [tokenResult2.signature])
 		const receipt4 = await tx4.wait()
 		expect(receipt4.events.filter(event => event.event === "Extend").length).to.be.equal(1)
@@ -242,7 +241,7 @@ describe("Lending", function () {
 		await this.assetManager.connect(this.lender)['deposit()']({ value: ethers.utils.parseEther("1") })
 
 		const { voucher, signature } = await lendingSigner.createOfferVoucher(this.lender.address, this.nftCollectible.address, ethers.utils.parseEther("1"))
-		let tokenResult = await lendingSigner2.signToken(1, voucher.salt, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		let tokenResult = await lendingSigner2.signToken(1, voucher.nonce, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 
 		const tx3 = await this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])
 		const receipt3 = await tx3.wait()
@@ -272,7 +271,7 @@ describe("Lending", function () {
 
 
 		const { voucher, signature } = await lendingSigner.createOfferVoucher(this.lender.address, this.nftCollectible.address, ethers.utils.parseEther("5"))
-		let tokenResult = await validatorSigner.signToken(1, voucher.salt, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		let tokenResult = await validatorSigner.signToken(1, voucher.nonce, voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
 
 		const tx3 = await this.lending.connect(this.borrower).batchBorrow([voucher], [signature], [tokenResult.voucher], [tokenResult.signature])
 		const receipt3 = await tx3.wait()
@@ -282,24 +281,582 @@ describe("Lending", function () {
 		await network.provider.send("evm_mine")
 
 		const { voucher: voucher1, signature: signature1 } = await lendingSigner2.createOfferVoucher(this.signers[6].address, this.nftCollectible.address, ethers.utils.parseEther("3"))
-		let tokenResult2 = await validatorSigner.signToken(1, voucher1.salt, voucher1.traits, this.lender.address, this.nftCollectible.address, this.signers[6].address)
+		let tokenResult2 = await validatorSigner.signToken(1, voucher1.nonce, voucher1.traits, this.lender.address, this.nftCollectible.address, this.signers[6].address)
 
 		const tx4 = await this.lending.connect(this.lender).batchDelegate([voucher1], [signature1], [tokenResult2.voucher], [tokenResult2.signature])
 		const receipt4 = await tx4.wait()
 		expect(receipt4.events.filter(event => event.event === "Delegate").length).to.be.equal(1)
 
 		const { voucher: voucher2, signature: signature2 } = await lendingSigner.createOfferVoucher(this.lender.address, this.nftCollectible.address, ethers.utils.parseEther("1"))
-		let tokenResult3 = await validatorSigner.signToken(1, voucher2.salt, voucher2.traits, this.signers[6].address, this.nftCollectible.address, this.lender.address)
+		let tokenResult3 = await validatorSigner.signToken(1, voucher2.nonce, voucher2.traits, this.signers[6].address, this.nftCollectible.address, this.lender.address)
 
 		const tx5 = await this.lending.connect(this.signers[6]).batchDelegate([voucher2], [signature2], [tokenResult3.voucher], [tokenResult3.signature])
 		const receipt5 = await tx5.wait()
 		expect(receipt5.events.filter(event => event.event === "Delegate").length).to.be.equal(1)
 
 		const { voucher: voucher3, signature: signature3 } = await lendingSigner2.createOfferVoucher(this.signers[6].address, this.nftCollectible.address, ethers.utils.parseEther("1"))
-		let tokenResult4 = await validatorSigner.signToken(1, voucher3.salt, voucher3.traits, this.lender.address, this.nftCollectible.address, this.signers[6].address)
+		let tokenResult4 = await validatorSigner.signToken(1, voucher3.nonce, voucher3.traits, this.lender.address, this.nftCollectible.address, this.signers[6].address)
 
 		const tx6 = await this.lending.connect(this.lender).batchDelegate([voucher3], [signature3], [tokenResult4.voucher], [tokenResult4.signature])
 		const receipt6 = await tx6.wait()
 		expect(receipt6.events.filter(event => event.event === "Delegate").length).to.be.equal(1)
 	})
+
+	it("it should be borrowed with a merkle proof", async function () {
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setPool(this.nftCollectible.address, 604800, '18493807888372071', true)
+		await this.assetManager.connect(this.lender)['deposit()']({ value: ethers.utils.parseEther("2") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const tree = new TokenTree([1, 3])
+
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending } })
+		const { voucher, signature } = await lenderSdk.signLoanOffer({
+			nftContractAddress: this.nftCollectible.address,
+			lender: this.lender.address,
+			amount: ethers.utils.parseEther("1"),
+			tokenRoot: tree.root,
+			size: 2,
+			startedAt
+		})
+
+		await expect(this.lending.connect(this.borrower).batchBorrowWithProofs([voucher], [signature], [{ tokenId: 2, proof: tree.getProof(1) }])).to.be.revertedWith("token is not in the offer tree")
+		await expect(this.lending.connect(this.lender).batchBorrowWithProofs([voucher], [signature], [{ tokenId: 1, proof: tree.getProof(1) }])).to.be.revertedWith("signer cannot borrow from own loan offer")
+
+		const tx = await this.lending.connect(this.borrower).batchBorrowWithProofs(
+			[voucher, voucher],
+			[signature, signature],
+			[{ tokenId: 1, proof: tree.getProof(1) }, { tokenId: 3, proof: tree.getProof(3) }]
+		)
+		const receipt = await tx.wait()
+		expect(receipt.events.filter(event => event.event === "Borrow").length).to.be.equal(2)
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(this.lending.address)
+		expect(await this.nftCollectible.ownerOf(3)).to.be.equal(this.lending.address)
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(0)
+
+		// loan offers with a token root are not filled with validator tokens and the other way around
+		const lendingSigner2 = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const rootOffer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: 1, tokenRoot: tree.root, startedAt })
+		const tokenResult = await lendingSigner2.signToken(2, rootOffer.voucher.nonce, rootOffer.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		await expect(this.lending.connect(this.borrower).batchBorrow([rootOffer.voucher], [rootOffer.signature], [tokenResult.voucher], [tokenResult.signature])).to.be.revertedWith("loan offer requires a token proof")
+
+		const traitOffer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: 1, startedAt })
+		await expect(this.lending.connect(this.borrower).batchBorrowWithProofs([traitOffer.voucher], [traitOffer.signature], [{ tokenId: 2, proof: [] }])).to.be.revertedWith("loan offer has no token root")
+	})
+
+	it("it should borrow and extend with negotiated terms", async function () {
+		const day = 86400
+		const amount = ethers.utils.parseEther("1")
+		const rate = ethers.utils.parseEther("0.1")
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setPool(this.nftCollectible.address, 7 * day, '18493807888372071', true)
+		await this.assetManager.connect(this.lender)['deposit()']({ value: amount })
+		await this.assetManager.connect(this.borrower)['deposit()']({ value: ethers.utils.parseEther("0.4") })
+		await this.assetManager.connect(this.externalWallet)['deposit()']({ value: amount })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending } })
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const borrow = async (offer, tokenId = 1) => {
+			const token = await validatorSigner.signToken(tokenId, offer.voucher.nonce, offer.voucher.traits, this.borrower.address, this.nftCollectible.address, offer.voucher.lender)
+			return this.lending.connect(this.borrower).batchBorrow([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+		}
+
+		const offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount, rate, loanDuration: 14 * day, startedAt })
+		await expect(borrow(offer)).to.be.revertedWith("term limits are not set")
+
+		await expect(this.lending.connect(this.lender).setLoanTermLimits(this.nftCollectible.address, day, 30 * day, 0, rate)).to.be.revertedWith("not authorized")
+		await expect(this.lending.setLoanTermLimits(this.nftCollectible.address, day + 1, 30 * day, 0, rate)).to.be.revertedWith("day unit must be entered")
+		await expect(this.lending.setLoanTermLimits(this.nftCollectible.address, 30 * day, day, 0, rate)).to.be.revertedWith("min cannot exceed max")
+		await this.lending.setLoanTermLimits(this.nftCollectible.address, day, 30 * day, ethers.utils.parseEther("0.01"), rate)
+
+		const expensive = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount, rate: rate.add(1), loanDuration: 14 * day, startedAt })
+		await expect(borrow(expensive)).to.be.revertedWith("rate is out of the pool limits")
+		const long = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount, rate, loanDuration: 31 * day, startedAt })
+		await expect(borrow(long)).to.be.revertedWith("loan duration is out of the pool limits")
+
+		await borrow(offer)
+		const loan = await this.lending.items(this.nftCollectible.address, 1)
+		expect(loan.duration).to.be.equal(14 * day)
+		expect(loan.rate).to.be.equal(rate)
+		const auction = await this.lending.dutchAuctions(this.nftCollectible.address, 1)
+		expect(auction.startTime).to.be.equal(loan.startedAt.add(14 * day))
+		expect(auction.endPrice).to.be.equal(ethers.utils.parseEther("1.1"))
+		// a day of the fourteen days is accrued
+		expect(await this.lending.getCalculateRepayLoanAmount([this.nftCollectible.address], [1])).to.be.equal(amount.add(rate.div(14)))
+
+		await network.provider.send("evm_increaseTime", [3601])
+		await network.provider.send("evm_mine")
+
+		const newLenderSdk = new SalvorSDK({ signer: this.externalWallet, contracts: { lending: this.lending } })
+		const extension = await newLenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.externalWallet.address, amount, rate: ethers.utils.parseEther("0.05"), loanDuration: 3 * day, startedAt })
+		const token = await validatorSigner.signToken(1, extension.voucher.nonce, extension.voucher.traits, this.borrower.address, this.nftCollectible.address, this.externalWallet.address)
+		await this.lending.connect(this.borrower).batchExtend([extension.voucher], [extension.signature], [token.voucher], [token.signature])
+		const extended = await this.lending.items(this.nftCollectible.address, 1)
+		expect(extended.lender).to.be.equal(this.externalWallet.address)
+		expect(extended.duration).to.be.equal(3 * day)
+		expect(extended.rate).to.be.equal(ethers.utils.parseEther("0.05"))
+		expect((await this.lending.dutchAuctions(this.nftCollectible.address, 1)).endPrice).to.be.equal(ethers.utils.parseEther("1.05"))
+	})
+
+	it("it should accrue interest per second or per started day", async function () {
+		const day = 86400
+		const amount = ethers.utils.parseEther("1")
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setPool(this.nftCollectible.address, 7 * day, ethers.utils.parseEther("0.07"), true)
+		await this.assetManager.connect(this.lender)['deposit()']({ value: amount.mul(2) })
+
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending } })
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const borrow = async (tokenId) => {
+			const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+			const offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount, startedAt })
+			const token = await validatorSigner.signToken(tokenId, offer.voucher.nonce, offer.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+			await this.lending.connect(this.borrower).batchBorrow([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+			return this.lending.items(this.nftCollectible.address, tokenId)
+		}
+
+		const daily = await borrow(1)
+		expect(daily.accrual).to.be.equal(ACCRUAL.DAILY)
+
+		await expect(this.lending.connect(this.lender).setPoolAccrual(this.nftCollectible.address, ACCRUAL.PER_SECOND, 3600)).to.be.revertedWith("not authorized")
+		await expect(this.lending.setPoolAccrual(this.nftCollectible.address, 2, 3600)).to.be.revertedWith("unknown accrual")
+		await expect(this.lending.setPoolAccrual(this.nftCollectible.address, ACCRUAL.PER_SECOND, 3600)).to.emit(this.lending, "SetPoolAccrual").withArgs(this.nftCollectible.address, ACCRUAL.PER_SECOND, 3600)
+
+		const perSecond = await borrow(2)
+		expect(perSecond.accrual).to.be.equal(ACCRUAL.PER_SECOND)
+		expect(perSecond.minInterestPeriod).to.be.equal(3600)
+		// the running loan keeps the daily accrual it started with
+		expect((await this.lending.items(this.nftCollectible.address, 1)).accrual).to.be.equal(ACCRUAL.DAILY)
+
+		const repayments = async (elapsed) => {
+			const timestamp = perSecond.startedAt.add(elapsed)
+			await network.provider.send("evm_setNextBlockTimestamp", [timestamp.toNumber()])
+			await network.provider.send("evm_mine")
+			const byDay = await this.lending.getCalculateRepayLoanAmount([this.nftCollectible.address], [1])
+			const bySecond = await this.lending.getCalculateRepayLoanAmount([this.nftCollectible.address], [2])
+			expect(byDay).to.be.equal(quoteRepayment(daily, timestamp))
+			expect(bySecond).to.be.equal(quoteRepayment(perSecond, timestamp))
+			expect(await this.lending.getCalculateRepayLoanAmount([this.nftCollectible.address, this.nftCollectible.address], [1, 2])).to.be.equal(byDay.add(bySecond))
+			return { byDay, bySecond }
+		}
+
+		// a minute in, the per second loan charges its minimum interest period and the daily loan its first day
+		let { byDay, bySecond } = await repayments(60)
+		expect(bySecond).to.be.equal(amount.add(ethers.utils.parseEther("0.07").mul(3600).div(7 * day)))
+		expect(byDay).to.be.equal(amount.add(ethers.utils.parseEther("0.01")))
+
+		;({ bySecond } = await repayments(3601))
+		expect(bySecond).to.be.equal(amount.add(ethers.utils.parseEther("0.07").mul(3601).div(7 * day)))
+
+		;({ bySecond } = await repayments(day - 1))
+		expect(bySecond).to.be.lt(amount.add(ethers.utils.parseEther("0.01")))
+
+		;({ bySecond } = await repayments(day))
+		expect(bySecond).to.be.equal(amount.add(ethers.utils.parseEther("0.01")))
+
+		await repayments(day + 1)
+		await repayments(3 * day + 12345)
+
+		// both accruals charge the whole interest from the end of the duration on
+		;({ bySecond } = await repayments(7 * day))
+		expect(bySecond).to.be.equal(ethers.utils.parseEther("1.07"))
+		;({ byDay, bySecond } = await repayments(8 * day))
+		expect(byDay).to.be.equal(ethers.utils.parseEther("1.07"))
+		expect(bySecond).to.be.equal(ethers.utils.parseEther("1.07"))
+	})
+
+	it("it should partially repay and top up a loan", async function () {
+		const day = 86400
+		const parse = ethers.utils.parseEther
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		// 1% a day
+		await this.lending.setPool(this.nftCollectible.address, 7 * day, parse("0.07"), true)
+		await this.assetManager.connect(this.lender)['deposit()']({ value: parse("2") })
+		await this.assetManager.connect(this.externalWallet)['deposit()']({ value: parse("1") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending } })
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const signToken = (offer) => validatorSigner.signToken(1, offer.voucher.nonce, offer.voucher.traits, this.borrower.address, this.nftCollectible.address, offer.voucher.lender)
+		const setNextTimestamp = (timestamp) => network.provider.send("evm_setNextBlockTimestamp", [timestamp.toNumber()])
+
+		const offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("1"), startedAt })
+		let token = await signToken(offer)
+		await this.lending.connect(this.borrower).batchBorrow([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+		const loan = await this.lending.items(this.nftCollectible.address, 1)
+		const auctionStart = (await this.lending.dutchAuctions(this.nftCollectible.address, 1)).startTime
+		expect(await this.assetManager.biddingWallets(this.borrower.address)).to.be.equal(parse("1"))
+
+		await expect(this.lending.connect(this.lender).partialRepay(this.nftCollectible.address, 1, parse("0.4"))).to.be.revertedWith("msg.sender is not borrower")
+		await expect(this.lending.connect(this.borrower).partialRepay(this.nftCollectible.address, 1, parse("1"))).to.be.revertedWith("partial repayment exceeds the principal")
+		await expect(this.lending.connect(this.borrower).partialRepay(this.nftCollectible.address, 1, 0)).to.be.revertedWith("partial repayment exceeds the principal")
+
+		// the second day: 0.4 of principal and two days of interest on 1
+		await setNextTimestamp(loan.startedAt.add(day + 100))
+		await expect(this.lending.connect(this.borrower).partialRepayETH(this.nftCollectible.address, 1, parse("0.4"), { value: parse("0.42") }))
+			.to.emit(this.lending, "PartialRepay").withArgs(this.nftCollectible.address, 1, parse("0.4"), parse("0.02"))
+		expect(await this.assetManager.biddingWallets(this.borrower.address)).to.be.equal(parse("1"))
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("1.42"))
+		let item = await this.lending.items(this.nftCollectible.address, 1)
+		expect(item.amount).to.be.equal(parse("0.6"))
+		expect(item.settledInterest).to.be.equal(parse("0.012"))
+		expect(await this.lending.getCalculateRepayLoanAmount([this.nftCollectible.address], [1])).to.be.equal(parse("0.6"))
+		let auction = await this.lending.dutchAuctions(this.nftCollectible.address, 1)
+		expect(auction.startTime).to.be.equal(auctionStart)
+		expect(auction.endPrice).to.be.equal(parse("0.63"))
+
+		// top ups are lent by the current lender on the terms of the loan
+		const externalSdk = new SalvorSDK({ signer: this.externalWallet, contracts: { lending: this.lending } })
+		const foreign = await externalSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.externalWallet.address, amount: parse("0.4"), rate: loan.rate, loanDuration: loan.duration, startedAt })
+		token = await signToken(foreign)
+		await expect(this.lending.connect(this.borrower).batchTopUp([foreign.voucher], [foreign.signature], [token.voucher], [token.signature])).to.be.revertedWith("top up must come from the current lender")
+		const poolTerms = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("0.4"), startedAt })
+		token = await signToken(poolTerms)
+		await expect(this.lending.connect(this.borrower).batchTopUp([poolTerms.voucher], [poolTerms.signature], [token.voucher], [token.signature])).to.be.revertedWith("top up terms do not match the loan")
+
+		// the fourth day: two more days of interest on 0.6
+		const topUp = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("0.4"), rate: loan.rate, loanDuration: loan.duration, startedAt })
+		token = await signToken(topUp)
+		await setNextTimestamp(loan.startedAt.add(3 * day + 100))
+		await expect(this.lending.connect(this.borrower).batchTopUp([topUp.voucher], [topUp.signature], [token.voucher], [token.signature]))
+			.to.emit(this.lending, "TopUp").withArgs(this.nftCollectible.address, 1, topUp.voucher.nonce, parse("0.4"), parse("0.012"))
+		expect(await this.assetManager.biddingWallets(this.borrower.address)).to.be.equal(parse("1.388"))
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("1.032"))
+		item = await this.lending.items(this.nftCollectible.address, 1)
+		expect(item.amount).to.be.equal(parse("1"))
+		expect(item.settledInterest).to.be.equal(parse("0.04"))
+		expect(item.startedAt).to.be.equal(loan.startedAt)
+		auction = await this.lending.dutchAuctions(this.nftCollectible.address, 1)
+		expect(auction.startTime).to.be.equal(auctionStart)
+		expect(auction.endPrice).to.be.equal(parse("1.03"))
+
+		// the last three days accrue on 1: 0.02 + 0.012 + 0.03 of interest in total
+		await setNextTimestamp(loan.startedAt.add(6 * day + 100))
+		await network.provider.send("evm_mine")
+		expect(await this.lending.getCalculateRepayLoanAmount([this.nftCollectible.address], [1])).to.be.equal(parse("1.03"))
+		await setNextTimestamp(loan.startedAt.add(6 * day + 200))
+		await this.lending.connect(this.borrower).batchRepay([this.nftCollectible.address], [1])
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("2.062"))
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(this.borrower.address)
+	})
+
+	it("it should liquidate on the liquidation curve of the pool", async function () {
+		const parse = ethers.utils.parseEther
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setAuctionDuration(86400) // a day
+		await this.lending.setDropInterval(3600) // an hour
+		await this.lending.setPool(this.nftCollectible.address, 604800, parse("0.07"), true)
+
+		await expect(this.lending.connect(this.lender).setLiquidationCurve(this.nftCollectible.address, parse("2"), parse("0.5"), DECAY.EXPONENTIAL, parse("0.5"))).to.be.revertedWith("not authorized")
+		await expect(this.lending.setLiquidationCurve(this.nftCollectible.address, parse("2"), parse("2.5"), DECAY.LINEAR, 0)).to.be.revertedWith("floor cannot exceed the start")
+		await expect(this.lending.setLiquidationCurve(this.nftCollectible.address, parse("2"), 0, DECAY.LINEAR, 0)).to.be.revertedWith("floor cannot exceed the start")
+		await expect(this.lending.setLiquidationCurve(this.nftCollectible.address, parse("2"), parse("0.5"), 2, 0)).to.be.revertedWith("unknown decay")
+		await expect(this.lending.setLiquidationCurve(this.nftCollectible.address, parse("2"), parse("0.5"), DECAY.EXPONENTIAL, parse("1"))).to.be.revertedWith("unknown decay")
+		// starts at 2x the repayment, halves the price above the floor every hour and stops at half of the repayment
+		await expect(this.lending.setLiquidationCurve(this.nftCollectible.address, parse("2"), parse("0.5"), DECAY.EXPONENTIAL, parse("0.5")))
+			.to.emit(this.lending, "SetLiquidationCurve").withArgs(this.nftCollectible.address, parse("2"), parse("0.5"), DECAY.EXPONENTIAL, parse("0.5"))
+		const curve = await this.lending.liquidationCurves(this.nftCollectible.address)
+		expect(curve.decay).to.be.equal(DECAY.EXPONENTIAL)
+
+		await this.assetManager.connect(this.lender)['deposit()']({ value: parse("1") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending } })
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("1"), startedAt })
+		const token = await validatorSigner.signToken(1, offer.voucher.nonce, offer.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		await this.lending.connect(this.borrower).batchBorrow([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+
+		const auction = await this.lending.dutchAuctions(this.nftCollectible.address, 1)
+		expect(auction.startPrice).to.be.equal(parse("2.14"))
+		expect(auction.endPrice).to.be.equal(parse("1.07"))
+		expect(auction.floorPrice).to.be.equal(parse("0.535"))
+		expect(auction.decayFactor).to.be.equal(parse("0.5"))
+		expect(await this.lending.getDutchPrice(this.nftCollectible.address, 1)).to.be.equal(parse("2.14"))
+
+		// the curve of the pool does not change the running auctions
+		await this.lending.setLiquidationCurve(this.nftCollectible.address, parse("3"), parse("1"), DECAY.LINEAR, 0)
+
+		await network.provider.send("evm_setNextBlockTimestamp", [auction.startTime.add(2 * 3600 + 10).toNumber()])
+		await network.provider.send("evm_mine")
+		expect(await this.lending.getDutchPrice(this.nftCollectible.address, 1)).to.be.equal(parse("0.93625"))
+		expect(quoteDutchPrice(auction, auction.startTime.add(2 * 3600 + 10))).to.be.equal(parse("0.93625"))
+		expect(quoteDutchPrice(auction, auction.startTime.add(86401))).to.be.equal(parse("0.535"))
+
+		// the auction clears under the repayment, the lender gets the whole bid and there is no fee
+		await this.assetManager.connect(this.externalWallet)['deposit()']({ value: parse("1") })
+		const pendingFee = await this.assetManager.pendingFee()
+		await network.provider.send("evm_setNextBlockTimestamp", [auction.startTime.add(3 * 3600 + 10).toNumber()])
+		await expect(this.lending.connect(this.externalWallet).makeBidForDutchAuction(this.nftCollectible.address, 1))
+			.to.emit(this.lending, "DutchAuctionMadeBid").withArgs(this.nftCollectible.address, 1, this.lender.address, parse("0.735625"), parse("1.07"))
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(this.externalWallet.address)
+		expect(await this.assetManager.biddingWallets(this.externalWallet.address)).to.be.equal(parse("0.264375"))
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("0.735625"))
+		expect(await this.assetManager.pendingFee()).to.be.equal(pendingFee)
+
+		// new loans of the pool follow its new curve
+		const auction2Offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("0.5"), startedAt })
+		const token2 = await validatorSigner.signToken(2, auction2Offer.voucher.nonce, auction2Offer.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		await this.lending.connect(this.borrower).batchBorrow([auction2Offer.voucher], [auction2Offer.signature], [token2.voucher], [token2.signature])
+		const auction2 = await this.lending.dutchAuctions(this.nftCollectible.address, 2)
+		expect(auction2.startPrice).to.be.equal(parse("1.605"))
+		expect(auction2.floorPrice).to.be.equal(parse("0.535"))
+		expect(auction2.decay).to.be.equal(DECAY.LINEAR)
+	})
+
+	it("it should price the exponential auctions with many drops", async function () {
+		const parse = ethers.utils.parseEther
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setAuctionDuration(30 * 86400)
+		await this.lending.setDropInterval(1)
+		await this.lending.setPool(this.nftCollectible.address, 604800, parse("0.07"), true)
+		await this.lending.setLiquidationCurve(this.nftCollectible.address, parse("2"), parse("0.5"), DECAY.EXPONENTIAL, parse("0.99999"))
+
+		await this.assetManager.connect(this.lender)['deposit()']({ value: parse("1") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending } })
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("1"), startedAt })
+		const token = await validatorSigner.signToken(1, offer.voucher.nonce, offer.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		await this.lending.connect(this.borrower).batchBorrow([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+
+		// 2.5 million drops of a second, priced with a few multiplications
+		const auction = await this.lending.dutchAuctions(this.nftCollectible.address, 1)
+		const at = auction.startTime.add(29 * 86400)
+		await network.provider.send("evm_setNextBlockTimestamp", [at.toNumber()])
+		await network.provider.send("evm_mine")
+		const price = await this.lending.getDutchPrice(this.nftCollectible.address, 1)
+		expect(price).to.be.equal(quoteDutchPrice(auction, at))
+		expect(price).to.be.gt(auction.floorPrice)
+		expect(await this.lending.estimateGas.getDutchPrice(this.nftCollectible.address, 1)).to.be.lt(100000)
+	})
+
+	it("it should pay the liquidation surplus to the borrower of a delegated loan", async function () {
+		const parse = ethers.utils.parseEther
+		const newLender = this.signers[6]
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setAuctionDuration(86400) // a day
+		await this.lending.setDropInterval(3600) // an hour
+		await this.lending.setPool(this.nftCollectible.address, 604800, parse("0.07"), true)
+
+		await expect(this.assetManager.connect(this.lender).setLiquidationFee(1000)).to.be.revertedWith("Ownable: caller is not the owner")
+		await expect(this.assetManager.setLiquidationFee(10001)).to.be.revertedWith("fee cannot exceed the surplus")
+		// 10% of the surplus
+		await expect(this.assetManager.setLiquidationFee(1000)).to.emit(this.assetManager, "SetLiquidationFee").withArgs(1000)
+
+		await this.assetManager.connect(this.lender)['deposit()']({ value: parse("1") })
+		await this.assetManager.connect(newLender)['deposit()']({ value: parse("1") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending } })
+		const offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("1"), startedAt })
+		let token = await validatorSigner.signToken(1, offer.voucher.nonce, offer.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		await this.lending.connect(this.borrower).batchBorrow([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+
+		// the new lender pays 0.6 of the principal, the other 0.4 is delegated
+		const newLenderSdk = new SalvorSDK({ signer: newLender, contracts: { lending: this.lending } })
+		const delegation = await newLenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: newLender.address, amount: parse("0.6"), startedAt })
+		token = await validatorSigner.signToken(1, delegation.voucher.nonce, delegation.voucher.traits, this.lender.address, this.nftCollectible.address, newLender.address)
+		await this.lending.connect(this.lender).batchDelegate([delegation.voucher], [delegation.signature], [token.voucher], [token.signature])
+		expect(await this.lending.delegatedAmounts(this.nftCollectible.address, 1)).to.be.equal(parse("0.4"))
+		expect(await this.assetManager.biddingWallets(newLender.address)).to.be.equal(parse("0.4"))
+
+		const auction = await this.lending.dutchAuctions(this.nftCollectible.address, 1)
+		const pendingFee = await this.assetManager.pendingFee()
+		await network.provider.send("evm_setNextBlockTimestamp", [auction.startTime.add(10).toNumber()])
+		// the debt is 1.07 and the auction starts at 3x of it
+		const bid = this.lending.connect(this.externalWallet).makeBidForDutchAuctionETH(this.nftCollectible.address, 1, { value: parse("3.21") })
+		await expect(bid).to.emit(this.lending, "DutchAuctionMadeBid").withArgs(this.nftCollectible.address, 1, newLender.address, parse("3.21"), parse("1.07"))
+		await expect(bid).to.emit(this.assetManager, "LiquidationSurplus").withArgs(this.nftCollectible.address, 1, this.borrower.address, parse("1.926"), parse("0.214"))
+
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(this.externalWallet.address)
+		expect(await this.assetManager.biddingWallets(this.externalWallet.address)).to.be.equal(0)
+		// the debt without the delegated amount, which the new lender never paid
+		expect(await this.assetManager.biddingWallets(newLender.address)).to.be.equal(parse("1.07"))
+		// the principal of the loan and the surplus without the liquidation fee
+		expect(await this.assetManager.biddingWallets(this.borrower.address)).to.be.equal(parse("2.926"))
+		expect(await this.assetManager.pendingFee()).to.be.equal(pendingFee.add(parse("0.614")))
+		expect(await this.lending.delegatedAmounts(this.nftCollectible.address, 1)).to.be.equal(0)
+	})
+
+	it("it should pay the holders of the loan notes", async function () {
+		const parse = ethers.utils.parseEther
+		const noteBuyer = this.externalWallet
+		const receiptHolder = this.signers[5]
+		const { lenderNote, borrowerNote } = await deployLoanNotes({ ethers, upgrades }, this.lending)
+		expect(await this.lending.lenderNote()).to.be.equal(lenderNote.address)
+		expect(await lenderNote.isLenderNote()).to.be.equal(true)
+		expect(await borrowerNote.isLenderNote()).to.be.equal(false)
+		await expect(this.lending.setLoanNotes(borrowerNote.address, lenderNote.address)).to.be.revertedWith("loan notes are already set")
+
+		const exchange = await upgrades.deployProxy(await ethers.getContractFactory("SalvorExchangeV2"), [])
+		await exchange.deployed()
+		await exchange.setAssetManager(this.assetManager.address)
+		await exchange.setValidator(this.signers[4].address)
+		await this.assetManager.addPlatform(exchange.address)
+
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setPool(this.nftCollectible.address, 604800, parse("0.07"), true)
+		await this.assetManager.connect(this.lender)['deposit()']({ value: parse("1") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending, exchange: exchange.address } })
+		const offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("1"), startedAt })
+		const token = await validatorSigner.signToken(1, offer.voucher.nonce, offer.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		await this.lending.connect(this.borrower).batchBorrow([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+
+		const noteId = await lenderNote.noteIds(this.nftCollectible.address, 1)
+		expect(noteId).to.be.equal(1)
+		expect(await lenderNote.ownerOf(noteId)).to.be.equal(this.lender.address)
+		expect(await borrowerNote.holderOf(this.nftCollectible.address, 1)).to.be.equal(this.borrower.address)
+		const position = await lenderNote.positions(noteId)
+		expect(position.collection).to.be.equal(this.nftCollectible.address)
+		expect(position.tokenId).to.be.equal(1)
+
+		await expect(lenderNote.issue(this.lender.address, this.nftCollectible.address, 1)).to.be.revertedWith("caller is not the lending")
+		await expect(this.lending.transferPosition(this.nftCollectible.address, 1, this.owner.address)).to.be.revertedWith("caller is not a loan note")
+
+		// the lender sells the promissory note on the exchange
+		await lenderNote.connect(this.lender).setApprovalForAll(this.assetManager.address, true)
+		await this.assetManager.connect(noteBuyer)['deposit()']({ value: parse("0.9") })
+		const order = await lenderSdk.signBatchOrder({ seller: this.lender.address, orders: [{ nftContractAddress: lenderNote.address, tokenId: noteId, price: parse("0.9"), startedAt }] })
+		await expect(exchange.connect(noteBuyer).batchBuy([order.voucher], [order.signature], [0]))
+			.to.emit(this.lending, "TransferPosition").withArgs(this.nftCollectible.address, 1, noteBuyer.address, true)
+		expect((await this.lending.items(this.nftCollectible.address, 1)).lender).to.be.equal(noteBuyer.address)
+		expect(await this.assetManager.biddingWallets(noteBuyer.address)).to.be.equal(0)
+
+		// the borrower hands the obligation receipt over, its holder repays the loan and gets the collateral
+		await expect(borrowerNote.connect(this.borrower).transferFrom(this.borrower.address, receiptHolder.address, noteId))
+			.to.emit(this.lending, "TransferPosition").withArgs(this.nftCollectible.address, 1, receiptHolder.address, false)
+		await expect(this.lending.connect(this.borrower).batchRepay([this.nftCollectible.address], [1])).to.be.revertedWith("msg.sender is not borrower")
+		await this.assetManager.connect(receiptHolder)['deposit()']({ value: parse("1.1") })
+		const receipt = await (await this.lending.connect(receiptHolder).batchRepay([this.nftCollectible.address], [1])).wait()
+		const repaidAmount = receipt.events.find(event => event.event === "Repay").args.repaidAmount
+
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(receiptHolder.address)
+		expect(await this.assetManager.biddingWallets(noteBuyer.address)).to.be.equal(repaidAmount)
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("0.9"))
+		// both notes are burned with the loan
+		expect(await lenderNote.balanceOf(noteBuyer.address)).to.be.equal(0)
+		expect(await borrowerNote.balanceOf(receiptHolder.address)).to.be.equal(0)
+		expect(await lenderNote.holderOf(this.nftCollectible.address, 1)).to.be.equal(ethers.constants.AddressZero)
+	})
+
+	it("it should refinance a loan onto the cheapest live offer", async function () {
+		const parse = ethers.utils.parseEther
+		const day = 86400
+		const [lenderA, lenderB, lenderC] = [this.signers[5], this.signers[6], this.signers[7]]
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setPool(this.nftCollectible.address, 7 * day, parse("0.07"), true)
+		await this.lending.setLoanTermLimits(this.nftCollectible.address, day, 30 * day, 0, parse("0.2"))
+
+		await this.assetManager.connect(this.lender)['deposit()']({ value: parse("1") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const sdkOf = signer => new SalvorSDK({ signer, contracts: { lending: this.lending } })
+		const loan = await sdkOf(this.lender).signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("1"), startedAt })
+		const token = await validatorSigner.signToken(1, loan.voucher.nonce, loan.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address)
+		await this.lending.connect(this.borrower).batchBorrow([loan.voucher], [loan.signature], [token.voucher], [token.signature])
+
+		const offers = []
+		for (const [signer, rate, loanDuration, extra] of [
+			[lenderA, "0.05", 14 * day, {}], // 0.06 over 14 days, the cheapest
+			[lenderB, "0.03", 7 * day, {}], // 0.036 over 7 days
+			[lenderC, "0.01", 7 * day, { traits: "rare" }], // needs a validator token
+			[lenderC, "0.01", 7 * day, { duration: 10 }] // expires before it is taken
+		]) {
+			await this.assetManager.connect(signer)['deposit()']({ value: parse("1.2") })
+			offers.push(await sdkOf(signer).signLoanOffer({
+				nftContractAddress: this.nftCollectible.address, lender: signer.address, amount: parse("1.2"), rate: parse(rate), loanDuration, startedAt, ...extra
+			}))
+		}
+		const pool = await this.lending.lendingPools(this.nftCollectible.address)
+		const limits = await this.lending.loanTermLimits(this.nftCollectible.address)
+		const at = startedAt + 60
+		const item = await this.lending.items(this.nftCollectible.address, 1)
+		const cheapest = findCheapestOffer(offers, { at, pool, limits, minAmount: quoteRepayment(item, at) })
+		expect(cheapest.signature).to.be.equal(offers[0].signature)
+		expect(cheapest.interest).to.be.equal(parse("0.06"))
+		expect(findCheapestOffer(offers, { at, pool, limits, refinanceable: false }).signature).to.be.equal(offers[2].signature)
+		expect(findCheapestOffer(offers, { at, pool, limits, minAmount: parse("2") })).to.be.equal(null)
+
+		const proof = { tokenId: 1, proof: [] }
+		await expect(this.lending.connect(this.externalWallet).batchRefinance([cheapest.voucher], [cheapest.signature], [proof]))
+			.to.be.revertedWith("there is no collateralized item belongs to msg.sender")
+		await expect(this.lending.connect(this.borrower).batchRefinance([offers[2].voucher], [offers[2].signature], [proof]))
+			.to.be.revertedWith("loan offer requires a validator token")
+
+		// refinanced within the first hour of the loan, the first started day of interest is repaid
+		await network.provider.send("evm_setNextBlockTimestamp", [at])
+		await expect(this.lending.connect(this.borrower).batchRefinance([cheapest.voucher], [cheapest.signature], [proof]))
+			.to.emit(this.lending, "Refinance").withArgs(this.nftCollectible.address, 1, cheapest.voucher.nonce, parse("1.2"), parse("1.01"))
+
+		const refinanced = await this.lending.items(this.nftCollectible.address, 1)
+		expect(refinanced.lender).to.be.equal(lenderA.address)
+		expect(refinanced.rate).to.be.equal(parse("0.05"))
+		expect(refinanced.duration).to.be.equal(14 * day)
+		expect(refinanced.startedAt).to.be.equal(at)
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(parse("1.01"))
+		expect(await this.assetManager.biddingWallets(lenderA.address)).to.be.equal(0)
+		expect(await this.assetManager.biddingWallets(this.borrower.address)).to.be.equal(parse("1.19"))
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(this.lending.address)
+		expect((await this.lending.dutchAuctions(this.nftCollectible.address, 1)).startTime).to.be.equal(at + 14 * day)
+	})
+	it("it should list the loans of the lenders and borrowers by their notes", async function () {
+		const parse = ethers.utils.parseEther
+		const day = 86400
+		const { lenderNote, borrowerNote } = await deployLoanNotes({ ethers, upgrades }, this.lending)
+
+		await this.lending.setBlockRange(40)
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.lending.setPool(this.nftCollectible.address, 7 * day, parse("0.07"), true)
+		await this.assetManager.connect(this.lender)['deposit()']({ value: parse("2") })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const validatorSigner = new LendingSigner({ contract: this.lending, signer: this.signers[4] })
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lending: this.lending } })
+		const offer = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.lender.address, amount: parse("1"), size: 2, startedAt })
+		const tokens = []
+		for (const tokenId of [1, 2]) {
+			tokens.push(await validatorSigner.signToken(tokenId, offer.voucher.nonce, offer.voucher.traits, this.borrower.address, this.nftCollectible.address, this.lender.address))
+		}
+		await this.lending.connect(this.borrower).batchBorrow([offer.voucher, offer.voucher], [offer.signature, offer.signature], tokens.map(token => token.voucher), tokens.map(token => token.signature))
+
+		expect(await lenderNote.balanceOf(this.lender.address)).to.be.equal(2)
+		const lent = await lenderNote.getLoansOf(this.lender.address, 0, 10)
+		expect(lent.map(loan => loan.tokenId.toNumber())).to.be.deep.equal([1, 2])
+		expect(lent[0].collection).to.be.equal(this.nftCollectible.address)
+		expect(lent[0].borrower).to.be.equal(this.borrower.address)
+		expect(lent[0].lender).to.be.equal(this.lender.address)
+		expect(lent[0].amount).to.be.equal(parse("1"))
+		expect(lent[0].repayment).to.be.equal(await this.lending.getCalculateRepayLoanAmount([this.nftCollectible.address], [1]))
+		expect(lent[0].isDefaulted).to.be.equal(false)
+
+		// pages
+		const page = await borrowerNote.getLoansOf(this.borrower.address, 1, 1)
+		expect(page.length).to.be.equal(1)
+		expect(page[0].tokenId).to.be.equal(2)
+		expect(page[0].noteId).to.be.equal(await borrowerNote.noteIds(this.nftCollectible.address, 2))
+		expect((await borrowerNote.getLoansOf(this.borrower.address, 2, 10)).length).to.be.equal(0)
+		expect((await lenderNote.getLoansOf(this.borrower.address, 0, 10)).length).to.be.equal(0)
+		await expect(lenderNote.getLoan(99)).to.be.revertedWith("note does not exist")
+
+		// the repaid loan leaves the lists, the other one defaults
+		await this.assetManager.connect(this.borrower)['deposit()']({ value: parse("1.1") })
+		await this.lending.connect(this.borrower).batchRepay([this.nftCollectible.address], [1])
+		await network.provider.send("evm_increaseTime", [7 * day + 1])
+		await network.provider.send("evm_mine")
+		const [defaulted] = await lenderNote.getLoansOf(this.lender.address, 0, 10)
+		expect(await lenderNote.balanceOf(this.lender.address)).to.be.equal(1)
+		expect(defaulted.tokenId).to.be.equal(2)
+		expect(defaulted.isDefaulted).to.be.equal(true)
+		expect(defaulted.repayment).to.be.equal(parse("1.07"))
+	})
 })
\ No newline at end of file
@@ -1,6 +1,7 @@
 const { ethers, network, upgrades } = require("hardhat")
 const { expect } = require("chai")
 const LendingSigner = require("../libs/LendingErc20Signer")
+const { SalvorSDK, ACCRUAL, quoteRepayment } = require("../libs/sdk")
 const totalToken = "10000000000000000000" // 100
 
 describe("Lending Erc20", function () {
@@ -112,7 +113,7 @@ describe("Lending Erc20", function () {
 		let { voucher: voucher1, signature: signature1 } = await lendingSigner.createOfferVoucher(this.lender.address, this.salvorGovernanceToken.address, ethers.utils.parseEther("1"), ethers.utils.parseEther("0.1"), ethers.utils.parseEther("0.01"))
 		await expect(this.lending.connect(this.signers[3]).borrow(voucher1, signature1, tokenResult.voucher, tokenResult.signature)).to.be.revertedWith("insufficient amount requested")
 		let invalidVoucher = JSON.parse(JSON.stringify(voucher1))
-		invalidVoucher.salt = 'asdasdasd-12123'
+		invalidVoucher.nonce = ethers.BigNumber.from(voucher1.nonce).add(1).toString()
 		hash = await this.lending.hashOffer(Object.values(voucher1))
 
 		tokenResult = await lendingSigner2.signToken(voucher, ethers.utils.parseEther("1"), this.borrower.address, hash)
@@ -168,18 +169,18 @@ describe("Lending Erc20", function () {
 
 		let tokenResult = await lendingSigner2.signToken(voucher, ethers.utils.parseEther("1"), this.borrower.address, hash)
 
-		await expect(this.lending.connect(this.lender).clearDebt(this.salvorGovernanceToken.address, this.borrower.address, voucher.salt)).to.be.revertedWith("there is not any active loan")
+		await expect(this.lending.connect(this.lender)["clearDebt(address,address,uint256)"](this.salvorGovernanceToken.address, this.borrower.address, voucher.nonce)).to.be.revertedWith("there is not any active loan")
 
 		const tx3 = await this.lending.connect(this.borrower).borrow(voucher, signature, tokenResult.voucher, tokenResult.signature)
 		const receipt3 = await tx3.wait()
 		expect(receipt3.events.filter(event => event.event === "Borrow").length).to.be.equal(1)
 
-		await expect(this.lending.connect(this.lender).clearDebt(this.salvorGovernanceToken.address, this.borrower.address, voucher.salt)).to.be.revertedWith("loan period is not finished")
+		await expect(this.lending.connect(this.lender)["clearDebt(address,address,uint256)"](this.salvorGovernanceToken.address, this.borrower.address, voucher.nonce)).to.be.revertedWith("loan period is not finished")
 
 		await network.provider.send("evm_increaseTime", [604801])
 		await network.provider.send("evm_mine")
 
-		const tx4 = await this.lending.connect(this.lender).clearDebt(this.salvorGovernanceToken.address, this.borrower.address, voucher.salt)
+		const tx4 = await this.lending.connect(this.lender)["clearDebt(address,address,uint256)"](this.salvorGovernanceToken.address, this.borrower.address, voucher.nonce)
 		const receipt4 = await tx4.wait()
 		expect(receipt4.events.filter(event => event.event === "ClearDebt").length).to.be.equal(1)
 
@@ -201,7 +202,7 @@ describe("Lending Erc20", function () {
 
 		let tokenResult = await lendingSigner2.signToken(voucher, ethers.utils.parseEther("1"), this.borrower.address, hash)
 
-		await expect(this.lending.connect(this.lender).repay(this.salvorGovernanceToken.address, this.lender.address, voucher.salt)).to.be.revertedWith("there is not any active loan")
+		await expect(this.lending.connect(this.lender)["repay(address,address,uint256)"](this.salvorGovernanceToken.address, this.lender.address, voucher.nonce)).to.be.revertedWith("there is not any active loan")
 
 		const tx3 = await this.lending.connect(this.borrower).borrow(voucher, signature, tokenResult.voucher, tokenResult.signature)
 		const receipt3 = await tx3.wait()
@@ -210,8 +211,241 @@ describe("Lending Erc20", function () {
 		await network.provider.send("evm_increaseTime", [604801])
 		await network.provider.send("evm_mine")
 
-		const tx4 = await this.lending.connect(this.borrower).repay(this.salvorGovernanceToken.address, this.lender.address, voucher.salt)
+		const tx4 = await this.lending.connect(this.borrower)["repay(address,address,uint256)"](this.salvorGovernanceToken.address, this.lender.address, voucher.nonce)
 		const receipt4 = await tx4.wait()
 		expect(receipt4.events.filter(event => event.event === "Repay").length).to.be.equal(1)
 	})
+
+	it("it should accrue interest per second or per started day", async function () {
+		const day = 86400
+		const amount = ethers.utils.parseEther("1")
+		const rate = ethers.utils.parseEther("0.03")
+		await this.lending.setBlockRange(40)
+		await this.lending.setAllowedAsset(this.salvorGovernanceToken.address, true)
+		await this.salvorGovernanceToken.connect(this.borrower).approve(this.lending.address, ethers.utils.parseEther("1000"))
+		await this.assetManager.connect(this.lender)['deposit()']({ value: amount.mul(2) })
+
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lendingErc20: this.lending } })
+		const validatorSdk = new SalvorSDK({ signer: this.signers[6], contracts: { lendingErc20: this.lending } })
+		const borrow = async () => {
+			const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+			const { voucher, signature } = await lenderSdk.signErc20LoanOffer({ lender: this.lender.address, collateralizedAsset: this.salvorGovernanceToken.address, amount, price: amount, rate, duration: 3 * day, startedAt })
+			const orderHash = await this.lending.hashOffer(Object.values(voucher))
+			const token = await validatorSdk.signErc20Token({ orderHash, amount, borrower: this.borrower.address })
+			await this.lending.connect(this.borrower).borrow(voucher, signature, token.voucher, token.signature)
+			return { nonce: voucher.nonce, loan: await this.lending.loansByNonce(this.borrower.address, this.salvorGovernanceToken.address, this.lender.address, voucher.nonce) }
+		}
+
+		const daily = await borrow()
+		expect(daily.loan.accrual).to.be.equal(ACCRUAL.DAILY)
+
+		await expect(this.lending.connect(this.lender).setAccrualMode(this.salvorGovernanceToken.address, ACCRUAL.PER_SECOND, 600)).to.be.revertedWith("Ownable: caller is not the owner")
+		await expect(this.lending.setAccrualMode(this.salvorGovernanceToken.address, 2, 600)).to.be.revertedWith("unknown accrual")
+		await expect(this.lending.setAccrualMode(this.salvorGovernanceToken.address, ACCRUAL.PER_SECOND, 600)).to.emit(this.lending, "SetAccrualMode").withArgs(this.salvorGovernanceToken.address, ACCRUAL.PER_SECOND, 600)
+
+		const perSecond = await borrow()
+		expect(perSecond.loan.accrual).to.be.equal(ACCRUAL.PER_SECOND)
+		expect(perSecond.loan.minInterestPeriod).to.be.equal(600)
+
+		const repayments = async (elapsed) => {
+			const timestamp = perSecond.loan.startedAt.add(elapsed)
+			await network.provider.send("evm_setNextBlockTimestamp", [timestamp.toNumber()])
+			await network.provider.send("evm_mine")
+			const byDay = await this.lending["calculateRepayment(address,address,address,uint256)"](this.borrower.address, this.salvorGovernanceToken.address, this.lender.address, daily.nonce)
+			const bySecond = await this.lending["calculateRepayment(address,address,address,uint256)"](this.borrower.address, this.salvorGovernanceToken.address, this.lender.address, perSecond.nonce)
+			expect(byDay).to.be.equal(quoteRepayment(daily.loan, timestamp))
+			expect(bySecond).to.be.equal(quoteRepayment(perSecond.loan, timestamp))
+			return { byDay, bySecond }
+		}
+
+		// a second in, the per second loan charges its minimum interest period and the daily loan its first day
+		const { byDay, bySecond } = await repayments(1)
+		expect(bySecond).to.be.equal(amount.add(rate.mul(600).div(3 * day)))
+		expect(byDay).to.be.equal(amount.add(rate.div(3)))
+
+		expect((await repayments(day)).bySecond).to.be.equal(amount.add(rate.div(3)))
+		await repayments(day + 1)
+		await repayments(2 * day)
+
+		// the repayment pays the quoted amount to the lender
+		await this.assetManager.connect(this.borrower)['deposit()']({ value: amount.mul(2) })
+		const lenderBalance = await this.assetManager.biddingWallets(this.lender.address)
+		await network.provider.send("evm_setNextBlockTimestamp", [perSecond.loan.startedAt.add(2 * day + 777).toNumber()])
+		await this.lending.connect(this.borrower)["repay(address,address,uint256)"](this.salvorGovernanceToken.address, this.lender.address, perSecond.nonce)
+		const { timestamp: repaidAt } = await ethers.provider.getBlock("latest")
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(lenderBalance.add(quoteRepayment(perSecond.loan, repaidAt)))
+
+		// the whole interest is due from the end of the duration on
+		await network.provider.send("evm_setNextBlockTimestamp", [daily.loan.startedAt.add(3 * day).toNumber()])
+		await network.provider.send("evm_mine")
+		expect(await this.lending["calculateRepayment(address,address,address,uint256)"](this.borrower.address, this.salvorGovernanceToken.address, this.lender.address, daily.nonce)).to.be.equal(amount.add(rate))
+		expect(quoteRepayment(perSecond.loan, perSecond.loan.startedAt.add(3 * day))).to.be.equal(amount.add(rate))
+	})
+	it("it should liquidate loans over the liquidation threshold of the price feed", async function () {
+		const day = 86400
+		const amount = ethers.utils.parseEther("1")
+		const threshold = ethers.utils.parseEther("0.8")
+		const bonus = ethers.utils.parseEther("0.05")
+		await this.lending.setBlockRange(40)
+		await this.lending.setAllowedAsset(this.salvorGovernanceToken.address, true)
+		await this.salvorGovernanceToken.connect(this.borrower).approve(this.lending.address, ethers.utils.parseEther("1000"))
+		await this.assetManager.connect(this.lender)['deposit()']({ value: amount })
+
+		// a whole token of the collateral is worth 2 of the lent currency, answered with 8 decimals
+		const aggregator = await (await ethers.getContractFactory("AggregatorDummy")).deploy(8, 2e8)
+
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lendingErc20: this.lending } })
+		const validatorSdk = new SalvorSDK({ signer: this.signers[6], contracts: { lendingErc20: this.lending } })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const { voucher, signature } = await lenderSdk.signErc20LoanOffer({ lender: this.lender.address, collateralizedAsset: this.salvorGovernanceToken.address, amount, price: amount, rate: ethers.utils.parseEther("0.03"), duration: 3 * day, startedAt })
+		const orderHash = await this.lending.hashOffer(Object.values(voucher))
+		const token = await validatorSdk.signErc20Token({ orderHash, amount, borrower: this.borrower.address })
+		await this.lending.connect(this.borrower).borrow(voucher, signature, token.voucher, token.signature)
+		const loanArgs = [this.borrower.address, this.salvorGovernanceToken.address, this.lender.address, voucher.nonce]
+		const { collateralizedAmount } = await this.lending.loansByNonce(...loanArgs)
+
+		await expect(this.lending.getHealthFactor(...loanArgs)).to.be.revertedWith("collateral has no price feed")
+		await expect(this.lending.connect(this.lender).setPriceFeed(this.salvorGovernanceToken.address, aggregator.address, threshold, bonus, 3600)).to.be.revertedWith("Ownable: caller is not the owner")
+		await expect(this.lending.setPriceFeed(this.salvorGovernanceToken.address, aggregator.address, ethers.utils.parseEther("1.1"), bonus, 3600)).to.be.revertedWith("invalid liquidation threshold")
+		await expect(this.lending.setPriceFeed(this.salvorGovernanceToken.address, aggregator.address, threshold, ethers.utils.parseEther("1.1"), 3600)).to.be.revertedWith("invalid liquidation bonus")
+		await expect(this.lending.setPriceFeed(this.salvorGovernanceToken.address, aggregator.address, threshold, bonus, 3600)).to.emit(this.lending, "SetPriceFeed").withArgs(this.salvorGovernanceToken.address, aggregator.address, threshold, bonus, 3600)
+
+		const healthFactor = async (price) => {
+			const repayment = await this.lending["calculateRepayment(address,address,address,uint256)"](...loanArgs)
+			return collateralizedAmount.mul(price).div(ethers.constants.WeiPerEther).mul(threshold).div(repayment)
+		}
+		expect(await this.lending.getCollateralPrice(this.salvorGovernanceToken.address)).to.be.equal(ethers.utils.parseEther("2"))
+		expect(await this.lending.getHealthFactor(...loanArgs)).to.be.equal(await healthFactor(ethers.utils.parseEther("2")))
+		await expect(this.lending.connect(this.externalWallet).liquidate(this.salvorGovernanceToken.address, this.borrower.address, this.lender.address, voucher.nonce)).to.be.revertedWith("loan is healthy")
+
+		// the answers older than the max delay of the feed are not accepted
+		await network.provider.send("evm_increaseTime", [3601])
+		await network.provider.send("evm_mine")
+		await expect(this.lending.getHealthFactor(...loanArgs)).to.be.revertedWith("price is stale")
+		await aggregator.setAnswer(0)
+		await expect(this.lending.getHealthFactor(...loanArgs)).to.be.revertedWith("invalid price")
+
+		// the collateral drops to 1.2, the loan to value exceeds 80%
+		await aggregator.setAnswer(1.2e8)
+		expect(await this.lending.getHealthFactor(...loanArgs)).to.be.equal(await healthFactor(ethers.utils.parseEther("1.2")))
+		expect(await this.lending.getHealthFactor(...loanArgs)).to.be.lt(ethers.constants.WeiPerEther)
+
+		// the liquidator pays the repayment to the lender and receives the collateral worth the repayment and the bonus,
+		// the rest of the collateral is returned to the borrower
+		await this.assetManager.connect(this.externalWallet)['deposit()']({ value: amount.mul(2) })
+		const loan = await this.lending.loansByNonce(...loanArgs)
+		const lenderBalance = await this.assetManager.biddingWallets(this.lender.address)
+		const borrowerBalance = await this.salvorGovernanceToken.balanceOf(this.borrower.address)
+		const tx = await this.lending.connect(this.externalWallet).liquidate(this.salvorGovernanceToken.address, this.borrower.address, this.lender.address, voucher.nonce)
+		const { timestamp: liquidatedAt } = await ethers.provider.getBlock(tx.blockNumber)
+		const repayment = quoteRepayment(loan, liquidatedAt)
+		const seized = repayment.mul(ethers.constants.WeiPerEther.add(bonus)).div(ethers.constants.WeiPerEther).mul(ethers.constants.WeiPerEther).div(ethers.utils.parseEther("1.2"))
+		expect(seized).to.be.lt(collateralizedAmount)
+		await expect(tx).to.emit(this.lending, "Liquidate").withArgs(...loanArgs, this.externalWallet.address, repayment, seized, collateralizedAmount.sub(seized))
+		expect(await this.assetManager.biddingWallets(this.lender.address)).to.be.equal(lenderBalance.add(repayment))
+		expect(await this.salvorGovernanceToken.balanceOf(this.externalWallet.address)).to.be.equal(seized)
+		expect(await this.salvorGovernanceToken.balanceOf(this.borrower.address)).to.be.equal(borrowerBalance.add(collateralizedAmount).sub(seized))
+		expect((await this.lending.loansByNonce(...loanArgs)).startedAt).to.be.equal(0)
+		await expect(this.lending.getHealthFactor(...loanArgs)).to.be.revertedWith("there is not any active loan")
+	})
+	it("it should value the collateral by its decimals", async function () {
+		const day = 86400
+		const amount = ethers.utils.parseEther("1")
+		const threshold = ethers.utils.parseEther("0.8")
+		const bonus = ethers.utils.parseEther("0.1")
+		const usdc = await (await ethers.getContractFactory("ERC20Dummy")).deploy("USD Coin", "USDC", 6)
+		await usdc.mint(this.borrower.address, 10e6)
+		await usdc.connect(this.borrower).approve(this.lending.address, 10e6)
+		await this.lending.setBlockRange(40)
+		await this.lending.setAllowedAsset(usdc.address, true)
+		await this.assetManager.connect(this.lender)['deposit()']({ value: amount })
+
+		// a whole token of the collateral is worth 1 of the lent currency, the borrower locks 2 of them
+		const aggregator = await (await ethers.getContractFactory("AggregatorDummy")).deploy(8, 1e8)
+		await this.lending.setPriceFeed(usdc.address, aggregator.address, threshold, bonus, 3600)
+
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lendingErc20: this.lending } })
+		const validatorSdk = new SalvorSDK({ signer: this.signers[6], contracts: { lendingErc20: this.lending } })
+		const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+		const price = amount.mul(ethers.constants.WeiPerEther).div(2e6)
+		const { voucher, signature } = await lenderSdk.signErc20LoanOffer({ lender: this.lender.address, collateralizedAsset: usdc.address, amount, price, rate: ethers.utils.parseEther("0.03"), duration: 3 * day, startedAt })
+		const orderHash = await this.lending.hashOffer(Object.values(voucher))
+		const token = await validatorSdk.signErc20Token({ orderHash, amount, borrower: this.borrower.address })
+		await this.lending.connect(this.borrower).borrow(voucher, signature, token.voucher, token.signature)
+		const loanArgs = [this.borrower.address, usdc.address, this.lender.address, voucher.nonce]
+		const { collateralizedAmount } = await this.lending.loansByNonce(...loanArgs)
+		expect(collateralizedAmount).to.be.equal(2e6)
+
+		// the collateral is worth 2 of the lent currency, not 2e6 wei of it
+		const healthFactor = async (collateralValue) => {
+			const repayment = await this.lending["calculateRepayment(address,address,address,uint256)"](...loanArgs)
+			return collateralValue.mul(threshold).div(repayment)
+		}
+		expect(await this.lending.getHealthFactor(...loanArgs)).to.be.equal(await healthFactor(ethers.utils.parseEther("2")))
+		expect(await this.lending.getHealthFactor(...loanArgs)).to.be.gt(ethers.constants.WeiPerEther)
+		await expect(this.lending.connect(this.externalWallet).liquidate(usdc.address, this.borrower.address, this.lender.address, voucher.nonce)).to.be.revertedWith("loan is healthy")
+
+		// the collateral drops to 0.6, the liquidator receives the collateral worth the repayment and the bonus
+		await aggregator.setAnswer(0.6e8)
+		expect(await this.lending.getHealthFactor(...loanArgs)).to.be.equal(await healthFactor(ethers.utils.parseEther("1.2")))
+		await this.assetManager.connect(this.externalWallet)['deposit()']({ value: amount.mul(2) })
+		const loan = await this.lending.loansByNonce(...loanArgs)
+		const tx = await this.lending.connect(this.externalWallet).liquidate(usdc.address, this.borrower.address, this.lender.address, voucher.nonce)
+		const { timestamp: liquidatedAt } = await ethers.provider.getBlock(tx.blockNumber)
+		const repayment = quoteRepayment(loan, liquidatedAt)
+		const seized = repayment.mul(ethers.constants.WeiPerEther.add(bonus)).div(ethers.constants.WeiPerEther).mul(1e6).div(ethers.utils.parseEther("0.6"))
+		await expect(tx).to.emit(this.lending, "Liquidate").withArgs(...loanArgs, this.externalWallet.address, repayment, seized, collateralizedAmount.sub(seized))
+		expect(await usdc.balanceOf(this.externalWallet.address)).to.be.equal(seized)
+		expect(await usdc.balanceOf(this.borrower.address)).to.be.equal(ethers.BigNumber.from(8e6).add(collateralizedAmount).sub(seized))
+	})
+	it("it should list the loans of the lenders and borrowers", async function () {
+		const day = 86400
+		const amount = ethers.utils.parseEther("1")
+		await this.lending.setBlockRange(40)
+		await this.lending.setAllowedAsset(this.salvorGovernanceToken.address, true)
+		await this.salvorGovernanceToken.connect(this.borrower).approve(this.lending.address, ethers.utils.parseEther("1000"))
+		await this.assetManager.connect(this.lender)['deposit()']({ value: amount.mul(3) })
+
+		const lenderSdk = new SalvorSDK({ signer: this.lender, contracts: { lendingErc20: this.lending } })
+		const validatorSdk = new SalvorSDK({ signer: this.signers[6], contracts: { lendingErc20: this.lending } })
+		const nonces = []
+		for (const duration of [day, 3 * day, 5 * day]) {
+			const { timestamp: startedAt } = await ethers.provider.getBlock("latest")
+			const { voucher, signature } = await lenderSdk.signErc20LoanOffer({ lender: this.lender.address, collateralizedAsset: this.salvorGovernanceToken.address, amount, price: amount, rate: ethers.utils.parseEther("0.03"), duration, startedAt })
+			const orderHash = await this.lending.hashOffer(Object.values(voucher))
+			const token = await validatorSdk.signErc20Token({ orderHash, amount, borrower: this.borrower.address })
+			await this.lending.connect(this.borrower).borrow(voucher, signature, token.voucher, token.signature)
+			nonces.push(voucher.nonce)
+		}
+
+		expect(await this.lending.getLoanCount(this.lender.address, true)).to.be.equal(3)
+		expect(await this.lending.getLoanCount(this.borrower.address, false)).to.be.equal(3)
+		expect(await this.lending.getLoanCount(this.borrower.address, true)).to.be.equal(0)
+		const lent = await this.lending.getLoansOf(this.lender.address, true, 0, 10)
+		expect(lent.map(loan => loan.key.nonce)).to.be.deep.equal(nonces)
+		expect(lent[0].key.borrower).to.be.equal(this.borrower.address)
+		expect(lent[0].key.collateralizedAsset).to.be.equal(this.salvorGovernanceToken.address)
+		expect(lent[0].loan.lentAmount).to.be.equal(amount)
+		expect(lent[0].repayment).to.be.equal(await this.lending["calculateRepayment(address,address,address,uint256)"](this.borrower.address, this.salvorGovernanceToken.address, this.lender.address, nonces[0]))
+
+		// pages
+		const page = await this.lending.getLoansOf(this.borrower.address, false, 1, 1)
+		expect(page.length).to.be.equal(1)
+		expect(page[0].key.nonce).to.be.equal(nonces[1])
+		expect((await this.lending.getLoansOf(this.borrower.address, false, 3, 10)).length).to.be.equal(0)
+
+		// the first loan defaults, the repaid and the cleared loans leave the lists
+		await network.provider.send("evm_increaseTime", [day + 1])
+		await network.provider.send("evm_mine")
+		expect((await this.lending.getLoansOf(this.lender.address, true, 0, 10)).map(loan => loan.isDefaulted)).to.be.deep.equal([true, false, false])
+		await this.assetManager.connect(this.borrower)['deposit()']({ value: amount.mul(2) })
+		await this.lending.connect(this.borrower)["repay(address,address,uint256)"](this.salvorGovernanceToken.address, this.lender.address, nonces[1])
+		await this.lending.connect(this.lender)["clearDebt(address,address,uint256)"](this.salvorGovernanceToken.address, this.borrower.address, nonces[0])
+
+		const [open] = await this.lending.getLoansOf(this.borrower.address, false, 0, 10)
+		expect(await this.lending.getLoanCount(this.borrower.address, false)).to.be.equal(1)
+		expect(await this.lending.getLoanCount(this.lender.address, true)).to.be.equal(1)
+		expect(open.key.nonce).to.be.equal(nonces[2])
+		expect(open.isDefaulted).to.be.equal(false)
+	})
 })
\ No newline at end of file
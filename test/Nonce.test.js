@@ -0,0 +1,267 @@
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { SalvorSDK, legacyNonce, nonceInvalidations, nonceRangeInvalidations } = require("../libs/sdk")
+const { deployLending } = require("../libs/deployLending")
+const { deployVeArt } = require("../libs/deployVeArt")
+
+describe("Nonces", function () {
+	before(async function () {
+		// ABIs
+		this.exchangeCF = await ethers.getContractFactory("SalvorExchangeV2")
+		this.lendingErc20CF = await ethers.getContractFactory("SalvorLendingERC20")
+		this.nftCollectibleCF = await ethers.getContractFactory("NFTCollectible")
+		this.assetManagerCF = await ethers.getContractFactory("AssetManager")
+		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.seller = this.signers[1]
+		this.buyer = this.signers[2]
+		this.validator = this.signers[4]
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
+		await this.salvorGovernanceToken.initialMint([this.seller.address], [ethers.utils.parseEther("10")])
+
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
+
+		this.assetManager = await upgrades.deployProxy(this.assetManagerCF, [])
+		await this.assetManager.deployed()
+		await this.assetManager.setVeArtAddress(this.veART.address)
+
+		this.exchange = await upgrades.deployProxy(this.exchangeCF, [])
+		await this.exchange.deployed()
+		await this.exchange.setAssetManager(this.assetManager.address)
+		await this.exchange.setValidator(this.validator.address)
+		await this.exchange.setBlockRange(40)
+
+		this.lending = await deployLending({ ethers, upgrades })
+		await this.lending.setAssetManager(this.assetManager.address)
+		await this.lending.setValidator(this.validator.address)
+		await this.lending.setBlockRange(40)
+
+		this.lendingErc20 = await upgrades.deployProxy(this.lendingErc20CF, [])
+		await this.lendingErc20.deployed()
+		await this.lendingErc20.setAssetManager(this.assetManager.address)
+		await this.lendingErc20.setValidator(this.validator.address)
+		await this.lendingErc20.setBlockRange(40)
+		await this.lendingErc20.setAllowedAsset(this.salvorGovernanceToken.address, true)
+
+		await this.assetManager.addPlatform(this.exchange.address)
+		await this.assetManager.addPlatform(this.lending.address)
+		await this.assetManager.addPlatform(this.lendingErc20.address)
+
+		this.nftCollectible = await this.nftCollectibleCF.connect(this.seller).deploy("Salvor", "SLV", [])
+		await this.nftCollectible.deployed()
+		for (let i = 0; i < 6; i++) {
+			await this.nftCollectible.mint("", []) // tokenId: i + 1
+		}
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: ethers.utils.parseEther("10") })
+
+		const contracts = { exchange: this.exchange.address, lending: this.lending.address, lendingErc20: this.lendingErc20.address }
+		this.sellerSdk = new SalvorSDK({ signer: this.seller, contracts })
+		this.buyerSdk = new SalvorSDK({ signer: this.buyer, contracts })
+		this.validatorSdk = new SalvorSDK({ signer: this.validator, contracts })
+
+		this.startedAt = (await ethers.provider.getBlock("latest")).timestamp
+	})
+
+	it("it should cancel a range of orders in a single transaction", async function () {
+		// 254..257 spans two words of the bitmap
+		const { voucher, signature } = await this.sellerSdk.signBatchOrder({
+			seller: this.seller.address,
+			orders: [254, 255, 256, 257, 258].map((nonce, index) => ({ nftContractAddress: this.nftCollectible.address, tokenId: index + 1, nonce, price: ethers.utils.parseEther("1"), startedAt: this.startedAt }))
+		})
+
+		const invalidations = nonceRangeInvalidations(254, 257)
+		expect(invalidations).to.be.deep.equal([
+			{ wordPos: "0", mask: ethers.BigNumber.from(3).shl(254).toString() },
+			{ wordPos: "1", mask: "3" }
+		])
+		expect(() => nonceRangeInvalidations(2, 1)).to.throw("nonce range is empty")
+
+		const tx = await this.exchange.connect(this.seller).invalidateNonces(invalidations[0].wordPos, invalidations[0].mask)
+		const receipt = await tx.wait()
+		expect(receipt.events.filter(event => event.event === "CancelNonces").length).to.be.equal(1)
+		await this.exchange.connect(this.seller).invalidateNonces(invalidations[1].wordPos, invalidations[1].mask)
+
+		for (const position of [0, 1, 2, 3]) {
+			expect(await this.exchange.isNonceUsed(this.seller.address, voucher.orders[position].nonce)).to.be.equal(true)
+			await expect(this.exchange.connect(this.buyer).batchBuy([voucher], [signature], [position])).to.be.revertedWith("order has already redeemed or cancelled")
+		}
+		expect(await this.exchange.isNonceUsed(this.seller.address, 258)).to.be.equal(false)
+		await this.exchange.connect(this.buyer).batchBuy([voucher], [signature], [4])
+		expect(await this.nftCollectible.ownerOf(5)).to.be.equal(this.buyer.address)
+		expect(await this.exchange.isNonceUsed(this.seller.address, 258)).to.be.equal(true)
+	})
+
+	it("it should honor legacy orders and offers until the cutoff", async function () {
+		const listing = await this.sellerSdk.signLegacyBatchOrder({
+			seller: this.seller.address,
+			orders: [1, 2, 3].map(tokenId => ({ nftContractAddress: this.nftCollectible.address, tokenId, price: ethers.utils.parseEther("1"), startedAt: this.startedAt }))
+		})
+		const offer = await this.buyerSdk.signLegacyOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: ethers.utils.parseEther("1"), isCollectionOffer: true, size: 2, startedAt: this.startedAt })
+		const signToken = tokenId => this.validatorSdk.signExchangeToken({ tokenId, nonce: legacyNonce(offer.voucher.salt), sender: this.seller.address, nftContractAddress: this.nftCollectible.address })
+
+		// the cutoff is not set until the owner migrates
+		await expect(this.exchange.connect(this.buyer).batchBuyLegacy([listing.voucher], [listing.signature], [0])).to.be.revertedWith("legacy orders are no longer accepted")
+		await expect(this.exchange.connect(this.seller).setLegacyCutoff(this.startedAt + 3600)).to.be.revertedWith("Ownable: caller is not the owner")
+		await this.exchange.setLegacyCutoff(this.startedAt + 3600)
+		expect(await this.exchange.legacyCutoff()).to.be.equal(this.startedAt + 3600)
+
+		await this.exchange.connect(this.buyer).batchBuyLegacy([listing.voucher], [listing.signature], [0])
+		expect(await this.nftCollectible.ownerOf(1)).to.be.equal(this.buyer.address)
+		await expect(this.exchange.connect(this.buyer).batchBuyLegacy([listing.voucher], [listing.signature], [0])).to.be.revertedWith("order has already redeemed or cancelled")
+
+		// legacy orders are cancelled through the nonce derived from their salt
+		const [cancelled] = nonceInvalidations([legacyNonce(listing.voucher.orders[1].salt)])
+		await this.exchange.connect(this.seller).invalidateNonces(cancelled.wordPos, cancelled.mask)
+		await expect(this.exchange.connect(this.buyer).batchBuyLegacy([listing.voucher], [listing.signature], [1])).to.be.revertedWith("order has already redeemed or cancelled")
+
+		let token = await signToken(4)
+		await this.exchange.connect(this.seller).acceptOfferBatchLegacy([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+		expect(await this.nftCollectible.ownerOf(4)).to.be.equal(this.buyer.address)
+
+		await network.provider.send("evm_increaseTime", [3600])
+		await network.provider.send("evm_mine")
+
+		await expect(this.exchange.connect(this.buyer).batchBuyLegacy([listing.voucher], [listing.signature], [2])).to.be.revertedWith("legacy orders are no longer accepted")
+		await expect(this.exchange.connect(this.buyer).batchBuyETHLegacy([listing.voucher], [listing.signature], [2], { value: ethers.utils.parseEther("1") })).to.be.revertedWith("legacy orders are no longer accepted")
+		token = await signToken(5)
+		await expect(this.exchange.connect(this.seller).acceptOfferBatchLegacy([offer.voucher], [offer.signature], [token.voucher], [token.signature])).to.be.revertedWith("legacy orders are no longer accepted")
+	})
+
+	it("it should cancel legacy orders and loan offers by their signed struct until the cutoff", async function () {
+		const listing = await this.sellerSdk.signLegacyBatchOrder({
+			seller: this.seller.address,
+			orders: [1, 2].map(tokenId => ({ nftContractAddress: this.nftCollectible.address, tokenId, price: ethers.utils.parseEther("1"), startedAt: this.startedAt }))
+		})
+		const loanOffer = await this.buyerSdk.signLegacyErc20LoanOffer({
+			lender: this.buyer.address,
+			collateralizedAsset: this.salvorGovernanceToken.address,
+			amount: ethers.utils.parseEther("1"),
+			price: ethers.utils.parseEther("0.1"),
+			rate: ethers.utils.parseEther("0.01"),
+			startedAt: this.startedAt
+		})
+		await expect(this.exchange.connect(this.seller).batchCancelOrder([listing.voucher], [listing.signature], [0])).to.be.revertedWith("legacy orders are no longer accepted")
+		await expect(this.lendingErc20.connect(this.buyer).cancelOffer(loanOffer.voucher, loanOffer.signature)).to.be.revertedWith("legacy orders are no longer accepted")
+		await this.exchange.setLegacyCutoff(this.startedAt + 3600)
+		await this.lendingErc20.setLegacyCutoff(this.startedAt + 3600)
+
+		await expect(this.exchange.connect(this.buyer).batchCancelOrder([listing.voucher], [listing.signature], [0])).to.be.revertedWith("only signer")
+		await expect(this.exchange.connect(this.seller).batchCancelOrder([listing.voucher], [listing.signature], [0]))
+			.to.emit(this.exchange, "CancelOrder").withArgs(this.nftCollectible.address, 1, listing.voucher.orders[0].salt)
+		await expect(this.exchange.connect(this.seller).batchCancelOrder([listing.voucher], [listing.signature], [0])).to.be.revertedWith("order has already redeemed or cancelled")
+		await expect(this.exchange.connect(this.buyer).batchBuyLegacy([listing.voucher], [listing.signature], [0])).to.be.revertedWith("order has already redeemed or cancelled")
+		await this.exchange.connect(this.buyer).batchBuyLegacy([listing.voucher], [listing.signature], [1])
+		expect(await this.nftCollectible.ownerOf(2)).to.be.equal(this.buyer.address)
+
+		await expect(this.lendingErc20.connect(this.seller).cancelOffer(loanOffer.voucher, loanOffer.signature)).to.be.revertedWith("msg.sender is not authorized")
+		await expect(this.lendingErc20.connect(this.buyer).cancelOffer(loanOffer.voucher, loanOffer.signature))
+			.to.emit(this.lendingErc20, "Cancel").withArgs(this.salvorGovernanceToken.address, this.buyer.address, loanOffer.voucher.salt)
+		const orderHash = await this.lendingErc20.hashLegacyOffer(loanOffer.voucher)
+		const token = await this.validatorSdk.signErc20Token({ orderHash, amount: ethers.utils.parseEther("1"), borrower: this.seller.address })
+		await this.salvorGovernanceToken.connect(this.seller).approve(this.lendingErc20.address, ethers.utils.parseEther("10"))
+		await expect(this.lendingErc20.connect(this.seller).borrowLegacy(loanOffer.voucher, loanOffer.signature, token.voucher, token.signature)).to.be.revertedWith("offer has been cancelled")
+		// the loans taken before the upgrade are still read by their salt
+		expect(await this.lendingErc20["calculateRepayment(address,address,address,string)"](this.seller.address, this.salvorGovernanceToken.address, this.buyer.address, loanOffer.voucher.salt)).to.be.equal(0)
+	})
+
+	it("it should cancel a legacy offer through its salt nonce", async function () {
+		await this.exchange.setLegacyCutoff(this.startedAt + 3600)
+		const offer = await this.buyerSdk.signLegacyOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: ethers.utils.parseEther("1"), tokenId: 1, startedAt: this.startedAt })
+		const nonce = legacyNonce(offer.voucher.salt)
+		const [{ wordPos, mask }] = nonceInvalidations([nonce])
+		await this.exchange.connect(this.buyer).invalidateNonces(wordPos, mask)
+		expect(await this.exchange.isNonceUsed(this.buyer.address, nonce)).to.be.equal(true)
+
+		const token = await this.validatorSdk.signExchangeToken({ tokenId: 1, nonce, sender: this.seller.address, nftContractAddress: this.nftCollectible.address })
+		await expect(this.exchange.connect(this.seller).acceptOfferBatchLegacy([offer.voucher], [offer.signature], [token.voucher], [token.signature])).to.be.revertedWith("offer is cancelled")
+	})
+
+	it("it should honor legacy loan offers until the cutoff", async function () {
+		await this.lending.setPool(this.nftCollectible.address, 604800, "18493807888372071", true)
+		const offer = await this.buyerSdk.signLegacyLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.buyer.address, amount: ethers.utils.parseEther("1"), size: 2, startedAt: this.startedAt })
+		const signToken = tokenId => this.validatorSdk.signLendingToken({ tokenId, nonce: legacyNonce(offer.voucher.salt), owner: this.seller.address, nftContractAddress: this.nftCollectible.address, lender: this.buyer.address })
+
+		let token = await signToken(1)
+		await expect(this.lending.connect(this.seller).batchBorrowLegacy([offer.voucher], [offer.signature], [token.voucher], [token.signature])).to.be.revertedWith("legacy orders are no longer accepted")
+		await this.lending.setLegacyCutoff(this.startedAt + 3600)
+
+		const tx = await this.lending.connect(this.seller).batchBorrowLegacy([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+		const receipt = await tx.wait()
+		const borrow = receipt.events.find(event => event.event === "Borrow")
+		expect(borrow.args.nonce.toString()).to.be.equal(legacyNonce(offer.voucher.salt))
+		expect((await this.lending.items(this.nftCollectible.address, 1)).lender).to.be.equal(this.buyer.address)
+
+		// a legacy offer signed with the new token format is not a new offer
+		const token2 = await this.validatorSdk.signLendingToken({ tokenId: 2, nonce: 1, owner: this.seller.address, nftContractAddress: this.nftCollectible.address, lender: this.buyer.address })
+		await expect(this.lending.connect(this.seller).batchBorrowLegacy([offer.voucher], [offer.signature], [token2.voucher], [token2.signature])).to.be.revertedWith("nonce does not match")
+
+		await network.provider.send("evm_increaseTime", [3600])
+		await network.provider.send("evm_mine")
+
+		token = await signToken(2)
+		await expect(this.lending.connect(this.seller).batchBorrowLegacy([offer.voucher], [offer.signature], [token.voucher], [token.signature])).to.be.revertedWith("legacy orders are no longer accepted")
+
+		// the same terms signed with a nonce keep working
+		const current = await this.buyerSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.buyer.address, amount: ethers.utils.parseEther("1"), startedAt: this.startedAt })
+		token = await this.validatorSdk.signLendingToken({ tokenId: 2, nonce: current.voucher.nonce, owner: this.seller.address, nftContractAddress: this.nftCollectible.address, lender: this.buyer.address })
+		await this.lending.connect(this.seller).batchBorrow([current.voucher], [current.signature], [token.voucher], [token.signature])
+		expect((await this.lending.items(this.nftCollectible.address, 2)).lender).to.be.equal(this.buyer.address)
+	})
+
+	it("it should honor legacy erc20 loan offers until the cutoff", async function () {
+		const offer = await this.buyerSdk.signLegacyErc20LoanOffer({
+			lender: this.buyer.address,
+			collateralizedAsset: this.salvorGovernanceToken.address,
+			amount: ethers.utils.parseEther("1"),
+			price: ethers.utils.parseEther("0.1"),
+			rate: ethers.utils.parseEther("0.01"),
+			startedAt: this.startedAt
+		})
+		const orderHash = await this.lendingErc20.hashLegacyOffer(offer.voucher)
+		const token = await this.validatorSdk.signErc20Token({ orderHash, amount: ethers.utils.parseEther("1"), borrower: this.seller.address })
+		await this.salvorGovernanceToken.connect(this.seller).approve(this.lendingErc20.address, ethers.utils.parseEther("10"))
+
+		await expect(this.lendingErc20.connect(this.seller).borrowLegacy(offer.voucher, offer.signature, token.voucher, token.signature)).to.be.revertedWith("legacy orders are no longer accepted")
+		await this.lendingErc20.setLegacyCutoff(this.startedAt + 3600)
+		await this.lendingErc20.connect(this.seller).borrowLegacy(offer.voucher, offer.signature, token.voucher, token.signature)
+
+		// loans opened from legacy offers are kept by the nonce derived from the salt
+		const nonce = legacyNonce(offer.voucher.salt)
+		expect(await this.lendingErc20["calculateRepayment(address,address,address,uint256)"](this.seller.address, this.salvorGovernanceToken.address, this.buyer.address, nonce)).to.be.gt(0)
+		await expect(this.lendingErc20.connect(this.seller)["repay(address,address,string)"](this.salvorGovernanceToken.address, this.buyer.address, offer.voucher.salt)).to.be.revertedWith("there is not any active loan")
+
+		await network.provider.send("evm_increaseTime", [3600])
+		await network.provider.send("evm_mine")
+		await expect(this.lendingErc20.connect(this.seller).borrowLegacy(offer.voucher, offer.signature, token.voucher, token.signature)).to.be.revertedWith("legacy orders are no longer accepted")
+
+		// repaying is never cut off
+		await this.assetManager.connect(this.seller)["deposit()"]({ value: ethers.utils.parseEther("2") })
+		const tx = await this.lendingErc20.connect(this.seller)["repay(address,address,uint256)"](this.salvorGovernanceToken.address, this.buyer.address, nonce)
+		const receipt = await tx.wait()
+		const repay = receipt.events.find(event => event.event === "Repay")
+		expect(repay.args.nonce.toString()).to.be.equal(nonce)
+		expect(await this.salvorGovernanceToken.balanceOf(this.seller.address)).to.be.equal(ethers.utils.parseEther("10"))
+	})
+})
@@ -0,0 +1,243 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { SalvorSDK, TOKEN_STANDARDS, hashBatchOrder, nonceInvalidations } = require("../libs/sdk")
+const { OrderBook, JsonFileStore, STATUS } = require("../services/orderbook")
+const { deployVeArt } = require("../libs/deployVeArt")
+
+describe("Order book", function () {
+	before(async function () {
+		// ABIs
+		this.exchangeCF = await ethers.getContractFactory("SalvorExchangeV2")
+		this.nftCollectibleCF = await ethers.getContractFactory("NFTCollectible")
+		this.assetManagerCF = await ethers.getContractFactory("AssetManager")
+		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.seller = this.signers[1]
+		this.buyer = this.signers[2]
+		this.validator = this.signers[4]
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
+
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
+
+		this.assetManager = await upgrades.deployProxy(this.assetManagerCF, [])
+		await this.assetManager.deployed()
+		await this.assetManager.setVeArtAddress(this.veART.address)
+
+		this.exchange = await upgrades.deployProxy(this.exchangeCF, [])
+		await this.exchange.deployed()
+		await this.exchange.setAssetManager(this.assetManager.address)
+		await this.exchange.setValidator(this.validator.address)
+		await this.exchange.setBlockRange(40)
+
+		await this.assetManager.addPlatform(this.exchange.address)
+
+		this.nftCollectible = await this.nftCollectibleCF.connect(this.seller).deploy("Salvor", "SLV", [])
+		await this.nftCollectible.deployed()
+		await this.nftCollectible.mint("", []) // tokenId: 1
+		await this.nftCollectible.mint("", []) // tokenId: 2
+		await this.nftCollectible.mint("", []) // tokenId: 3
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: ethers.utils.parseEther("10") })
+
+		const contracts = { exchange: this.exchange.address }
+		this.sellerSdk = new SalvorSDK({ signer: this.seller, contracts })
+		this.buyerSdk = new SalvorSDK({ signer: this.buyer, contracts })
+		this.validatorSdk = new SalvorSDK({ signer: this.validator, contracts })
+
+		this.startedAt = (await ethers.provider.getBlock("latest")).timestamp
+		this.listing = await this.sellerSdk.signBatchOrder({
+			seller: this.seller.address,
+			orders: [1, 2, 3].map(tokenId => ({ nftContractAddress: this.nftCollectible.address, tokenId, price: ethers.utils.parseEther("1"), startedAt: this.startedAt }))
+		})
+		this.book = new OrderBook({ provider: ethers.provider, exchange: this.exchange.address })
+		await this.book.sync()
+	})
+
+	it("it should index signed orders and offers", async function () {
+		const ids = await this.book.addBatchOrder(this.listing.voucher, this.listing.signature)
+		expect(ids.length).to.be.equal(3)
+		expect(this.book.getOrders({ collection: this.nftCollectible.address }).length).to.be.equal(3)
+		expect(this.book.getOrders({ collection: this.nftCollectible.address, tokenId: 2 }).map(order => order.id)).to.be.deep.equal([ids[1]])
+		expect(this.book.getOrders({ seller: this.seller.address }).length).to.be.equal(3)
+		expect(this.book.getOrders({ seller: this.buyer.address }).length).to.be.equal(0)
+
+		const offer = await this.buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: ethers.utils.parseEther("1"), isCollectionOffer: true, size: 2, startedAt: this.startedAt })
+		await this.book.addOffer(offer.voucher, offer.signature)
+		expect(this.book.getOffers({ collection: this.nftCollectible.address }).length).to.be.equal(1)
+		expect(this.book.getOffers({ buyer: this.buyer.address })[0].size).to.be.equal("2")
+		const stored = this.book.getOrders({ collection: this.nftCollectible.address, tokenId: 1 })[0]
+		expect(hashBatchOrder(stored.batchOrder)).to.be.equal(hashBatchOrder(this.listing.voucher))
+		expect(await this.exchange._validate(stored.batchOrder, stored.signature)).to.be.equal(this.seller.address)
+
+		await expect(this.book.addBatchOrder({ ...this.listing.voucher, seller: this.buyer.address }, this.listing.signature)).to.be.rejectedWith("seller does not match")
+		await expect(this.book.addOffer({ ...offer.voucher, bid: 5 }, offer.signature)).to.be.rejectedWith("buyer does not match")
+	})
+
+	it("it should follow redeemed and cancelled orders", async function () {
+		const ids = await this.book.addBatchOrder(this.listing.voucher, this.listing.signature)
+
+		await this.exchange.connect(this.buyer).batchBuy([this.listing.voucher], [this.listing.signature], [0])
+		const [{ wordPos, mask }] = nonceInvalidations([this.listing.voucher.orders[1].nonce])
+		await this.exchange.connect(this.seller).invalidateNonces(wordPos, mask)
+		await this.book.sync()
+
+		expect(this.book.get(ids[0]).status).to.be.equal(STATUS.FILLED)
+		expect(this.book.get(ids[1]).status).to.be.equal(STATUS.CANCELLED)
+		expect(this.book.getOrders({ seller: this.seller.address }).map(order => order.id)).to.be.deep.equal([ids[2]])
+
+		await this.exchange.connect(this.seller).cancelAllOrders(this.nftCollectible.address)
+		await this.book.sync()
+		expect(this.book.get(ids[2]).status).to.be.equal(STATUS.CANCELLED)
+		expect(this.book.getOrders({ seller: this.seller.address }).length).to.be.equal(0)
+		expect(this.book.getOrders({ seller: this.seller.address, status: null }).length).to.be.equal(3)
+	})
+
+	it("it should keep ERC1155 listings live until they are sold out", async function () {
+		const erc1155 = await (await ethers.getContractFactory("ERC1155Dummy")).connect(this.seller).deploy("")
+		await erc1155.mint(1, 5)
+		await erc1155.setApprovalForAll(this.assetManager.address, true)
+		const listing = await this.sellerSdk.signBatchOrder({
+			seller: this.seller.address,
+			orders: [{ nftContractAddress: erc1155.address, tokenId: 1, tokenStandard: TOKEN_STANDARDS.ERC1155, amount: 5, price: ethers.utils.parseEther("0.1"), startedAt: this.startedAt }]
+		})
+		const [id] = await this.book.addBatchOrder(listing.voucher, listing.signature)
+
+		await this.exchange.connect(this.buyer).batchBuyPartial([listing.voucher], [listing.signature], [0], [2])
+		await this.book.sync()
+		expect(this.book.get(id).filled).to.be.equal(2)
+		expect(this.book.get(id).status).to.be.equal(STATUS.LIVE)
+
+		// refresh reads the sold quantity back from the exchange
+		this.book.get(id).filled = 0
+		await this.book.refresh()
+		expect(this.book.get(id).filled).to.be.equal(2)
+
+		await this.exchange.connect(this.buyer).batchBuy([listing.voucher], [listing.signature], [0])
+		await this.book.sync()
+		expect(this.book.get(id).filled).to.be.equal(5)
+		expect(this.book.get(id).status).to.be.equal(STATUS.FILLED)
+	})
+
+	it("it should follow accepted and cancelled offers", async function () {
+		const offer = await this.buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: ethers.utils.parseEther("1"), isCollectionOffer: true, size: 2, startedAt: this.startedAt })
+		const id = await this.book.addOffer(offer.voucher, offer.signature)
+		const other = await this.buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: ethers.utils.parseEther("1"), tokenId: 3, startedAt: this.startedAt })
+		const otherId = await this.book.addOffer(other.voucher, other.signature)
+
+		for (const tokenId of [1, 2]) {
+			const token = await this.validatorSdk.signExchangeToken({ tokenId, nonce: offer.voucher.nonce, sender: this.seller.address, nftContractAddress: this.nftCollectible.address })
+			await this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+			await this.book.sync()
+		}
+		expect(this.book.get(id).filled).to.be.equal(2)
+		expect(this.book.get(id).status).to.be.equal(STATUS.FILLED)
+		expect(this.book.get(otherId).status).to.be.equal(STATUS.LIVE)
+
+		await network.provider.send("evm_increaseTime", [10])
+		await this.exchange.connect(this.buyer).cancelAllOffers()
+		await this.book.sync()
+		expect(this.book.get(otherId).status).to.be.equal(STATUS.CANCELLED)
+	})
+
+	it("it should report the outstanding commitments of a buyer", async function () {
+		const bid = ethers.utils.parseEther("4")
+		const offer = await this.buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid, isCollectionOffer: true, size: 2, startedAt: this.startedAt })
+		const autoOffer = await this.buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid, tokenId: 3, autoInvalidate: true, startedAt: this.startedAt })
+		await this.book.addOffer(offer.voucher, offer.signature)
+		const autoId = await this.book.addOffer(autoOffer.voucher, autoOffer.signature)
+
+		let [commitment] = await this.book.getCommitments(this.buyer.address)
+		expect(commitment.currency).to.be.equal(ethers.constants.AddressZero)
+		expect(commitment.outstanding).to.be.equal(ethers.utils.parseEther("12").toString())
+		expect(commitment.balance).to.be.equal(ethers.utils.parseEther("10").toString())
+		expect(commitment.covered).to.be.equal(false)
+		expect(commitment.unfunded).to.be.deep.equal([])
+
+		const token = await this.validatorSdk.signExchangeToken({ tokenId: 1, nonce: offer.voucher.nonce, sender: this.seller.address, nftContractAddress: this.nftCollectible.address })
+		await this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+		await this.book.sync();
+		[commitment] = await this.book.getCommitments(this.buyer.address)
+		expect(commitment.outstanding).to.be.equal(ethers.utils.parseEther("8").toString())
+		expect(commitment.balance).to.be.equal(ethers.utils.parseEther("6").toString())
+		expect(commitment.unfunded).to.be.deep.equal([])
+
+		await this.assetManager.connect(this.buyer).withdraw(ethers.utils.parseEther("3"));
+		[commitment] = await this.book.getCommitments(this.buyer.address)
+		expect(commitment.unfunded).to.be.deep.equal([autoId])
+
+		await this.exchange.invalidateUnfundedOffers([autoOffer.voucher], [autoOffer.signature])
+		await this.book.sync()
+		expect(this.book.get(autoId).status).to.be.equal(STATUS.CANCELLED);
+		[commitment] = await this.book.getCommitments(this.buyer.address)
+		expect(commitment.outstanding).to.be.equal(bid.toString())
+		expect(commitment.covered).to.be.equal(false)
+	})
+
+	it("it should expire orders and persist the book", async function () {
+		const file = path.join(os.tmpdir(), `salvor-orderbook-${Date.now()}.json`)
+		try {
+			const book = new OrderBook({ provider: ethers.provider, exchange: this.exchange.address, store: new JsonFileStore({ path: file }) })
+			const shortListing = await this.sellerSdk.signBatchOrder({
+				seller: this.seller.address,
+				orders: [{ nftContractAddress: this.nftCollectible.address, tokenId: 1, price: 1, startedAt: this.startedAt, duration: 3600 }]
+			})
+			const [id] = await book.addBatchOrder(shortListing.voucher, shortListing.signature)
+			const ids = await book.addBatchOrder(this.listing.voucher, this.listing.signature)
+			await this.exchange.connect(this.buyer).batchBuy([this.listing.voucher], [this.listing.signature], [1])
+
+			await network.provider.send("evm_increaseTime", [3600])
+			await network.provider.send("evm_mine")
+			await book.sync()
+			expect(book.get(id).status).to.be.equal(STATUS.EXPIRED)
+
+			const restored = new OrderBook({ provider: ethers.provider, exchange: this.exchange.address, store: new JsonFileStore({ path: file }) })
+			await restored.load()
+			expect(restored.cursor).to.be.equal(book.cursor)
+			expect(restored.get(ids[1]).status).to.be.equal(STATUS.FILLED)
+			expect(restored.getOrders({ collection: this.nftCollectible.address }).map(order => order.id)).to.be.deep.equal([ids[0], ids[2]])
+		} finally {
+			fs.rmSync(file, { force: true })
+		}
+	})
+
+	it("it should reconcile with the contract state", async function () {
+		const ids = await this.book.addBatchOrder(this.listing.voucher, this.listing.signature)
+		const offer = await this.buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: ethers.utils.parseEther("1"), tokenId: 3, startedAt: this.startedAt })
+		const offerId = await this.book.addOffer(offer.voucher, offer.signature)
+
+		await this.exchange.connect(this.buyer).batchBuy([this.listing.voucher], [this.listing.signature], [0])
+		const token = await this.validatorSdk.signExchangeToken({ tokenId: 3, nonce: offer.voucher.nonce, sender: this.seller.address, nftContractAddress: this.nftCollectible.address })
+		await this.exchange.connect(this.seller).acceptOfferBatch([offer.voucher], [offer.signature], [token.voucher], [token.signature])
+
+		// the events are not replayed, the state has to be read back
+		await this.book.refresh()
+		expect(this.book.get(ids[0]).status).to.be.equal(STATUS.FILLED)
+		expect(this.book.get(ids[1]).status).to.be.equal(STATUS.LIVE)
+		expect(this.book.get(offerId).status).to.be.equal(STATUS.FILLED)
+		expect(this.book.get(offerId).filled).to.be.equal(1)
+	})
+})
@@ -0,0 +1,161 @@
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { SalvorSDK, EXCHANGE_TYPES, TokenTree, buildOffer, buildBatchOrder, findCheapestOffer } = require("../libs/sdk")
+const { deployLending } = require("../libs/deployLending")
+
+describe("SDK", function () {
+	before(async function () {
+		// ABIs
+		this.exchangeCF = await ethers.getContractFactory("SalvorExchangeV2")
+		this.lendingErc20CF = await ethers.getContractFactory("SalvorLendingERC20")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.seller = this.signers[1]
+		this.buyer = this.signers[2]
+		this.validator = this.signers[4]
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.exchange = await upgrades.deployProxy(this.exchangeCF, [])
+		await this.exchange.deployed()
+
+		this.lending = await deployLending({ ethers, upgrades })
+
+		this.lendingErc20 = await upgrades.deployProxy(this.lendingErc20CF, [])
+		await this.lendingErc20.deployed()
+
+		this.contracts = {
+			exchange: this.exchange.address,
+			lending: this.lending.address,
+			lendingErc20: this.lendingErc20.address
+		}
+		this.nftContractAddress = this.signers[5].address
+	})
+
+	it("it should sign batch orders and offers the exchange can recover", async function () {
+		const sdk = new SalvorSDK({ signer: this.seller, contracts: this.contracts })
+		const { voucher, signature } = await sdk.signBatchOrder({
+			seller: this.seller.address,
+			orders: [
+				{ nftContractAddress: this.nftContractAddress, tokenId: 1, price: ethers.utils.parseEther("1") },
+				{ nftContractAddress: this.nftContractAddress, tokenId: 2, price: ethers.utils.parseEther("2") }
+			]
+		})
+		expect(await this.exchange._validate(voucher, signature)).to.be.equal(this.seller.address)
+
+		const buyerSdk = new SalvorSDK({ signer: this.buyer, contracts: this.contracts })
+		const offer = await buyerSdk.signOffer({ nftContractAddress: this.nftContractAddress, buyer: this.buyer.address, bid: ethers.utils.parseEther("1"), isCollectionOffer: true })
+		expect(await this.exchange._validateOffer(offer.voucher, offer.signature)).to.be.equal(this.buyer.address)
+	})
+
+	it("it should sign loan offers for both lending contracts", async function () {
+		const sdk = new SalvorSDK({ signer: this.buyer, contracts: this.contracts })
+		const loanOffer = await sdk.signLoanOffer({ nftContractAddress: this.nftContractAddress, lender: this.buyer.address, amount: ethers.utils.parseEther("1") })
+		expect(await this.lending._validate(loanOffer.voucher, loanOffer.signature)).to.be.equal(this.buyer.address)
+
+		const erc20LoanOffer = await sdk.signErc20LoanOffer({
+			lender: this.buyer.address,
+			collateralizedAsset: this.nftContractAddress,
+			amount: ethers.utils.parseEther("1"),
+			price: ethers.utils.parseEther("2"),
+			rate: 1000
+		})
+		expect(await this.lendingErc20._validate(erc20LoanOffer.voucher, erc20LoanOffer.signature)).to.be.equal(this.buyer.address)
+	})
+
+	it("it should sign validator tokens at the latest block", async function () {
+		const sdk = new SalvorSDK({ signer: this.validator, contracts: this.contracts })
+		const blockNumber = await ethers.provider.getBlockNumber()
+
+		const exchangeToken = await sdk.signExchangeToken({ tokenId: 1, nonce: 1, sender: this.buyer.address, nftContractAddress: this.nftContractAddress })
+		expect(exchangeToken.voucher.blockNumber).to.be.equal(blockNumber)
+		const exchangeDomain = await sdk.domains.resolve("exchange")
+		expect(ethers.utils.verifyTypedData(exchangeDomain, EXCHANGE_TYPES.Token, exchangeToken.voucher, exchangeToken.signature)).to.be.equal(this.validator.address)
+
+		const lendingToken = await sdk.signLendingToken({ tokenId: 1, nonce: 1, owner: this.buyer.address, nftContractAddress: this.nftContractAddress, lender: this.seller.address, blockNumber: 10 })
+		expect(lendingToken.voucher.blockNumber).to.be.equal(10)
+		expect(lendingToken.voucher.traits).to.be.equal("allItems")
+	})
+
+	it("it should sign offline when the chain id is given", async function () {
+		const wallet = ethers.Wallet.createRandom()
+		const sdk = new SalvorSDK({ signer: wallet, chainId: 1337, contracts: this.contracts })
+		const { voucher, signature } = await sdk.signOffer({ nftContractAddress: this.nftContractAddress, buyer: wallet.address, bid: 1 })
+		expect(await this.exchange._validateOffer(voucher, signature)).to.be.equal(wallet.address)
+
+		await expect(sdk.signExchangeToken({ tokenId: 1, nonce: 1, sender: wallet.address, nftContractAddress: this.nftContractAddress })).to.be.rejectedWith("a provider is required to read the latest block number")
+		await expect(new SalvorSDK({ signer: wallet, contracts: this.contracts }).signOffer({ nftContractAddress: this.nftContractAddress, buyer: wallet.address, bid: 1 }))
+			.to.be.rejectedWith("a provider or a chainId is required to resolve the signing domain")
+	})
+
+	it("it should build token trees from metadata", async function () {
+		const metadata = {
+			1: ["Background:Blue", "Eyes:Laser"],
+			2: { attributes: [{ trait_type: "Background", value: "Blue" }] },
+			3: { attributes: [{ trait_type: "Background", value: "Red" }, { trait_type: "Eyes", value: "Laser" }] },
+			4: {}
+		}
+		expect(TokenTree.fromMetadata(metadata, "Background:Blue").tokenIds).to.be.deep.equal(["1", "2"])
+		expect(TokenTree.fromMetadata(metadata, ["Background:Blue", "Eyes:Laser"]).tokenIds).to.be.deep.equal(["1"])
+		expect(TokenTree.fromMetadata(metadata).tokenIds).to.be.deep.equal(["1", "2", "3", "4"])
+		expect(() => TokenTree.fromMetadata(metadata, "Background:Green")).to.throw("a token tree needs at least one tokenId")
+
+		const tree = TokenTree.fromMetadata(metadata, "Eyes:Laser")
+		expect(tree.has(3)).to.be.equal(true)
+		expect(tree.has(2)).to.be.equal(false)
+		expect(TokenTree.verify(tree.root, 3, tree.getProof(3))).to.be.equal(true)
+		expect(TokenTree.verify(tree.root, 2, tree.getProof(3))).to.be.equal(false)
+		expect(() => tree.getProof(2)).to.throw("token 2 is not in the tree")
+		// the root only depends on the set of tokenIds
+		expect(new TokenTree([3, 1, 3]).root).to.be.equal(tree.root)
+		expect(new TokenTree([1]).getProof(1)).to.be.deep.equal([])
+	})
+
+	it("it should find the cheapest loan offer by its rate whatever its amount", async function () {
+		const day = 86400
+		const parse = ethers.utils.parseEther
+		const offer = (signature, amount, rate, loanDuration) => ({
+			signature,
+			voucher: { amount: parse(amount), rate: parse(rate), loanDuration, startedAt: 1000, duration: day, tokenRoot: ethers.constants.HashZero, traits: "allItems" }
+		})
+		const offers = [
+			offer("small", "1", "0.05", 7 * day), // 0.05 of interest on its amount, the least
+			offer("large", "10", "0.03", 7 * day), // 0.3 of interest on its amount, but the lowest rate
+			offer("long", "2", "0.05", 14 * day) // the lowest rate per second
+		]
+		expect(findCheapestOffer(offers, { at: 2000 }).signature).to.be.equal("long")
+		expect(findCheapestOffer(offers.slice(0, 2), { at: 2000 }).signature).to.be.equal("large")
+		// the amount only filters the offers
+		expect(findCheapestOffer(offers, { at: 2000, minAmount: parse("3") }).signature).to.be.equal("large")
+		const cheapest = findCheapestOffer(offers.slice(0, 2), { at: 2000, minAmount: parse("1") })
+		expect(cheapest).to.include({ signature: "large" })
+		expect(cheapest.interest).to.be.equal(parse("0.3"))
+		expect(findCheapestOffer(offers, { at: 2000, minAmount: parse("11") })).to.be.equal(null)
+	})
+
+	it("it should reject incomplete payloads and unknown contracts", async function () {
+		expect(() => buildOffer({ nftContractAddress: this.nftContractAddress, buyer: this.buyer.address })).to.throw("Offer.bid is required")
+		expect(() => buildBatchOrder({ seller: this.seller.address, orders: [{ tokenId: 1, price: 1 }] })).to.throw("Order.nftContractAddress is required")
+
+		const sdk = new SalvorSDK({ signer: this.seller })
+		expect(() => sdk.setContract("unknown", this.exchange.address)).to.throw("unknown salvor contract: unknown")
+		await expect(sdk.signLoanOffer({ nftContractAddress: this.nftContractAddress, lender: this.seller.address, amount: 1 })).to.be.rejectedWith("address of the lending contract is not set")
+	})
+})
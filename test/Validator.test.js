@@ -0,0 +1,244 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const axios = require("axios")
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { SalvorSDK, TokenTree } = require("../libs/sdk")
+const { createValidatorServer } = require("../services/validator/server")
+const { PrivateKeyStore, KeystoreFileStore } = require("../services/validator/keyStore")
+const { TraitRegistry } = require("../services/validator/traits")
+const { deployLending } = require("../libs/deployLending")
+const { deployVeArt } = require("../libs/deployVeArt")
+
+describe("Validator service", function () {
+	before(async function () {
+		// ABIs
+		this.exchangeCF = await ethers.getContractFactory("SalvorExchangeV2")
+		this.lendingErc20CF = await ethers.getContractFactory("SalvorLendingERC20")
+		this.nftCollectibleCF = await ethers.getContractFactory("NFTCollectible")
+		this.assetManagerCF = await ethers.getContractFactory("AssetManager")
+		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.seller = this.signers[1]
+		this.buyer = this.signers[2]
+		this.validatorWallet = ethers.Wallet.createRandom()
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
+		await this.salvorGovernanceToken.initialMint([this.seller.address], [ethers.utils.parseEther("100")])
+
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
+
+		this.assetManager = await upgrades.deployProxy(this.assetManagerCF, [])
+		await this.assetManager.deployed()
+		await this.assetManager.setVeArtAddress(this.veART.address)
+
+		this.exchange = await upgrades.deployProxy(this.exchangeCF, [])
+		await this.exchange.deployed()
+		await this.exchange.setAssetManager(this.assetManager.address)
+		await this.exchange.setValidator(this.validatorWallet.address)
+		await this.exchange.setBlockRange(40)
+
+		this.lending = await deployLending({ ethers, upgrades })
+		await this.lending.setAssetManager(this.assetManager.address)
+		await this.lending.setValidator(this.validatorWallet.address)
+		await this.lending.setBlockRange(40)
+
+		this.lendingErc20 = await upgrades.deployProxy(this.lendingErc20CF, [])
+		await this.lendingErc20.deployed()
+		await this.lendingErc20.setValidator(this.validatorWallet.address)
+		await this.lendingErc20.setBlockRange(40)
+
+		await this.assetManager.addPlatform(this.exchange.address)
+		await this.assetManager.addPlatform(this.lending.address)
+
+		this.nftCollectible = await this.nftCollectibleCF.connect(this.seller).deploy("Salvor", "SLV", [])
+		await this.nftCollectible.deployed()
+		await this.nftCollectible.mint("", []) // tokenId: 1
+		await this.nftCollectible.mint("", []) // tokenId: 2
+		await this.nftCollectible.setApprovalForAll(this.assetManager.address, true)
+
+		this.contracts = { exchange: this.exchange.address, lending: this.lending.address, lendingErc20: this.lendingErc20.address }
+		this.traits = new TraitRegistry({ [this.nftCollectible.address]: { 1: ["Background:Blue"], 2: ["Background:Red"] } })
+
+		this.server = createValidatorServer({
+			provider: ethers.provider,
+			keyStore: new PrivateKeyStore({ privateKey: this.validatorWallet.privateKey }),
+			contracts: this.contracts,
+			traits: this.traits,
+			logger: { error: () => {} }
+		})
+		await new Promise(resolve => this.server.listen(0, "127.0.0.1", resolve))
+		this.client = axios.create({ baseURL: `http://127.0.0.1:${this.server.address().port}/v1`, validateStatus: () => true })
+
+		this.startedAt = (await ethers.provider.getBlock("latest")).timestamp
+	})
+	afterEach(async function () {
+		await new Promise(resolve => this.server.close(resolve))
+	})
+
+	it("it should report the validator address", async function () {
+		const health = await this.client.get("/health")
+		expect(health.status).to.be.equal(200)
+		expect(health.data.validator).to.be.equal(this.validatorWallet.address)
+
+		expect((await this.client.get("/unknown")).status).to.be.equal(404)
+		let response = await this.client.post("/exchange/token", "{")
+		expect(response.status).to.be.equal(400)
+		expect(response.data.error).to.be.equal("request body is not valid json")
+		response = await this.client.post("/exchange/token", { padding: "0".repeat(128 * 1024) })
+		expect(response.status).to.be.equal(413)
+		expect(response.data.error).to.be.equal("request body is too large")
+		// the connection is still served
+		expect((await this.client.get("/health")).status).to.be.equal(200)
+	})
+
+	it("it should co-sign a trait offer that the exchange accepts", async function () {
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: ethers.utils.parseEther("1") })
+		const buyerSdk = new SalvorSDK({ signer: this.buyer, contracts: this.contracts })
+		const { voucher: offer, signature } = await buyerSdk.signOffer({
+			nftContractAddress: this.nftCollectible.address,
+			buyer: this.buyer.address,
+			bid: ethers.utils.parseEther("1"),
+			traits: "Background:Blue",
+			isCollectionOffer: true,
+			startedAt: this.startedAt
+		})
+
+		let response = await this.client.post("/exchange/token", { offer, signature, tokenId: 2, sender: this.seller.address })
+		expect(response.status).to.be.equal(422)
+		expect(response.data.error).to.be.equal("traits does not match")
+
+		response = await this.client.post("/exchange/token", { offer, signature, tokenId: 1, sender: this.signers[3].address })
+		expect(response.data.error).to.be.equal("token is not owned by the requester")
+
+		response = await this.client.post("/exchange/token", { offer, signature, tokenId: 1, sender: this.buyer.address })
+		expect(response.data.error).to.be.equal("signer cannot redeem own coupon")
+
+		response = await this.client.post("/exchange/token", { offer: { ...offer, bid: "2" }, signature, tokenId: 1, sender: this.seller.address })
+		expect(response.data.error).to.be.equal("buyer does not match")
+
+		response = await this.client.post("/exchange/token", { offer, signature, tokenId: 1, sender: this.seller.address })
+		expect(response.status).to.be.equal(200)
+		const token = response.data
+		const tx = await this.exchange.connect(this.seller).acceptOfferBatch([offer], [signature], [token.voucher], [token.signature])
+		const receipt = await tx.wait()
+		expect(receipt.events.filter(event => event.event === "AcceptOffer").length).to.be.equal(1)
+
+		response = await this.client.post("/exchange/token", { offer, signature, tokenId: 1, sender: this.buyer.address })
+		expect(response.data.error).to.be.equal("signer cannot redeem own coupon")
+		response = await this.client.post("/exchange/token", { offer, signature, tokenId: 2, sender: this.seller.address })
+		expect(response.data.error).to.be.equal("size is filled")
+	})
+
+	it("it should refuse cancelled and expired offers", async function () {
+		const buyerSdk = new SalvorSDK({ signer: this.buyer, contracts: this.contracts })
+		const expired = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: 1, tokenId: 1, startedAt: this.startedAt - 100, duration: 50 })
+		let response = await this.client.post("/exchange/token", { offer: expired.voucher, signature: expired.signature, tokenId: 1, sender: this.seller.address })
+		expect(response.data.error).to.be.equal("offer has expired")
+
+		const offer = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: 1, tokenId: 1, startedAt: this.startedAt })
+		response = await this.client.post("/exchange/token", { offer: offer.voucher, signature: offer.signature, tokenId: 2, sender: this.seller.address })
+		expect(response.data.error).to.be.equal("token id does not match")
+
+		const unfunded = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: 1, tokenId: 1, autoInvalidate: true, startedAt: this.startedAt })
+		response = await this.client.post("/exchange/token", { offer: unfunded.voucher, signature: unfunded.signature, tokenId: 1, sender: this.seller.address })
+		expect(response.data.error).to.be.equal("buyer balance is below the bid")
+
+		// offers with a token root are filled with merkle proofs, the validator does not co-sign them
+		const rootOffer = await buyerSdk.signOffer({ nftContractAddress: this.nftCollectible.address, buyer: this.buyer.address, bid: 1, tokenRoot: new TokenTree([1]).root, isCollectionOffer: true, startedAt: this.startedAt })
+		response = await this.client.post("/exchange/token", { offer: rootOffer.voucher, signature: rootOffer.signature, tokenId: 1, sender: this.seller.address })
+		expect(response.data.error).to.be.equal("offer requires a token proof")
+
+		await this.exchange.connect(this.buyer).cancelAllOffers()
+		response = await this.client.post("/exchange/token", { offer: offer.voucher, signature: offer.signature, tokenId: 1, sender: this.seller.address })
+		expect(response.data.error).to.be.equal("offer is cancelled")
+	})
+
+	it("it should co-sign a loan offer that the lending contract accepts", async function () {
+		await this.assetManager.connect(this.buyer)["deposit()"]({ value: ethers.utils.parseEther("1") })
+		const lenderSdk = new SalvorSDK({ signer: this.buyer, contracts: this.contracts })
+		const { voucher: loanOffer, signature } = await lenderSdk.signLoanOffer({
+			nftContractAddress: this.nftCollectible.address,
+			lender: this.buyer.address,
+			amount: ethers.utils.parseEther("1"),
+			startedAt: this.startedAt
+		})
+
+		let response = await this.client.post("/lending/token", { loanOffer, signature, tokenId: 1, borrower: this.seller.address })
+		expect(response.data.error).to.be.equal("pool is not active")
+
+		await this.lending.setPool(this.nftCollectible.address, 604800, "18493807888372071", true)
+		const negotiated = await lenderSdk.signLoanOffer({ nftContractAddress: this.nftCollectible.address, lender: this.buyer.address, amount: 1, rate: 1, loanDuration: 86400, startedAt: this.startedAt })
+		response = await this.client.post("/lending/token", { loanOffer: negotiated.voucher, signature: negotiated.signature, tokenId: 1, borrower: this.seller.address })
+		expect(response.data.error).to.be.equal("loan duration is out of the pool limits")
+
+		response = await this.client.post("/lending/token", { loanOffer, signature, tokenId: 1, borrower: this.seller.address })
+		expect(response.status).to.be.equal(200)
+		const token = response.data
+		const tx = await this.lending.connect(this.seller).batchBorrow([loanOffer], [signature], [token.voucher], [token.signature])
+		const receipt = await tx.wait()
+		expect(receipt.events.filter(event => event.event === "Borrow").length).to.be.equal(1)
+
+		response = await this.client.post("/lending/token", { loanOffer, signature, tokenId: 2, borrower: this.seller.address })
+		expect(response.data.error).to.be.equal("size is filled")
+	})
+
+	it("it should check ERC20 loan offers and the borrower collateral", async function () {
+		const lenderSdk = new SalvorSDK({ signer: this.buyer, contracts: this.contracts })
+		const { voucher: loanOffer, signature } = await lenderSdk.signErc20LoanOffer({
+			lender: this.buyer.address,
+			collateralizedAsset: this.salvorGovernanceToken.address,
+			amount: ethers.utils.parseEther("10"),
+			price: ethers.utils.parseEther("0.5"),
+			rate: 1000,
+			startedAt: this.startedAt
+		})
+		const body = { loanOffer, signature, amount: ethers.utils.parseEther("1").toString(), borrower: this.seller.address }
+
+		let response = await this.client.post("/lending-erc20/token", body)
+		expect(response.data.error).to.be.equal("collateralized asset is not allowed")
+
+		await this.lendingErc20.setAllowedAsset(this.salvorGovernanceToken.address, true)
+		response = await this.client.post("/lending-erc20/token", { ...body, borrower: this.signers[3].address })
+		expect(response.data.error).to.be.equal("insufficient collateral balance")
+
+		response = await this.client.post("/lending-erc20/token", body)
+		expect(response.status).to.be.equal(200)
+		expect(response.data.voucher.orderHash).to.be.equal(await this.lendingErc20.hashOffer(loanOffer))
+		expect(await lenderSdk.recoverErc20Token(response.data.voucher, response.data.signature)).to.be.equal(this.validatorWallet.address)
+	})
+
+	it("it should load the validator key from an encrypted keystore", async function () {
+		const keystorePath = path.join(os.tmpdir(), `salvor-validator-${Date.now()}.json`)
+		fs.writeFileSync(keystorePath, await this.validatorWallet.encrypt("secret", { scrypt: { N: 1024 } }))
+		try {
+			const signer = await new KeystoreFileStore({ path: keystorePath, password: "secret" }).getSigner()
+			expect(signer.address).to.be.equal(this.validatorWallet.address)
+			await expect(new KeystoreFileStore({ path: keystorePath, password: "wrong" }).getSigner()).to.be.rejectedWith("invalid password")
+		} finally {
+			fs.unlinkSync(keystorePath)
+		}
+		expect(() => new PrivateKeyStore({})).to.throw("validator private key is not set")
+	})
+})
@@ -1,14 +1,17 @@
 const { ethers, network, upgrades } = require("hardhat")
 const { expect } = require("chai")
+const { deployVeArt } = require("../libs/deployVeArt")
 
 const totalToken = "1000000000000000000000000" // 1M
+const week = 7 * 86400
+// the locks end at the start of a week
+const weekStart = (timestamp) => Math.floor(timestamp / week) * week
 
 
 describe("Art Staking", function () {
 	before(async function () {
 		// ABIs
 		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
-		this.veARTCF = await ethers.getContractFactory("VeArt")
 		this.erc721CollectibleCF = await ethers.getContractFactory("ERC721Dummy")
 		this.erc721SalvorMiniCF = await ethers.getContractFactory("SalvorMini")
 
@@ -34,8 +37,7 @@ describe("Art Staking", function () {
 
 		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
 
-		this.veART = await upgrades.deployProxy(this.veARTCF, [this.salvorGovernanceToken.address])
-		await this.veART.deployed()
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
 
 	
 		const receivers = [this.salvorGovernanceToken.address, this.owner.address, this.signers[2].address, this.veART.address]
@@ -49,7 +51,7 @@ describe("Art Staking", function () {
 	})
 
 	it("deploy", async function() {
-		const tempVeART = await upgrades.deployProxy(this.veARTCF, [this.salvorGovernanceToken.address])
+		const tempVeART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
 		await expect(tempVeART.initialize(this.salvorGovernanceToken.address)).to.be.revertedWith("Initializable: contract is already initialized")
 	})
 
@@ -328,4 +330,265 @@ describe("Art Staking", function () {
 
 		await this.veART.claimEarnings(this.owner.address)
 	})
+
+	it("lock art", async function() {
+		const year = 365 * 86400
+		const amount = ethers.utils.parseEther("1000")
+		const { timestamp } = await ethers.provider.getBlock("latest")
+		await expect(this.veART.lockART(amount, timestamp + year)).to.be.revertedWith("Error: locking is not enabled")
+
+		await expect(this.veART.connect(this.signers[1]).setLockConfiguration(2 * year, 200, 5000)).to.be.revertedWith("Ownable: caller is not the owner")
+		await expect(this.veART.setLockConfiguration(2 * year, 200, 10001)).to.be.revertedWith("Error: penalty cannot be higher than 100%")
+		await expect(this.veART.setLockConfiguration(2 * year, 200, 5000)).to.emit(this.veART, "LockConfigurationUpdated").withArgs(2 * year, 200, 5000)
+
+		await this.salvorGovernanceToken.approve(this.veART.address, amount.mul(3))
+		await expect(this.veART.lockART(amount, timestamp + 3 * year)).to.be.revertedWith("Error: invalid lock end")
+		await expect(this.veART.lockART(0, timestamp + year)).to.be.revertedWith("Error: Deposit amount must be greater than zero")
+
+		// the locked veART is minted at once, a lock of the max duration gets lockMultiplier veART per ART
+		const start = timestamp + 100
+		const end = weekStart(start + year)
+		const rate = ethers.BigNumber.from(200).mul(ethers.constants.WeiPerEther).div(2 * year)
+		const lockedVeART = (lockedAmount, lockEnd, at) => lockedAmount.mul(rate.mul(lockEnd - at)).add(ethers.constants.WeiPerEther.div(2)).div(ethers.constants.WeiPerEther)
+		await network.provider.send("evm_setNextBlockTimestamp", [start])
+		// the locks end at the start of a week
+		await expect(this.veART.lockART(amount, end + week - 1)).to.emit(this.veART, "LockART").withArgs(this.owner.address, amount, end)
+		expect(await this.veART.balanceOf(this.owner.address)).to.be.equal(lockedVeART(amount, end, start))
+		expect(await this.veART.getLockEnd(this.owner.address)).to.be.equal(end)
+		expect(await this.veART.projectedLockedVeART(this.owner.address, start + year / 2)).to.be.equal(lockedVeART(amount, end, start + year / 2))
+		expect(await this.veART.projectedLockedVeART(this.owner.address, end)).to.be.equal(0)
+		expect(await this.veART.totalStakedARTAmount()).to.be.equal(amount)
+		await expect(this.veART.lockART(0, end - 1)).to.be.revertedWith("Error: lock end cannot be decreased")
+
+		// the locked veART does not count towards the max cap of the veART of depositART
+		await this.veART.setMaxCap(1)
+		await this.veART.depositART(amount)
+		await network.provider.send("evm_increaseTime", [100])
+		await network.provider.send("evm_mine")
+		expect(await this.veART.claimableVeART(this.owner.address)).to.be.gt(0)
+		await this.veART.withdrawAllART()
+
+		// the decayed veART is burned when the lock is updated
+		await network.provider.send("evm_setNextBlockTimestamp", [start + year / 2])
+		await this.veART.connect(this.signers[1]).updateLockedVeART(this.owner.address)
+		expect(await this.veART.balanceOf(this.owner.address)).to.be.equal(lockedVeART(amount, end, start + year / 2))
+		expect(await this.veART.totalSupply()).to.be.equal(lockedVeART(amount, end, start + year / 2))
+
+		// locking more restarts the lock
+		const extendedEnd = end + 26 * week
+		await network.provider.send("evm_setNextBlockTimestamp", [start + year / 2 + 100])
+		await this.veART.lockART(amount, extendedEnd)
+		expect(await this.veART.balanceOf(this.owner.address)).to.be.equal(lockedVeART(amount.mul(2), extendedEnd, start + year / 2 + 100))
+		expect((await this.veART.locks(this.owner.address)).amount).to.be.equal(amount.mul(2))
+
+		// the decayed veART is burned before the rewards are paid, it does not earn them
+		await network.provider.send("evm_setNextBlockTimestamp", [end])
+		await this.veART.claimEarnings(this.owner.address)
+		expect(await this.veART.balanceOf(this.owner.address)).to.be.equal(lockedVeART(amount.mul(2), extendedEnd, end))
+
+		// the locked ART is withdrawn without a penalty after the end of the lock
+		const balance = await this.salvorGovernanceToken.balanceOf(this.owner.address)
+		await network.provider.send("evm_setNextBlockTimestamp", [extendedEnd])
+		await expect(this.veART.withdrawLockedART()).to.emit(this.veART, "WithdrawLockedART").withArgs(this.owner.address, amount.mul(2), 0)
+		expect(await this.salvorGovernanceToken.balanceOf(this.owner.address)).to.be.equal(balance.add(amount.mul(2)))
+		expect(await this.veART.balanceOf(this.owner.address)).to.be.equal(0)
+		expect(await this.veART.getLockEnd(this.owner.address)).to.be.equal(0)
+		await expect(this.veART.withdrawLockedART()).to.be.revertedWith("Error: amount to withdraw cannot be zero")
+		await expect(this.veART.updateLockedVeART(this.owner.address)).to.be.revertedWith("Error: user has no lock")
+	})
+
+	it("lock art with pending art rewards", async function() {
+		const year = 365 * 86400
+		const amount = ethers.utils.parseEther("1000")
+		const staker = this.signers[2]
+		await this.veART.setLockConfiguration(2 * year, 200, 5000)
+
+		// existing stakers with pending art rewards
+		for (const user of [this.owner, staker]) {
+			await this.salvorGovernanceToken.connect(user).approve(this.veART.address, amount.mul(3))
+			await this.veART.connect(user).depositART(amount)
+		}
+		await network.provider.send("evm_increaseTime", [100])
+		await network.provider.send("evm_mine")
+		await this.veART.harvestVeART(this.owner.address)
+		await network.provider.send("evm_increaseTime", [100])
+		await network.provider.send("evm_mine")
+		expect(await this.veART.pendingARTRewards(this.owner.address)).to.be.gt(0)
+
+		// the pending art rewards are paid by the lock
+		const { timestamp } = await ethers.provider.getBlock("latest")
+		await expect(this.veART.lockART(amount, timestamp + year))
+			.to.emit(this.veART, "LockART").withArgs(this.owner.address, amount, weekStart(timestamp + year))
+			.and.to.emit(this.veART, "ClaimARTReward")
+		expect(await this.veART.totalStakedARTAmount()).to.be.equal(amount.mul(3))
+
+		// the art rewards run out, the locked art is not paid as rewards
+		await this.veART.setARTGenerationRate("1000000000000000000000000") // 1m/sec
+		await network.provider.send("evm_increaseTime", [10])
+		await network.provider.send("evm_mine")
+		await this.veART.claimEarnings(this.owner.address)
+		await this.veART.connect(staker).claimEarnings(staker.address)
+		expect(await this.salvorGovernanceToken.balanceOf(this.veART.address)).to.be.equal(amount.mul(3))
+
+		const { timestamp: now } = await ethers.provider.getBlock("latest")
+		await this.veART.lockART(amount, now + year)
+		expect(await this.veART.totalStakedARTAmount()).to.be.equal(amount.mul(4))
+		expect(await this.salvorGovernanceToken.balanceOf(this.veART.address)).to.be.equal(amount.mul(4))
+		expect((await this.veART.users(this.owner.address)).failedArtBalance).to.be.gt(0)
+	})
+
+	it("withdraw locked art early", async function() {
+		const year = 365 * 86400
+		const amount = ethers.utils.parseEther("1000")
+		const staker = this.signers[2]
+		await this.veART.setARTGenerationRate(0)
+		await this.veART.setLockConfiguration(2 * year, 200, 5000)
+
+		await this.salvorGovernanceToken.connect(staker).approve(this.veART.address, amount)
+		await this.veART.connect(staker).depositART(amount)
+		await network.provider.send("evm_increaseTime", [100])
+		await network.provider.send("evm_mine")
+		await this.veART.harvestVeART(staker.address)
+
+		await this.salvorGovernanceToken.approve(this.veART.address, amount)
+		const { timestamp } = await ethers.provider.getBlock("latest")
+		const end = weekStart(timestamp + year)
+		const start = end - 48 * week
+		await network.provider.send("evm_setNextBlockTimestamp", [start])
+		await this.veART.lockART(amount, end)
+
+		// the penalty of the lock is prorated over the remaining time
+		const exitedAt = end - 12 * week
+		const penalty = amount.div(8)
+		await network.provider.send("evm_setNextBlockTimestamp", [exitedAt])
+		await network.provider.send("evm_mine")
+		expect(await this.veART.getEarlyExitPenalty(this.owner.address)).to.be.equal(penalty)
+
+		const balance = await this.salvorGovernanceToken.balanceOf(this.owner.address)
+		await network.provider.send("evm_setNextBlockTimestamp", [exitedAt + 1])
+		await this.veART.setLockConfiguration(2 * year, 200, 10000)
+		await expect(this.veART.withdrawLockedART()).to.emit(this.veART, "WithdrawLockedART")
+		expect(await this.salvorGovernanceToken.balanceOf(this.owner.address)).to.be.gt(balance.add(amount).sub(penalty))
+		expect(await this.veART.balanceOf(this.owner.address)).to.be.equal(0)
+		expect(await this.veART.totalStakedARTAmount()).to.be.equal(amount)
+
+		// the penalty goes to the veART holders as ART rewards
+		const forfeited = balance.add(amount).sub(await this.salvorGovernanceToken.balanceOf(this.owner.address))
+		const pending = await this.veART.pendingARTRewards(staker.address)
+		expect(pending).to.be.lte(forfeited)
+		expect(pending).to.be.gt(forfeited.sub(10))
+		await expect(this.veART.claimEarnings(staker.address)).to.emit(this.veART, "ClaimARTReward").withArgs(staker.address, pending)
+	})
+
+	it("balance checkpoints", async function() {
+		const staker = this.signers[2]
+		const amount = "100000000000000000000000"
+		const blockOf = async (tx) => (await (await tx).wait()).blockNumber
+		const snapshots = []
+		const record = async (blockNumber) => snapshots.push({
+			blockNumber,
+			owner: await this.veART.balanceOf(this.owner.address),
+			staker: await this.veART.balanceOf(staker.address),
+			totalSupply: await this.veART.totalSupply()
+		})
+
+		// deposits
+		await this.salvorGovernanceToken.approve(this.veART.address, amount)
+		await record(await blockOf(this.veART.depositART(amount)))
+		await network.provider.send("evm_increaseTime", [100])
+		await network.provider.send("evm_mine")
+		await record(await blockOf(this.veART.harvestVeART(this.owner.address)))
+
+		// boosts, burning the salvor mini harvests the veART generated so far
+		await this.erc721SalvorMini.addAdminPlatform(this.owner.address)
+		await this.erc721SalvorMini.addAdminPlatform(this.veART.address)
+		await this.erc721SalvorMini.mint(this.owner.address, 5)
+		await this.veART.setSalvorMiniCollection(this.erc721SalvorMini.address)
+		await network.provider.send("evm_increaseTime", [100])
+		await network.provider.send("evm_mine")
+		const burn = this.veART.burnSalvorMiniToBoostVeART(1)
+		await expect(burn).to.emit(this.veART, "BurnSalvorMini").withArgs(this.owner.address, 1, 5)
+		await record(await blockOf(burn))
+		await network.provider.send("evm_increaseTime", [100])
+		await network.provider.send("evm_mine")
+		await record(await blockOf(this.veART.harvestVeART(this.owner.address)))
+		expect(snapshots[3].owner.sub(snapshots[2].owner)).to.be.gt(snapshots[1].owner.sub(snapshots[0].owner).mul(3))
+
+		await this.salvorGovernanceToken.connect(staker).approve(this.veART.address, amount)
+		await record(await blockOf(this.veART.connect(staker).depositART(amount)))
+		await network.provider.send("evm_increaseTime", [100])
+		await network.provider.send("evm_mine")
+		await record(await blockOf(this.veART.harvestVeART(staker.address)))
+
+		// full withdrawals
+		await record(await blockOf(this.veART.withdrawAllART()))
+		expect(snapshots[snapshots.length - 1].owner).to.be.equal(0)
+
+		await network.provider.send("evm_mine")
+		for (const { blockNumber, owner, staker: stakerBalance, totalSupply } of snapshots) {
+			expect(await this.veART.balanceOfAt(this.owner.address, blockNumber)).to.be.equal(owner)
+			expect(await this.veART.balanceOfAt(staker.address, blockNumber)).to.be.equal(stakerBalance)
+			expect(await this.veART.totalSupplyAt(blockNumber)).to.be.equal(totalSupply)
+		}
+		// between the checkpoints the balance is the one of the last change
+		expect(await this.veART.balanceOfAt(this.owner.address, snapshots[0].blockNumber - 1)).to.be.equal(0)
+		expect(await this.veART.balanceOfAt(this.owner.address, snapshots[5].blockNumber)).to.be.equal(snapshots[3].owner)
+		expect(await this.veART.totalSupplyAt(snapshots[4].blockNumber - 1)).to.be.equal(snapshots[3].totalSupply)
+
+		const { number } = await ethers.provider.getBlock("latest")
+		await expect(this.veART.balanceOfAt(this.owner.address, number + 1000)).to.be.revertedWith("Error: block not yet mined")
+		await expect(this.veART.totalSupplyAt(number + 1000)).to.be.revertedWith("Error: block not yet mined")
+	})
+
+	it("locked balance checkpoints", async function() {
+		const year = 365 * 86400
+		const amount = ethers.utils.parseEther("1000")
+		const staker = this.signers[2]
+		const WAD = ethers.constants.WeiPerEther
+		const blockOf = async (tx) => (await (await tx).wait()).blockNumber
+		await this.veART.setLockConfiguration(2 * year, 200, 5000)
+
+		const { timestamp } = await ethers.provider.getBlock("latest")
+		const start = timestamp + 100
+		const end = weekStart(start + year)
+		await this.salvorGovernanceToken.approve(this.veART.address, amount)
+		await network.provider.send("evm_setNextBlockTimestamp", [start])
+		await this.veART.lockART(amount, end)
+		// the checkpoints decay the locked veART by its slope until the end of the lock
+		const slope = amount.mul(WAD.mul(200).div(2 * year))
+		const locked = (at) => at >= end ? ethers.BigNumber.from(0) : slope.mul(end - at).div(WAD)
+		const lockedSince = (from, to) => slope.mul((end - from) ** 2 - (end - Math.min(to, end)) ** 2).div(WAD.mul(2))
+
+		// the lock is not updated, the changes of the supply by the staker decay it
+		await this.veART.setMaxCap(10000)
+		await this.salvorGovernanceToken.connect(staker).approve(this.veART.address, amount)
+		await this.veART.connect(staker).depositART(amount)
+		const snapshots = []
+		for (const at of [start + 10 * week, end - 1, end + week]) {
+			await network.provider.send("evm_setNextBlockTimestamp", [at])
+			snapshots.push({ at, blockNumber: await blockOf(this.veART.harvestVeART(staker.address)), staker: await this.veART.balanceOf(staker.address) })
+		}
+		await network.provider.send("evm_mine")
+		expect(await this.veART.balanceOf(this.owner.address)).to.be.equal((await this.veART.locks(this.owner.address)).veART)
+		for (const { at, blockNumber, staker: stakerBalance } of snapshots) {
+			expect(await this.veART.balanceOfAt(this.owner.address, blockNumber)).to.be.equal(locked(at))
+			expect(await this.veART.totalSupplyAt(blockNumber)).to.be.equal(stakerBalance.add(locked(at)))
+		}
+		// the veART the staker can harvest is not counted until it is harvested
+		expect(await this.veART.claimableVeART(staker.address)).to.be.gt(0)
+		expect(await this.veART.balanceOfAt(staker.address, snapshots[2].blockNumber)).to.be.equal(snapshots[2].staker)
+
+		// the cumulative balance integrates the decay, and stops growing at the end of the lock
+		const [balanceAtStart] = await this.veART.cumulativeBalanceAt(this.owner.address, start)
+		for (const at of [start + week, end, end + 10 * week]) {
+			const [balance] = await this.veART.cumulativeBalanceAt(this.owner.address, at)
+			expect(balance.sub(balanceAtStart)).to.be.equal(lockedSince(start, at))
+		}
+
+		// the withdrawal ends the lock in the checkpoints
+		const withdrawal = await blockOf(this.veART.withdrawLockedART())
+		await network.provider.send("evm_mine")
+		expect(await this.veART.balanceOfAt(this.owner.address, withdrawal)).to.be.equal(0)
+		expect(await this.veART.totalSupplyAt(withdrawal)).to.be.equal(await this.veART.balanceOf(staker.address))
+	})
 })
\ No newline at end of file
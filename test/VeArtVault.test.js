@@ -0,0 +1,264 @@
+const { ethers, network, upgrades } = require("hardhat")
+const { expect } = require("chai")
+const { deployVeArt } = require("../libs/deployVeArt")
+
+const totalToken = "1000000000000000000000000" // 1M
+const day = 86400
+const art = (amount) => ethers.utils.parseEther(amount.toString())
+
+describe("VeArt Vault", function () {
+	before(async function () {
+		// ABIs
+		this.salvorGovernanceTokenCF = await ethers.getContractFactory("SalvorGovernanceToken")
+		this.vaultCF = await ethers.getContractFactory("VeArtVault")
+		this.feeDistributorCF = await ethers.getContractFactory("VeArtFeeDistributor")
+
+		// Accounts
+		this.signers = await ethers.getSigners()
+		this.owner = this.signers[0]
+		this.users = this.signers.slice(1, 9)
+		this.receiver = this.signers[9]
+	})
+	beforeEach(async function () {
+		await network.provider.request({
+			method: "hardhat_reset",
+			params: [
+				{
+					forking: {
+						jsonRpcUrl: "https://api.avax.network/ext/bc/C/rpc",
+						blockNumber: 6413723,
+					},
+					live: false,
+					saveDeployments: true,
+					tags: ["test", "local"],
+				},
+			],
+		})
+
+		// Contracts
+		this.salvorGovernanceToken = await this.salvorGovernanceTokenCF.deploy("Test Rock", "TROCK")
+
+		this.veART = await deployVeArt({ ethers, upgrades }, this.salvorGovernanceToken.address)
+		await this.salvorGovernanceToken.initialMint([this.veART.address, this.owner.address], [totalToken, totalToken])
+
+		this.vault = await upgrades.deployProxy(this.vaultCF, [this.veART.address, this.salvorGovernanceToken.address])
+		await this.vault.deployed()
+		await this.veART.addPlatform(this.vault.address)
+
+		for (const user of this.users) {
+			await this.salvorGovernanceToken.transfer(user.address, art(50000))
+			await this.salvorGovernanceToken.connect(user).approve(this.vault.address, ethers.constants.MaxUint256)
+		}
+	})
+
+	it("prevent initialize multiple times", async function () {
+		await expect(this.vault.initialize(this.veART.address, this.salvorGovernanceToken.address)).to.be.revertedWith("Initializable: contract is already initialized")
+		expect(await this.vault.asset()).to.be.equal(this.salvorGovernanceToken.address)
+		expect(await this.vault.veArt()).to.be.equal(this.veART.address)
+		expect(await this.vault.bufferPercentage()).to.be.equal(500)
+		expect(await this.vault.withdrawalInterval()).to.be.equal(day)
+		expect(await this.vault.symbol()).to.be.equal("cART")
+
+		await expect(this.vault.connect(this.users[0]).setBufferPercentage(1000)).to.be.revertedWith("Ownable: caller is not the owner")
+		await expect(this.vault.setBufferPercentage(10001)).to.be.revertedWith("Error: percentage cannot be higher than 100%")
+		await expect(this.vault.setBufferPercentage(1000)).to.emit(this.vault, "BufferPercentageSet").withArgs(1000)
+		await expect(this.vault.connect(this.users[0]).setWithdrawalInterval(0)).to.be.revertedWith("Ownable: caller is not the owner")
+		await expect(this.vault.setWithdrawalInterval(7 * day)).to.emit(this.vault, "WithdrawalIntervalSet").withArgs(7 * day)
+
+		await this.vault.pause()
+		expect(await this.vault.maxDeposit(this.users[0].address)).to.be.equal(0)
+		await expect(this.vault.connect(this.users[0]).deposit(art(1), this.users[0].address)).to.be.revertedWith("ERC4626: deposit more than max")
+		await expect(this.vault.compound()).to.be.revertedWith("Pausable: paused")
+	})
+
+	it("it should compound the rewards of many users over time", async function () {
+		const deposited = {}
+		const withdrawn = {}
+		const deposit = async (user, amount) => {
+			await this.vault.connect(user).deposit(amount, user.address)
+			deposited[user.address] = (deposited[user.address] || ethers.constants.Zero).add(amount)
+		}
+		// the redemptions are requested and unstaked in one batch
+		const redeemAll = async (redemptions) => {
+			for (const [user, shares] of redemptions) {
+				await this.vault.connect(user).requestWithdrawal(await this.vault.convertToAssets(shares))
+			}
+			await expect(this.vault.processWithdrawals()).to.emit(this.vault, "ProcessWithdrawals")
+			for (const [user, shares] of redemptions) {
+				await redeem(user, shares)
+			}
+		}
+		const redeem = async (user, shares) => {
+			const preview = await this.vault.previewRedeem(shares)
+			const receipt = await (await this.vault.connect(user).redeem(shares, user.address, user.address)).wait()
+			// the pending ART rewards grow until the block of the redemption
+			const { assets } = receipt.events.find(({ event }) => event === "Withdraw").args
+			expect(assets).to.be.gte(preview)
+			withdrawn[user.address] = (withdrawn[user.address] || ethers.constants.Zero).add(assets)
+		}
+
+		// the users join one after the other with different amounts
+		for (const [i, user] of this.users.entries()) {
+			await deposit(user, art(1000 * (i + 1)))
+			await network.provider.send("evm_increaseTime", [3600])
+		}
+		expect(await this.vault.totalSupply()).to.be.equal(art(36000))
+		expect(await this.vault.idleAssets()).to.be.equal(art(36000))
+
+		let pricePerShare = await this.vault.convertToAssets(art(1))
+		let nativeRevenue = ethers.constants.Zero
+		for (let i = 0; i < 28; i++) {
+			await network.provider.send("evm_increaseTime", [day])
+			await network.provider.send("evm_mine")
+
+			if (i % 3 === 0) {
+				await this.owner.sendTransaction({ to: this.veART.address, value: art(1) })
+				nativeRevenue = nativeRevenue.add(art(1))
+			}
+			if (i === 7) {
+				// a holder transfers half of their shares, and the rewards of the shares follow them
+				const user = this.users[2]
+				await this.vault.connect(user).transfer(this.receiver.address, (await this.vault.balanceOf(user.address)).div(2))
+				// later deposits get fewer shares for the same ART
+				await deposit(this.users[3], art(4000))
+				expect(await this.vault.balanceOf(this.users[3].address)).to.be.lt(art(8000))
+			}
+			if (i === 14) {
+				await redeemAll([
+					[this.users[0], (await this.vault.balanceOf(this.users[0].address)).div(2)],
+					[this.users[1], await this.vault.balanceOf(this.users[1].address)],
+				])
+			}
+			if (i === 21) {
+				await deposit(this.users[1], art(2000))
+			}
+
+			await expect(this.vault.compound()).to.emit(this.vault, "Compound")
+			const [staked] = await this.veART.users(this.vault.address)
+			expect(await this.vault.stakedAssets()).to.be.equal(staked)
+			expect(await this.vault.totalAssets()).to.be.equal(staked.add(await this.vault.idleAssets()).add(await this.veART.pendingARTRewards(this.vault.address)))
+			expect(await this.salvorGovernanceToken.balanceOf(this.vault.address)).to.be.gte(await this.vault.idleAssets())
+			// the ART beyond the buffer is staked
+			const buffer = (await this.vault.totalAssets()).mul(500).div(10000)
+			expect(await this.vault.idleAssets()).to.be.lte(buffer.add(await this.veART.pendingARTRewards(this.vault.address)))
+
+			const nextPricePerShare = await this.vault.convertToAssets(art(1))
+			expect(nextPricePerShare).to.be.gte(pricePerShare)
+			pricePerShare = nextPricePerShare
+		}
+		expect(pricePerShare).to.be.gt(art(1))
+		expect(await this.veART.balanceOf(this.vault.address)).to.be.gt(0)
+
+		// everyone leaves, every holder gets back more ART than they deposited
+		const redemptions = []
+		for (const user of [...this.users, this.receiver]) {
+			const shares = await this.vault.balanceOf(user.address)
+			if (shares.gt(0)) {
+				redemptions.push([user, shares])
+			}
+		}
+		await redeemAll(redemptions)
+		for (const user of this.users) {
+			expect(withdrawn[user.address]).to.be.gt(deposited[user.address])
+		}
+		expect(withdrawn[this.receiver.address]).to.be.gt(0)
+		expect(await this.vault.totalSupply()).to.be.equal(0)
+		expect(await this.vault.stakedAssets()).to.be.equal(0)
+		expect(await this.vault.totalAssets()).to.be.lt(10)
+
+		// the native rewards are shared by the holders by their shares over time
+		let claimed = ethers.constants.Zero
+		for (const user of [...this.users, this.receiver]) {
+			const pending = await this.vault.pendingRewards(user.address)
+			expect(pending).to.be.gt(0)
+			await expect(this.vault.connect(user).claimRewards()).to.emit(this.vault, "ClaimReward").withArgs(user.address, pending)
+			claimed = claimed.add(pending)
+		}
+		await expect(this.vault.connect(this.users[0]).claimRewards()).to.be.revertedWith("Error: nothing to claim")
+		expect(claimed).to.be.lte(nativeRevenue)
+		expect(claimed).to.be.gt(nativeRevenue.mul(99).div(100))
+	})
+
+	it("it should pay withdrawals from the buffer and unstake the requested withdrawals in batches", async function () {
+		const [alice, bob, carol] = this.users
+		for (const user of [alice, bob, carol]) {
+			await this.vault.connect(user).deposit(art(10000), user.address)
+		}
+		await this.vault.compound()
+		expect(await this.vault.idleAssets()).to.be.equal(art(1500))
+		expect(await this.vault.stakedAssets()).to.be.equal(art(28500))
+
+		await network.provider.send("evm_increaseTime", [day])
+		await this.vault.compound()
+		const veARTBalance = await this.veART.balanceOf(this.vault.address)
+		expect(veARTBalance).to.be.gt(0)
+
+		// the buffer pays small withdrawals, the veART of the vault is kept
+		await this.vault.connect(alice).withdraw(art(500), alice.address, alice.address)
+		expect(await this.veART.balanceOf(this.vault.address)).to.be.equal(veARTBalance)
+		expect(await this.vault.idleAssets()).to.be.equal(art(1000))
+
+		// larger withdrawals do not unstake, the veART of the remaining holders is kept
+		const bobShares = await this.vault.balanceOf(bob.address)
+		expect(await this.vault.maxRedeem(bob.address)).to.be.lt(bobShares)
+		await expect(this.vault.connect(bob).redeem(bobShares, bob.address, bob.address)).to.be.revertedWith("ERC4626: redeem more than max")
+		expect(await this.veART.balanceOf(this.vault.address)).to.be.equal(veARTBalance)
+
+		// they are requested, and the requests of a batch are unstaked at once
+		await expect(this.vault.connect(bob).requestWithdrawal(art(20000))).to.be.revertedWith("Error: not enough shares")
+		const bobAssets = await this.vault.convertToAssets(bobShares)
+		await expect(this.vault.connect(bob).requestWithdrawal(bobAssets)).to.emit(this.vault, "WithdrawalRequested").withArgs(bob.address, bobAssets, 0)
+		await expect(this.vault.connect(bob).requestWithdrawal(art(1))).to.be.revertedWith("Error: withdrawal already requested")
+		await this.vault.connect(carol).requestWithdrawal(art(5000))
+		expect(await this.vault.maxRedeem(bob.address)).to.be.lt(bobShares)
+
+		const queued = bobAssets.add(art(5000))
+		await expect(this.vault.processWithdrawals()).to.emit(this.vault, "ProcessWithdrawals").withArgs(0, queued, queued)
+		expect(await this.veART.balanceOf(this.vault.address)).to.be.equal(0)
+		expect(await this.vault.reservedAssets()).to.be.equal(queued)
+		await expect(this.vault.processWithdrawals()).to.be.revertedWith("Error: no withdrawal requested")
+		await this.vault.connect(alice).requestWithdrawal(art(5000))
+		await expect(this.vault.processWithdrawals()).to.be.revertedWith("Error: withdrawal interval has not passed")
+
+		// the unstaked ART is reserved for the requests of the batch, the others withdraw from the rest
+		expect(await this.vault.maxWithdraw(alice.address)).to.be.equal((await this.vault.idleAssets()).sub(queued))
+		await this.vault.connect(bob).redeem(bobShares, bob.address, bob.address)
+		expect(await this.salvorGovernanceToken.balanceOf(bob.address)).to.be.gte(art(40000).add(bobAssets))
+		expect((await this.vault.withdrawalRequests(bob.address)).assets).to.be.equal(0)
+		expect(await this.vault.reservedAssets()).to.be.equal(art(5000))
+
+		// a cancelled request releases its reserved ART, which the next compound stakes again
+		await expect(this.vault.connect(carol).cancelWithdrawalRequest()).to.emit(this.vault, "WithdrawalRequestCancelled").withArgs(carol.address, art(5000))
+		await expect(this.vault.connect(carol).cancelWithdrawalRequest()).to.be.revertedWith("Error: no withdrawal requested")
+		expect(await this.vault.reservedAssets()).to.be.equal(0)
+		await this.vault.compound()
+		expect(await this.vault.stakedAssets()).to.be.gt(art(10000))
+		await network.provider.send("evm_increaseTime", [day])
+		await this.vault.compound()
+		expect(await this.veART.balanceOf(this.vault.address)).to.be.gt(0)
+	})
+
+	it("it should claim the fees of the veART of the vault", async function () {
+		const feeDistributor = await upgrades.deployProxy(this.feeDistributorCF, [this.veART.address])
+		await feeDistributor.deployed()
+		await expect(this.vault.claimFees([0])).to.be.revertedWith("Error: fee distributor is not set")
+		await expect(this.vault.setFeeDistributor(feeDistributor.address)).to.emit(this.vault, "FeeDistributorSet").withArgs(feeDistributor.address)
+
+		const [alice, bob] = this.users
+		await this.vault.connect(alice).deposit(art(10000), alice.address)
+		await this.vault.compound()
+		await network.provider.send("evm_increaseTime", [day])
+		await this.vault.compound()
+
+		const epoch = await feeDistributor.currentEpoch()
+		await this.owner.sendTransaction({ to: feeDistributor.address, value: art(2) })
+		await network.provider.send("evm_setNextBlockTimestamp", [(await feeDistributor.epochStart(epoch.add(1))).toNumber()])
+		await network.provider.send("evm_mine")
+
+		// the vault holds all the veART of the epoch
+		expect(await feeDistributor.claimable(this.vault.address, epoch)).to.be.equal(art(2))
+		await this.vault.connect(bob).claimFees([epoch])
+		expect(await this.vault.pendingRewards(alice.address)).to.be.equal(art(2))
+		await expect(this.vault.connect(alice).claimRewards()).to.changeEtherBalance(alice, art(2))
+	})
+})